@@ -5,11 +5,21 @@
 const fs = require('fs');
 const path = require('path');
 const util = require('util');
+const abiCoder = require('web3-eth-abi');
 
-const { getSuspensionReasons, networks, toBytes32, wrap, releases } = require('./index');
+const {
+	constants: { CREATE2_FACTORY_ADDRESS },
+	getCreate2Address,
+	getNextRelease,
+	getSuspensionReasons,
+	networks,
+	toBytes32,
+	wrap,
+	releases,
+} = require('./index');
 
 const {
-	decode,
+	decodeRecursive,
 	getAST,
 	getSource,
 	getTribes,
@@ -29,29 +39,150 @@ const {
 const commander = require('commander');
 const program = new commander.Command();
 
-function decodeRelayed(decoded, network, enhanceDecode) {
-	const targets = decoded.method.params[0].value;
-	const payloads = decoded.method.params[1].value;
-
-	const decodedRelayed = [];
-	for (let i = 0; i < targets.length; i++) {
-		const target = targets[i];
-		try {
-			const payload = decode({
-				network,
-				data: payloads[i],
-				target,
-				useOvm: true,
-				decodeMigration: false,
-				enhanceDecode,
+// ethers is an optional peer dependency, so it is only loaded by the commands reading the chain
+const loadEthers = () => {
+	try {
+		return require('ethers');
+	} catch (err) {
+		throw Error('The commands reading the chain need ethers v5, please install it');
+	}
+};
+
+const formatEther = value => loadEthers().utils.formatEther(value);
+
+const toDate = seconds => new Date(Number(seconds) * 1000).toISOString();
+
+const toPercent = value => `${(Number(formatEther(value)) * 100).toFixed(4)}%`;
+
+// the options of the commands reading the state of an account from the chain
+const withReadOptions = command =>
+	command
+		.option('-n, --network <value>', 'The network to run off.', x => x.toLowerCase(), 'mainnet')
+		.option('-z, --use-ovm', 'Target deployment for the OVM (Optimism).')
+		.option(
+			'-p, --provider-url <value>',
+			'The RPC to read from, with archive state for past blocks (defaults to PROVIDER_URL)'
+		)
+		.option('-b, --block <value>', 'The block to read at (defaults to the latest)')
+		.option('-j, --json', 'Output as JSON instead of tables');
+
+// the block to read at and the contracts of the deployment to read from
+async function connect({ network, useOvm, providerUrl, block }) {
+	providerUrl = providerUrl || process.env.PROVIDER_URL;
+	if (!providerUrl) {
+		throw Error('No provider given, use --provider-url or set PROVIDER_URL');
+	}
+	const ethers = loadEthers();
+	const provider = new ethers.providers.JsonRpcProvider(providerUrl);
+	const { number, timestamp } = await provider.getBlock(block ? Number(block) : 'latest');
+
+	const contractFor = contract => {
+		const { address, source } = getTarget({ network, useOvm, contract });
+		const { abi } = getSource({ network, useOvm, contract: source });
+		const target = new ethers.Contract(address, abi, provider);
+		// every read is at the block, and fails saying so where the contract is not yet deployed
+		return fnc => (...args) =>
+			target[fnc](...args, { blockTag: number }).catch(err => {
+				throw Error(`Could not read ${contract}.${fnc}() at block ${number}: ${err.reason || err}`);
 			});
-			decodedRelayed.push({ index: i, target, payload });
-		} catch (e) {
-			// unable to decode.
-			decodedRelayed.push({ index: i, target, rawPayload: payloads[i] });
+	};
+
+	return { provider, blockNumber: number, timestamp, contractFor };
+}
+
+// rows as aligned columns under their keys, or a single object as its keys and values
+function printTable(rows) {
+	if (!Array.isArray(rows)) {
+		rows = Object.entries(rows).map(([key, value]) => ({ key, value }));
+	}
+	if (!rows.length) {
+		console.log('  (none)');
+		return;
+	}
+	const columns = Object.keys(rows[0]);
+	const cells = [columns].concat(rows.map(row => columns.map(column => String(row[column]))));
+	const widths = columns.map((_, i) => Math.max(...cells.map(line => line[i].length)));
+	for (const line of cells) {
+		console.log(
+			('  ' + line.map((cell, i) => cell.padEnd(widths[i])).join('  ')).replace(/\s+$/, '')
+		);
+	}
+}
+
+// print each of the tables, or all of them as JSON, with the block they were read at
+function output({ json, blockNumber, timestamp, tables }) {
+	if (json) {
+		console.log(
+			JSON.stringify(Object.assign({ blockNumber, timestamp: toDate(timestamp) }, tables), null, 2)
+		);
+		return;
+	}
+	console.log(`Block ${blockNumber} (${toDate(timestamp)})`);
+	for (const [name, rows] of Object.entries(tables)) {
+		console.log(`\n${name}:`);
+		printTable(rows);
+	}
+}
+
+// a decoded value, with what enhanceDecodedData made readable of it
+function formatValue(value, enhanced) {
+	if (value && typeof value === 'object' && 'original' in value) {
+		return formatValue(value.original, value.enhanced);
+	} else if (Array.isArray(value)) {
+		return `[${value.map(entry => formatValue(entry)).join(', ')}]`;
+	} else if (value && typeof value === 'object') {
+		return `{ ${Object.entries(value)
+			.map(([key, entry]) => `${key}: ${formatValue(entry)}`)
+			.join(', ')} }`;
+	} else if (enhanced && enhanced.ascii) {
+		return `${value} ("${enhanced.ascii}")`;
+	} else if (enhanced && enhanced.number) {
+		if (enhanced.decimal !== '0') {
+			return `${enhanced.number} (${enhanced.decimal} x 1e18)`;
+		}
+		return enhanced.bp !== '0' ? `${enhanced.number} (${enhanced.bp} bp of 1e18)` : enhanced.number;
+	}
+	return String(value);
+}
+
+// the call and those nested in it as a tree, each line of the call after the first under the
+// prefix of its children
+function printCall(
+	{ network, to, value, operation, contract, version, method, data, calls },
+	prefix = '',
+	childPrefix = ''
+) {
+	const where = [network]
+		.concat(to || [])
+		.concat(value !== '0' ? `value ${value}` : [])
+		.concat(version ? `${version.status} address of ${version.tag} (${version.release})` : [])
+		.join(', ');
+	console.log(
+		`${prefix}${operation ? `${operation} ` : ''}${contract || 'Unknown'}.${
+			method ? method.signature : '?'
+		} [${where}]`
+	);
+
+	const inner = `${childPrefix}${calls ? '|' : ' '}   `;
+	if (!method) {
+		console.log(`${inner}could not decode: ${data}`);
+	} else {
+		for (const { name, type, value, enhanced, decodedInCalls } of method.params) {
+			console.log(
+				`${inner}${name || '?'} (${type}): ${
+					decodedInCalls ? '(decoded below)' : formatValue(value, enhanced)
+				}`
+			);
 		}
 	}
-	return decodedRelayed;
+	(calls || []).forEach((call, i) => {
+		const last = i === calls.length - 1;
+		printCall(
+			call,
+			`${childPrefix}${last ? '`-- ' : '|-- '}`,
+			`${childPrefix}${last ? ' ' : '|'}   `
+		);
+	});
 }
 
 program
@@ -79,135 +210,340 @@ program
 	});
 
 program
-	.command('decode <data> [target]')
-	.description('Decode a data payload from a Tribeone contract')
-	.option('-n, --network <value>', 'The network to use', x => x.toLowerCase(), 'mainnet')
-	.option('-z, --use-ovm', 'Target deployment for the OVM (Optimism).')
-	.option('-m, --decode-migration', 'Decodes a migration contract execution call')
-	.option('-e, --enhance-decode', 'Enhance decoded data', false)
-	.action(async (data, target, { network, useOvm, decodeMigration, enhanceDecode }) => {
-		console.log(
-			util.inspect(
-				decode({ network, data, target, useOvm, decodeMigration, enhanceDecode }),
-				false,
-				null,
-				true
-			)
-		);
-	});
-
-program
-	.command('decode-multi-send <txsdata> [target]')
-	.description('Decode a data payload from a gnosis multi-send staged to Tribeone contracts')
-	.option('-n, --network <value>', 'The network to use', x => x.toLowerCase(), 'mainnet')
+	.command('create2-address <name>')
+	.description(
+		'Precompute the address a contract gets when deployed through the CREATE2 factory (see deploy --create2)'
+	)
+	.option('-n, --network <value>', 'The network to run off.', x => x.toLowerCase(), 'mainnet')
+	.option(
+		'-r, --release <value>',
+		'The release it is deployed in (defaults to the next release of the layer)'
+	)
+	.option(
+		'-s, --source <value>',
+		'The source of the contract (defaults to that of the deployed target, else the name)'
+	)
+	.option('-a, --args <json>', 'The constructor args, as a JSON array', JSON.parse, [])
+	.option(
+		'-b, --build-path <value>',
+		'Use the compiled artifact in this build folder, rather than the bytecode in the deployment'
+	)
+	.option(
+		'-l, --library <name=address>',
+		'The address of a library to link (repeatable, defaults to those in the deployment)',
+		(value, previous) => previous.concat(value),
+		[]
+	)
+	.option('-j, --json', 'Print the salt and the init code hash too, as JSON')
 	.option('-z, --use-ovm', 'Target deployment for the OVM (Optimism).')
-	.option('-m, --decode-migration', 'Decodes a migration contract execution call')
-	.option('-e, --enhance-decode', 'Enhance decoded data', false)
-	.action(async (txsdata, target, { network, useOvm, decodeMigration, enhanceDecode }) => {
-		if (txsdata.length <= 2) {
-			console.log('data too short');
-		}
+	.action(async (name, { network, useOvm, release, source, args, buildPath, library, json }) => {
+		const targets = getTarget({ network, useOvm });
+		source = source || (targets[name] ? targets[name].source : name);
 
-		const splitByLen = (s, len) => [s.slice(0, len), s.slice(len)];
-
-		const cleanMultiSendRawData = raw => {
-			let parts = splitByLen(raw, 8);
-			if (parts[0] === '8d80ff0a') {
-				// is multisend raw data
-				// value
-				parts = splitByLen(parts[1], 64);
-				// length
-				parts = splitByLen(parts[1], 64);
-				const dataLen = parts[0];
-				const dataLenDecimal = parseInt(dataLen, 16);
-				parts = splitByLen(parts[1], dataLenDecimal * 2);
-				return parts[0];
-			} else {
-				return raw;
+		let artifact;
+		try {
+			const upcoming = releases.releases.some(
+				({ released, ovm }) => !released && !!ovm === !!useOvm
+			);
+			if (!release && !upcoming) {
+				throw Error('There is no upcoming release in releases.json, use --release');
 			}
-		};
-
-		const cleanData = txsdata.toLowerCase().startsWith('0x')
-			? txsdata.slice(2).toLowerCase()
-			: txsdata.toLowerCase();
-
-		let parts = splitByLen(cleanMultiSendRawData(cleanData), 0);
-		let index = 1;
-		const decodedTransactions = [];
-		while (parts[1].length > 20) {
-			// operation type
-			parts = splitByLen(parts[1], 2);
-			const operationType = parts[0] === '00' ? 'Call' : 'DelegateCall';
-
-			// destination
-			parts = splitByLen(parts[1], 40);
-			const destAddress = '0x' + parts[0];
-
-			// value
-			parts = splitByLen(parts[1], 64);
-			const txValue = parts[0];
-			const valueDecimal = parseInt(txValue, 16);
-
-			// data Len
-			parts = splitByLen(parts[1], 64);
-			const dataLen = parts[0];
-			const dataLenDecimal = parseInt(dataLen, 16);
-
-			// data
-			parts = splitByLen(parts[1], dataLenDecimal * 2);
-			const data = ('00' + dataLenDecimal.toString(16)).slice(0, 2) + parts[0];
-
-			const decoded = decode({ network, data, target, useOvm, decodeMigration, enhanceDecode });
-			const decodedTransaction = {
-				index,
-				destAddress,
-				operationType,
-				value: valueDecimal,
-				decoded,
-			};
-
-			if (decoded.method.name === 'initiateRelayBatch') {
-				const decodedRelayed = decodeRelayed(decoded, network, enhanceDecode);
-				decodedTransaction.relayedTransaction = decodedRelayed;
+			release = release || getNextRelease({ useOvm }).releaseName;
+			artifact = buildPath
+				? JSON.parse(fs.readFileSync(path.join(buildPath, 'compiled', `${source}.json`)))
+				: getSource({ network, useOvm, contract: source });
+			if (!artifact) {
+				throw Error(`No source ${source} in the deployment, use --build-path`);
 			}
+		} catch (err) {
+			console.error(err.message);
+			process.exitCode = 1;
+			return;
+		}
 
-			decodedTransactions.push(decodedTransaction);
+		// every deployed target may be a library, as only the placeholders of those used are replaced
+		const libraries = Object.values(targets).reduce(
+			(memo, { name, address }) => Object.assign(memo, { [name]: address }),
+			{}
+		);
+		for (const entry of library) {
+			const [libraryName, address] = entry.split('=');
+			libraries[libraryName] = address;
+		}
+
+		const { address, salt, initCodeHash } = getCreate2Address({
+			name,
+			release,
+			source,
+			bytecode: artifact.evm ? artifact.evm.bytecode.object : artifact.bytecode,
+			abi: artifact.abi,
+			args,
+			libraries,
+		});
 
-			index++;
+		if (json) {
+			console.log(
+				JSON.stringify(
+					{ name, source, release, address, salt, initCodeHash, factory: CREATE2_FACTORY_ADDRESS },
+					null,
+					2
+				)
+			);
+		} else {
+			console.log(address);
 		}
+	});
 
-		console.log(util.inspect(decodedTransactions, false, null, true));
+withReadOptions(program.command('claimable <account>'))
+	.description('Get the fees and rewards an account can claim, and those of each fee period')
+	.action(async (account, { network, useOvm, providerUrl, block, json }) => {
+		const { blockNumber, timestamp, contractFor } = await connect({
+			network,
+			useOvm,
+			providerUrl,
+			block,
+		});
+		const FeePool = contractFor('FeePool');
+
+		const [
+			[fees, rewards],
+			isFeesClaimable,
+			lastFeeWithdrawal,
+			feesByPeriod,
+			effectiveDebtRatio,
+			periods,
+		] = await Promise.all([
+			FeePool('feesAvailable')(account),
+			FeePool('isFeesClaimable')(account),
+			FeePool('getLastFeeWithdrawal')(account),
+			FeePool('feesByPeriod')(account),
+			FeePool('effectiveDebtRatioForPeriod')(account, 1),
+			Promise.all([0, 1].map(index => FeePool('recentFeePeriods')(index))),
+		]);
+
+		output({
+			json,
+			blockNumber,
+			timestamp,
+			tables: {
+				claimable: {
+					fees: formatEther(fees),
+					rewards: formatEther(rewards),
+					isFeesClaimable,
+					lastFeeWithdrawal: lastFeeWithdrawal.toString(),
+					effectiveDebtRatio: toPercent(effectiveDebtRatio),
+				},
+				// the current period (0) accrues, the closed one (1) is what can be claimed
+				periods: periods.map(({ feePeriodId, startTime }, index) => ({
+					index,
+					feePeriodId: feePeriodId.toString(),
+					startTime: toDate(startTime),
+					fees: formatEther(feesByPeriod[index][0]),
+					rewards: formatEther(feesByPeriod[index][1]),
+				})),
+			},
+		});
 	});
 
-program
-	.command('decode-relay-batch <rawtxsdata> [target]')
-	.description('Decode data payload from a initiate relay batch staged to Tribeone contracts')
-	.option('-n, --network <value>', 'The network to use', x => x.toLowerCase(), 'mainnet')
-	.option('-e, --enhance-decode', 'Enhance decoded data', false)
-	.action(async (rawtxsdata, target, { network, enhanceDecode }) => {
-		if (rawtxsdata.length <= 2) {
-			console.log('data too short');
-		}
+withReadOptions(program.command('debt-share <account>'))
+	.description('Get the debt shares of an account, and its share of the debt in each fee period')
+	.action(async (account, { network, useOvm, providerUrl, block, json }) => {
+		const { blockNumber, timestamp, contractFor } = await connect({
+			network,
+			useOvm,
+			providerUrl,
+			block,
+		});
+		const TribeoneDebtShare = contractFor('TribeoneDebtShare');
+		const FeePool = contractFor('FeePool');
+
+		const [balance, totalSupply, sharePercent, currentPeriodId, periods] = await Promise.all([
+			TribeoneDebtShare('balanceOf')(account),
+			TribeoneDebtShare('totalSupply')(),
+			TribeoneDebtShare('sharePercent')(account),
+			TribeoneDebtShare('currentPeriodId')(),
+			Promise.all([0, 1].map(index => FeePool('recentFeePeriods')(index))),
+		]);
+
+		// debt shares are snapshot with the id of each fee period as it closes
+		const onPeriods = await Promise.all(
+			periods.map(({ feePeriodId }) =>
+				Promise.all([
+					TribeoneDebtShare('balanceOfOnPeriod')(account, feePeriodId),
+					TribeoneDebtShare('sharePercentOnPeriod')(account, feePeriodId),
+				])
+			)
+		);
+
+		output({
+			json,
+			blockNumber,
+			timestamp,
+			tables: {
+				debtShare: {
+					balance: formatEther(balance),
+					totalSupply: formatEther(totalSupply),
+					sharePercent: toPercent(sharePercent),
+					currentPeriodId: currentPeriodId.toString(),
+				},
+				periods: periods.map(({ feePeriodId }, index) => ({
+					index,
+					feePeriodId: feePeriodId.toString(),
+					balance: formatEther(onPeriods[index][0]),
+					sharePercent: toPercent(onPeriods[index][1]),
+				})),
+			},
+		});
+	});
+
+// the options of the commands decoding calldata
+const withDecodeOptions = command =>
+	command
+		.option('-n, --network <value>', 'The network to use', x => x.toLowerCase(), 'mainnet')
+		.option('-z, --use-ovm', 'Target deployment for the OVM (Optimism).')
+		.option('-v, --value <value>', 'The ETH sent with the call, in wei', '0')
+		.option('-j, --json', 'Output as JSON instead of a tree')
+		.option(
+			'-m, --decode-migration',
+			'Decodes a migration contract execution call (always done, kept for compatibility)'
+		)
+		.option('-e, --enhance-decode', 'Enhance decoded data (always done, kept for compatibility)');
+
+function printDecoded({ network, useOvm, data, target, value, json }) {
+	const decoded = decodeRecursive({ network, useOvm, data, target, value });
+	if (json) {
+		console.log(JSON.stringify(decoded, null, 2));
+		return;
+	}
+	printCall(decoded);
+}
+
+withDecodeOptions(program.command('decode <data> [target]'))
+	.alias('decode-relay-batch')
+	.description(
+		'Decode a data payload to Tribeone contracts, and those nested in it: of Safe transactions, MultiSend batches, proxy executions, owner relays to L2 and migrations'
+	)
+	.action(async (data, target, { network, useOvm, value, json }) => {
+		printDecoded({ network, useOvm, data, target, value, json });
+	});
+
+withDecodeOptions(program.command('decode-multi-send <txsdata> [target]'))
+	.description(
+		'Decode a gnosis multi-send staged to Tribeone contracts, from its calldata or the transactions packed in it, like decode'
+	)
+	.action(async (txsdata, target, { network, useOvm, value, json }) => {
+		// the transactions packed alone are decoded as the multiSend of them
+		const data = /^(0x)?8d80ff0a/i.test(txsdata)
+			? txsdata
+			: abiCoder.encodeFunctionCall(
+					{
+						name: 'multiSend',
+						type: 'function',
+						inputs: [{ name: 'transactions', type: 'bytes' }],
+					},
+					[txsdata.startsWith('0x') ? txsdata : `0x${txsdata}`]
+			  );
+		printDecoded({ network, useOvm, data, target, value, json });
+	});
 
-		const decoded = decode({
+withReadOptions(program.command('escrow <account>'))
+	.description('Get the escrowed rewards of an account, and when each of its entries vests')
+	.option('-s, --page-size <value>', 'How many vesting entries to read at a time', 100)
+	.action(async (account, { network, useOvm, providerUrl, block, json, pageSize }) => {
+		const { blockNumber, timestamp, contractFor } = await connect({
 			network,
-			data: rawtxsdata,
-			target,
-			useOvm: false,
-			decodeMigration: false,
-			enhanceDecode: false,
+			useOvm,
+			providerUrl,
+			block,
 		});
+		const RewardEscrowV2 = contractFor('RewardEscrowV2');
 
-		if (decoded.method.name !== 'initiateRelayBatch') {
-			console.log('=============================================');
-			console.log('Warning: Not a relay batch staged transaction');
-			console.log('=============================================');
-			console.log(util.inspect(decoded, false, null, true));
-			return;
+		const [escrowed, vested, numEntries] = await Promise.all([
+			RewardEscrowV2('totalEscrowedAccountBalance')(account),
+			RewardEscrowV2('totalVestedAccountBalance')(account),
+			RewardEscrowV2('numVestingEntries')(account),
+		]);
+
+		const entries = [];
+		for (let index = 0; index < numEntries.toNumber(); index += Number(pageSize)) {
+			entries.push(...(await RewardEscrowV2('getVestingSchedules')(account, index, pageSize)));
 		}
-		const decodedRelayed = decodeRelayed(decoded, network, enhanceDecode);
 
-		console.log(util.inspect(decodedRelayed, false, null, true));
+		// vested entries have nothing left in escrow, the others can be vested once their end time passes
+		const timeline = entries
+			.map(({ entryID, endTime, escrowAmount }) => ({
+				entryID: entryID.toString(),
+				endTime: toDate(endTime),
+				amount: formatEther(escrowAmount),
+				status: escrowAmount.isZero()
+					? 'vested'
+					: endTime.toNumber() <= timestamp
+					? 'claimable'
+					: 'escrowed',
+			}))
+			.sort((a, b) => a.endTime.localeCompare(b.endTime));
+
+		const claimable = entries
+			.filter(({ endTime }) => endTime.toNumber() <= timestamp)
+			.reduce((total, { escrowAmount }) => total.add(escrowAmount), loadEthers().BigNumber.from(0));
+
+		output({
+			json,
+			blockNumber,
+			timestamp,
+			tables: {
+				escrow: {
+					escrowed: formatEther(escrowed),
+					claimable: formatEther(claimable),
+					vested: formatEther(vested),
+					entries: numEntries.toString(),
+				},
+				timeline,
+			},
+		});
+	});
+
+withReadOptions(program.command('fee-periods'))
+	.description('Get the current and closed fee periods, and the fees and rewards of each')
+	.action(async ({ network, useOvm, providerUrl, block, json }) => {
+		const { blockNumber, timestamp, contractFor } = await connect({
+			network,
+			useOvm,
+			providerUrl,
+			block,
+		});
+		const FeePool = contractFor('FeePool');
+
+		const [duration, totalFees, totalRewards, periods] = await Promise.all([
+			FeePool('feePeriodDuration')(),
+			FeePool('totalFeesAvailable')(),
+			FeePool('totalRewardsAvailable')(),
+			Promise.all([0, 1].map(index => FeePool('recentFeePeriods')(index))),
+		]);
+
+		output({
+			json,
+			blockNumber,
+			timestamp,
+			tables: {
+				feePool: {
+					feePeriodDuration: `${duration.toNumber() / 86400} days`,
+					// the current period can be closed once its duration has passed
+					currentPeriodEnds: toDate(periods[0].startTime.add(duration)),
+					totalFeesAvailable: formatEther(totalFees),
+					totalRewardsAvailable: formatEther(totalRewards),
+				},
+				periods: periods.map((period, index) => ({
+					index,
+					feePeriodId: period.feePeriodId.toString(),
+					startTime: toDate(period.startTime),
+					feesToDistribute: formatEther(period.feesToDistribute),
+					feesClaimed: formatEther(period.feesClaimed),
+					rewardsToDistribute: formatEther(period.rewardsToDistribute),
+					rewardsClaimed: formatEther(period.rewardsClaimed),
+				})),
+			},
+		});
 	});
 
 program
@@ -367,14 +703,23 @@ program
 	.description('Get deployed target files for an environment')
 	.option('-n, --network <value>', 'The network to run off.', x => x.toLowerCase(), 'mainnet')
 	.option('-c, --contract [value]', 'The name of the contract')
+	.option(
+		'-a, --address [value]',
+		'The address of the contract, current or of any past version (with the version it was deployed in)'
+	)
 	.option('-k, --key [value]', 'A specific key wanted (ignored when using csv)')
 	.option('-v, --csv', 'Whether or not to CSV output the results')
 	.option('-z, --use-ovm', 'Target deployment for the OVM (Optimism).')
-	.action(async ({ network, useOvm, contract, key, csv }) => {
-		const target = getTarget({ network, useOvm, contract });
+	.action(async ({ network, useOvm, contract, address, key, csv }) => {
+		const target = getTarget({ network, useOvm, contract, address });
+		if (!target) {
+			console.error(`No contract ${contract || address} on ${network}${useOvm ? ' (OVM)' : ''}`);
+			process.exitCode = 1;
+			return;
+		}
 		if (csv) {
 			let headerComplete;
-			for (const entry of Object.values(target)) {
+			for (const entry of contract || address ? [target] : Object.values(target)) {
 				if (!headerComplete) {
 					console.log(Object.keys(entry).join(','));
 					headerComplete = true;
@@ -0,0 +1,123 @@
+'use strict';
+
+const ethers = require('ethers');
+
+const {
+	constants,
+	getFolderNameForNetwork,
+	getPerpsV2ProxiedMarkets,
+	getProxiedContract,
+	getSource,
+	getTarget,
+	toBytes32,
+} = require('./index');
+
+// the fragments of all the abis, with those of the same signature only once
+const mergeAbis = abis => {
+	const signatureOf = ({ type, name, inputs = [] }) =>
+		`${type} ${name}(${inputs.map(({ type }) => type).join(',')})`;
+	const merged = {};
+	for (const fragment of [].concat(...abis)) {
+		if (fragment.type !== 'constructor' && !merged[signatureOf(fragment)]) {
+			merged[signatureOf(fragment)] = fragment;
+		}
+	}
+	return Object.values(merged);
+};
+
+/**
+ * Retrieve ethers contracts for the deployment, each created when first used: every target by
+ * name, where proxies and read proxies also have the functions of the contract they forward to,
+ * and the PerpsV2 markets through their proxies as PerpsV2MarketProxied<market>.
+ *
+ * @param {object} provider An ethers provider to read with, when not given a signer
+ * @param {object} signer An ethers signer to send transactions from
+ * @param {boolean} useResolver Whether to read the addresses from the AddressResolver rather than
+ * the deployment file (keeping the deployed address of those it doesn't have)
+ * @returns {Object<string, ethers.Contract>} the contracts by name, in a promise when using the resolver
+ */
+const getContracts = ({
+	network = 'mainnet',
+	useOvm = false,
+	path,
+	fs,
+	deploymentPath,
+	provider,
+	signer,
+	useResolver = false,
+} = {}) => {
+	const signerOrProvider = signer || provider;
+	if (!signerOrProvider) {
+		throw Error('A provider or signer is required to get the contracts');
+	}
+
+	const targets = getTarget({ network, useOvm, path, fs, deploymentPath });
+	const sources = getSource({ network, useOvm, path, fs, deploymentPath });
+
+	const addresses = {};
+	const abis = {};
+	for (const { name, address, source } of Object.values(targets)) {
+		const proxied = getProxiedContract({ name, targets });
+		addresses[name] = address;
+		abis[name] = proxied
+			? mergeAbis([sources[source].abi, sources[targets[proxied].source].abi])
+			: sources[source].abi;
+	}
+
+	const perpsV2Markets = getPerpsV2ProxiedMarkets({
+		network: getFolderNameForNetwork({ network, useOvm }),
+		path,
+		fs,
+		deploymentPath,
+	});
+	for (const [market, { address, abi }] of Object.entries(perpsV2Markets)) {
+		// only the markets with a proxy can be called
+		if (address) {
+			addresses[`PerpsV2MarketProxied${market}`] = address;
+			abis[`PerpsV2MarketProxied${market}`] = abi;
+		}
+	}
+
+	const lazily = () =>
+		Object.keys(addresses).reduce((contracts, name) => {
+			let contract;
+			Object.defineProperty(contracts, name, {
+				enumerable: true,
+				get: () => {
+					contract = contract || new ethers.Contract(addresses[name], abis[name], signerOrProvider);
+					return contract;
+				},
+				// like any other object, a contract can be swapped out (i.e. for a mock)
+				set: value => {
+					contract = value;
+				},
+			});
+			return contracts;
+		}, {});
+
+	if (!useResolver) {
+		return lazily();
+	}
+
+	const AddressResolver = new ethers.Contract(
+		addresses.AddressResolver,
+		abis.AddressResolver,
+		signerOrProvider
+	);
+	const names = Object.keys(targets);
+	return Promise.all(names.map(name => AddressResolver.getAddress(toBytes32(name)))).then(
+		resolved => {
+			names.forEach((name, i) => {
+				if (resolved[i] !== constants.ZERO_ADDRESS) {
+					addresses[name] = resolved[i];
+				}
+			});
+			return lazily();
+		}
+	);
+};
+
+module.exports = {
+	getContracts,
+	mergeAbis,
+};
@@ -0,0 +1,33 @@
+// Source adapted from https://github.com/mds1/multicall/blob/main/src/Multicall3.sol
+
+pragma solidity ^0.5.16;
+pragma experimental ABIEncoderV2;
+
+// The aggregate3 function of Multicall3, for local chains where it isn't predeployed
+contract Multicall3 {
+    struct Call3 {
+        address target;
+        bool allowFailure;
+        bytes callData;
+    }
+
+    struct Result {
+        bool success;
+        bytes returnData;
+    }
+
+    function aggregate3(Call3[] memory calls) public payable returns (Result[] memory returnData) {
+        returnData = new Result[](calls.length);
+        for (uint i = 0; i < calls.length; i++) {
+            Call3 memory call = calls[i];
+            // solhint-disable-next-line avoid-low-level-calls
+            (bool success, bytes memory result) = call.target.call(call.callData);
+            require(success || call.allowFailure, "Multicall3: call failed");
+            returnData[i] = Result(success, result);
+        }
+    }
+
+    function getBlockNumber() external view returns (uint blockNumber) {
+        blockNumber = block.number;
+    }
+}
@@ -4,7 +4,7 @@ const { yellow } = require('chalk');
 const fs = require('fs');
 const path = require('path');
 const ethers = require('ethers');
-const { getSource, getTarget } = require('../../index');
+const { getContracts } = require('../../contracts');
 const { loadConnections } = require('../../publish/src/util');
 
 const { loadUsers } = require('../../test/integration/utils/users');
@@ -14,15 +14,13 @@ function connectContracts({ ctx }) {
 	const { useOvm, deploymentPath } = ctx;
 	const network = ctx.network;
 
-	const allTargets = getTarget({ fs, path, network, useOvm, deploymentPath });
-
-	ctx.contracts = {};
-	Object.entries(allTargets).map(([name, target]) => {
-		ctx.contracts[name] = new ethers.Contract(
-			getTarget({ fs, path, network, useOvm, deploymentPath, contract: name }).address,
-			getSource({ fs, path, network, useOvm, deploymentPath, contract: target.source }).abi,
-			ctx.provider
-		);
+	ctx.contracts = getContracts({
+		fs,
+		path,
+		network,
+		useOvm,
+		deploymentPath,
+		provider: ctx.provider,
 	});
 }
 
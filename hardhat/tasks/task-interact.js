@@ -2,9 +2,8 @@ const { subtask } = require('hardhat/config');
 const fs = require('fs');
 const path = require('path');
 
-const ethers = require('ethers');
-
 const tribeone = require('../..');
+const { getContracts } = require('../../contracts');
 
 const {
 	loadAndCheckRequiredSources,
@@ -12,60 +11,15 @@ const {
 } = require('../../publish/src/util');
 
 subtask('interact:load-contracts').setAction(async (args, hre, runSuper) => {
-	// Wrap Tribeone utils for current network
-	const { getPathToNetwork, getTarget, getSource, getPerpsV2ProxiedMarkets } = tribeone.wrap({
+	// every target of the current network, and the PerpsV2 markets through their proxies
+	const contracts = getContracts({
 		network: hre.network.name,
 		useOvm: false,
 		fs,
 		path,
+		provider: args.provider,
 	});
 
-	// Derive target build path and retrieve deployment artifacts
-	const file = tribeone.constants.DEPLOYMENT_FILENAME;
-
-	const deploymentPath = getPathToNetwork({ network: hre.network.name, useOvm: false });
-	const deploymentFilePath = path.join(deploymentPath, file);
-
-	const deploymentData = JSON.parse(fs.readFileSync(deploymentFilePath));
-	const targets = Object.keys(deploymentData.targets);
-
-	const contracts = {};
-
-	for (const target of targets) {
-		const targetData = getTarget({
-			contract: target,
-			network: hre.network.name,
-			useOvm: false,
-			deploymentFilePath,
-		});
-
-		const sourceData = getSource({
-			contract: targetData.source,
-			network: hre.network.name,
-			useOvm: false,
-			deploymentFilePath,
-		});
-
-		contracts[target] = new ethers.Contract(targetData.address, sourceData.abi, args.provider);
-	}
-
-	// Add perpV2 markets
-	const perpsV2Proxied = getPerpsV2ProxiedMarkets({
-		network: hre.network.name,
-		fs,
-		deploymentPath,
-	});
-
-	const perpsV2MarketTargets = Object.keys(perpsV2Proxied);
-
-	for (const perpsV2MarketTarget of perpsV2MarketTargets) {
-		contracts['PerpsV2MarketProxied' + perpsV2MarketTarget] = new ethers.Contract(
-			perpsV2Proxied[perpsV2MarketTarget].address,
-			perpsV2Proxied[perpsV2MarketTarget].abi,
-			args.provider
-		);
-	}
-
 	return { ...contracts, ...(await runSuper(args)) };
 });
 
@@ -1,8 +1,23 @@
 const { task } = require('hardhat/config');
 const ethers = require('ethers');
 const { ensureNetwork, loadConnections } = require('../../../publish/src/util');
-const { ensureDeploymentPath, getDeploymentPathForNetwork } = require('../../../publish/src/util');
-const { logHeader, logActionError, actions, ActionNames } = require('./statusActions');
+const Multicall = require('../../../publish/src/Multicall');
+const {
+	ensureDeploymentPath,
+	getDeploymentPathForNetwork,
+	sleep,
+} = require('../../../publish/src/util');
+const {
+	actions,
+	ActionNames,
+	createReport,
+	reportHeader,
+	reportActionError,
+	printReport,
+	printChanges,
+	reportToJson,
+	diffReports,
+} = require('./statusActions');
 
 const defaultActions = [
 	'Tribeone',
@@ -19,28 +34,116 @@ const defaultActions = [
 task('status', 'Query state of the system on any network')
 	.addFlag('useOvm', 'Use an Optimism chain')
 	.addFlag('useFork', 'Use a local fork')
+	.addFlag('json', 'Output as JSON, with the items needing attention listed under "alerts"')
 	.addOptionalParam('targetNetwork', 'The network to run off', 'mainnet')
 	.addOptionalParam('addresses', 'Addresses to perform particular checks on')
 	.addOptionalParam('currencyKeys', 'Keys to get exchange rate on')
-	.addOptionalParam('executeActions', 'Contracts to query state')
+	.addOptionalParam(
+		'executeActions',
+		`Contracts to query state (of ${Object.values(ActionNames).join(', ')})`
+	)
 	.addOptionalParam('block', 'Block number to check again')
 	.addOptionalParam('providerUrl', 'The http provider to use for communicating with the blockchain')
 	.addOptionalParam('deploymentPath', 'Specify the path to the deployment data directory')
+	.addOptionalParam(
+		'watch',
+		'Poll again every <interval> seconds, only showing the values which changed (one JSON line per poll with --json)'
+	)
 	.setAction(async (taskArguments, hre) => {
-		const statusConf = _commonInputAndSetup({ hre, taskArguments });
-		logHeader({ statusConf });
-
-		const actionNames = Object.values(ActionNames);
+		// keep the loading logs out of JSON output
+		const log = console.log;
+		if (taskArguments.json) {
+			console.log = () => {};
+		}
+		let statusConf;
+		try {
+			statusConf = _commonInputAndSetup({ hre, taskArguments });
+		} finally {
+			console.log = log;
+		}
 
-		for (const action of statusConf.actions) {
-			if (actionNames.includes(action)) {
-				await actions[action](statusConf);
+		if (!statusConf.watch) {
+			const report = await _collectStatus(statusConf);
+			if (statusConf.json) {
+				console.log(JSON.stringify(reportToJson({ report }), null, '\t'));
 			} else {
-				logActionError(action);
+				printReport({ report });
+			}
+			return;
+		}
+
+		if (taskArguments.block) {
+			throw Error('Cannot watch from a fixed block');
+		}
+
+		let previous;
+		let previousBlock;
+		for (;;) {
+			// read every value at the same block
+			const blockNumber = await statusConf.provider.getBlockNumber();
+			if (blockNumber !== previousBlock) {
+				statusConf.blockOptions = { blockTag: blockNumber };
+				const report = await _collectStatus(statusConf);
+
+				if (!previous) {
+					if (statusConf.json) {
+						console.log(
+							JSON.stringify(Object.assign({ block: blockNumber }, reportToJson({ report })))
+						);
+					} else {
+						printReport({ report });
+					}
+				} else {
+					const changes = diffReports({ previous, report });
+					if (statusConf.json) {
+						console.log(
+							JSON.stringify({
+								block: blockNumber,
+								timestamp: new Date().toISOString(),
+								changes,
+								alerts: reportToJson({ report }).alerts,
+							})
+						);
+					} else if (changes.length) {
+						printChanges({ blockNumber, changes });
+					}
+				}
+				previous = report;
+				previousBlock = blockNumber;
 			}
+			await sleep(statusConf.watch);
 		}
 	});
 
+async function _collectStatus(statusConf) {
+	const report = createReport();
+	reportHeader({ statusConf, report });
+
+	const actionNames = Object.values(ActionNames);
+
+	// the actions run alongside each other so their reads are batched together, each into its own
+	// report so they are shown in order
+	const multicall = new Multicall({ provider: statusConf.provider });
+	const actionReports = await Promise.all(
+		statusConf.actions.map(async action => {
+			const actionReport = createReport();
+			if (!actionNames.includes(action)) {
+				reportActionError({ report: actionReport, action });
+				return actionReport;
+			}
+			try {
+				await actions[action](Object.assign({ report: actionReport, multicall }, statusConf));
+			} catch (error) {
+				// keep polling the others when one fails, i.e. from a node hiccup
+				reportActionError({ report: actionReport, action, error });
+			}
+			return actionReport;
+		})
+	);
+	actionReports.forEach(actionReport => report.include(actionReport));
+	return report;
+}
+
 function _commonInputAndSetup({ hre, taskArguments }) {
 	if (!hre.config.status) {
 		hre.config.status = {};
@@ -62,9 +165,14 @@ function _commonInputAndSetup({ hre, taskArguments }) {
 		blockTag: taskArguments.block ? +taskArguments.block : 'latest',
 	};
 	statusConf.providerUrl = taskArguments.providerUrl;
+	statusConf.json = taskArguments.json;
+	statusConf.watch = taskArguments.watch ? Number(taskArguments.watch) : undefined;
+	if (statusConf.watch !== undefined && !(statusConf.watch > 0)) {
+		throw Error(`Invalid watch interval ${taskArguments.watch}, expected seconds`);
+	}
 	statusConf.deploymentPath =
 		taskArguments.deploymentPath ||
-		getDeploymentPathForNetwork({ network: taskArguments.network, useOvm: taskArguments.useOvm });
+		getDeploymentPathForNetwork({ network: statusConf.network, useOvm: statusConf.useOvm });
 
 	statusConf.provider = _setupProvider(statusConf);
 	ensureDeploymentPath(statusConf.deploymentPath);
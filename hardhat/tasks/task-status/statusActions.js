@@ -3,7 +3,7 @@ const path = require('path');
 const ethers = require('ethers');
 const { green, cyan, bgRed } = require('chalk');
 
-const { wrap } = require('../../..');
+const { wrap, getSuspensionReasons } = require('../../..');
 
 const ActionNames = {
 	getTribeone: 'Tribeone',
@@ -15,16 +15,65 @@ const ActionNames = {
 	getAddressResolver: 'AddressResolver',
 	getSystemSettings: 'SystemSettings',
 	getExchangeRates: 'ExchangeRates',
+	getSystemStatus: 'SystemStatus',
+	getPerpsV2Markets: 'PerpsV2Markets',
+	getCollateralManager: 'CollateralManager',
+	getLiquidator: 'Liquidator',
+	getBridgeEscrow: 'BridgeEscrow',
 };
 
-const logSection = sectionName => {
-	console.log(green(`\n=== ${sectionName}: ===`));
+// values as they are output in JSON and compared between polls
+const toPlain = value => {
+	if (ethers.BigNumber.isBigNumber(value)) {
+		return value.toString();
+	} else if (value instanceof Date) {
+		return value.toISOString();
+	} else if (Array.isArray(value)) {
+		// ethers results are arrays which also have their values by name
+		const names = Object.keys(value).filter(key => isNaN(key));
+		return names.length
+			? names.reduce((memo, key) => Object.assign(memo, { [key]: toPlain(value[key]) }), {})
+			: value.map(toPlain);
+	} else if (value && typeof value === 'object') {
+		return Object.entries(value).reduce(
+			(memo, [key, entry]) => Object.assign(memo, { [key]: toPlain(entry) }),
+			{}
+		);
+	}
+	return value;
 };
 
-const logActionError = actionName => {
-	logSection(actionName);
+/**
+ * Collects the items of each action by section, to print them as text or JSON, and to tell
+ * which have changed between two polls
+ */
+const createReport = () => {
+	const sections = {};
+	let current;
+
+	return {
+		sections,
+		section(name) {
+			current = sections[name] = sections[name] || {};
+		},
+		// add the sections of another report (i.e. of an action run alongside the others)
+		include(other) {
+			for (const [name, items] of Object.entries(other.sections)) {
+				Object.assign((sections[name] = sections[name] || {}), items);
+			}
+		},
+		/**
+		 * @param {boolean} alert Whether the value needs attention (shown in red, listed in JSON alerts)
+		 * @param {string} display How to show the value as text, when not as it is
+		 */
+		item(name, value, { alert = false, display } = {}) {
+			current[name] = { value: toPlain(value), alert: !!alert, display };
+		},
+	};
+};
 
-	logItem('Action not recognized', actionName, 1, bgRed);
+const logSection = sectionName => {
+	console.log(green(`\n=== ${sectionName}: ===`));
 };
 
 const logItem = (itemName, itemValue, indent = 1, color = undefined) => {
@@ -40,14 +89,102 @@ const logItem = (itemName, itemValue, indent = 1, color = undefined) => {
 	}
 };
 
-const logHeader = ({ statusConf }) => {
-	logSection('Info');
+const logValue = (name, value, indent, color) => {
+	if (value && typeof value === 'object' && !Array.isArray(value)) {
+		logItem(name, undefined, indent, color);
+		Object.entries(value).forEach(([key, entry]) => logValue(key, entry, indent + 1, color));
+	} else {
+		logItem(name, value, indent, color);
+	}
+};
+
+const printReport = ({ report }) => {
+	for (const [sectionName, items] of Object.entries(report.sections)) {
+		logSection(sectionName);
+		for (const [name, { value, alert, display }] of Object.entries(items)) {
+			logValue(name, display !== undefined ? display : value, 1, alert ? bgRed : undefined);
+		}
+	}
+};
+
+// the Info section describes the poll rather than the system
+const isStatusSection = sectionName => sectionName !== 'Info';
+
+const reportToJson = ({ report }) => {
+	const json = {};
+	const alerts = [];
+	for (const [sectionName, items] of Object.entries(report.sections)) {
+		json[sectionName] = {};
+		for (const [name, { value, alert }] of Object.entries(items)) {
+			json[sectionName][name] = value;
+			if (alert) {
+				alerts.push(`${sectionName}.${name}`);
+			}
+		}
+	}
+	return Object.assign(json, { alerts });
+};
+
+/**
+ * The items which differ between two reports, including those which appeared or disappeared
+ */
+const diffReports = ({ previous, report }) => {
+	const changes = [];
+	for (const sectionName of Object.keys(report.sections).filter(isStatusSection)) {
+		const before = previous.sections[sectionName] || {};
+		const after = report.sections[sectionName];
+		const names = new Set(Object.keys(before).concat(Object.keys(after)));
+		for (const name of names) {
+			const from = before[name] ? before[name].value : undefined;
+			const to = after[name] ? after[name].value : undefined;
+			if (JSON.stringify(from) !== JSON.stringify(to)) {
+				changes.push({
+					section: sectionName,
+					name,
+					from,
+					to,
+					alert: !!after[name] && after[name].alert,
+				});
+			}
+		}
+	}
+	return changes;
+};
 
-	logItem('Network', statusConf.network);
-	logItem('Deployment', statusConf.deploymentPath);
-	logItem('Optimism', statusConf.useOvm);
-	logItem('Block #', statusConf.blockOptions.blockTag);
-	logItem('Provider', statusConf.provider.connection.url);
+const printChanges = ({ blockNumber, changes }) => {
+	logSection(`Block ${blockNumber} (${new Date().toISOString()})`);
+	if (!changes.length) {
+		logItem('No changes');
+	}
+	const format = value => (value === undefined ? '-' : JSON.stringify(value));
+	for (const { section, name, from, to, alert } of changes) {
+		logItem(`${section} ${name}`, `${format(from)} -> ${format(to)}`, 1, alert ? bgRed : undefined);
+	}
+};
+
+const reportActionError = ({ report, action, error }) => {
+	report.section(action);
+	report.item(error ? 'Action failed' : 'Action not recognized', error ? error.message : action, {
+		alert: true,
+	});
+};
+
+const reportHeader = ({ statusConf, report }) => {
+	report.section('Info');
+
+	report.item('Network', statusConf.network);
+	report.item('Deployment', statusConf.deploymentPath);
+	report.item('Optimism', !!statusConf.useOvm);
+	report.item('Block #', statusConf.blockOptions.blockTag);
+	report.item('Provider', statusConf.provider.connection.url);
+};
+
+const suspensionOf = ({ suspended, reason }) => {
+	const code = Number(reason.toString());
+	// an unknown code (or none) has no name, rather than the whole map of reasons
+	return suspended
+		? { suspended, reason: code, reasonName: code ? getSuspensionReasons({ code }) : undefined }
+		: false;
 };
 
 const actions = {
@@ -55,10 +192,12 @@ const actions = {
 		useOvm,
 		network,
 		provider,
+		multicall,
 		deploymentPath,
 		blockOptions,
+		report,
 	}) {
-		logSection('Tribeone');
+		report.section('Tribeone');
 
 		const Tribeone = getContract({
 			contract: 'Tribeone',
@@ -66,22 +205,31 @@ const actions = {
 			network,
 			useOvm,
 			provider,
+			multicall,
 			deploymentPath,
 		});
 
 		const anyTribeOrHAKARateIsInvalid = await Tribeone.anyTribeOrHAKARateIsInvalid(blockOptions);
-		logItem(
-			'Tribeone.anyTribeOrHAKARateIsInvalid',
-			anyTribeOrHAKARateIsInvalid,
-			1,
-			anyTribeOrHAKARateIsInvalid ? bgRed : undefined
-		);
+		report.item('Tribeone.anyTribeOrHAKARateIsInvalid', anyTribeOrHAKARateIsInvalid, {
+			alert: anyTribeOrHAKARateIsInvalid,
+		});
 
-		logItem('Tribeone.totalSupply', (await Tribeone.totalSupply(blockOptions)).toString() / 1e18);
+		report.item(
+			'Tribeone.totalSupply',
+			(await Tribeone.totalSupply(blockOptions)).toString() / 1e18
+		);
 	},
 
-	[ActionNames.getDebtCache]: async function({ useOvm, network, provider, deploymentPath }) {
-		logSection('DebtCache');
+	[ActionNames.getDebtCache]: async function({
+		useOvm,
+		network,
+		provider,
+		multicall,
+		deploymentPath,
+		blockOptions,
+		report,
+	}) {
+		report.section('DebtCache');
 
 		const DebtCache = getContract({
 			contract: 'DebtCache',
@@ -89,25 +237,28 @@ const actions = {
 			network,
 			useOvm,
 			provider,
+			multicall,
 			deploymentPath,
 		});
 
-		const info = await DebtCache.cacheInfo();
+		const info = await DebtCache.cacheInfo(blockOptions);
 
-		logItem('DebtCache.info.isInvalid', info.isInvalid, 1, info.isInvalid ? bgRed : undefined);
+		report.item('DebtCache.info.isInvalid', info.isInvalid, { alert: info.isInvalid });
 
-		logItem('DebtCache.info.isStale', info.isStale, 1, info.isStale ? bgRed : undefined);
+		report.item('DebtCache.info.isStale', info.isStale, { alert: info.isStale });
 	},
 
 	[ActionNames.getTribeoneState]: async function({
 		useOvm,
 		network,
 		provider,
+		multicall,
 		deploymentPath,
 		blockOptions,
 		addresses,
+		report,
 	}) {
-		logSection('TribeoneState');
+		report.section('TribeoneState');
 
 		const TribeoneState = getContract({
 			contract: 'TribeoneState',
@@ -115,18 +266,17 @@ const actions = {
 			network,
 			useOvm,
 			provider,
+			multicall,
 			deploymentPath,
 		});
 
 		if (!addresses || addresses.length === 0) {
-			console.log(green('  No Addresses defined'));
+			report.item('No Addresses defined');
 		}
 
 		for (const address of addresses) {
-			console.log(green('  Address:'), address);
-
 			const data = await TribeoneState.issuanceData(address, blockOptions);
-			logItem('TribeoneState.issuanceData(address)', data.toString());
+			report.item(`TribeoneState.issuanceData(${address})`, data.toString());
 		}
 	},
 
@@ -134,11 +284,13 @@ const actions = {
 		useOvm,
 		network,
 		provider,
+		multicall,
 		deploymentPath,
 		blockOptions,
+		report,
 	}) {
 		if (!useOvm) {
-			logSection('SupplySchedule');
+			report.section('SupplySchedule');
 
 			const SupplySchedule = getContract({
 				contract: 'SupplySchedule',
@@ -146,14 +298,17 @@ const actions = {
 				network,
 				useOvm,
 				provider,
+				multicall,
 				deploymentPath,
 			});
 
 			const supply = ethers.utils.formatEther(await SupplySchedule.mintableSupply(blockOptions));
-			logItem('SupplySchedule.mintableSupply', supply);
+			report.item('SupplySchedule.mintableSupply', supply);
 
 			const lastMint = (await SupplySchedule.lastMintEvent(blockOptions)).toNumber();
-			logItem('FixedSupplySchedule.lastMintEvent', `${lastMint} ${new Date(+lastMint * 1000)}`);
+			report.item('FixedSupplySchedule.lastMintEvent', lastMint, {
+				display: `${lastMint} ${new Date(+lastMint * 1000)}`,
+			});
 		}
 	},
 
@@ -161,63 +316,59 @@ const actions = {
 		useOvm,
 		network,
 		provider,
+		multicall,
 		deploymentPath,
 		blockOptions,
 		addresses,
+		report,
 	}) {
-		logSection('FeePool');
+		report.section('FeePool');
 
 		const FeePool = getContract({
 			contract: 'FeePool',
 			network,
 			useOvm,
 			provider,
+			multicall,
 			deploymentPath,
 		});
 
-		logItem(
+		report.item(
 			'FeePool.feePeriodDuration',
 			(await FeePool.feePeriodDuration(blockOptions)).toString()
 		);
 
 		async function feePeriodInfo(idx) {
 			const feePeriod = await FeePool.recentFeePeriods(idx, blockOptions);
-			logItem(`feePeriod ${idx}:`);
-
-			Object.keys(feePeriod).map(key => {
-				if (isNaN(key)) {
-					logItem(`${key}`, `${feePeriod[key].toString()}`, 2);
-				}
-			});
-
-			logItem('startTime:', new Date(feePeriod.startTime.toString() * 1000), 2);
+			report.item(
+				`feePeriod ${idx}`,
+				Object.assign(toPlain(feePeriod), {
+					startTime: new Date(feePeriod.startTime.toString() * 1000),
+				})
+			);
 		}
 
 		await feePeriodInfo(0);
 		await feePeriodInfo(1);
 
 		for (const address of addresses) {
-			console.log(green('  Address:'), address);
-
 			const feesByPeriod = await FeePool.feesByPeriod(address, blockOptions);
-			logItem(
-				'FeePool.feesByPeriod(address)',
-				feesByPeriod.map(period => period.map(fee => fee.toString())),
-				2
+			report.item(
+				`FeePool.feesByPeriod(${address})`,
+				feesByPeriod.map(period => period.map(fee => fee.toString()))
 			);
 
 			const lastFeeWithdrawal = await FeePool.getLastFeeWithdrawal(address, blockOptions);
-			logItem('FeePool.getLastFeeWithdrawal(address)', lastFeeWithdrawal.toString(), 2);
+			report.item(`FeePool.getLastFeeWithdrawal(${address})`, lastFeeWithdrawal.toString());
 
 			const effectiveDebtRatioForPeriod = await FeePool.effectiveDebtRatioForPeriod(
 				address,
 				1,
 				blockOptions
 			);
-			logItem(
+			report.item(
 				`FeePool.effectiveDebtRatioForPeriod(${address}, 1)`,
-				effectiveDebtRatioForPeriod.toString(),
-				2
+				effectiveDebtRatioForPeriod.toString()
 			);
 		}
 	},
@@ -226,30 +377,31 @@ const actions = {
 		useOvm,
 		network,
 		provider,
+		multicall,
 		deploymentPath,
 		blockOptions,
 		addresses,
+		report,
 	}) {
-		logSection('FeePoolState');
+		report.section('FeePoolState');
 
 		const FeePoolState = getContract({
 			contract: 'FeePoolState',
 			network,
 			useOvm,
 			provider,
+			multicall,
 			deploymentPath,
 		});
 
 		if (!addresses || addresses.length === 0) {
-			console.log(green('  No Addresses defined'));
+			report.item('No Addresses defined');
 		}
 
 		for (const address of addresses) {
-			console.log(green('  Address:'), address);
-
 			const debtEntry = await FeePoolState.getAccountsDebtEntry(address, 0, blockOptions);
-			logItem(
-				'FeePoolState.getAccountsDebtEntry(address)',
+			report.item(
+				`FeePoolState.getAccountsDebtEntry(${address})`,
 				debtEntry.map(item => item.toString())
 			);
 		}
@@ -259,21 +411,24 @@ const actions = {
 		useOvm,
 		network,
 		provider,
+		multicall,
 		deploymentPath,
 		blockOptions,
+		report,
 	}) {
-		logSection('AddressResolver');
+		report.section('AddressResolver');
 
 		const AddressResolver = getContract({
 			contract: 'AddressResolver',
 			network,
 			useOvm,
 			provider,
+			multicall,
 			deploymentPath,
 		});
 
 		const getAddress = async ({ contract }) => {
-			logItem(
+			report.item(
 				`AddressResolver.getAddress(${contract})`,
 				await AddressResolver.getAddress(ethers.utils.formatBytes32String(contract), blockOptions)
 			);
@@ -282,81 +437,362 @@ const actions = {
 		await getAddress({ contract: 'RewardsDistribution' });
 	},
 
-	[ActionNames.getSystemSettings]: async function({ useOvm, network, provider, deploymentPath }) {
-		logSection('SystemSettings');
+	[ActionNames.getSystemSettings]: async function({
+		useOvm,
+		network,
+		provider,
+		multicall,
+		deploymentPath,
+		blockOptions,
+		report,
+	}) {
+		report.section('SystemSettings');
 
 		const SystemSettings = getContract({
 			contract: 'SystemSettings',
 			network,
 			useOvm,
 			provider,
+			multicall,
 			deploymentPath,
 		});
 
-		const rateStalePeriod = await SystemSettings.rateStalePeriod();
+		const rateStalePeriod = await SystemSettings.rateStalePeriod(blockOptions);
 
-		logItem('rateStalePeriod', rateStalePeriod.toString());
+		report.item('rateStalePeriod', rateStalePeriod.toString());
 	},
 
 	[ActionNames.getExchangeRates]: async function({
 		useOvm,
 		network,
 		provider,
+		multicall,
 		deploymentPath,
 		blockOptions,
 		listedCurrencies,
+		report,
 	}) {
-		logSection('ExchangeRates');
+		report.section('ExchangeRates');
 
 		const ExchangeRates = getContract({
 			contract: 'ExchangeRates',
 			network,
 			useOvm,
 			provider,
+			multicall,
 			deploymentPath,
 		});
 
-		const Issuer = getContract({
-			contract: 'Issuer',
-			network,
+		const currencyKeys = await getCurrencyKeys({
 			useOvm,
+			network,
 			provider,
+			multicall,
 			deploymentPath,
+			blockOptions,
+			listedCurrencies,
 		});
 
-		let currencyKeys;
-		if (listedCurrencies) {
-			currencyKeys = listedCurrencies.map(e => ethers.utils.formatBytes32String(e));
-		} else {
-			currencyKeys = [
-				...(await Issuer.availableCurrencyKeys()),
-				ethers.utils.formatBytes32String('wHAKA'),
-			];
-		}
-
 		const now = Math.floor(new Date().getTime() / 60000);
 
-		const logRate = async currencyKey => {
-			const currency = ethers.utils.toUtf8String(currencyKey);
-			const rate = await ExchangeRates.rateForCurrency(currencyKey, blockOptions);
-			const isInvalid = await ExchangeRates.rateIsInvalid(currencyKey, blockOptions);
-			const updated = await ExchangeRates.lastRateUpdateTimes(currencyKey, blockOptions);
+		const rates = await Promise.all(
+			currencyKeys.map(currencyKey =>
+				Promise.all([
+					ExchangeRates.rateForCurrency(currencyKey, blockOptions),
+					ExchangeRates.rateIsInvalid(currencyKey, blockOptions),
+					ExchangeRates.lastRateUpdateTimes(currencyKey, blockOptions),
+				])
+			)
+		);
+
+		const logRate = (currencyKey, [rate, isInvalid, updated]) => {
+			const currency = ethers.utils.parseBytes32String(currencyKey);
 			const sinceUpdate = Math.floor(now - +updated.toString() / 60);
 
-			logItem(
+			report.item(
 				`${currency} rate`,
-				`${ethers.utils.formatEther(rate)} (Updated ${sinceUpdate} minutes ago)`,
-				1,
-				isInvalid ? bgRed : undefined
+				{ rate: ethers.utils.formatEther(rate), updated, isInvalid },
+				{
+					alert: isInvalid,
+					display: `${ethers.utils.formatEther(rate)} (Updated ${sinceUpdate} minutes ago)`,
+				}
 			);
 		};
 
-		for (const currencyKey of currencyKeys) {
-			await logRate(currencyKey);
+		currencyKeys.forEach((currencyKey, i) => logRate(currencyKey, rates[i]));
+	},
+
+	[ActionNames.getSystemStatus]: async function({
+		useOvm,
+		network,
+		provider,
+		multicall,
+		deploymentPath,
+		blockOptions,
+		listedCurrencies,
+		report,
+	}) {
+		report.section('SystemStatus');
+
+		const SystemStatus = getContract({
+			contract: 'SystemStatus',
+			network,
+			useOvm,
+			provider,
+			multicall,
+			deploymentPath,
+		});
+
+		const sections = ['system', 'issuance', 'exchange', 'futures'];
+		const sectionSuspensions = await Promise.all(
+			sections.map(section => SystemStatus[`${section}Suspension`](blockOptions))
+		);
+		sections.forEach((section, i) => {
+			const suspension = suspensionOf(sectionSuspensions[i]);
+			report.item(`${section}Suspension`, suspension, { alert: !!suspension });
+		});
+
+		const currencyKeys = await getCurrencyKeys({
+			useOvm,
+			network,
+			provider,
+			multicall,
+			deploymentPath,
+			blockOptions,
+			listedCurrencies,
+		});
+		const [tribeSuspended, tribeReasons] = await SystemStatus.getTribeSuspensions(
+			currencyKeys,
+			blockOptions
+		);
+		const [exchangeSuspended, exchangeReasons] = await SystemStatus.getTribeExchangeSuspensions(
+			currencyKeys,
+			blockOptions
+		);
+		currencyKeys.forEach((currencyKey, i) => {
+			const currency = ethers.utils.parseBytes32String(currencyKey);
+			const tribe = suspensionOf({ suspended: tribeSuspended[i], reason: tribeReasons[i] });
+			const exchange = suspensionOf({
+				suspended: exchangeSuspended[i],
+				reason: exchangeReasons[i],
+			});
+			report.item(`tribeSuspension(${currency})`, tribe, { alert: !!tribe });
+			report.item(`tribeExchangeSuspension(${currency})`, exchange, { alert: !!exchange });
+		});
+	},
+
+	[ActionNames.getPerpsV2Markets]: async function({
+		useOvm,
+		network,
+		provider,
+		multicall,
+		deploymentPath,
+		blockOptions,
+		report,
+	}) {
+		report.section('PerpsV2Markets');
+
+		const PerpsV2MarketData = getContract({
+			contract: 'PerpsV2MarketData',
+			network,
+			useOvm,
+			provider,
+			multicall,
+			deploymentPath,
+		});
+
+		const SystemStatus = getContract({
+			contract: 'SystemStatus',
+			network,
+			useOvm,
+			provider,
+			multicall,
+			deploymentPath,
+		});
+
+		const summaries = await PerpsV2MarketData.allProxiedMarketSummaries(blockOptions);
+		const [suspended, reasons] = await SystemStatus.getFuturesMarketSuspensions(
+			summaries.map(({ key }) => key),
+			blockOptions
+		);
+
+		summaries.forEach((summary, i) => {
+			const paused = suspensionOf({ suspended: suspended[i], reason: reasons[i] });
+			report.item(
+				ethers.utils.parseBytes32String(summary.key),
+				{
+					price: ethers.utils.formatEther(summary.price),
+					marketSize: ethers.utils.formatEther(summary.marketSize),
+					marketSkew: ethers.utils.formatEther(summary.marketSkew),
+					marketDebt: ethers.utils.formatEther(summary.marketDebt),
+					currentFundingRate: ethers.utils.formatEther(summary.currentFundingRate),
+					currentFundingVelocity: ethers.utils.formatEther(summary.currentFundingVelocity),
+					paused,
+				},
+				{ alert: !!paused }
+			);
+		});
+	},
+
+	[ActionNames.getCollateralManager]: async function({
+		useOvm,
+		network,
+		provider,
+		multicall,
+		deploymentPath,
+		blockOptions,
+		report,
+	}) {
+		report.section('CollateralManager');
+
+		const CollateralManager = getContract({
+			contract: 'CollateralManager',
+			network,
+			useOvm,
+			provider,
+			multicall,
+			deploymentPath,
+		});
+
+		const [totalLong, totalShort, maxDebt, paused] = await Promise.all([
+			CollateralManager.totalLong(blockOptions),
+			CollateralManager.totalShort(blockOptions),
+			CollateralManager.maxDebt(blockOptions),
+			CollateralManager.paused(blockOptions),
+		]);
+
+		report.item('CollateralManager.totalLong', ethers.utils.formatEther(totalLong.husdValue), {
+			alert: totalLong.anyRateIsInvalid,
+		});
+		report.item('CollateralManager.totalShort', ethers.utils.formatEther(totalShort.husdValue), {
+			alert: totalShort.anyRateIsInvalid,
+		});
+		report.item('CollateralManager.maxDebt', ethers.utils.formatEther(maxDebt));
+		report.item(
+			'CollateralManager.utilisation',
+			// as a percentage, to 2 decimal places
+			maxDebt.isZero()
+				? 0
+				: totalLong.husdValue
+						.add(totalShort.husdValue)
+						.mul(10000)
+						.div(maxDebt)
+						.toNumber() / 100
+		);
+		report.item(
+			'CollateralManager.baseBorrowRate',
+			ethers.utils.formatEther(await CollateralManager.baseBorrowRate(blockOptions))
+		);
+		report.item(
+			'CollateralManager.baseShortRate',
+			ethers.utils.formatEther(await CollateralManager.baseShortRate(blockOptions))
+		);
+		report.item('CollateralManager.paused', paused, { alert: paused });
+	},
+
+	[ActionNames.getLiquidator]: async function({
+		useOvm,
+		network,
+		provider,
+		multicall,
+		deploymentPath,
+		blockOptions,
+		report,
+	}) {
+		report.section('Liquidator');
+
+		const Liquidator = getContract({
+			contract: 'Liquidator',
+			network,
+			useOvm,
+			provider,
+			multicall,
+			deploymentPath,
+		});
+
+		for (const setting of [
+			'liquidationRatio',
+			'liquidationCollateralRatio',
+			'liquidationPenalty',
+			'selfLiquidationPenalty',
+			'flagReward',
+			'liquidateReward',
+		]) {
+			report.item(
+				`Liquidator.${setting}`,
+				ethers.utils.formatEther(await Liquidator[setting](blockOptions))
+			);
+		}
+		for (const setting of ['liquidationDelay', 'liquidationEscrowDuration']) {
+			report.item(`Liquidator.${setting}`, (await Liquidator[setting](blockOptions)).toString());
+		}
+	},
+
+	[ActionNames.getBridgeEscrow]: async function({
+		useOvm,
+		network,
+		provider,
+		multicall,
+		deploymentPath,
+		blockOptions,
+		report,
+	}) {
+		report.section('BridgeEscrow');
+
+		if (useOvm) {
+			// HAKA bridged to L2 is minted there, the escrow is on L1
+			report.item('No bridge escrow on L2');
+			return;
+		}
+
+		const Tribeone = getContract({
+			contract: 'Tribeone',
+			network,
+			useOvm,
+			provider,
+			multicall,
+			deploymentPath,
+		});
+
+		for (const contract of ['TribeoneBridgeEscrow', 'TribeoneBridgeToOptimism']) {
+			const { address } = getContract({ contract, network, useOvm, provider, deploymentPath });
+			report.item(
+				`Tribeone.balanceOf(${contract})`,
+				ethers.utils.formatEther(await Tribeone.balanceOf(address, blockOptions))
+			);
 		}
 	},
 };
 
+// the given currencies, or those of all tribes and wHAKA
+async function getCurrencyKeys({
+	useOvm,
+	network,
+	provider,
+	multicall,
+	deploymentPath,
+	blockOptions,
+	listedCurrencies,
+}) {
+	if (listedCurrencies) {
+		return listedCurrencies.map(e => ethers.utils.formatBytes32String(e));
+	}
+
+	const Issuer = getContract({
+		contract: 'Issuer',
+		network,
+		useOvm,
+		provider,
+		multicall,
+		deploymentPath,
+	});
+
+	return [
+		...(await Issuer.availableCurrencyKeys(blockOptions)),
+		ethers.utils.formatBytes32String('wHAKA'),
+	];
+}
+
 function getContract({
 	contract,
 	source,
@@ -364,6 +800,7 @@ function getContract({
 	useOvm = false,
 	deploymentPath = undefined,
 	provider,
+	multicall,
 }) {
 	const { getSource, getTarget } = wrap({
 		network,
@@ -373,16 +810,23 @@ function getContract({
 		useOvm,
 	});
 
-	return new ethers.Contract(
+	const target = new ethers.Contract(
 		getTarget({ contract, network, useOvm, deploymentPath }).address,
 		getSource({ contract: source || contract, network, useOvm, deploymentPath }).abi,
 		provider
 	);
+	// the reads of all actions are batched together when given a multicall
+	return multicall ? multicall.wrap(target) : target;
 }
 
 module.exports = {
 	ActionNames,
 	actions,
-	logHeader,
-	logActionError,
+	createReport,
+	reportHeader,
+	reportActionError,
+	printReport,
+	printChanges,
+	reportToJson,
+	diffReports,
 };
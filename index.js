@@ -2,6 +2,7 @@
 
 const w3utils = require('web3-utils');
 const abiDecoder = require('abi-decoder');
+const abiCoder = require('web3-eth-abi');
 
 // load the data in explicitly (not programmatically) so webpack knows what to bundle
 const data = {
@@ -76,9 +77,12 @@ const constants = {
 	COMPILED_FOLDER: 'compiled',
 	FLATTENED_FOLDER: 'flattened',
 	AST_FOLDER: 'ast',
+	CACHE_FOLDER: 'cache',
+	TYPES_FOLDER: 'types',
 
 	CONFIG_FILENAME: 'config.json',
 	RELEASES_FILENAME: 'releases.json',
+	SIZE_BUDGET_FILENAME: 'size-budget.json',
 	PARAMS_FILENAME: 'params.json',
 	TRIBEONES_FILENAME: 'tribes.json',
 	STAKING_REWARDS_FILENAME: 'rewards.json',
@@ -96,6 +100,9 @@ const constants = {
 	ZERO_ADDRESS: '0x' + '0'.repeat(40),
 	ZERO_BYTES32: '0x' + '0'.repeat(64),
 
+	// the deterministic deployment proxy, at the same address on every chain it's deployed to
+	CREATE2_FACTORY_ADDRESS: '0x4e59b44847b379578588920cA78FbF26c0B4956C',
+
 	inflationStartTimestampInSecs: 1551830400, // 2019-03-06T00:00:00+00:00
 };
 
@@ -259,21 +266,92 @@ const loadDeploymentFile = ({ network = 'mainnet', path, fs, deploymentPath, use
 };
 
 /**
- * Retrieve the list of targets for the network - returning the name, address, source file and link to etherscan
+ * Retrieve the list of targets for the network - returning the name, address, source file and link to etherscan.
+ * With an address, the contract it is or was, as with getTargetByAddress
  */
 const getTarget = ({
 	network = 'mainnet',
 	useOvm = false,
 	contract,
+	address,
 	path,
 	fs,
 	deploymentPath,
 } = {}) => {
+	if (address) {
+		return getTargetByAddress({ network, useOvm, address, path, fs, deploymentPath });
+	}
 	const deployment = loadDeploymentFile({ network, useOvm, path, fs, deploymentPath });
 	if (contract) return deployment.targets[contract];
 	else return deployment.targets;
 };
 
+// the target at the address from the targets and the versions by contract: the current target
+// with the version it was deployed in, or the contract it was in a past version
+const findTargetByAddress = ({ address, targets, versionsByContract }) => {
+	const isAddress = entry => entry.address.toLowerCase() === address.toLowerCase();
+	const current = Object.values(targets).find(isAddress);
+
+	let name;
+	let version;
+	for (const [contract, entries] of Object.entries(versionsByContract)) {
+		const entry = entries.find(isAddress);
+		// the same address can be listed under other contracts (i.e. a proxy's) in old versions
+		if (entry && (!current || contract === current.name)) {
+			name = contract;
+			version = entry;
+			break;
+		}
+	}
+	if (!current && !version) {
+		return;
+	}
+
+	const { tag, release, date, commit, status, replaced_in: replacedIn } = version || {};
+	return Object.assign(
+		{},
+		current || {
+			name,
+			address: version.address,
+			// the contract's current source, the closest to what it had
+			source: targets[name] && targets[name].source,
+		},
+		{ status: current ? 'current' : status },
+		version ? { tag, release, date, commit } : {},
+		replacedIn ? { replacedIn } : {}
+	);
+};
+
+/**
+ * Retrieve the contract at an address, whether it is a current target or was deployed in a past version of
+ * versions.json - returning the name, address, source, status ('current' or 'replaced') and the tag, release,
+ * date and commit of the version it was deployed in
+ */
+const getTargetByAddress = ({
+	network = 'mainnet',
+	useOvm = false,
+	address,
+	path,
+	fs,
+	deploymentPath,
+} = {}) => {
+	const targets = getTarget({ network, useOvm, path, fs, deploymentPath });
+	let versionsByContract;
+	try {
+		versionsByContract = getVersions({
+			network,
+			useOvm,
+			path,
+			fs,
+			deploymentPath,
+			byContract: true,
+		});
+	} catch (err) {
+		// i.e. a local deployment has no versions
+	}
+	return findTargetByAddress({ address, targets, versionsByContract: versionsByContract || {} });
+};
+
 /**
  * Retrieve the list of solidity sources for the network - returning the abi and bytecode
  */
@@ -649,6 +727,18 @@ const getPerpsV2ProxiedMarkets = ({ network = 'mainnet', fs, deploymentPath, pat
 	return PerpsV2Proxied;
 };
 
+// the contract a proxy or read proxy forwards to, by naming convention (ProxyFeePool to FeePool,
+// ProxyhUSD and ProxyERC20hUSD to TribehUSD, ProxyERC20 to Tribeone)
+const getProxiedContract = ({ name, targets }) => {
+	const [prefix] = name.match(/^(ReadProxy|ProxyERC20|Proxy)/) || [];
+	if (!prefix) {
+		return;
+	}
+	const stripped = name.slice(prefix.length);
+	const candidates = stripped ? [stripped, `Tribe${stripped}`] : ['Tribeone'];
+	return candidates.find(candidate => targets[candidate]);
+};
+
 /**
  * Retrieve the list of staking rewards for the network - returning this names, stakingToken, and rewardToken
  */
@@ -846,7 +936,8 @@ const getTokens = ({ network = 'mainnet', path, fs, useOvm = false } = {}) => {
 	);
 };
 
-const enhanceDecodedData = decoded => {
+// the values of tuples are given by name, in an array unless tuplesByName
+const enhanceDecodedData = (decoded, { tuplesByName = false } = {}) => {
 	const decodedBytes32 = p => {
 		try {
 			return { ascii: fromBytes32(p).replaceAll('\x00', '') };
@@ -889,9 +980,14 @@ const enhanceDecodedData = decoded => {
 
 		if (p.type === 'tuple') {
 			const keys = Object.keys(p.value).filter(v => isNaN(v));
-			const values = [];
+			const values = tuplesByName ? {} : [];
 
 			for (const key of keys) {
+				if (typeof p.value[key] !== 'string') {
+					// nested arrays and tuples are left as they are
+					values[key] = p.value[key];
+					continue;
+				}
 				if (p.value[key].startsWith('0x')) {
 					if (p.value[key].length === 66) {
 						values[key] = { original: p.value[key], enhanced: decodedBytes32(p.value[key]) };
@@ -940,21 +1036,373 @@ const decode = ({
 			},
 		]);
 	}
-	const targets = getTarget({ network, path, fs, useOvm });
-	let contract;
-	if (target) {
-		contract = Object.values(targets).filter(
-			({ address }) => address.toLowerCase() === target.toLowerCase()
-		)[0].name;
+	const result = { method: abiDecoder.decodeMethod(data) };
+	const resolved = target && getTargetByAddress({ network, path, fs, useOvm, address: target });
+	if (resolved) {
+		const { name, tag, release, status } = resolved;
+		Object.assign(result, { contract: name }, tag ? { version: { tag, release, status } } : {});
 	}
-	const result = { method: abiDecoder.decodeMethod(data), contract };
 
 	return enhanceDecode ? enhanceDecodedData(result) : result;
 };
 
+// the inputs of an abi entry from their types by name
+const inputsOf = types =>
+	Object.entries(types).map(([name, type]) => ({ name, type, internalType: type }));
+
+// the calls signers review that are not to contracts of the deployments
+const wellKnownAbi = [
+	{
+		type: 'function',
+		name: 'execTransaction',
+		inputs: inputsOf({
+			to: 'address',
+			value: 'uint256',
+			data: 'bytes',
+			operation: 'uint8',
+			safeTxGas: 'uint256',
+			baseGas: 'uint256',
+			gasPrice: 'uint256',
+			gasToken: 'address',
+			refundReceiver: 'address',
+			signatures: 'bytes',
+		}),
+		outputs: [],
+	},
+	{ type: 'function', name: 'multiSend', inputs: inputsOf({ transactions: 'bytes' }), outputs: [] },
+	{ type: 'function', name: 'migrate', inputs: [], outputs: [] },
+	{
+		type: 'function',
+		name: 'execute',
+		inputs: inputsOf({ target: 'address', data: 'bytes' }),
+		outputs: [{ name: 'response', type: 'bytes', internalType: 'bytes' }],
+	},
+];
+const wellKnownContracts = {
+	execTransaction: 'GnosisSafe',
+	multiSend: 'MultiSend',
+	migrate: 'Migration',
+	execute: 'DSProxy',
+};
+
+// the transactions packed into the bytes of a MultiSend call: the operation (1 byte), to (20),
+// value (32), data length (32) and data of each one after the other
+const unpackMultiSend = packed => {
+	const hex = packed.replace(/^0x/, '');
+	const transactions = [];
+	let offset = 0;
+	while (offset < hex.length) {
+		const dataLength = parseInt(hex.slice(offset + 106, offset + 170), 16) * 2;
+		transactions.push({
+			operation: parseInt(hex.slice(offset, offset + 2), 16),
+			to: w3utils.toChecksumAddress(`0x${hex.slice(offset + 2, offset + 42)}`),
+			value: w3utils.hexToNumberString(`0x${hex.slice(offset + 42, offset + 106)}`),
+			data: `0x${hex.slice(offset + 170, offset + 170 + dataLength)}`,
+		});
+		offset += 170 + dataLength;
+	}
+	return transactions;
+};
+
+// the selector of an abi entry that is a function (of which old compilers leave out the type)
+const selectorOf = entry => {
+	try {
+		return (entry.type || 'function') === 'function'
+			? abiCoder.encodeFunctionSignature(entry)
+			: undefined;
+	} catch (err) {
+		// i.e. malformed entries
+	}
+};
+
+// the decoded value as abi-decoder would give it: numbers as strings and tuples by name
+const toDecodedValue = (param, value) => {
+	if (/\[\d*\]$/.test(param.type)) {
+		const child = Object.assign({}, param, { type: param.type.replace(/\[\d*\]$/, '') });
+		return value.map(entry => toDecodedValue(child, entry));
+	} else if (param.type === 'tuple') {
+		return param.components.reduce((memo, component, i) => {
+			memo[component.name || i] = toDecodedValue(component, value[i]);
+			return memo;
+		}, {});
+	}
+	// the coder gives empty bytes as null
+	return value === null ? '0x' : value;
+};
+
+/**
+ * Decode a call to the contracts of any deployment and every call nested within it: the calls of a
+ * Safe execTransaction, MultiSend or proxy execute, and those relayed to L2 by the
+ * OwnerRelayOnEthereum and from it by the OwnerRelayOnOptimism. Each target is resolved across the
+ * L1 and L2 deployments, including the addresses each contract had in past versions (and a
+ * migration's migrate() by the owner action that runs it), and calls to proxies are decoded with
+ * the functions of the contract they forward to.
+ *
+ * @param {string} data The calldata
+ * @param {string} target The address called, when known
+ * @param {string} value The ETH sent with the call
+ * @returns {object} the call with its network, contract, version (when no longer current), method
+ * (with the readable values of enhanceDecodedData) and calls, or its raw data when it cannot be decoded
+ */
+const decodeRecursive = ({
+	network = 'mainnet',
+	useOvm = false,
+	fs,
+	path,
+	data,
+	target,
+	value = '0',
+	maxDepth = 8,
+} = {}) => {
+	const deployments = {};
+	// the targets, abis, known selectors and past addresses of the deployment in the folder
+	const loadDeployment = folder => {
+		if (folder in deployments) {
+			return deployments[folder];
+		}
+		let loaded;
+		try {
+			loaded = loadDeploymentFile({ network: folder, path, fs });
+		} catch (err) {
+			// i.e. there is no L2 of the network
+			deployments[folder] = undefined;
+			return;
+		}
+		const { targets = {}, sources = {} } = loaded;
+		let versions = {};
+		try {
+			versions = getVersions({ network: folder, path, fs, byContract: true }) || {};
+		} catch (err) {}
+
+		// the migrations by address, named by the owner actions that run them (only in the files)
+		const migrations = {};
+		try {
+			const ownerActions = JSON.parse(
+				fs.readFileSync(
+					getPathToNetwork({ network: folder, path, file: constants.OWNER_ACTIONS_FILENAME })
+				)
+			);
+			for (const { target, action } of Object.values(ownerActions)) {
+				const [, name] = /^(Migration_\w+)\.migrate\(\)$/.exec(action) || [];
+				if (name && target) {
+					migrations[target.toLowerCase()] = name;
+				}
+			}
+		} catch (err) {}
+
+		const abiOf = name => {
+			const { source } = targets[name] || {};
+			const proxied = getProxiedContract({ name, targets });
+			return [source]
+				.concat(proxied ? targets[proxied].source : [])
+				.filter(source => sources[source])
+				.map(source => sources[source].abi);
+		};
+
+		// every function by its selector, of the deployment and the well known contracts
+		const selectors = {};
+		for (const abi of Object.values(sources)
+			.map(({ abi }) => abi)
+			.concat([wellKnownAbi])) {
+			for (const entry of abi) {
+				const selector = selectorOf(entry);
+				if (selector) {
+					selectors[selector] = selectors[selector] || entry;
+				}
+			}
+		}
+
+		deployments[folder] = { targets, versions, migrations, abiOf, selectors };
+		return deployments[folder];
+	};
+
+	// the contract at the address, now or in any past version
+	const resolve = ({ folder, address }) => {
+		const deployment = loadDeployment(folder);
+		const resolved =
+			address &&
+			deployment &&
+			findTargetByAddress({
+				address,
+				targets: deployment.targets,
+				versionsByContract: deployment.versions,
+			});
+		if (!resolved) {
+			return {};
+		}
+		const { name, tag, release, status } = resolved;
+		return Object.assign(
+			{ contract: name, abis: deployment.abiOf(name) },
+			// only a past address is worth noting the version of
+			status !== 'current' ? { version: { tag, release, status } } : {}
+		);
+	};
+
+	const decodeCall = ({ folder, to, data, value, operation, depth }) => {
+		const node = { network: folder, to, value };
+		if (operation !== undefined) {
+			node.operation = operation === 1 ? 'DelegateCall' : 'Call';
+		}
+		const { contract, version, abis = [] } = resolve({ folder, address: to });
+		Object.assign(node, contract ? { contract } : {}, version ? { version } : {});
+
+		const selector = (data || '').slice(0, 10);
+		const { selectors = {}, migrations = {} } = loadDeployment(folder) || {};
+		// prefer the functions of the contract called, then any other with the selector
+		const fragment =
+			[].concat(...abis).find(entry => selectorOf(entry) === selector) || selectors[selector];
+
+		let decoded;
+		try {
+			decoded = fragment && abiCoder.decodeParameters(fragment.inputs, `0x${data.slice(10)}`);
+		} catch (err) {
+			// i.e. types the coder does not know, or data that is not of the function
+		}
+		if (!decoded) {
+			return Object.assign(node, { data });
+		}
+		const values = fragment.inputs.map((param, i) => toDecodedValue(param, decoded[i]));
+		const args = fragment.inputs.reduce((memo, { name }, i) => {
+			memo[name] = values[i];
+			return memo;
+		}, {});
+
+		if (!node.contract && fragment.name === 'migrate' && to) {
+			node.contract = migrations[to.toLowerCase()];
+		}
+		if (!node.contract && wellKnownContracts[fragment.name]) {
+			node.contract = wellKnownContracts[fragment.name];
+		}
+		const { method } = enhanceDecodedData(
+			{
+				method: {
+					name: fragment.name,
+					params: fragment.inputs.map((param, i) => ({
+						name: param.name,
+						type: param.type,
+						value: values[i],
+					})),
+				},
+			},
+			{ tuplesByName: true }
+		);
+		node.method = Object.assign(
+			{ signature: w3utils._jsonInterfaceMethodToString(fragment) },
+			method
+		);
+
+		// the calls made with the arguments, and which network they are made on
+		const l2 = getFolderNameForNetwork({ network: folder, useOvm: true });
+		let calls = [];
+		if (fragment.name === 'execTransaction') {
+			calls = [
+				{
+					folder,
+					to: args.to,
+					value: args.value,
+					data: args.data,
+					operation: Number(args.operation),
+				},
+			];
+		} else if (fragment.name === 'multiSend') {
+			try {
+				calls = unpackMultiSend(args.transactions).map(call => Object.assign({ folder }, call));
+			} catch (err) {
+				// the transactions are not packed as a MultiSend packs them
+			}
+		} else if (fragment.name === 'execute' && node.contract === 'DSProxy') {
+			// a proxy executes the call in its own context
+			calls = [{ folder, to: args.target, data: args.data, operation: 1 }];
+		} else if (fragment.name === 'initiateRelay') {
+			calls = [{ folder: l2, to: args.target, data: args.payload }];
+		} else if (fragment.name === 'initiateRelayBatch') {
+			calls = args.targets.map((to, i) => ({ folder: l2, to, data: args.payloads[i] }));
+		} else if (fragment.name === 'finalizeRelay') {
+			calls = [{ folder, to: args.target, data: args.payload }];
+		} else if (fragment.name === 'finalizeRelayBatch') {
+			calls = args.targets.map((to, i) => ({ folder, to, data: args.payloads[i] }));
+		}
+		if (calls.length && depth < maxDepth) {
+			// the payloads are those of the calls
+			node.method.params
+				.filter(({ type }) => type === 'bytes' || type === 'bytes[]')
+				.filter(({ name }) => ['data', 'transactions', 'payload', 'payloads'].includes(name))
+				.forEach(param => Object.assign(param, { decodedInCalls: true }));
+			node.calls = calls.map(call =>
+				decodeCall(Object.assign({ value: '0', depth: depth + 1 }, call))
+			);
+		}
+		return node;
+	};
+
+	return decodeCall({
+		folder: getFolderNameForNetwork({ network, useOvm }),
+		to: target,
+		data,
+		value,
+		depth: 0,
+	});
+};
+
+/**
+ * The salt of a contract deployed through the CREATE2 factory, from its name and the release it's in
+ */
+const getCreate2Salt = ({ name, release } = {}) => {
+	if (!name || !release) {
+		throw Error('Both the contract name and the release are required for a CREATE2 salt');
+	}
+	return w3utils.keccak256(`${release}:${name}`);
+};
+
+// the placeholder solc leaves in the bytecode for a library to be linked
+const libraryPlaceholder = ({ source, library }) =>
+	`__$${w3utils.keccak256(`${source}.sol:${library}`).slice(2, 36)}$__`;
+
+/**
+ * Compute the address of a contract deployed through the CREATE2 factory, which only depends on its
+ * salt and its init code (the bytecode with libraries linked, then the encoded constructor args)
+ *
+ * @returns {object} the address, along with the salt and the hash of the init code
+ */
+const getCreate2Address = ({
+	name,
+	release,
+	source = name,
+	bytecode,
+	abi = [],
+	args = [],
+	libraries = {},
+	factory = constants.CREATE2_FACTORY_ADDRESS,
+}) => {
+	let linked = bytecode.replace(/^0x/, '');
+	for (const [library, address] of Object.entries(libraries)) {
+		linked = linked
+			.split(libraryPlaceholder({ source, library }))
+			.join(address.replace(/^0x/, '').toLowerCase());
+	}
+	if (/__\$[0-9a-fA-F]{34}\$__/.test(linked)) {
+		throw Error(`The bytecode of ${source} has libraries left to link`);
+	}
+
+	const salt = getCreate2Salt({ name, release });
+	const { inputs = [] } = abi.find(({ type }) => type === 'constructor') || {};
+	const encodedArgs = abiCoder.encodeParameters(inputs, args).replace(/^0x/, '');
+	const initCodeHash = w3utils.keccak256(`0x${linked}${encodedArgs}`);
+	return {
+		address: w3utils.toChecksumAddress(
+			`0x${w3utils
+				.keccak256(`0xff${factory.replace(/^0x/, '')}${salt.slice(2)}${initCodeHash.slice(2)}`)
+				.slice(-40)}`
+		),
+		salt,
+		initCodeHash,
+	};
+};
+
 const wrap = ({ network, deploymentPath, fs, path, useOvm = false }) =>
 	[
 		'decode',
+		'decodeRecursive',
 		'getAST',
 		'getPathToNetwork',
 		'getSource',
@@ -964,6 +1412,7 @@ const wrap = ({ network, deploymentPath, fs, path, useOvm = false }) =>
 		'getOffchainFeeds',
 		'getTribes',
 		'getTarget',
+		'getTargetByAddress',
 		'getFuturesMarkets',
 		'getPerpsMarkets',
 		'getPerpsV2ProxiedMarkets',
@@ -986,8 +1435,12 @@ module.exports = {
 	chainIdMapping,
 	constants,
 	decode,
+	decodeRecursive,
 	defaults,
 	getAST,
+	getCreate2Address,
+	getCreate2Salt,
+	getFolderNameForNetwork,
 	getNetworkFromId,
 	getNextRelease,
 	getPathToNetwork,
@@ -1001,7 +1454,9 @@ module.exports = {
 	getFuturesMarkets,
 	getPerpsMarkets,
 	getPerpsV2ProxiedMarkets,
+	getProxiedContract,
 	getTarget,
+	getTargetByAddress,
 	getTokens,
 	getUsers,
 	getVersions,
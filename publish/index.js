@@ -11,22 +11,33 @@ require('./src/commands/deploy-migration').cmd(program);
 require('./src/commands/deploy-shorting-rewards').cmd(program);
 require('./src/commands/deploy-staking-rewards').cmd(program);
 require('./src/commands/deploy').cmd(program);
+require('./src/commands/detect-drift').cmd(program);
+require('./src/commands/diff').cmd(program);
+require('./src/commands/events').cmd(program);
 require('./src/commands/extract-staking-balances').cmd(program);
 require('./src/commands/finalize-release').cmd(program);
+require('./src/commands/generate-types').cmd(program);
 require('./src/commands/migrate-debt-shares').cmd(program);
 require('./src/commands/check-settlement-owing').cmd(program);
 require('./src/commands/initiate-liquidator-rewards').cmd(program);
 require('./src/commands/liquidator-rewards-restitution').cmd(program);
 require('./src/commands/nominate').cmd(program);
 require('./src/commands/owner').cmd(program);
+require('./src/commands/owner-actions').cmd(program);
+require('./src/commands/perps-markets').cmd(program);
 require('./src/commands/persist-tokens').cmd(program);
 require('./src/commands/prepare-deploy-detect-diff').cmd(program);
 require('./src/commands/prepare-deploy').cmd(program);
 require('./src/commands/purge-tribes').cmd(program);
 require('./src/commands/release').cmd(program);
+require('./src/commands/release-notes').cmd(program);
 require('./src/commands/remove-tribes').cmd(program);
 require('./src/commands/replace-tribes').cmd(program);
 require('./src/commands/settle').cmd(program);
+require('./src/commands/simulate-deploy').cmd(program);
+require('./src/commands/size-history').cmd(program);
+require('./src/commands/tribes').cmd(program);
+require('./src/commands/validate').cmd(program);
 require('./src/commands/verify').cmd(program);
 require('./src/commands/versions-history').cmd(program);
 require('./src/commands/versions-update').cmd(program);
@@ -0,0 +1,96 @@
+'use strict';
+
+const os = require('os');
+const path = require('path');
+const { fork } = require('child_process');
+
+const DEFAULTS = {
+	// solc is single threaded, so one process per core, leaving one for the build itself
+	size: Math.max(1, os.cpus().length - 1),
+};
+
+const WORKER = path.join(__dirname, 'compile-worker.js');
+
+class CompilerPool {
+	/**
+	 * Compiles with solc in child processes, so that many sources compile at once. The processes are
+	 * started as they are needed and are kept until the pool is closed.
+	 *
+	 * @param {number} size The most processes to compile in at once
+	 */
+	constructor({ size = DEFAULTS.size } = {}) {
+		this.size = Math.max(1, Number(size) || DEFAULTS.size);
+		this.workers = [];
+		this.queue = [];
+		this.nextId = 0;
+	}
+
+	/**
+	 * Queue a compilation, to be made by the next process free
+	 *
+	 * @param {object} sources The sources to compile, by file name
+	 * @param {number} runs The optimizer runs
+	 * @returns {Promise<object>} resolves to the artifacts, errors and warnings, like compile() in solidity.js
+	 */
+	compile({ sources, runs }) {
+		return new Promise((resolve, reject) => {
+			this.queue.push({ id: this.nextId++, sources, runs, resolve, reject });
+			this._dispatch();
+		});
+	}
+
+	/**
+	 * Stop the processes once idle, rejecting anything still queued
+	 */
+	close() {
+		this.queue.splice(0).forEach(({ reject }) => reject(Error('Compiler pool closed')));
+		this.workers.forEach(worker => worker.process.connected && worker.process.disconnect());
+		this.workers = [];
+	}
+
+	_dispatch() {
+		while (this.queue.length) {
+			const worker =
+				this.workers.find(({ job }) => !job) ||
+				(this.workers.length < this.size ? this._spawn() : undefined);
+			if (!worker) {
+				return;
+			}
+			worker.job = this.queue.shift();
+			const { id, sources, runs } = worker.job;
+			worker.process.send({ id, sources, runs });
+		}
+	}
+
+	_spawn() {
+		const worker = { process: fork(WORKER), job: undefined };
+
+		worker.process.on('message', ({ id, error, artifacts, errors, warnings }) => {
+			const { resolve, reject } = worker.job;
+			worker.job = undefined;
+			if (error) {
+				reject(Error(`Compilation ${id} failed: ${error}`));
+			} else {
+				resolve({ artifacts, errors, warnings });
+			}
+			this._dispatch();
+		});
+
+		// a process that dies (i.e. out of memory) fails its compilation and is replaced
+		worker.process.on('exit', (code, signal) => {
+			this.workers = this.workers.filter(entry => entry !== worker);
+			if (worker.job) {
+				worker.job.reject(Error(`Compiler process exited with ${signal || `code ${code}`}`));
+				worker.job = undefined;
+			}
+			this._dispatch();
+		});
+
+		this.workers.push(worker);
+		return worker;
+	}
+}
+
+CompilerPool.DEFAULTS = DEFAULTS;
+
+module.exports = CompilerPool;
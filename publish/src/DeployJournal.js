@@ -0,0 +1,237 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { gray, yellow } = require('chalk');
+
+const { stringify, sleep } = require('./util');
+
+const JOURNAL_FOLDER = 'journals';
+
+const DEFAULTS = {
+	pollInterval: 4, // seconds
+};
+
+// every tx sent for an entry, as whichever of a tx and its replacements is mined is the one that counts
+const withHashes = (existing = {}, props) => {
+	if (!props.hash) {
+		return props;
+	}
+	const hashes = (existing.hashes || (existing.hash ? [existing.hash] : []))
+		.filter(hash => hash !== props.hash)
+		.concat(props.hash);
+	return Object.assign({}, props, { hashes });
+};
+
+// the hashes of the txs sent for an entry, including journals written before all were kept
+const hashesOf = ({ hash, hashes }) => hashes || (hash ? [hash] : []);
+
+class DeployJournal {
+	/**
+	 * A per-run record of every deployment and every transactional step performed by a deploy,
+	 * written to disk after each change so that an interrupted run can be safely resumed.
+	 *
+	 * @param {string} file The path to the journal file (created if it doesn't exist)
+	 * @param {object} provider An ethers provider used to check pending transactions when resuming
+	 * @param {boolean} resume Whether or not entries from a previous run in this file should be honored
+	 * @param {number} pollInterval Seconds between checks of the txs of an entry still pending
+	 */
+	constructor({
+		file,
+		provider,
+		network,
+		useOvm,
+		account,
+		resume = false,
+		pollInterval = DEFAULTS.pollInterval,
+	}) {
+		this.file = file;
+		this.provider = provider;
+		this.resume = resume;
+		this.pollInterval = pollInterval;
+		// track how often each step key has been seen in this run, so repeated actions stay distinct
+		this.stepCounter = {};
+
+		if (resume) {
+			if (!fs.existsSync(file)) {
+				throw Error(`Cannot resume from journal ${file} as it does not exist`);
+			}
+			this.data = JSON.parse(fs.readFileSync(file));
+
+			if (this.data.network !== network || !!this.data.useOvm !== !!useOvm) {
+				throw Error(
+					`Cannot resume from journal ${file} as it was recorded for ${this.data.network}${
+						this.data.useOvm ? ' (OVM)' : ''
+					}, not ${network}${useOvm ? ' (OVM)' : ''}`
+				);
+			}
+			this.data.resumedAt = (this.data.resumedAt || []).concat(new Date());
+		} else {
+			this.data = {
+				network,
+				useOvm: !!useOvm,
+				account,
+				startedAt: new Date(),
+				deployments: {},
+				steps: {},
+			};
+		}
+
+		this._write();
+	}
+
+	static folderFor({ deploymentPath }) {
+		return path.join(deploymentPath, JOURNAL_FOLDER);
+	}
+
+	static pathFor({ deploymentPath }) {
+		return path.join(
+			DeployJournal.folderFor({ deploymentPath }),
+			`deploy-${new Date().toISOString().replace(/[:.]/g, '-')}.json`
+		);
+	}
+
+	_write() {
+		fs.mkdirSync(path.dirname(this.file), { recursive: true });
+		fs.writeFileSync(this.file, stringify(this.data));
+	}
+
+	stepKey({ action }) {
+		this.stepCounter[action] = (this.stepCounter[action] || 0) + 1;
+		const count = this.stepCounter[action];
+		return count > 1 ? `${action} (${count})` : action;
+	}
+
+	recordDeployment({ name, ...props }) {
+		const existing = this.data.deployments[name];
+		this.data.deployments[name] = Object.assign({}, existing, withHashes(existing, props), {
+			name,
+			timestamp: new Date(),
+		});
+		this._write();
+	}
+
+	recordStep({ key, ...props }) {
+		const existing = this.data.steps[key];
+		this.data.steps[key] = Object.assign({}, existing, withHashes(existing, props), {
+			timestamp: new Date(),
+		});
+		this._write();
+	}
+
+	/**
+	 * Given the txs sent for an entry (a tx and its replacements), check on-chain whether one of them
+	 * was mined, any is still pending or all were dropped.
+	 *
+	 * @returns the receipt if a tx was mined successfully, or undefined if it needs to be sent again
+	 */
+	async _resolvePending({ label, hashes }) {
+		let waiting = false;
+		for (;;) {
+			const receipts = await Promise.all(
+				hashes.map(hash => this.provider.getTransactionReceipt(hash))
+			);
+			const mined = receipts.filter(receipt => receipt && receipt.blockNumber);
+			// a reverted tx from an earlier attempt must not hide one that succeeded since
+			const succeeded = mined.find(({ status }) => status !== 0);
+			if (succeeded) {
+				return succeeded;
+			}
+
+			const unmined = hashes.filter((hash, i) => !receipts[i] || !receipts[i].blockNumber);
+			const known = await Promise.all(unmined.map(hash => this.provider.getTransaction(hash)));
+			if (known.some(tx => tx)) {
+				if (!waiting) {
+					console.log(
+						gray(`  > Journal: txs ${unmined.join(', ')} for ${label} still pending. Waiting...`)
+					);
+					waiting = true;
+				}
+				await sleep(this.pollInterval);
+				continue;
+			}
+
+			if (mined.length) {
+				console.log(
+					yellow(
+						`  > Journal: tx ${
+							mined[mined.length - 1].transactionHash
+						} for ${label} reverted. Sending again.`
+					)
+				);
+			} else {
+				console.log(
+					gray(`  > Journal: txs ${hashes.join(', ')} for ${label} were dropped. Sending again.`)
+				);
+			}
+			return;
+		}
+	}
+
+	/**
+	 * When resuming, find out whether the contract was already deployed in a previous run.
+	 *
+	 * @returns the journal entry (with address) if deployed, otherwise undefined
+	 */
+	async resolveDeployment({ name }) {
+		const entry = this.data.deployments[name];
+		if (!this.resume || !entry) {
+			return;
+		}
+
+		// a failed entry may still have had one of its txs mined after it was given up on
+		const hashes = hashesOf(entry);
+		if (['pending', 'failed'].includes(entry.status) && hashes.length) {
+			const receipt = await this._resolvePending({ label: name, hashes });
+			if (!receipt) {
+				this.recordDeployment({ name, status: 'failed' });
+				return;
+			}
+			this.recordDeployment({
+				name,
+				status: 'complete',
+				hash: receipt.transactionHash,
+				// a CREATE2 deployment is a call to the factory, so its address is the one recorded
+				address: receipt.contractAddress || entry.address,
+				gasUsed: receipt.gasUsed.toString(),
+			});
+		}
+
+		const resolved = this.data.deployments[name];
+		return resolved.status === 'complete' ? resolved : undefined;
+	}
+
+	/**
+	 * When resuming, find out whether the step was already mined in a previous run.
+	 *
+	 * @returns the journal entry (with hash) if mined, otherwise undefined
+	 */
+	async resolveStep({ key }) {
+		const entry = this.data.steps[key];
+		if (!this.resume || !entry) {
+			return;
+		}
+
+		const hashes = hashesOf(entry);
+		if (['pending', 'failed'].includes(entry.status) && hashes.length) {
+			const receipt = await this._resolvePending({ label: key, hashes });
+			if (!receipt) {
+				this.recordStep({ key, status: 'failed' });
+				return;
+			}
+			this.recordStep({
+				key,
+				status: 'complete',
+				hash: receipt.transactionHash,
+				gasUsed: receipt.gasUsed.toString(),
+			});
+		}
+
+		const resolved = this.data.steps[key];
+		return resolved.status === 'complete' ? resolved : undefined;
+	}
+}
+
+DeployJournal.DEFAULTS = DEFAULTS;
+
+module.exports = DeployJournal;
@@ -5,7 +5,22 @@ const ethers = require('ethers');
 const { gray, green, yellow } = require('chalk');
 const fs = require('fs');
 const { stringify, getExplorerLinkPrefix, assignGasOptions } = require('./util');
-const { getVersions, getUsers } = require('../..');
+const TransactionManager = require('./TransactionManager');
+const {
+	getVersions,
+	getUsers,
+	getCreate2Address,
+	constants: { CREATE2_FACTORY_ADDRESS },
+} = require('../..');
+
+// the keyless (pre EIP-155) transaction that deploys the CREATE2 factory on any chain, once its signer
+// is funded for the gas (see https://github.com/Arachnid/deterministic-deployment-proxy)
+const CREATE2_FACTORY_DEPLOYMENT = {
+	signer: '0x3fAB184622Dc19b6109349B94811493BF2a45362',
+	funding: ethers.utils.parseEther('0.01'), // 100k gas at 100 gwei
+	transaction:
+		'0xf8a58085174876e800830186a08080b853604580600e600039806000f350fe7fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffe03601600081602082378035828234f58015156039578182fd5b8082525050506014600cf31ba02222222222222222222222222222222222222222222222222222222222222222a02222222222222222222222222222222222222222222222222222222222222222',
+};
 
 class Deployer {
 	/**
@@ -13,12 +28,16 @@ class Deployer {
 	 * @param {object} compiled An object with full combined contract name keys mapping to ABIs and bytecode
 	 * @param {object} config An object with full combined contract name keys mapping to a deploy flag and the contract source file name
 	 * @param {object} deployment An object with full combined contract name keys mapping to existing deployment addresses (if any)
+	 * @param {boolean} create2 Whether to deploy every contract through the CREATE2 factory, rather than only those with the create2 flag in the config
+	 * @param {string} create2Release The release whose name, along with the contract's, salts CREATE2 deployments
 	 */
 	constructor({
 		account,
 		compiled,
 		config,
 		configFile,
+		create2,
+		create2Release,
 		deployment,
 		deploymentFile,
 		dryRun,
@@ -32,7 +51,9 @@ class Deployer {
 		signer,
 		useFork,
 		useOvm,
-		nonceManager,
+		transactionManager,
+		journal,
+		gasReport,
 	}) {
 		this.compiled = compiled;
 		this.config = config;
@@ -44,14 +65,19 @@ class Deployer {
 		this.maxFeePerGas = maxFeePerGas;
 		this.maxPriorityFeePerGas = maxPriorityFeePerGas;
 		this.network = network;
-		this.nonceManager = nonceManager;
+		this.journal = journal;
+		this.gasReport = gasReport;
 		this.useOvm = useOvm;
+		this.useFork = useFork;
+		this.create2 = create2;
+		this.create2Release = create2Release;
 
 		this.provider =
 			provider || new ethers.providers.JsonRpcProvider(providerUrl || 'http://127.0.0.1:8545');
 
 		if (signer) {
-			this.signer = signer;
+			// signers built without a provider (see command-utils/signer) are connected to this one
+			this.signer = signer.provider ? signer : signer.connect(this.provider);
 		}
 		// use the default owner when in a fork or in local mode and no private key supplied
 		else if ((useFork || network === 'local') && !privateKey) {
@@ -61,6 +87,9 @@ class Deployer {
 		} else {
 			this.signer = new ethers.Wallet(privateKey, this.provider);
 		}
+		// transactions are watched with this provider unless the manager was given its own
+		this.transactionManager = transactionManager || new TransactionManager();
+		this.transactionManager.provider = this.transactionManager.provider || this.provider;
 		this.account = account || this.signer.address;
 		this.deployedContracts = {};
 		this.replacedContracts = {};
@@ -81,6 +110,70 @@ class Deployer {
 		return `0x${hashed.slice(12).substring(14)}`;
 	}
 
+	/**
+	 * @returns {boolean} whether the contract is deployed through the CREATE2 factory
+	 */
+	usesCreate2({ name }) {
+		return !!(this.create2 || (this.config[name] && this.config[name].create2));
+	}
+
+	/**
+	 * The address the contract has when deployed through the CREATE2 factory, along with the salt and
+	 * the calldata of the factory call
+	 */
+	evaluateCreate2Deployment({ name, source, abi, bytecode, args }) {
+		if (!this.create2Release) {
+			throw Error(`Cannot deploy ${name} via CREATE2 without the release to salt it with`);
+		}
+		const { address, salt } = getCreate2Address({
+			name,
+			source,
+			release: this.create2Release,
+			bytecode,
+			abi,
+			args,
+		});
+		const initCode = new ethers.ContractFactory(abi, bytecode).getDeployTransaction(...args).data;
+		return { address, salt, data: ethers.utils.hexConcat([salt, initCode]) };
+	}
+
+	/**
+	 * Check the CREATE2 factory is deployed, deploying it on local networks and forks where it isn't
+	 */
+	ensureCreate2Factory() {
+		if (!this._create2Factory) {
+			this._create2Factory = this._ensureCreate2Factory();
+		}
+		return this._create2Factory;
+	}
+
+	async _ensureCreate2Factory() {
+		if ((await this.provider.getCode(CREATE2_FACTORY_ADDRESS)) !== '0x') {
+			return;
+		}
+		if (this.network !== 'local' && !this.useFork) {
+			throw Error(
+				`There is no CREATE2 factory at ${CREATE2_FACTORY_ADDRESS} on ${this.network}. Deploy it first, see https://github.com/Arachnid/deterministic-deployment-proxy`
+			);
+		}
+		console.log(gray(` - Deploying the CREATE2 factory to ${CREATE2_FACTORY_ADDRESS}`));
+
+		const overrides = await this.sendOverrides();
+		await this.transactionManager.send({
+			signer: this.signer,
+			overrides,
+			send: overrides =>
+				this.signer.sendTransaction(
+					Object.assign(
+						{ to: CREATE2_FACTORY_DEPLOYMENT.signer, value: CREATE2_FACTORY_DEPLOYMENT.funding },
+						overrides
+					)
+				),
+		});
+		const { hash } = await this.provider.sendTransaction(CREATE2_FACTORY_DEPLOYMENT.transaction);
+		await this.provider.waitForTransaction(hash);
+	}
+
 	checkBytesAreSafeForOVM(bytes) {
 		for (let i = 0; i < bytes.length; i += 2) {
 			const curByte = bytes.substr(i, 2);
@@ -127,27 +220,19 @@ class Deployer {
 			maxPriorityFeePerGas: this.maxPriorityFeePerGas,
 		});
 
-		const response = await this.signer.sendTransaction(tx);
-		await response.wait();
-
-		if (this.nonceManager) {
-			this.nonceManager.incrementNonce();
-		}
+		await this.transactionManager.send({
+			signer: this.signer,
+			send: overrides => this.signer.sendTransaction(Object.assign({}, tx, overrides)),
+		});
 	}
 
 	async sendOverrides() {
-		const params = await assignGasOptions({
+		return assignGasOptions({
 			tx: {},
 			provider: this.provider,
 			maxFeePerGas: this.maxFeePerGas,
 			maxPriorityFeePerGas: this.maxPriorityFeePerGas,
 		});
-
-		if (this.nonceManager) {
-			params.nonce = await this.nonceManager.getNonce();
-		}
-
-		return params;
 	}
 
 	async _deploy({ name, source, args = [], deps = [], force = false, dryRun = this.dryRun }) {
@@ -228,19 +313,96 @@ class Deployer {
 								: undefined,
 					});
 				});
-				deployedContract.address = '0x' + this._dryRunCounter.toString().padStart(40, '0');
+				deployedContract.address = this.usesCreate2({ name })
+					? this.evaluateCreate2Deployment({ name, source, abi: compiled.abi, bytecode, args })
+							.address
+					: '0x' + this._dryRunCounter.toString().padStart(40, '0');
 			} else {
-				const factory = new ethers.ContractFactory(compiled.abi, bytecode, this.signer);
+				// when resuming, reuse the deployment from a previous run if it made it on-chain
+				const resumed = this.journal ? await this.journal.resolveDeployment({ name }) : undefined;
+
+				const create2 = this.usesCreate2({ name })
+					? this.evaluateCreate2Deployment({ name, source, abi: compiled.abi, bytecode, args })
+					: undefined;
+				if (create2) {
+					await this.ensureCreate2Factory();
+				}
 
-				const overrides = await this.sendOverrides();
+				if (resumed) {
+					console.log(gray(` - Journal shows ${name} already deployed in ${resumed.hash}`));
+					deployedContract = this.makeContract({ abi: compiled.abi, address: resumed.address });
+					gasUsed = resumed.gasUsed;
+
+					if (this.gasReport && resumed.hash) {
+						await this.gasReport.recordDeployment({
+							name,
+							source,
+							receipt: await this.provider.getTransactionReceipt(resumed.hash),
+							resumed: true,
+						});
+					}
+				} else if (create2 && (await this.provider.getCode(create2.address)) !== '0x') {
+					// the same contract, args and release always deploy to the same address
+					console.log(gray(` - ${name} is already deployed via CREATE2 at ${create2.address}`));
+					deployedContract = this.makeContract({ abi: compiled.abi, address: create2.address });
+				} else {
+					const factory = new ethers.ContractFactory(compiled.abi, bytecode, this.signer);
+
+					const overrides = await this.sendOverrides();
+
+					let receipt;
+					try {
+						// a replacement has the same nonce (or salt), so deploys to the same address
+						receipt = await this.transactionManager.send({
+							signer: this.signer,
+							overrides,
+							send: async overrides => {
+								if (create2) {
+									deployedContract = this.makeContract({
+										abi: compiled.abi,
+										address: create2.address,
+									});
+									return this.signer.sendTransaction(
+										Object.assign({ to: CREATE2_FACTORY_ADDRESS, data: create2.data }, overrides)
+									);
+								}
+								deployedContract = await factory.deploy(...args, overrides);
+								return deployedContract.deployTransaction;
+							},
+							onSent: ({ hash }) => {
+								if (this.journal) {
+									this.journal.recordDeployment({
+										name,
+										source,
+										status: 'pending',
+										hash,
+										address: deployedContract.address,
+									});
+								}
+							},
+						});
+					} catch (err) {
+						if (this.journal) {
+							this.journal.recordDeployment({ name, source, status: 'failed', error: err.message });
+						}
+						throw err;
+					}
 
-				deployedContract = await factory.deploy(...args, overrides);
-				const receipt = await deployedContract.deployTransaction.wait();
+					gasUsed = receipt.gasUsed;
 
-				gasUsed = receipt.gasUsed;
+					if (this.gasReport) {
+						await this.gasReport.recordDeployment({ name, source, receipt });
+					}
 
-				if (this.nonceManager) {
-					this.nonceManager.incrementNonce();
+					if (this.journal) {
+						this.journal.recordDeployment({
+							name,
+							status: 'complete',
+							hash: receipt.transactionHash,
+							address: deployedContract.address,
+							gasUsed: gasUsed.toString(),
+						});
+					}
 				}
 			}
 			deployedContract.justDeployed = true; // indicate a fresh deployment occurred
@@ -337,7 +499,8 @@ class Deployer {
 		// now update the flags to indicate it no longer needs deployment,
 		// ignoring this step for local, which wants a full deployment by default
 		if (this.configFile && this.network !== 'local' && !this.dryRun) {
-			this.updatedConfig[name] = { deploy: false };
+			// keeping the other flags of the contract (i.e. create2)
+			this.updatedConfig[name] = Object.assign({}, this.updatedConfig[name], { deploy: false });
 			fs.writeFileSync(this.configFile, stringify(this.updatedConfig));
 		}
 	}
@@ -0,0 +1,441 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const ethers = require('ethers');
+const Database = require('better-sqlite3');
+const { gray, yellow } = require('chalk');
+
+const { getTarget, getSource, getVersions } = require('../..');
+
+const DEFAULTS = {
+	file: 'events.sqlite',
+	pageSize: 10000, // blocks per eth_getLogs, halved whenever the node rejects a range
+	// blocks behind the head past which a range is taken as final, those after it being fetched
+	// again on every sync in case a reorg replaced them
+	confirmations: 12,
+};
+
+// bumped whenever the tables change, which rebuilds the index of files made before
+const SCHEMA_VERSION = 1;
+
+// events and synced ranges are per label, as two labels may share an address (i.e. the proxies of
+// hUSD) and each is synced and queried on its own
+const SCHEMA = `
+	CREATE TABLE IF NOT EXISTS events (
+		block_number INTEGER NOT NULL,
+		log_index INTEGER NOT NULL,
+		transaction_hash TEXT NOT NULL,
+		address TEXT NOT NULL,
+		contract TEXT NOT NULL,
+		event TEXT NOT NULL,
+		args TEXT NOT NULL,
+		PRIMARY KEY (contract, block_number, log_index)
+	);
+	CREATE INDEX IF NOT EXISTS events_by_name ON events (contract, event, block_number);
+	CREATE TABLE IF NOT EXISTS synced_ranges (
+		contract TEXT NOT NULL,
+		address TEXT NOT NULL,
+		event TEXT NOT NULL,
+		from_block INTEGER NOT NULL,
+		to_block INTEGER NOT NULL
+	);
+	CREATE INDEX IF NOT EXISTS synced_ranges_by_key ON synced_ranges (contract, address, event);
+	CREATE TABLE IF NOT EXISTS deployed_at (
+		address TEXT PRIMARY KEY,
+		block_number INTEGER NOT NULL
+	);
+`;
+
+// errors from nodes refusing a getLogs range as too large, in their various wordings
+const RANGE_TOO_LARGE = /range|limit|too many|exceed|response size|timeout|-32005/i;
+
+// decoded event arguments as JSON, keyed by name in the order of the event's inputs
+const serializeArgs = ({ eventFragment, args }) =>
+	JSON.stringify(
+		eventFragment.inputs.reduce((memo, { name }, i) => {
+			const value = args[i];
+			memo[name || `arg${i}`] = ethers.BigNumber.isBigNumber(value) ? value.toString() : value;
+			return memo;
+		}, {}),
+		(key, value) =>
+			// BigNumbers nested in arrays or structs are serialized as { type, hex } otherwise
+			value && value.type === 'BigNumber' && value.hex
+				? ethers.BigNumber.from(value.hex).toString()
+				: value
+	);
+
+// like the args of an ethers event: positional, and by name
+const deserializeArgs = json => {
+	const named = JSON.parse(json);
+	return Object.entries(named).reduce((memo, [name, value], i) => {
+		memo[i] = value;
+		memo[name] = value;
+		return memo;
+	}, []);
+};
+
+class EventIndexer {
+	/**
+	 * Indexes the events of the deployment's contracts into a local SQLite file, for every address
+	 * each contract has had in versions.json as well as its current one. Logs are fetched in block
+	 * ranges which are recorded once stored, so an interrupted sync resumes where it stopped and
+	 * later syncs only fetch new blocks. Only ranges at least the given confirmations deep are
+	 * recorded: the blocks after them are indexed too, but fetched again by the next sync, which
+	 * replaces their logs so any a reorg removed are dropped.
+	 *
+	 * Events are decoded with the ABI of the current source, so events whose signature has since
+	 * changed are not indexed for older addresses.
+	 *
+	 * @param {string} deploymentPath The deployment folder, where the SQLite file is kept by default
+	 * @param {object} provider An ethers provider to fetch logs with
+	 * @param {string} file The SQLite file to use, defaults to events.sqlite in the deployment folder
+	 * @param {number} pageSize The initial number of blocks to fetch logs for at a time
+	 * @param {number} confirmations How far behind the head of the chain blocks are taken as final
+	 */
+	constructor({
+		network,
+		useOvm,
+		deploymentPath,
+		provider,
+		file,
+		pageSize = DEFAULTS.pageSize,
+		confirmations = DEFAULTS.confirmations,
+	}) {
+		this.network = network;
+		this.useOvm = useOvm;
+		this.deploymentPath = deploymentPath;
+		this.provider = provider;
+		this.file = file || path.join(deploymentPath, DEFAULTS.file);
+		this.pageSize = Number(pageSize);
+		this.confirmations = Number(confirmations);
+
+		this.db = new Database(this.file);
+		this._migrate();
+	}
+
+	_migrate() {
+		const version = this.db.pragma('user_version', { simple: true });
+		if (version < SCHEMA_VERSION) {
+			// only what was fetched from the chain is lost, so it is fetched again on the next sync
+			const { count } = this.db
+				.prepare(
+					"SELECT count(*) AS count FROM sqlite_master WHERE type = 'table' AND name = 'events'"
+				)
+				.get();
+			if (count) {
+				console.log(yellow(`  > Rebuilding the event index in ${this.file} for its new layout`));
+				this.db.exec('DROP TABLE IF EXISTS events; DROP TABLE IF EXISTS synced_ranges;');
+			}
+		}
+		this.db.exec(SCHEMA);
+		this.db.pragma(`user_version = ${SCHEMA_VERSION}`);
+	}
+
+	close() {
+		this.db.close();
+	}
+
+	_wrapped(fnc, args = {}) {
+		const { network, useOvm, deploymentPath } = this;
+		return fnc(Object.assign({ network, useOvm, deploymentPath, fs, path }, args));
+	}
+
+	/**
+	 * Every address of the contract, the current one last
+	 */
+	addressesOf({ contract }) {
+		let versions = [];
+		try {
+			versions = this._wrapped(getVersions, { byContract: true })[contract] || [];
+		} catch (err) {
+			// networks without a versions.json only have their current addresses
+		}
+		const target = this._wrapped(getTarget, { contract });
+		const addresses = versions
+			.map(({ address }) => address)
+			.concat(target ? [target.address] : [])
+			.map(address => ethers.utils.getAddress(address));
+		return Array.from(new Set(addresses));
+	}
+
+	_eventFragment({ contract, source, event }) {
+		if (!source) {
+			const target = this._wrapped(getTarget, { contract });
+			if (!target) {
+				throw Error(`${contract} is not in the deployment, please give its source`);
+			}
+			source = target.source;
+		}
+		const { abi } = this._wrapped(getSource, { contract: source });
+		const iface = new ethers.utils.Interface(abi);
+		return { iface, eventFragment: iface.getEvent(event) };
+	}
+
+	/**
+	 * The first block the address has code in, by bisecting on getCode (which needs an archive node)
+	 */
+	async deployedAt({ address }) {
+		const cached = this.db
+			.prepare('SELECT block_number FROM deployed_at WHERE address = ?')
+			.get(address);
+		if (cached) {
+			return cached.block_number;
+		}
+
+		let low = 0;
+		let high = await this.provider.getBlockNumber();
+		try {
+			while (low < high) {
+				const mid = Math.floor((low + high) / 2);
+				if ((await this.provider.getCode(address, mid)) === '0x') {
+					low = mid + 1;
+				} else {
+					high = mid;
+				}
+			}
+		} catch (err) {
+			console.log(
+				yellow(`  > Cannot find when ${address} was deployed (${err.message}), indexing from 0`)
+			);
+			return 0;
+		}
+
+		this.db
+			.prepare('INSERT OR REPLACE INTO deployed_at (address, block_number) VALUES (?, ?)')
+			.run(address, low);
+		return low;
+	}
+
+	_syncedRanges({ contract, address, event }) {
+		return this.db
+			.prepare(
+				'SELECT from_block, to_block FROM synced_ranges WHERE contract = ? AND address = ? AND event = ? ORDER BY from_block'
+			)
+			.all(contract, address, event)
+			.map(({ from_block: from, to_block: to }) => ({ from, to }));
+	}
+
+	// the parts of [fromBlock, toBlock] not yet synced
+	_gaps({ contract, address, event, fromBlock, toBlock }) {
+		const gaps = [];
+		let from = fromBlock;
+		for (const range of this._syncedRanges({ contract, address, event })) {
+			if (range.to < from) {
+				continue;
+			}
+			if (range.from > toBlock) {
+				break;
+			}
+			if (range.from > from) {
+				gaps.push({ from, to: range.from - 1 });
+			}
+			from = range.to + 1;
+		}
+		if (from <= toBlock) {
+			gaps.push({ from, to: toBlock });
+		}
+		return gaps;
+	}
+
+	// store a page of logs in place of any stored before for the same blocks, recording the range
+	// up to finalBlock as synced by merging it into adjacent ranges
+	_store({ address, contract, event, eventName, from, to, finalBlock, rows }) {
+		const insertEvent = this.db.prepare(
+			`INSERT OR REPLACE INTO events (block_number, log_index, transaction_hash, address, contract, event, args)
+			VALUES (@blockNumber, @logIndex, @transactionHash, @address, @contract, @event, @args)`
+		);
+		this.db.transaction(() => {
+			this.db
+				.prepare(
+					'DELETE FROM events WHERE contract = ? AND address = ? AND event = ? AND block_number BETWEEN ? AND ?'
+				)
+				.run(contract, address, eventName, from, to);
+			rows.forEach(row => insertEvent.run(row));
+
+			if (from > finalBlock) {
+				return;
+			}
+			to = Math.min(to, finalBlock);
+
+			const ranges = this._syncedRanges({ contract, address, event })
+				.concat({ from, to })
+				.sort((a, b) => a.from - b.from);
+			const merged = [];
+			for (const range of ranges) {
+				const last = merged[merged.length - 1];
+				if (last && range.from <= last.to + 1) {
+					last.to = Math.max(last.to, range.to);
+				} else {
+					merged.push(Object.assign({}, range));
+				}
+			}
+			this.db
+				.prepare('DELETE FROM synced_ranges WHERE contract = ? AND address = ? AND event = ?')
+				.run(contract, address, event);
+			const insertRange = this.db.prepare(
+				'INSERT INTO synced_ranges (contract, address, event, from_block, to_block) VALUES (?, ?, ?, ?, ?)'
+			);
+			merged.forEach(range => insertRange.run(contract, address, event, range.from, range.to));
+		})();
+	}
+
+	/**
+	 * Fetch and store the logs of an event from every address of a contract, for the blocks not yet
+	 * indexed between fromBlock (defaults to when each address was deployed) and toBlock
+	 *
+	 * @param {string} contract The label of the contract in the deployment, i.e. ProxyTribeone
+	 * @param {string} source The source with the event, if not the contract's own (i.e. Tribeone)
+	 * @param {string} event The name or signature of the event
+	 * @param {string} address Only this address, rather than every address of the contract
+	 * @returns {number} the number of logs fetched
+	 */
+	async sync({ contract, source, event, address: onlyAddress, fromBlock, toBlock }) {
+		const { iface, eventFragment } = this._eventFragment({ contract, source, event });
+		const topic = iface.getEventTopic(eventFragment);
+		const eventName = eventFragment.format();
+
+		const headBlock = await this.provider.getBlockNumber();
+		const finalBlock = headBlock - this.confirmations;
+		if (toBlock === undefined) {
+			toBlock = headBlock;
+		}
+
+		let fetched = 0;
+		const addresses = onlyAddress
+			? [ethers.utils.getAddress(onlyAddress)]
+			: this.addressesOf({ contract });
+		for (const address of addresses) {
+			const startBlock =
+				fromBlock === undefined ? await this.deployedAt({ address }) : Number(fromBlock);
+
+			for (const gap of this._gaps({
+				contract,
+				address,
+				event: eventName,
+				fromBlock: startBlock,
+				toBlock,
+			})) {
+				console.log(
+					gray(
+						`Indexing ${contract}.${eventFragment.name} at ${address} from block`,
+						yellow(gap.from),
+						'to',
+						yellow(gap.to)
+					)
+				);
+				let from = gap.from;
+				while (from <= gap.to) {
+					const to = Math.min(from + this.pageSize - 1, gap.to);
+					let logs;
+					try {
+						logs = await this.provider.getLogs({
+							address,
+							topics: [topic],
+							fromBlock: from,
+							toBlock: to,
+						});
+					} catch (err) {
+						if (to > from && RANGE_TOO_LARGE.test(err.message)) {
+							this.pageSize = Math.max(1, Math.floor(this.pageSize / 2));
+							continue;
+						}
+						throw err;
+					}
+
+					const rows = logs.map(log => ({
+						blockNumber: log.blockNumber,
+						logIndex: log.logIndex,
+						transactionHash: log.transactionHash,
+						address,
+						contract,
+						event: eventFragment.name,
+						args: serializeArgs({ eventFragment, args: iface.parseLog(log).args }),
+					}));
+					this._store({
+						address,
+						contract,
+						event: eventName,
+						eventName: eventFragment.name,
+						from,
+						to,
+						finalBlock,
+						rows,
+					});
+					fetched += rows.length;
+					from = to + 1;
+				}
+			}
+		}
+		return fetched;
+	}
+
+	/**
+	 * The last block the event has been indexed to for all addresses of the contract
+	 */
+	lastSyncedBlock({ contract, source, event }) {
+		const { eventFragment } = this._eventFragment({ contract, source, event });
+		const ends = this.addressesOf({ contract }).map(address => {
+			const ranges = this._syncedRanges({ contract, address, event: eventFragment.format() });
+			return ranges.length ? ranges[ranges.length - 1].to : undefined;
+		});
+		return ends.some(end => end === undefined) ? undefined : Math.min(...ends);
+	}
+
+	/**
+	 * The indexed events, oldest first
+	 *
+	 * @param {string} contract The label the events were synced with
+	 * @param {string} event The name of the event
+	 * @param {object} args Only the events with these argument values (addresses in any case)
+	 * @returns {Array} events as { blockNumber, logIndex, transactionHash, address, contract, event, args }
+	 */
+	query({ contract, event, address, args = {}, fromBlock, toBlock }) {
+		const conditions = [];
+		const params = [];
+		const where = (condition, ...values) => {
+			conditions.push(condition);
+			params.push(...values);
+		};
+
+		if (contract) where('contract = ?', contract);
+		if (event) where('event = ?', event);
+		if (address) where('address = ?', ethers.utils.getAddress(address));
+		if (fromBlock !== undefined) where('block_number >= ?', Number(fromBlock));
+		if (toBlock !== undefined) where('block_number <= ?', Number(toBlock));
+		for (const [name, value] of Object.entries(args)) {
+			if (!/^\w+$/.test(name)) {
+				throw Error(`Invalid argument name ${name}`);
+			}
+			if (typeof value === 'string' && ethers.utils.isAddress(value)) {
+				where(`lower(json_extract(args, '$.${name}')) = ?`, value.toLowerCase());
+			} else if (typeof value === 'boolean') {
+				where(`json_extract(args, '$.${name}') = ?`, value ? 1 : 0);
+			} else {
+				// as text, since small integers are JSON numbers and larger ones strings
+				where(`CAST(json_extract(args, '$.${name}') AS TEXT) = ?`, String(value));
+			}
+		}
+
+		return this.db
+			.prepare(
+				`SELECT * FROM events${
+					conditions.length ? ` WHERE ${conditions.join(' AND ')}` : ''
+				} ORDER BY block_number, log_index`
+			)
+			.all(...params)
+			.map(row => ({
+				blockNumber: row.block_number,
+				logIndex: row.log_index,
+				transactionHash: row.transaction_hash,
+				address: row.address,
+				contract: row.contract,
+				event: row.event,
+				args: deserializeArgs(row.args),
+			}));
+	}
+}
+
+EventIndexer.DEFAULTS = DEFAULTS;
+
+module.exports = EventIndexer;
@@ -0,0 +1,320 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const ethers = require('ethers');
+const { gray, yellow } = require('chalk');
+const { table } = require('table');
+
+const { stringify } = require('./util');
+
+const GAS_REPORT_FOLDER = 'gas-reports';
+
+const { formatEther, formatUnits } = ethers.utils;
+const ZERO = ethers.BigNumber.from(0);
+
+// the Optimism predeploy pricing the L1 data of L2 transactions
+const GAS_PRICE_ORACLE = {
+	address: '0x420000000000000000000000000000000000000F',
+	abi: ['function getL1Fee(bytes _data) view returns (uint256)'],
+};
+
+// the signed transaction as sent, which is what the L1 data fee is charged on
+const serializedOf = ({
+	type,
+	chainId,
+	nonce,
+	gasPrice,
+	maxFeePerGas,
+	maxPriorityFeePerGas,
+	gasLimit,
+	to,
+	value,
+	data,
+	accessList,
+	r,
+	s,
+	v,
+}) =>
+	ethers.utils.serializeTransaction(
+		Object.assign(
+			{ type, chainId, nonce, gasLimit, to, value, data },
+			type === 2 ? { maxFeePerGas, maxPriorityFeePerGas, accessList } : { gasPrice },
+			type === 1 ? { accessList } : {}
+		),
+		{ r, s, v }
+	);
+
+const sum = (entries, field) => entries.reduce((memo, entry) => memo.add(entry[field] || 0), ZERO);
+
+class GasReport {
+	/**
+	 * Collects the gas used and ETH spent by every deployment and transaction of a command run,
+	 * split between what the deployer executed and what was (or is still to be) executed by the owner.
+	 *
+	 * @param {string} command The name of the command being reported on
+	 * @param {object} provider An ethers provider used to look up gas prices and estimate owner actions
+	 */
+	constructor({ command, network, useOvm, account, provider }) {
+		this.command = command;
+		this.network = network;
+		this.useOvm = !!useOvm;
+		this.account = account;
+		this.provider = provider;
+		this.startedAt = new Date();
+		this.deployments = [];
+		this.transactions = [];
+		this.pendingOwnerActions = [];
+	}
+
+	static folderFor({ deploymentPath }) {
+		return path.join(deploymentPath, GAS_REPORT_FOLDER);
+	}
+
+	static pathFor({ deploymentPath, command }) {
+		return path.join(
+			GasReport.folderFor({ deploymentPath }),
+			`${command}-${new Date().toISOString().replace(/[:.]/g, '-')}.json`
+		);
+	}
+
+	async _costOf(receipt) {
+		let { effectiveGasPrice } = receipt;
+		// pre London receipts have no effective gas price, so use the one from the tx
+		if (!effectiveGasPrice) {
+			({ gasPrice: effectiveGasPrice } = await this.provider.getTransaction(
+				receipt.transactionHash
+			));
+		}
+
+		const l1Fee = await this._l1FeeOf(receipt);
+
+		return Object.assign(
+			{
+				hash: receipt.transactionHash,
+				gasUsed: receipt.gasUsed,
+				effectiveGasPrice,
+			},
+			this.useOvm ? { l1Fee } : {},
+			{ cost: receipt.gasUsed.mul(effectiveGasPrice).add(l1Fee) }
+		);
+	}
+
+	/**
+	 * On the OVM, transactions also pay for their data posted to L1, which is most of what they
+	 * cost. Optimism nodes give it in the receipt (which ethers leaves out of those it formats),
+	 * else it is priced by the GasPriceOracle.
+	 */
+	async _l1FeeOf({ transactionHash, blockNumber }) {
+		if (!this.useOvm) {
+			return ZERO;
+		}
+		try {
+			const { l1Fee } = await this.provider.send('eth_getTransactionReceipt', [transactionHash]);
+			if (l1Fee) {
+				return ethers.BigNumber.from(l1Fee);
+			}
+		} catch (err) {
+			// not a JSON-RPC provider, so ask the oracle
+		}
+		try {
+			const oracle = new ethers.Contract(
+				GAS_PRICE_ORACLE.address,
+				GAS_PRICE_ORACLE.abi,
+				this.provider
+			);
+			const tx = await this.provider.getTransaction(transactionHash);
+			return await oracle.getL1Fee(serializedOf(tx), { blockTag: blockNumber });
+		} catch (err) {
+			console.log(yellow(`Unable to find the L1 fee of ${transactionHash}: ${err.message}`));
+			return ZERO;
+		}
+	}
+
+	async recordDeployment({ name, source, receipt, resumed }) {
+		this.deployments.push(
+			Object.assign({ name, source, resumed }, await this._costOf(receipt), {
+				executedBy: 'deployer',
+			})
+		);
+	}
+
+	/**
+	 * @param {string} executedBy Either "deployer" or "owner" (when the owner signs directly, i.e. on a fork)
+	 */
+	async recordTransaction({ action, receipt, executedBy = 'deployer', resumed }) {
+		this.transactions.push(
+			Object.assign({ action, resumed }, await this._costOf(receipt), { executedBy })
+		);
+	}
+
+	/**
+	 * Owner actions deferred to the owner have no receipt, so estimate them as if sent by the owner
+	 */
+	async recordPendingOwnerAction({ action, target, data, owner }) {
+		let estimatedGas;
+		try {
+			estimatedGas = await this.provider.estimateGas({ from: owner, to: target, data });
+		} catch (err) {
+			// the estimate may fail when it depends on other pending owner actions
+		}
+		this.pendingOwnerActions.push({ action, target, estimatedGas });
+	}
+
+	async summary() {
+		const executed = this.deployments.concat(this.transactions);
+		const byDeployer = executed.filter(({ executedBy }) => executedBy === 'deployer');
+		const byOwner = executed.filter(({ executedBy }) => executedBy === 'owner');
+
+		const totals = entries =>
+			Object.assign(
+				{
+					transactions: entries.length,
+					gasUsed: sum(entries, 'gasUsed'),
+				},
+				this.useOvm ? { l1Fee: sum(entries, 'l1Fee') } : {},
+				{ cost: sum(entries, 'cost') }
+			);
+
+		const total = totals(executed);
+		const estimatedGas = sum(this.pendingOwnerActions, 'estimatedGas');
+		const gasPrice = this.pendingOwnerActions.length ? await this.provider.getGasPrice() : ZERO;
+
+		return {
+			deployer: totals(byDeployer),
+			owner: Object.assign(totals(byOwner), {
+				pending: this.pendingOwnerActions.length,
+				estimatedGas,
+				estimatedCost: estimatedGas.mul(gasPrice),
+			}),
+			total: Object.assign(total, {
+				// of the L2 execution alone, as the L1 fee is not priced per gas
+				effectiveGasPrice: total.gasUsed.isZero()
+					? ZERO
+					: total.cost.sub(total.l1Fee || ZERO).div(total.gasUsed),
+			}),
+		};
+	}
+
+	async toJSON() {
+		// gas as integers, prices in gwei and costs and fees in ETH, all as strings
+		const format = entry =>
+			Object.entries(entry).reduce((memo, [key, value]) => {
+				if (!ethers.BigNumber.isBigNumber(value)) {
+					memo[key] = value;
+				} else if (/price/i.test(key)) {
+					memo[key] = formatUnits(value, 'gwei');
+				} else if (/cost|fee/i.test(key)) {
+					memo[key] = formatEther(value);
+				} else {
+					memo[key] = value.toString();
+				}
+				return memo;
+			}, {});
+
+		const { deployer, owner, total } = await this.summary();
+
+		return {
+			command: this.command,
+			network: this.network,
+			useOvm: this.useOvm,
+			account: this.account,
+			startedAt: this.startedAt,
+			completedAt: new Date(),
+			deployments: this.deployments.map(format),
+			transactions: this.transactions.map(format),
+			pendingOwnerActions: this.pendingOwnerActions.map(format),
+			summary: {
+				deployer: format(deployer),
+				owner: format(owner),
+				total: format(total),
+			},
+		};
+	}
+
+	async write({ file }) {
+		const report = await this.toJSON();
+		fs.mkdirSync(path.dirname(file), { recursive: true });
+		fs.writeFileSync(file, stringify(report));
+		return report;
+	}
+
+	print({ report }) {
+		const { deployments, transactions, pendingOwnerActions, summary, useOvm } = report;
+		// the L1 data fee is only paid on the OVM
+		const l1Fee = entry => (useOvm ? [entry.l1Fee] : []);
+
+		console.log(gray(`\n------ GAS REPORT ------\n`));
+
+		const executed = deployments
+			.map(entry => Object.assign({ label: entry.name }, entry))
+			.concat(transactions.map(entry => Object.assign({ label: entry.action }, entry)));
+		if (executed.length) {
+			console.log(
+				table(
+					[
+						['Contract / Action', 'Executed by', 'Gas used', 'Gas price (gwei)']
+							.concat(l1Fee({ l1Fee: 'L1 fee (ETH)' }))
+							.concat('Cost (ETH)'),
+					].concat(
+						executed.map(entry =>
+							[
+								entry.resumed ? `${entry.label} ${gray('(previous run)')}` : entry.label,
+								entry.executedBy,
+								entry.gasUsed,
+								entry.effectiveGasPrice,
+							]
+								.concat(l1Fee(entry))
+								.concat(entry.cost)
+						)
+					)
+				)
+			);
+		}
+
+		if (pendingOwnerActions.length) {
+			console.log(gray('Pending owner actions:'));
+			console.log(
+				table(
+					[['Action', 'Estimated gas']].concat(
+						pendingOwnerActions.map(({ action, estimatedGas }) => [
+							action,
+							estimatedGas || yellow('unable to estimate'),
+						])
+					)
+				)
+			);
+		}
+
+		const { deployer, owner, total } = summary;
+		console.log(
+			table([
+				['', 'Transactions', 'Gas used'].concat(l1Fee({ l1Fee: 'L1 fee (ETH)' }), 'Cost (ETH)'),
+				['Deployer', deployer.transactions, deployer.gasUsed].concat(
+					l1Fee(deployer),
+					deployer.cost
+				),
+				['Owner', owner.transactions, owner.gasUsed].concat(l1Fee(owner), owner.cost),
+				// estimated from the gas alone, so without any L1 fee
+				['Owner (pending, estimated)', owner.pending, owner.estimatedGas].concat(
+					l1Fee({ l1Fee: '-' }),
+					owner.estimatedCost
+				),
+				['Total', total.transactions, total.gasUsed].concat(l1Fee(total), total.cost),
+			])
+		);
+		console.log(gray(`Effective gas price: ${total.effectiveGasPrice} gwei`));
+	}
+
+	/**
+	 * Write the JSON report and print the summary tables
+	 */
+	async report({ file }) {
+		const report = await this.write({ file });
+		this.print({ report });
+		console.log(gray(`Gas report written to ${file}`));
+		return report;
+	}
+}
+
+module.exports = GasReport;
@@ -0,0 +1,210 @@
+'use strict';
+
+const ethers = require('ethers');
+
+const DEFAULTS = {
+	address: '0xcA11bde05977b3631167028862bE2a173976CA11', // the same on every network it's deployed to
+	batchSize: 200,
+};
+
+const MULTICALL3_ABI = [
+	'function aggregate3(tuple(address target, bool allowFailure, bytes callData)[] calls) payable returns (tuple(bool success, bytes returnData)[] returnData)',
+];
+
+const chunk = (list, size) =>
+	Array.from({ length: Math.ceil(list.length / size) }, (_, i) =>
+		list.slice(i * size, (i + 1) * size)
+	);
+
+// the error ethers would throw for a call that reverted, with the reason if there is one
+const revertError = ({ target, fragment, returnData }) => {
+	let reason;
+	try {
+		if (ethers.utils.hexDataSlice(returnData, 0, 4) === '0x08c379a0') {
+			[reason] = ethers.utils.defaultAbiCoder.decode(
+				['string'],
+				ethers.utils.hexDataSlice(returnData, 4)
+			);
+		}
+	} catch (err) {}
+	return Object.assign(
+		new Error(
+			`call revert exception: ${target.address}.${fragment.format()}${
+				reason ? ` reverted with "${reason}"` : ''
+			}`
+		),
+		{ code: ethers.errors.CALL_EXCEPTION, reason, data: returnData }
+	);
+};
+
+class Multicall {
+	/**
+	 * Batches the view calls made in the same tick into Multicall3 aggregate3 calls, so reading many
+	 * values costs a few RPC requests rather than one each. Where Multicall3 is not deployed, the
+	 * calls are made one by one instead.
+	 *
+	 * @param {object} provider An ethers provider to call with
+	 * @param {string} address The Multicall3 to use (defaults to its address on every network it's deployed to)
+	 * @param {number} batchSize The most calls to aggregate into a single request
+	 * @param {function} limitPromise Limits how many requests are in flight at once (i.e. a p-limit)
+	 */
+	constructor({
+		provider,
+		address = DEFAULTS.address,
+		batchSize = DEFAULTS.batchSize,
+		limitPromise = fnc => fnc(),
+	}) {
+		this.provider = provider;
+		this.address = address || DEFAULTS.address;
+		this.batchSize = Number(batchSize);
+		this.limitPromise = limitPromise;
+		this.queue = [];
+		this.stats = { calls: 0, requests: 0 };
+	}
+
+	/**
+	 * @returns {Promise<boolean>} whether Multicall3 is deployed where expected
+	 */
+	isAvailable() {
+		if (!this._available) {
+			this._available = this.provider
+				.getCode(this.address)
+				.then(code => code !== '0x')
+				.catch(() => false);
+		}
+		return this._available;
+	}
+
+	/**
+	 * Queue a view call, to be made with the others queued in the same tick
+	 *
+	 * @param {object} target The ethers contract to call
+	 * @param {string} method The function name or signature
+	 * @param {Array} args The arguments of the call
+	 * @param {number|string} blockTag The block to read at, the latest by default
+	 * @returns {Promise} resolves to what calling the function on the contract would
+	 */
+	call({ target, method, args = [], blockTag }) {
+		const overrides = blockTag !== undefined ? [{ blockTag }] : [];
+
+		// only calls to ethers contracts can be encoded, anything else (i.e. the stubbed contracts
+		// of a dry run) is called directly
+		if (!target || !ethers.utils.Interface.isInterface(target.interface)) {
+			return Promise.resolve().then(() => target[method](...args, ...overrides));
+		}
+
+		return new Promise((resolve, reject) => {
+			const fragment = target.interface.getFunction(method);
+			this.queue.push({ target, fragment, args, blockTag, overrides, resolve, reject });
+			this.stats.calls++;
+			if (this.queue.length === 1) {
+				// wait for any other calls made before the next tick of the event loop
+				setImmediate(() => this.flush());
+			}
+		});
+	}
+
+	/**
+	 * @returns {object} the view functions of the contract by name (when not overloaded) and by
+	 * signature, each taking and returning what the contract's own would while being batched through here
+	 */
+	wrap(target, { blockTag } = {}) {
+		const fragments = Object.values(target.interface.functions).filter(({ constant }) => constant);
+		return fragments.reduce(
+			(memo, fragment) => {
+				const read = (...args) => {
+					// like an ethers contract, an extra last argument has the overrides
+					const overrides = args.length > fragment.inputs.length ? args.pop() : {};
+					return this.call({
+						target,
+						method: fragment.format(),
+						args,
+						blockTag: overrides.blockTag !== undefined ? overrides.blockTag : blockTag,
+					});
+				};
+				memo[fragment.format()] = read;
+				if (fragments.filter(({ name }) => name === fragment.name).length === 1) {
+					memo[fragment.name] = read;
+				}
+				return memo;
+			},
+			{ address: target.address, interface: target.interface }
+		);
+	}
+
+	async flush() {
+		const queue = this.queue;
+		this.queue = [];
+
+		// calls at different blocks cannot be aggregated together
+		const byBlock = queue.reduce((memo, entry) => {
+			const key = String(entry.blockTag);
+			memo[key] = (memo[key] || []).concat(entry);
+			return memo;
+		}, {});
+
+		const available = await this.isAvailable();
+
+		await Promise.all(
+			[].concat(
+				...Object.values(byBlock).map(entries =>
+					// a lone call gains nothing from being aggregated
+					available && entries.length > 1
+						? chunk(entries, this.batchSize).map(calls =>
+								this.limitPromise(() => this._aggregate({ calls }))
+						  )
+						: entries.map(entry => this.limitPromise(() => this._callDirectly(entry)))
+				)
+			)
+		);
+	}
+
+	async _callDirectly({ target, fragment, args, overrides, resolve, reject }) {
+		this.stats.requests++;
+		try {
+			resolve(await target.callStatic[fragment.format()](...args, ...overrides));
+		} catch (err) {
+			reject(err);
+		}
+	}
+
+	async _aggregate({ calls }) {
+		const multicall = new ethers.Contract(this.address, MULTICALL3_ABI, this.provider);
+
+		let results;
+		try {
+			this.stats.requests++;
+			results = await multicall.callStatic.aggregate3(
+				calls.map(({ target, fragment, args }) => ({
+					target: target.address,
+					allowFailure: true,
+					callData: target.interface.encodeFunctionData(fragment, args),
+				})),
+				...calls[0].overrides
+			);
+		} catch (err) {
+			// when the batch itself fails (i.e. it ran out of gas), make each call on its own
+			await Promise.all(calls.map(entry => this._callDirectly(entry)));
+			return;
+		}
+
+		results.forEach(({ success, returnData }, i) => {
+			const { target, fragment, resolve, reject } = calls[i];
+			if (!success) {
+				reject(revertError({ target, fragment, returnData }));
+				return;
+			}
+			try {
+				const result = target.interface.decodeFunctionResult(fragment, returnData);
+				// like an ethers contract, a single output is returned on its own
+				resolve(fragment.outputs.length === 1 ? result[0] : result);
+			} catch (err) {
+				reject(err);
+			}
+		});
+	}
+}
+
+Multicall.DEFAULTS = DEFAULTS;
+
+module.exports = Multicall;
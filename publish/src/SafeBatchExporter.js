@@ -0,0 +1,113 @@
+'use strict';
+
+const fs = require('fs');
+const ethers = require('ethers');
+const { getMultiSendCallOnlyDeployment } = require('@gnosis.pm/safe-deployments');
+
+const { networkToChainId } = require('../..');
+const { stringify } = require('./util');
+
+const OPERATION_CALL = 0;
+const OPERATION_DELEGATE_CALL = 1;
+
+const multiSendInterface = new ethers.utils.Interface(['function multiSend(bytes transactions)']);
+
+class SafeBatchExporter {
+	/**
+	 * Collects transactions for a Gnosis Safe to write them to disk, for signers who cannot use the
+	 * transaction service. Shares appendTransaction() with SafeBatchSubmitter so either can be used.
+	 *
+	 * @param {string} file The Transaction Builder JSON file to write, the MultiSend calldata is written alongside
+	 */
+	constructor({ network, useOvm, safeAddress, file }) {
+		// local networks share the chain id of a hardhat fork
+		this.chainId =
+			networkToChainId[`${network}${useOvm ? '-ovm' : ''}`] ||
+			(network === 'local' ? networkToChainId['mainnet-fork'] : undefined);
+		if (!this.chainId) {
+			throw Error(`Cannot export a safe batch for ${network}: unknown chain id`);
+		}
+
+		this.safeAddress = safeAddress;
+		this.file = file;
+		this.multiSendFile = file.replace(/(\.json)?$/, '.multisend.json');
+		this.transactions = [];
+	}
+
+	async appendTransaction({ to, value = '0', data }) {
+		const isDuplicate = this.transactions.some(
+			entry =>
+				entry.to.toLowerCase() === to.toLowerCase() && entry.data === data && entry.value === value
+		);
+		if (isDuplicate) {
+			return {};
+		}
+
+		this.transactions.push({ to, value, data });
+		return { appended: true };
+	}
+
+	/**
+	 * The batch in the format of the Safe app's Transaction Builder, for the "drag and drop" import
+	 */
+	toTransactionBuilder({ name, description = '' }) {
+		return {
+			version: '1.0',
+			chainId: this.chainId,
+			createdAt: Date.now(),
+			meta: {
+				name,
+				description,
+				txBuilderVersion: '1.16.1',
+				createdFromSafeAddress: this.safeAddress,
+				createdFromOwnerAddress: '',
+			},
+			transactions: this.transactions.map(({ to, value, data }) => ({
+				to,
+				value,
+				data,
+				contractMethod: null,
+				contractInputsValues: null,
+			})),
+		};
+	}
+
+	/**
+	 * The batch as a single safe transaction delegate-calling MultiSendCallOnly
+	 */
+	toMultiSend() {
+		const { chainId, safeAddress, transactions } = this;
+
+		const deployment =
+			getMultiSendCallOnlyDeployment({ network: chainId }) || getMultiSendCallOnlyDeployment();
+
+		const packed = ethers.utils.hexConcat(
+			transactions.map(({ to, value, data }) =>
+				ethers.utils.solidityPack(
+					['uint8', 'address', 'uint256', 'uint256', 'bytes'],
+					[OPERATION_CALL, to, value, ethers.utils.hexDataLength(data), data]
+				)
+			)
+		);
+
+		return {
+			chainId,
+			safe: safeAddress,
+			to: deployment.networkAddresses[chainId] || deployment.defaultAddress,
+			value: '0',
+			operation: OPERATION_DELEGATE_CALL,
+			data: multiSendInterface.encodeFunctionData('multiSend', [packed]),
+		};
+	}
+
+	write({ name, description }) {
+		const { file, multiSendFile, transactions } = this;
+
+		fs.writeFileSync(file, stringify(this.toTransactionBuilder({ name, description })));
+		fs.writeFileSync(multiSendFile, stringify(this.toMultiSend()));
+
+		return { transactions, file, multiSendFile };
+	}
+}
+
+module.exports = SafeBatchExporter;
@@ -1,5 +1,6 @@
 'use strict';
 
+const axios = require('axios');
 const ethers = require('ethers');
 const { EthersAdapter } = require('@gnosis.pm/safe-core-sdk');
 const GnosisSafe = require('@gnosis.pm/safe-core-sdk').default;
@@ -16,9 +17,53 @@ class SafeBatchSubmitter {
 			signer,
 		});
 
-		this.service = new SafeServiceClient(
-			`https://safe-transaction${network === 'goerli' ? '.goerli' : ''}.gnosis.io`
-		);
+		this.service = SafeBatchSubmitter.serviceFor({ network });
+	}
+
+	static serviceUrlFor({ network }) {
+		return `https://safe-transaction${network === 'goerli' ? '.goerli' : ''}.gnosis.io`;
+	}
+
+	static serviceFor({ network }) {
+		return new SafeServiceClient(SafeBatchSubmitter.serviceUrlFor({ network }));
+	}
+
+	/**
+	 * Fetch the executed and successful transactions of the safe, with any multi-send batches
+	 * flattened into their inner transactions. The service returns them a page at a time from the
+	 * newest, so pages are read until one reaches below the given nonce, or until the last.
+	 *
+	 * @param minNonce The oldest safe nonce of interest (all pages are read when not given)
+	 * @param get Fetches a URL, resolving to its JSON (defaults to axios)
+	 * @returns array of { to, data, safeTxHash, transactionHash, nonce }
+	 */
+	static async getExecutedTransactions({
+		network,
+		safeAddress,
+		minNonce,
+		get = url => axios.get(url).then(({ data }) => data),
+	}) {
+		let results = [];
+		let url = `${SafeBatchSubmitter.serviceUrlFor({
+			network,
+		})}/api/v1/safes/${safeAddress}/multisig-transactions/?executed=true&limit=100`;
+		while (url) {
+			const page = await get(url);
+			results = results.concat(page.results);
+			const reachedMinNonce =
+				minNonce !== undefined && page.results.some(({ nonce }) => Number(nonce) <= minNonce);
+			url = reachedMinNonce ? undefined : page.next;
+		}
+
+		return results
+			.filter(({ isExecuted, isSuccessful }) => isExecuted && isSuccessful)
+			.flatMap(({ to, data, dataDecoded, safeTxHash, transactionHash, nonce }) => {
+				const inner =
+					dataDecoded && dataDecoded.method === 'multiSend'
+						? dataDecoded.parameters[0].valueDecoded || []
+						: [{ to, data }];
+				return inner.map(({ to, data }) => ({ to, data, safeTxHash, transactionHash, nonce }));
+			});
 	}
 
 	async init() {
@@ -0,0 +1,357 @@
+'use strict';
+
+const ethers = require('ethers');
+const { gray, yellow } = require('chalk');
+
+const { sleep } = require('./util');
+
+const DEFAULTS = {
+	timeout: 180, // seconds
+	feeBump: 20, // percent, nodes require at least 10% to accept a replacement
+	maxBumps: 5,
+	pollInterval: 4, // seconds
+	confirmations: 1,
+};
+
+const { BigNumber } = ethers;
+const { formatUnits, getAddress } = ethers.utils;
+
+const maxOf = (a, b) => (BigNumber.from(a || 0).gt(b || 0) ? BigNumber.from(a) : BigNumber.from(b));
+
+// the fields of a sent transaction needed to send it again
+const toRequest = tx => {
+	const request = {
+		from: tx.from,
+		to: tx.to || undefined,
+		data: tx.data,
+		value: tx.value,
+		gasLimit: tx.gasLimit,
+		nonce: tx.nonce,
+	};
+	if (tx.type === 2) {
+		Object.assign(request, {
+			type: 2,
+			maxFeePerGas: tx.maxFeePerGas,
+			maxPriorityFeePerGas: tx.maxPriorityFeePerGas,
+		});
+	} else {
+		Object.assign(request, { gasPrice: tx.gasPrice });
+		if (tx.type === 1) {
+			Object.assign(request, { type: 1, accessList: tx.accessList });
+		}
+	}
+	return request;
+};
+
+const isSameCall = (tx, request) =>
+	(tx.to ? getAddress(tx.to) : null) === (request.to ? getAddress(request.to) : null) &&
+	tx.data === request.data &&
+	BigNumber.from(tx.value || 0).eq(request.value || 0);
+
+class TransactionManager {
+	/**
+	 * Sends transactions and watches them until they are mined, replacing any left pending past the
+	 * timeout with higher fees and detecting when their nonce was taken by another transaction.
+	 * When managing nonces, they are assigned per account from here rather than by the signer, and
+	 * transactions dropped by a reorg are sent again to fill the gap in the nonce sequence.
+	 *
+	 * @param {object} provider An ethers provider to watch transactions with
+	 * @param {boolean} manageNonces Whether to assign nonces here instead of leaving it to the signer
+	 * @param {number} timeout Seconds a transaction may stay pending before its fees are bumped
+	 * @param {number} feeBump The percentage fees are bumped by on each replacement
+	 * @param {number} maxBumps How many replacements to send before giving up on a transaction
+	 */
+	constructor({
+		provider,
+		manageNonces = false,
+		timeout = DEFAULTS.timeout,
+		feeBump = DEFAULTS.feeBump,
+		maxBumps = DEFAULTS.maxBumps,
+		pollInterval = DEFAULTS.pollInterval,
+		confirmations = DEFAULTS.confirmations,
+	} = {}) {
+		this.provider = provider;
+		this.manageNonces = manageNonces;
+		this.timeout = Number(timeout);
+		this.feeBump = Number(feeBump);
+		this.maxBumps = Number(maxBumps);
+		this.pollInterval = pollInterval;
+		this.confirmations = confirmations;
+		// the next nonce and the transactions sent by nonce, per account
+		this.accounts = {};
+	}
+
+	_accountFor(address) {
+		address = getAddress(address);
+		if (!this.accounts[address]) {
+			this.accounts[address] = {
+				nonce: undefined,
+				transactions: {},
+				// nonces given out whose transactions have not been sent yet
+				reserved: new Set(),
+				// settles once the last nonce asked for has been reserved
+				lock: Promise.resolve(),
+			};
+		}
+		return this.accounts[address];
+	}
+
+	/**
+	 * Reserve the next nonce of the signer. Nonces are given out one at a time per account and the
+	 * next one is taken before this returns, so sends made at once never share a nonce.
+	 */
+	async getNonce({ signer }) {
+		const address = await signer.getAddress();
+		const account = this._accountFor(address);
+
+		const reserve = account.lock.then(async () => {
+			const chainNonce = await this.provider.getTransactionCount(address, 'pending');
+
+			if (account.nonce === undefined || chainNonce > account.nonce) {
+				// first use, or the account has been used elsewhere in the meantime
+				account.nonce = chainNonce;
+			} else if (chainNonce < account.nonce) {
+				await this._recover({ address, account, chainNonce });
+			}
+
+			// after going back to a gap, step over those still being sent
+			while (account.reserved.has(account.nonce)) {
+				account.nonce++;
+			}
+			const nonce = account.nonce;
+			account.nonce = nonce + 1;
+			account.reserved.add(nonce);
+			console.log(gray(`  > Providing custom nonce: ${nonce}`));
+			return nonce;
+		});
+		// a failure to reserve one must not stop the next from being reserved
+		account.lock = reserve.catch(() => {});
+		return reserve;
+	}
+
+	/**
+	 * The node knows of fewer transactions than were sent: either it is lagging, or a reorg dropped
+	 * some of them, in which case they are sent again (or the sequence restarts from the gap).
+	 */
+	async _recover({ address, account, chainNonce }) {
+		for (let nonce = chainNonce; nonce < account.nonce; nonce++) {
+			if (account.reserved.has(nonce)) {
+				// given out and about to be sent
+				continue;
+			}
+			const entry = account.transactions[nonce];
+			if (!entry) {
+				console.log(yellow(`  > Nonce ${nonce} of ${address} was never mined, reusing it`));
+				account.nonce = nonce;
+				return;
+			}
+
+			const known = await Promise.all(entry.hashes.map(hash => this.provider.getTransaction(hash)));
+			if (known.some(tx => tx)) {
+				continue;
+			}
+
+			console.log(
+				yellow(`  > Tx for nonce ${nonce} of ${address} was dropped (reorg?). Sending it again.`)
+			);
+			try {
+				const tx = await entry.signer.sendTransaction(entry.request);
+				entry.hashes.push(tx.hash);
+			} catch (err) {
+				console.log(yellow(`  > Could not send it again (${err.message}), reusing nonce ${nonce}`));
+				account.nonce = nonce;
+				return;
+			}
+		}
+	}
+
+	/**
+	 * Send a transaction and wait for it, or for whichever of its replacements, to be mined
+	 *
+	 * @param {function} send Sends the transaction with the given overrides and returns its response
+	 * @param {function} onSent Called with the response of the transaction and of each of its replacements
+	 * @returns the receipt of the mined transaction
+	 */
+	async send({ signer, overrides = {}, send, onSent = () => {} }) {
+		let account;
+		let nonce;
+		if (this.manageNonces) {
+			account = this._accountFor(await signer.getAddress());
+			nonce = await this.getNonce({ signer });
+			overrides = Object.assign({}, overrides, { nonce });
+		}
+
+		let startBlock;
+		let tx;
+		try {
+			startBlock = await this.provider.getBlockNumber();
+			tx = await send(overrides);
+		} catch (err) {
+			// not sent, so its nonce is free to be used again
+			if (account) {
+				account.reserved.delete(nonce);
+			}
+			throw err;
+		}
+
+		// tracked before the reservation is released, so the nonce is never seen as unused
+		const entry = { signer, request: toRequest(tx), hashes: [tx.hash], startBlock };
+		this._accountFor(tx.from).transactions[tx.nonce] = entry;
+		if (account) {
+			account.reserved.delete(nonce);
+		}
+
+		onSent(tx);
+
+		return this._watch({ entry, onSent });
+	}
+
+	async _minedReceipt({ entry }) {
+		for (const hash of entry.hashes) {
+			const receipt = await this.provider.getTransactionReceipt(hash);
+			if (receipt && receipt.blockNumber) {
+				return receipt;
+			}
+		}
+	}
+
+	async _watch({ entry, onSent }) {
+		const { request } = entry;
+		let sentAt = Date.now();
+		let bumps = 0;
+
+		for (;;) {
+			const receipt = await this._minedReceipt({ entry });
+			if (receipt) {
+				return this._confirm({ receipt });
+			}
+
+			if ((await this.provider.getTransactionCount(request.from, 'latest')) > request.nonce) {
+				return this._resolveReplacement({ entry });
+			}
+
+			if (Date.now() - sentAt >= this.timeout * 1000) {
+				const hash = entry.hashes[entry.hashes.length - 1];
+				if (bumps >= this.maxBumps) {
+					throw Error(
+						`Tx ${hash} with nonce ${request.nonce} still pending after ${this.maxBumps} fee bumps`
+					);
+				}
+				bumps++;
+				console.log(
+					yellow(`  > Tx ${hash} pending for over ${this.timeout}s, replacing it (${bumps})`)
+				);
+				try {
+					const tx = await this._reprice({ entry });
+					entry.hashes.push(tx.hash);
+					onSent(tx);
+				} catch (err) {
+					// underpriced replacements are bumped again on the next timeout, and the
+					// nonce may have just been mined, which the next poll picks up
+					if (
+						!/underpriced|nonce too low|already known|nonce has already been used/i.test(
+							err.message
+						)
+					) {
+						throw err;
+					}
+					console.log(yellow(`  > Replacement not accepted: ${err.message}`));
+				}
+				sentAt = Date.now();
+			}
+
+			await sleep(this.pollInterval);
+		}
+	}
+
+	async _reprice({ entry }) {
+		const { request } = entry;
+		const feeData = await this.provider.getFeeData();
+		const bump = value =>
+			BigNumber.from(value)
+				.mul(100 + this.feeBump)
+				.div(100);
+
+		if (request.type === 2) {
+			request.maxPriorityFeePerGas = maxOf(
+				bump(request.maxPriorityFeePerGas),
+				feeData.maxPriorityFeePerGas
+			);
+			request.maxFeePerGas = maxOf(
+				maxOf(bump(request.maxFeePerGas), feeData.maxFeePerGas),
+				request.maxPriorityFeePerGas
+			);
+			console.log(
+				gray(
+					`  > Replacement max fee ${formatUnits(
+						request.maxFeePerGas,
+						'gwei'
+					)} GWEI, tip ${formatUnits(request.maxPriorityFeePerGas, 'gwei')} GWEI`
+				)
+			);
+		} else {
+			request.gasPrice = maxOf(bump(request.gasPrice), feeData.gasPrice);
+			console.log(gray(`  > Replacement gas price ${formatUnits(request.gasPrice, 'gwei')} GWEI`));
+		}
+
+		return entry.signer.sendTransaction(request);
+	}
+
+	/**
+	 * The nonce was mined but by none of the transactions sent here: find which one took it
+	 */
+	async _resolveReplacement({ entry }) {
+		// one of ours may have been mined since the last poll
+		const receipt = await this._minedReceipt({ entry });
+		if (receipt) {
+			return this._confirm({ receipt });
+		}
+
+		const { request } = entry;
+		const from = getAddress(request.from);
+		const latest = await this.provider.getBlockNumber();
+		for (let blockNumber = entry.startBlock; blockNumber <= latest; blockNumber++) {
+			const { transactions } = await this.provider.getBlockWithTransactions(blockNumber);
+			const replacement = transactions.find(
+				tx => getAddress(tx.from) === from && tx.nonce === request.nonce
+			);
+			if (!replacement) {
+				continue;
+			}
+			if (isSameCall(replacement, request)) {
+				console.log(
+					yellow(`  > Tx for nonce ${request.nonce} was repriced elsewhere, in ${replacement.hash}`)
+				);
+				return this._confirm({
+					receipt: await this.provider.getTransactionReceipt(replacement.hash),
+				});
+			}
+			const cancelled =
+				replacement.to &&
+				getAddress(replacement.to) === from &&
+				replacement.data === '0x' &&
+				BigNumber.from(replacement.value).isZero();
+			throw Error(
+				`Tx ${entry.hashes[0]} with nonce ${request.nonce} was ${
+					cancelled ? 'cancelled' : 'replaced'
+				} by ${replacement.hash}`
+			);
+		}
+
+		throw Error(`Nonce ${request.nonce} of ${from} was used by a transaction not sent from here`);
+	}
+
+	async _confirm({ receipt }) {
+		if (receipt.status === 0) {
+			throw Error(`Tx ${receipt.transactionHash} reverted`);
+		}
+		if (this.confirmations > 1) {
+			await this.provider.waitForTransaction(receipt.transactionHash, this.confirmations);
+		}
+		return receipt;
+	}
+}
+
+TransactionManager.DEFAULTS = DEFAULTS;
+
+module.exports = TransactionManager;
@@ -0,0 +1,49 @@
+'use strict';
+
+const fs = require('fs');
+const { gray, yellow } = require('chalk');
+
+const EventIndexer = require('../EventIndexer');
+
+/**
+ * The accounts to check for debt shares: those in the CSV export of holders when one is given,
+ * otherwise every account ever minted debt shares, from the indexed Mint events of TribeoneDebtShare
+ */
+const getDebtShareAccounts = async ({
+	network,
+	useOvm,
+	deploymentPath,
+	provider,
+	etherscanAddressCsv,
+}) => {
+	if (etherscanAddressCsv) {
+		// the first column of each row, after the header
+		return fs
+			.readFileSync(etherscanAddressCsv)
+			.toString('utf8')
+			.split('\n')
+			.slice(1)
+			.filter(line => line)
+			.map(line => JSON.parse(line.split(',')[0]));
+	}
+
+	const indexer = new EventIndexer({ network, useOvm, deploymentPath, provider });
+	try {
+		await indexer.sync({ contract: 'TribeoneDebtShare', event: 'Mint' });
+		const accounts = Array.from(
+			new Set(
+				indexer
+					.query({ contract: 'TribeoneDebtShare', event: 'Mint' })
+					.map(({ args }) => args.account)
+			)
+		);
+		console.log(gray('Found', yellow(accounts.length), 'accounts minted debt shares'));
+		return accounts;
+	} finally {
+		indexer.close();
+	}
+};
+
+module.exports = {
+	getDebtShareAccounts,
+};
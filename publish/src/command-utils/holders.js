@@ -0,0 +1,161 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const ethers = require('ethers');
+const pLimit = require('p-limit');
+const { gray, yellow } = require('chalk');
+
+const { wrap } = require('../../..');
+const EventIndexer = require('../EventIndexer');
+const Multicall = require('../Multicall');
+
+const DEFAULTS = {
+	concurrency: 10,
+};
+
+/**
+ * The labels of the proxies of a tribe, through which its Transfer events are emitted (hUSD has
+ * the ERC20 proxy as well as the legacy one)
+ */
+const proxiesOf = ({ currencyKey }) => [`Proxy${currencyKey}`, `ProxyERC20${currencyKey}`];
+
+/**
+ * The Transfer events of a tribe, oldest first, from every address its proxies have had in
+ * versions.json as well as their current ones. Logs are fetched in pages and kept in the indexer's
+ * SQLite file, so only blocks not yet indexed are fetched again.
+ *
+ * @param {EventIndexer} indexer The indexer to sync and query with
+ * @param {string} currencyKey The tribe, i.e. hETH
+ * @param {string} proxyAddress Only the transfers through this proxy, rather than its proxies'
+ * @param {object} args Only the transfers with these argument values (i.e. { to })
+ * @returns {Array} events as EventIndexer.query() returns them
+ */
+const getTribeTransfers = async ({
+	indexer,
+	currencyKey,
+	proxyAddress,
+	fromBlock,
+	toBlock,
+	args,
+}) => {
+	const [proxy] = proxiesOf({ currencyKey });
+	const sources = proxyAddress
+		? [{ contract: proxy, address: proxyAddress }]
+		: proxiesOf({ currencyKey }).map(contract => ({ contract }));
+
+	const transfers = {};
+	for (const { contract, address } of sources) {
+		if (!address && !indexer.addressesOf({ contract }).length) {
+			continue;
+		}
+		// the proxies only forward what the tribe emits, so its ERC20 ABI decodes them
+		await indexer.sync({
+			contract,
+			source: 'Tribeone',
+			event: 'Transfer',
+			address,
+			fromBlock,
+			toBlock,
+		});
+		// by log, as the proxies of hUSD share an address and so each has the same transfers
+		indexer
+			.query({ contract, event: 'Transfer', address, args, fromBlock, toBlock })
+			.forEach(transfer => (transfers[`${transfer.blockNumber}.${transfer.logIndex}`] = transfer));
+	}
+	return Object.values(transfers).sort(
+		(a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex
+	);
+};
+
+/**
+ * The balance of every account the transfers have touched, with issues as transfers from the zero
+ * address and burns as those to it
+ */
+const balancesFromTransfers = ({ transfers }) =>
+	transfers.reduce((memo, { args: { from, to, value } }) => {
+		if (from !== ethers.constants.AddressZero) {
+			memo[from] = (memo[from] || ethers.constants.Zero).sub(value);
+		}
+		if (to !== ethers.constants.AddressZero) {
+			memo[to] = (memo[to] || ethers.constants.Zero).add(value);
+		}
+		return memo;
+	}, {});
+
+/**
+ * The holders of a tribe and their balances, rebuilt from its Transfer events rather than from an
+ * explorer's API, so it works on forks and networks without one. The balances are checked against
+ * the tribe's TokenState, where they are kept, and the TokenState's are used where they differ.
+ *
+ * @returns {Array} the holders with a balance as { address, balance }, the largest first
+ */
+const getTribeHolders = async ({
+	network,
+	useOvm,
+	deploymentPath,
+	provider,
+	currencyKey,
+	proxyAddress,
+	toBlock,
+	concurrency = DEFAULTS.concurrency,
+}) => {
+	const indexer = new EventIndexer({ network, useOvm, deploymentPath, provider });
+	let transfers;
+	try {
+		transfers = await getTribeTransfers({ indexer, currencyKey, proxyAddress, toBlock });
+	} finally {
+		indexer.close();
+	}
+
+	const balances = balancesFromTransfers({ transfers });
+	const accounts = Object.keys(balances);
+	console.log(
+		gray(
+			'Found',
+			yellow(accounts.length),
+			`accounts in ${transfers.length} transfers of ${currencyKey}`
+		)
+	);
+
+	const { getTarget, getSource } = wrap({ network, useOvm, deploymentPath, fs, path });
+	const tokenState = getTarget({ contract: `TokenState${currencyKey}` });
+	if (tokenState) {
+		const TokenState = new ethers.Contract(
+			tokenState.address,
+			getSource({ contract: tokenState.source }).abi,
+			provider
+		);
+		const multicall = new Multicall({ provider, limitPromise: pLimit(Number(concurrency)) });
+		const blockTag = toBlock !== undefined ? Number(toBlock) : undefined;
+		const actual = await Promise.all(
+			accounts.map(account =>
+				multicall.call({ target: TokenState, method: 'balanceOf', args: [account], blockTag })
+			)
+		);
+		const differing = accounts.filter((account, i) => !actual[i].eq(balances[account]));
+		if (differing.length) {
+			console.log(
+				yellow(
+					`⚠ ${differing.length} balances rebuilt from the transfers differ from those of TokenState${currencyKey}, using the latter`
+				)
+			);
+		}
+		accounts.forEach((account, i) => (balances[account] = actual[i]));
+	}
+
+	const holders = accounts
+		.filter(account => balances[account].gt(0))
+		.map(address => ({ address, balance: balances[address] }))
+		.sort((a, b) => (b.balance.gt(a.balance) ? 1 : b.balance.lt(a.balance) ? -1 : 0));
+	console.log(gray('Of which', yellow(holders.length), 'hold', currencyKey));
+	return holders;
+};
+
+module.exports = {
+	DEFAULTS,
+	proxiesOf,
+	getTribeTransfers,
+	balancesFromTransfers,
+	getTribeHolders,
+};
@@ -416,7 +416,7 @@ const linkToMarketManager = async ({
 	const managerKnownMarkets = Array.from(
 		await futuresMarketManager['allMarkets(bool)'](true)
 	).sort();
-	
+
 	const { toKeep, toAdd, toRemove } = filteredLists(managerKnownMarkets, proxies);
 
 	if (!onlyRemoveUnusedProxies) {
@@ -537,10 +537,69 @@ const importAddresses = async ({ deployer, runStep, addressOf, limitPromise }) =
 	});
 };
 
+// the per market settings of PerpsV2MarketSettings, in the order they are set, and the unit they
+// are given in perpsv2-markets.json: decimals are converted to wei, all others are set as they are
+const marketSettingUnits = {
+	takerFee: 'decimal',
+	makerFee: 'decimal',
+	takerFeeDelayedOrder: 'decimal',
+	makerFeeDelayedOrder: 'decimal',
+	takerFeeOffchainDelayedOrder: 'decimal',
+	makerFeeOffchainDelayedOrder: 'decimal',
+	nextPriceConfirmWindow: 'blocks',
+	delayedOrderConfirmWindow: 'seconds',
+	minDelayTimeDelta: 'seconds',
+	maxDelayTimeDelta: 'seconds',
+	offchainDelayedOrderMinAge: 'seconds',
+	offchainDelayedOrderMaxAge: 'seconds',
+	maxLeverage: 'decimal',
+	maxMarketValue: 'decimal',
+	maxFundingVelocity: 'decimal',
+	skewScale: 'decimal',
+	offchainMarketKey: 'bytes32',
+	offchainPriceDivergence: 'decimal',
+	liquidationPremiumMultiplier: 'decimal',
+	maxLiquidationDelta: 'decimal',
+	liquidationBufferRatio: 'decimal',
+	maxPD: 'decimal',
+};
+
+/**
+ * The values to set for each of the settings of a market, as stored on chain
+ */
+const getMarketSettings = ({ marketConfig }) =>
+	Object.entries(marketSettingUnits).reduce((memo, [setting, unit]) => {
+		const value = marketConfig[setting];
+		if (unit === 'decimal') {
+			memo[setting] = ethers.utils.parseUnits(value).toString();
+		} else if (unit === 'bytes32') {
+			memo[setting] = toBytes32(value);
+		} else {
+			memo[setting] = value;
+		}
+		return memo;
+	}, {});
+
+/**
+ * A value of a setting as stored on chain, in the unit of perpsv2-markets.json
+ */
+const formatMarketSetting = ({ setting, value }) => {
+	const unit = marketSettingUnits[setting];
+	if (value === undefined) {
+		return '-';
+	} else if (unit === 'decimal') {
+		return ethers.utils.formatUnits(value).replace(/\.0$/, '');
+	} else if (unit === 'bytes32') {
+		return ethers.utils.parseBytes32String(value);
+	}
+	return `${value} ${unit}`;
+};
+
+const settingSetter = setting => `set${setting.charAt(0).toUpperCase()}${setting.slice(1)}`;
+
 const configureMarket = async ({
 	runStep,
 	deployer,
-	newMarket,
 	generateSolidity,
 	yes,
 	confirmAction,
@@ -549,47 +608,9 @@ const configureMarket = async ({
 	perpsV2MarketSettings,
 }) => {
 	const marketKeyBytes = toBytes32(marketConfig.marketKey);
-	const offchainMarketKey = marketConfig.offchainMarketKey;
-
-	const settings = {
-		takerFee: ethers.utils.parseUnits(marketConfig.takerFee).toString(),
-		makerFee: ethers.utils.parseUnits(marketConfig.makerFee).toString(),
-		takerFeeDelayedOrder: ethers.utils.parseUnits(marketConfig.takerFeeDelayedOrder).toString(),
-		makerFeeDelayedOrder: ethers.utils.parseUnits(marketConfig.makerFeeDelayedOrder).toString(),
-		takerFeeOffchainDelayedOrder: ethers.utils
-			.parseUnits(marketConfig.takerFeeOffchainDelayedOrder)
-			.toString(),
-		makerFeeOffchainDelayedOrder: ethers.utils
-			.parseUnits(marketConfig.makerFeeOffchainDelayedOrder)
-			.toString(),
-		nextPriceConfirmWindow: marketConfig.nextPriceConfirmWindow,
-		delayedOrderConfirmWindow: marketConfig.delayedOrderConfirmWindow,
-		minDelayTimeDelta: marketConfig.minDelayTimeDelta,
-		maxDelayTimeDelta: marketConfig.maxDelayTimeDelta,
-		offchainDelayedOrderMinAge: marketConfig.offchainDelayedOrderMinAge,
-		offchainDelayedOrderMaxAge: marketConfig.offchainDelayedOrderMaxAge,
-		maxLeverage: ethers.utils.parseUnits(marketConfig.maxLeverage).toString(),
-		maxMarketValue: ethers.utils.parseUnits(marketConfig.maxMarketValue).toString(),
-		maxFundingVelocity: ethers.utils.parseUnits(marketConfig.maxFundingVelocity).toString(),
-		skewScale: ethers.utils.parseUnits(marketConfig.skewScale).toString(),
-		offchainMarketKey: toBytes32(offchainMarketKey).toString(),
-		offchainPriceDivergence: ethers.utils
-			.parseUnits(marketConfig.offchainPriceDivergence)
-			.toString(),
-		liquidationPremiumMultiplier: ethers.utils
-			.parseUnits(marketConfig.liquidationPremiumMultiplier)
-			.toString(),
-		maxLiquidationDelta: ethers.utils.parseUnits(marketConfig.maxLiquidationDelta).toString(),
-		liquidationBufferRatio: ethers.utils.parseUnits(marketConfig.liquidationBufferRatio).toString(),
-		maxPD: ethers.utils.parseUnits(marketConfig.maxPD).toString(),
-	};
+	const settings = getMarketSettings({ marketConfig });
 
 	for (const setting in settings) {
-		if (setting == 'maxFundingVelocity' || setting == 'skewScale') {
-			continue;
-		}
-		
-		const capSetting = setting.charAt(0).toUpperCase() + setting.slice(1);
 		const value = settings[setting];
 
 		await runStep({
@@ -598,34 +619,32 @@ const configureMarket = async ({
 			read: setting,
 			readArg: [marketKeyBytes],
 			expected: input => input === value,
-			write: `set${capSetting}`,
+			write: settingSetter(setting),
 			writeArg: [marketKeyBytes, value],
 		});
 	}
 
-	if (newMarket) {
-		// pause or resume market according to config
-		await setPausedMode({
-			paused: marketConfig.paused,
-			marketKey,
-			runStep,
-			deployer,
-			generateSolidity,
-			yes,
-			confirmAction,
-		});
+	// pause or resume market according to config
+	await setPausedMode({
+		paused: marketConfig.paused,
+		marketKey,
+		runStep,
+		deployer,
+		generateSolidity,
+		yes,
+		confirmAction,
+	});
 
-		// pause or resume offchain market according to config
-		await setPausedMode({
-			paused: marketConfig.offchainPaused,
-			marketKey: offchainMarketKey,
-			runStep,
-			deployer,
-			generateSolidity,
-			yes,
-			confirmAction,
-		});
-	}
+	// pause or resume offchain market according to config
+	await setPausedMode({
+		paused: marketConfig.offchainPaused,
+		marketKey: marketConfig.offchainMarketKey,
+		runStep,
+		deployer,
+		generateSolidity,
+		yes,
+		confirmAction,
+	});
 };
 
 async function setPausedMode({
@@ -755,6 +774,10 @@ module.exports = {
 	linkToState,
 	linkToMarketManager,
 	configureMarket,
+	marketSettingUnits,
+	getMarketSettings,
+	formatMarketSetting,
+	settingSetter,
 	importAddresses,
 	rebuildCaches,
 	pauseMarket,
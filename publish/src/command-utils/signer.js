@@ -0,0 +1,179 @@
+'use strict';
+
+const fs = require('fs');
+const readline = require('readline');
+const ethers = require('ethers');
+const { gray } = require('chalk');
+
+const DEFAULTS = {
+	derivationPath: "m/44'/60'/0'/0/0",
+};
+
+/**
+ * A signer that delegates signing to a remote JSON-RPC service through eth_signTransaction
+ * (Clef, Web3Signer or a local stand-in), broadcasting signed transactions via its own provider
+ */
+class RemoteSigner extends ethers.Signer {
+	constructor({ url, address, provider }) {
+		super();
+		this.url = url;
+		this.provider = provider;
+		this._id = 0;
+		if (address) {
+			this.address = ethers.utils.getAddress(address);
+		}
+	}
+
+	async _send(method, params) {
+		const { result, error } = await ethers.utils.fetchJson(
+			this.url,
+			JSON.stringify({ jsonrpc: '2.0', id: ++this._id, method, params })
+		);
+		if (error) {
+			throw Error(`Remote signer ${method} failed: ${error.message}`);
+		}
+		return result;
+	}
+
+	async getAddress() {
+		if (!this.address) {
+			const [address] = await this._send('eth_accounts', []);
+			if (!address) {
+				throw Error(`Remote signer at ${this.url} has no accounts`);
+			}
+			this.address = ethers.utils.getAddress(address);
+		}
+		return this.address;
+	}
+
+	connect(provider) {
+		return new RemoteSigner({ url: this.url, address: this.address, provider });
+	}
+
+	async signTransaction(transaction) {
+		const tx = await ethers.utils.resolveProperties(transaction);
+		const request = ethers.providers.JsonRpcProvider.hexlifyTransaction(
+			Object.assign({}, tx, { from: await this.getAddress() }),
+			{ from: true }
+		);
+		const result = await this._send('eth_signTransaction', [request]);
+		// geth and clef respond with { raw, tx }, others with the raw tx alone
+		return typeof result === 'string' ? result : result.raw;
+	}
+
+	async signMessage(message) {
+		const data = typeof message === 'string' ? ethers.utils.toUtf8Bytes(message) : message;
+		return this._send('personal_sign', [ethers.utils.hexlify(data), await this.getAddress()]);
+	}
+}
+
+const promptPassword = prompt =>
+	new Promise(resolve => {
+		const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+		process.stdout.write(prompt);
+		// do not echo the password back
+		rl._writeToOutput = () => {};
+		rl.question('', answer => {
+			rl.close();
+			process.stdout.write('\n');
+			resolve(answer);
+		});
+	});
+
+// mirrors loadConnections: mainnet reads DEPLOY_* and all other networks TESTNET_DEPLOY_*
+const loadSignerEnv = ({ network }) => {
+	const env = name => process.env[network === 'mainnet' ? name : `TESTNET_${name}`];
+	return {
+		keystore: env('DEPLOY_KEYSTORE'),
+		mnemonic: env('DEPLOY_MNEMONIC'),
+		remoteSigner: env('DEPLOY_REMOTE_SIGNER'),
+		privateKey: env('DEPLOY_PRIVATE_KEY'),
+	};
+};
+
+const fromBackend = async ({
+	keystore,
+	mnemonic,
+	derivationPath = DEFAULTS.derivationPath,
+	remoteSigner,
+	remoteSignerAddress,
+	privateKey,
+	network,
+	provider,
+}) => {
+	let signer;
+	if (remoteSigner) {
+		signer = new RemoteSigner({ url: remoteSigner, address: remoteSignerAddress, provider });
+		await signer.getAddress();
+		console.log(gray(`Using remote signer at ${remoteSigner}`));
+	} else if (keystore) {
+		const password =
+			process.env[
+				network === 'mainnet' ? 'DEPLOY_KEYSTORE_PASSWORD' : 'TESTNET_DEPLOY_KEYSTORE_PASSWORD'
+			] || (await promptPassword(`Password for keystore ${keystore}: `));
+		signer = (
+			await ethers.Wallet.fromEncryptedJson(fs.readFileSync(keystore, 'utf8'), password)
+		).connect(provider);
+		console.log(gray(`Using keystore ${keystore}`));
+	} else if (mnemonic) {
+		signer = ethers.Wallet.fromMnemonic(mnemonic, derivationPath).connect(provider);
+		console.log(gray(`Using mnemonic at derivation path ${derivationPath}`));
+	} else if (privateKey) {
+		signer = new ethers.Wallet(privateKey, provider);
+	}
+	return signer;
+};
+
+/**
+ * Build the signer for a command from the first configured backend, CLI options taking
+ * precedence over the .env file (which is only consulted when useEnv is set)
+ *
+ * @returns an ethers signer connected to the provider, or undefined when none is configured
+ */
+const getSigner = async ({
+	network,
+	provider,
+	useEnv = true,
+	privateKey,
+	keystore,
+	mnemonic,
+	derivationPath,
+	remoteSigner,
+	remoteSignerAddress,
+}) => {
+	const options = { keystore, mnemonic, remoteSigner, privateKey };
+	const given = Object.keys(options).filter(key => options[key]);
+	if (given.length > 1) {
+		throw Error(`Only one signer can be used, but got options for: ${given.join(', ')}`);
+	}
+
+	const backend = given.length || !useEnv ? options : loadSignerEnv({ network });
+
+	return fromBackend(
+		Object.assign({}, backend, { derivationPath, remoteSignerAddress, network, provider })
+	);
+};
+
+const addSignerOptions = command =>
+	command
+		.option(
+			'--keystore <file>',
+			'Sign with this encrypted JSON keystore (password from DEPLOY_KEYSTORE_PASSWORD or prompted)'
+		)
+		.option('--mnemonic <phrase>', 'Sign with the account of this mnemonic')
+		.option(
+			'--derivation-path <value>',
+			'The derivation path of the account in the mnemonic',
+			DEFAULTS.derivationPath
+		)
+		.option('--remote-signer <url>', 'Sign via eth_signTransaction on this JSON-RPC endpoint')
+		.option(
+			'--remote-signer-address <value>',
+			'The account of the remote signer to use (defaults to its first account)'
+		);
+
+module.exports = {
+	RemoteSigner,
+	getSigner,
+	addSignerOptions,
+};
@@ -6,6 +6,7 @@ const {
 	assignGasOptions,
 } = require('../util');
 const { gray, yellow, green, redBright } = require('chalk');
+const TransactionManager = require('../TransactionManager');
 
 let _dryRunCounter = 0;
 
@@ -34,9 +35,14 @@ const performTransactionalStep = async ({
 	ownerActionsFile,
 	dryRun,
 	encodeABI,
-	nonceManager,
+	transactionManager,
 	publiclyCallable,
 	useFork,
+	journal,
+	ownerSigner,
+	safeBatch,
+	gasReport,
+	multicall, // when given, the read is batched with any others made at the same time
 }) => {
 	const argumentsForWriteFunction = [].concat(writeArg).filter(entry => entry !== undefined); // reduce to array of args
 	const action = `${contract}.${write}(${argumentsForWriteFunction.map(arg => {
@@ -53,11 +59,30 @@ const performTransactionalStep = async ({
 	// check to see if action required
 	console.log(yellow(`Attempting action: ${action}`));
 
+	// when resuming from a journal, skip anything already mined in a previous run
+	const journalKey = journal ? journal.stepKey({ action }) : undefined;
+	if (journal) {
+		const resumed = await journal.resolveStep({ key: journalKey });
+		if (resumed) {
+			console.log(gray(`Journal shows this action already completed in hash: ${resumed.hash}`));
+			if (gasReport) {
+				await gasReport.recordTransaction({
+					action,
+					receipt: await target.provider.getTransactionReceipt(resumed.hash),
+					resumed: true,
+				});
+			}
+			return { mined: true, hash: resumed.hash };
+		}
+	}
+
 	if (read) {
 		const argumentsForReadFunction = [].concat(readArg).filter(entry => entry !== undefined); // reduce to array of args
 		let response;
 		try {
-			response = await readTarget[read](...argumentsForReadFunction);
+			response = await (multicall
+				? multicall.call({ target: readTarget, method: read, args: argumentsForReadFunction })
+				: readTarget[read](...argumentsForReadFunction));
 		} catch (err) {
 			if (generateSolidity || useFork) {
 				console.log(
@@ -82,6 +107,9 @@ const performTransactionalStep = async ({
 		// reason to skip
 		if (response !== undefined && expected(response)) {
 			console.log(gray(`Nothing required for this action.`));
+			if (journal) {
+				journal.recordStep({ key: journalKey, action, status: 'noop' });
+			}
 			return { noop: true };
 		}
 	}
@@ -98,6 +126,53 @@ const performTransactionalStep = async ({
 		return {};
 	}
 
+	// send the write transaction from the given signer, tracking it (and any replacement) in the journal if any
+	const sendWrite = async ({ txSigner, status }) => {
+		const overrides = await assignGasOptions({
+			tx: {},
+			provider: target.provider,
+			maxFeePerGas,
+			maxPriorityFeePerGas,
+		});
+
+		let receipt;
+		try {
+			receipt = await (
+				transactionManager || new TransactionManager({ provider: target.provider })
+			).send({
+				signer: txSigner,
+				overrides,
+				send: overrides => target.connect(txSigner)[write](...argumentsForWriteFunction, overrides),
+				onSent: tx => {
+					if (journal) {
+						journal.recordStep({ key: journalKey, action, status: 'pending', hash: tx.hash });
+					}
+				},
+			});
+		} catch (err) {
+			if (journal) {
+				journal.recordStep({ key: journalKey, action, status: 'failed', error: err.message });
+			}
+			throw err;
+		}
+
+		const { transactionHash: hash, gasUsed } = receipt;
+
+		if (gasReport) {
+			await gasReport.recordTransaction({
+				action,
+				receipt,
+				executedBy: status === 'owner-action' ? 'owner' : 'deployer',
+			});
+		}
+
+		if (journal) {
+			journal.recordStep({ key: journalKey, status, hash, gasUsed: gasUsed.toString() });
+		}
+
+		return { hash, gasUsed };
+	};
+
 	// otherwise check the owner
 	const owner = await target.owner();
 
@@ -109,28 +184,10 @@ const performTransactionalStep = async ({
 			_dryRunCounter++;
 			hash = '0x' + _dryRunCounter.toString().padStart(64, '0');
 		} else {
-			const overrides = await assignGasOptions({
-				tx: {},
-				provider: target.provider,
-				maxFeePerGas,
-				maxPriorityFeePerGas,
-			});
-
-			if (nonceManager) {
-				overrides.nonce = await nonceManager.getNonce();
-			}
-
-			target = target.connect(signer);
-
-			const tx = await target[write](...argumentsForWriteFunction, overrides);
-			const receipt = await tx.wait();
-
-			hash = receipt.transactionHash;
-			gasUsed = receipt.gasUsed;
-
-			if (nonceManager) {
-				nonceManager.incrementNonce();
-			}
+			({ hash, gasUsed } = await sendWrite({
+				txSigner: signer,
+				status: 'complete',
+			}));
 		}
 
 		console.log(
@@ -143,12 +200,40 @@ const performTransactionalStep = async ({
 			)
 		);
 
-		return { mined: true, hash };
+		return { mined: true, hash, gasUsed };
 	} else {
 		console.log(gray(`  > Account ${signer ? signer.address : ''} is not owner ${owner}`));
 	}
 
-	let data;
+	// when the owner can sign directly (i.e. impersonated on a fork), execute the owner action now
+	if (ownerSigner && !dryRun && owner === (await ownerSigner.getAddress())) {
+		const { hash, gasUsed } = await sendWrite({
+			txSigner: ownerSigner,
+			status: 'owner-action',
+		});
+
+		console.log(
+			green(
+				`Successfully completed owner action ${action} in hash: ${hash}. Gas used: ${(
+					gasUsed / 1e6
+				).toFixed(2)}m `
+			)
+		);
+
+		return { mined: true, ownerAction: true, hash, gasUsed };
+	}
+
+	const data = target.interface.encodeFunctionData(write, argumentsForWriteFunction);
+
+	// collect the action for the offline safe batch export, if any
+	if (safeBatch && !dryRun) {
+		await safeBatch.appendTransaction({ to: target.address, data });
+	}
+
+	if (gasReport && !dryRun) {
+		await gasReport.recordPendingOwnerAction({ action, target: target.address, data, owner });
+	}
+
 	if (ownerActions && ownerActionsFile) {
 		// append to owner actions if supplied
 		const appendOwnerAction = appendOwnerActionGenerator({
@@ -157,8 +242,6 @@ const performTransactionalStep = async ({
 			explorerLinkPrefix,
 		});
 
-		data = target.interface.encodeFunctionData(write, argumentsForWriteFunction);
-
 		const ownerAction = {
 			key: action,
 			target: target.address,
@@ -173,15 +256,26 @@ const performTransactionalStep = async ({
 		} else {
 			appendOwnerAction(ownerAction);
 		}
+		if (journal) {
+			journal.recordStep({
+				key: journalKey,
+				action,
+				status: 'owner-action',
+				target: target.address,
+			});
+		}
 		return { pending: true };
 	} else {
 		// otherwise wait for owner in real time
 		try {
-			data = target.interface.encodeFunctionData(write, argumentsForWriteFunction);
 			if (encodeABI) {
 				console.log(green(`Tx payload for target address ${target.address} - ${data}`));
 				return { pending: true };
 			}
+			if (safeBatch) {
+				console.log(gray(`Added ${action} to the safe batch`));
+				return { pending: true };
+			}
 
 			await confirmAction(
 				redBright(
@@ -199,6 +293,25 @@ const performTransactionalStep = async ({
 	}
 };
 
+const addTransactionOptions = command =>
+	command
+		.option(
+			'--tx-timeout <seconds>',
+			'Seconds a transaction may stay pending before it is replaced with higher fees',
+			TransactionManager.DEFAULTS.timeout
+		)
+		.option(
+			'--fee-bump <percent>',
+			'The percentage fees are bumped by when replacing a pending transaction',
+			TransactionManager.DEFAULTS.feeBump
+		)
+		.option(
+			'--max-fee-bumps <value>',
+			'How many times a pending transaction is replaced before giving up',
+			TransactionManager.DEFAULTS.maxBumps
+		);
+
 module.exports = {
 	performTransactionalStep,
+	addTransactionOptions,
 };
@@ -0,0 +1,387 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const levenshtein = require('js-levenshtein');
+const { isAddress } = require('ethers').utils;
+const { gray, red, yellow } = require('chalk');
+
+const {
+	constants: {
+		CONFIG_FILENAME,
+		PARAMS_FILENAME,
+		TRIBEONES_FILENAME,
+		STAKING_REWARDS_FILENAME,
+		SHORTING_REWARDS_FILENAME,
+		FEEDS_FILENAME,
+		OFFCHAIN_FEEDS_FILENAME,
+		FUTURES_MARKETS_FILENAME,
+		PERPS_V2_MARKETS_FILENAME,
+	},
+	defaults,
+} = require('../../..');
+
+const assets = require('../../assets.json');
+
+const SCHEMAS_FOLDER = path.join(__dirname, '..', 'schemas');
+
+// the deployment files and whether deploy fails without them
+const FILES = {
+	[CONFIG_FILENAME]: { required: true },
+	[PARAMS_FILENAME]: { required: true },
+	[TRIBEONES_FILENAME]: { required: true },
+	[FEEDS_FILENAME]: { required: true },
+	[OFFCHAIN_FEEDS_FILENAME]: { required: true },
+	[FUTURES_MARKETS_FILENAME]: { required: true },
+	[PERPS_V2_MARKETS_FILENAME]: { required: true },
+	[STAKING_REWARDS_FILENAME]: { required: false },
+	[SHORTING_REWARDS_FILENAME]: { required: false },
+};
+
+// read by deploy via getDeployParameter but with no default, so they only exist in params.json
+const PARAMETERS_WITHOUT_DEFAULTS = [
+	'DEX_PRICE_AGGREGATOR',
+	'ATOMIC_EQUIVALENTS_ON_DEX',
+	'ATOMIC_EXCHANGE_FEE_RATES',
+	'ATOMIC_VOLATILITY_CONSIDERATION_WINDOW',
+	'ATOMIC_VOLATILITY_UPDATE_THRESHOLD',
+];
+
+// networks where rates are set by the tests rather than by feeds
+const LOCAL_NETWORKS = ['local'];
+
+let _ajv;
+const getAjv = () => {
+	if (!_ajv) {
+		_ajv = new Ajv({ allErrors: true, jsonPointers: true });
+		for (const file of fs.readdirSync(SCHEMAS_FOLDER)) {
+			_ajv.addSchema(JSON.parse(fs.readFileSync(path.join(SCHEMAS_FOLDER, file))));
+		}
+	}
+	return _ajv;
+};
+
+const schemaFor = file => file.replace(/\.json$/, '.schema.json');
+
+const escapePointer = key =>
+	String(key)
+		.replace(/~/g, '~0')
+		.replace(/\//g, '~1');
+
+const lineAt = ({ text, position }) => text.slice(0, position).split('\n').length;
+
+const positionIn = ({ message }) => {
+	const [, position] = message.match(/at position (\d+)/) || [];
+	return position !== undefined ? Number(position) : undefined;
+};
+
+// whether JSON.parse fails on the text before reaching its end, i.e. not only as it is cut short
+const failsBeforeEnd = text => {
+	try {
+		JSON.parse(text);
+		return false;
+	} catch (err) {
+		if (/Unexpected end of JSON input|Unterminated string/.test(err.message)) {
+			return false;
+		}
+		const position = positionIn(err);
+		return position === undefined || position < text.length;
+	}
+};
+
+/**
+ * Where JSON.parse failed on the text, for versions of node whose errors don't say: the end of the
+ * shortest start of the text it fails on
+ */
+const errorPosition = ({ text, err }) => {
+	const position = positionIn(err);
+	if (position !== undefined) {
+		return position;
+	}
+	let low = 0;
+	let high = text.length;
+	while (low < high) {
+		const middle = Math.floor((low + high) / 2);
+		if (failsBeforeEnd(text.slice(0, middle + 1))) {
+			high = middle;
+		} else {
+			low = middle + 1;
+		}
+	}
+	return low;
+};
+
+/**
+ * Map the JSON pointer of every value in the (valid) JSON text to the line it starts on
+ */
+const lineIndex = text => {
+	const lines = {};
+	let i = 0;
+	let line = 1;
+
+	const skipWhitespace = () => {
+		while (/\s/.test(text[i])) {
+			if (text[i] === '\n') {
+				line++;
+			}
+			i++;
+		}
+	};
+
+	const parseString = () => {
+		const start = i++;
+		while (text[i] !== '"') {
+			i += text[i] === '\\' ? 2 : 1;
+		}
+		return JSON.parse(text.slice(start, ++i));
+	};
+
+	const parseValue = pointer => {
+		skipWhitespace();
+		lines[pointer] = line;
+		if (text[i] === '{' || text[i] === '[') {
+			const isObject = text[i++] === '{';
+			let index = 0;
+			skipWhitespace();
+			while (text[i] !== '}' && text[i] !== ']') {
+				let key = index++;
+				if (isObject) {
+					key = parseString();
+					skipWhitespace();
+					i++; // the colon
+				}
+				parseValue(`${pointer}/${escapePointer(key)}`);
+				skipWhitespace();
+				if (text[i] === ',') {
+					i++;
+					skipWhitespace();
+				}
+			}
+			i++;
+		} else if (text[i] === '"') {
+			parseString();
+		} else {
+			while (i < text.length && !/[\s,\]}]/.test(text[i])) {
+				i++;
+			}
+		}
+	};
+
+	parseValue('');
+	return lines;
+};
+
+const describeSchemaError = ({ dataPath, message, params }) => {
+	// i.e. /3/asset as [3].asset
+	const location = dataPath
+		? `${dataPath
+				.split('/')
+				.slice(1)
+				.map(key => key.replace(/~1/g, '/').replace(/~0/g, '~'))
+				.map(key => (/^\d+$/.test(key) ? `[${key}]` : `.${key}`))
+				.join('')
+				.replace(/^\./, '')} `
+		: '';
+	if (params.additionalProperty) {
+		return `${location}${message}: "${params.additionalProperty}"`;
+	}
+	if (params.allowedValues) {
+		return `${location}${message}: ${params.allowedValues.join(', ')}`;
+	}
+	return `${location}${message}`;
+};
+
+/**
+ * Read and schema check one deployment file
+ *
+ * @returns {object} the parsed contents (undefined when missing or unparsable) and the errors found
+ */
+const checkFile = ({ deploymentPath, file }) => {
+	const filePath = path.join(deploymentPath, file);
+	if (!fs.existsSync(filePath)) {
+		return {
+			errors: FILES[file].required ? [{ file, line: 0, message: 'file is missing' }] : [],
+		};
+	}
+
+	const text = fs.readFileSync(filePath, 'utf8');
+	let data;
+	try {
+		data = JSON.parse(text);
+	} catch (err) {
+		return {
+			errors: [
+				{
+					file,
+					line: lineAt({ text, position: errorPosition({ text, err }) }),
+					// the first line, as newer versions of node add an excerpt of the text after it
+					message: err.message.split('\n')[0],
+				},
+			],
+		};
+	}
+
+	const ajv = getAjv();
+	const valid = ajv.validate(schemaFor(file), data);
+	const lines = lineIndex(text);
+	return {
+		data,
+		lines,
+		errors: (valid ? [] : ajv.errors).map(error => {
+			// point unknown properties at their own line rather than at their object's
+			const pointer = error.params.additionalProperty
+				? `${error.dataPath}/${escapePointer(error.params.additionalProperty)}`
+				: error.dataPath;
+			return {
+				file,
+				line: lines[pointer] || lines[error.dataPath] || 1,
+				message: describeSchemaError(error),
+			};
+		}),
+	};
+};
+
+const closestOf = ({ name, candidates }) => {
+	const [closest] = candidates
+		.map(candidate => ({ candidate, distance: levenshtein(name, candidate) }))
+		.sort((a, b) => a.distance - b.distance);
+	return closest && closest.distance <= Math.max(2, name.length / 4)
+		? closest.candidate
+		: undefined;
+};
+
+/**
+ * Validate the desired state in the deployment folder: each file against its JSON schema in
+ * publish/src/schemas, then the files against each other and against the known assets and params
+ *
+ * @returns {object} errors and warnings, as { file, line, message }
+ */
+const validateDeployment = ({ deploymentPath, network }) => {
+	const errors = [];
+	const warnings = [];
+	const files = {};
+
+	for (const file of Object.keys(FILES)) {
+		files[file] = checkFile({ deploymentPath, file });
+		errors.push(...files[file].errors);
+	}
+
+	// entries of the files which parsed, with the line each starts on
+	const entriesOf = file => {
+		const { data, lines = {} } = files[file];
+		if (!data || typeof data !== 'object') {
+			return [];
+		}
+		return Object.entries(data).map(([key, entry]) => ({
+			key,
+			entry: entry || {},
+			line: lines[`/${escapePointer(key)}`] || 1,
+		}));
+	};
+
+	const knownParams = Object.keys(defaults).concat(PARAMETERS_WITHOUT_DEFAULTS);
+	const seenParams = {};
+	for (const { entry, line } of entriesOf(PARAMS_FILENAME)) {
+		const { name, value } = entry;
+		if (typeof name !== 'string') {
+			continue;
+		}
+		const file = PARAMS_FILENAME;
+		if (seenParams[name]) {
+			errors.push({ file, line, message: `${name} is also set on line ${seenParams[name]}` });
+		}
+		seenParams[name] = line;
+
+		if (!knownParams.includes(name)) {
+			const closest = closestOf({ name, candidates: knownParams });
+			errors.push({
+				file,
+				line,
+				message: `unknown parameter ${name}${closest ? `, did you mean ${closest}?` : ''}`,
+			});
+		} else if (
+			name in defaults &&
+			value !== undefined &&
+			(typeof defaults[name] === 'object') !== (typeof value === 'object')
+		) {
+			errors.push({
+				file,
+				line,
+				message: `${name} should be ${
+					typeof defaults[name] === 'object' ? 'an object' : 'a single value'
+				}, like its default`,
+			});
+		}
+	}
+
+	const feeds = files[FEEDS_FILENAME].data || {};
+	for (const { key, entry, line } of entriesOf(FEEDS_FILENAME)) {
+		const file = FEEDS_FILENAME;
+		if (!assets[key]) {
+			errors.push({ file, line, message: `${key} is not an asset in publish/assets.json` });
+		}
+		if (entry.asset && entry.asset !== key) {
+			errors.push({ file, line, message: `${key} has a mismatched asset ${entry.asset}` });
+		}
+	}
+
+	const seenTribes = {};
+	for (const { entry, line } of entriesOf(TRIBEONES_FILENAME)) {
+		const { name, asset, feed } = entry;
+		const file = TRIBEONES_FILENAME;
+		if (!name || !asset) {
+			continue;
+		}
+		if (seenTribes[name]) {
+			errors.push({ file, line, message: `${name} is also listed on line ${seenTribes[name]}` });
+		}
+		seenTribes[name] = line;
+
+		if (!assets[asset]) {
+			errors.push({ file, line, message: `${name} has unknown asset ${asset}` });
+		}
+		// hUSD is the unit of account, so it never has a feed
+		if (asset !== 'USD' && !isAddress(feed || '') && !isAddress((feeds[asset] || {}).feed || '')) {
+			(LOCAL_NETWORKS.includes(network) ? warnings : errors).push({
+				file,
+				line,
+				message: `${name} has no feed for its asset ${asset} in ${FEEDS_FILENAME}`,
+			});
+		}
+	}
+
+	const offchainAssets = entriesOf(OFFCHAIN_FEEDS_FILENAME).map(({ entry }) => entry.asset);
+	for (const { entry, line } of entriesOf(PERPS_V2_MARKETS_FILENAME)) {
+		const { marketKey, asset } = entry;
+		if (asset && !offchainAssets.includes(asset)) {
+			errors.push({
+				file: PERPS_V2_MARKETS_FILENAME,
+				line,
+				message: `${marketKey} has no off-chain feed for its asset ${asset} in ${OFFCHAIN_FEEDS_FILENAME}`,
+			});
+		}
+	}
+
+	const byLocation = (a, b) => a.file.localeCompare(b.file) || a.line - b.line;
+	return { errors: errors.sort(byLocation), warnings: warnings.sort(byLocation) };
+};
+
+const printValidation = ({ deploymentPath, errors, warnings }) => {
+	const location = ({ file, line }) =>
+		`${path.join(deploymentPath, file)}${line ? `:${line}` : ''}`;
+	warnings.forEach(warning =>
+		console.log(yellow(`${location(warning)} warning: ${warning.message}`))
+	);
+	errors.forEach(error => console.log(red(`${location(error)} error: ${error.message}`)));
+	console.log(
+		(errors.length ? red : gray)(
+			`${errors.length} error(s) and ${warnings.length} warning(s) in ${deploymentPath}`
+		)
+	);
+};
+
+module.exports = {
+	validateDeployment,
+	printValidation,
+};
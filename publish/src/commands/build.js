@@ -2,18 +2,28 @@
 
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const { gray, green, yellow, red } = require('chalk');
 
-const { findSolFiles, flatten, compile } = require('../solidity');
+const { findSolFiles, flatten, compilerInput } = require('../solidity');
+const CompilerPool = require('../CompilerPool');
 
 const {
-	constants: { COMPILED_FOLDER, CONTRACTS_FOLDER, FLATTENED_FOLDER, BUILD_FOLDER },
+	constants: {
+		CACHE_FOLDER,
+		COMPILED_FOLDER,
+		CONTRACTS_FOLDER,
+		FLATTENED_FOLDER,
+		BUILD_FOLDER,
+		SIZE_BUDGET_FILENAME,
+	},
 } = require('../../..');
 
 const { stringify } = require('../util');
 const {
 	sizeOfContracts,
 	logContractSizes,
+	checkSizeBudget,
 	pcentToColorFnc,
 	sizeChange,
 } = require('../contract-size');
@@ -21,29 +31,83 @@ const {
 const DEFAULTS = {
 	buildPath: path.join(__dirname, '..', '..', '..', BUILD_FOLDER),
 	optimizerRuns: 200,
+	jobs: CompilerPool.DEFAULTS.size,
+	sizeBudget: path.join(__dirname, '..', '..', SIZE_BUDGET_FILENAME),
+};
+const contractOverrides = require('../contract-overrides');
+
+// the optimizer runs of a source: the default unless overridden for it
+const optimizerRunsOf = ({ contract, optimizerRuns, overrides = contractOverrides }) =>
+	typeof overrides[contract] === 'object' ? overrides[contract].runs : parseInt(optimizerRuns); // use ParseInt: runs setting must be an unsigned number.
+
+// artifacts are cached by a hash of the compiler version and its whole input: the flattened source,
+// the optimizer runs (as overridden) and the output selected
+const cacheKey = ({ sources, runs, solcVersion = require('solc/package.json').version }) =>
+	crypto
+		.createHash('sha256')
+		.update(solcVersion)
+		.update(JSON.stringify(compilerInput({ sources, runs })))
+		.digest('hex');
+
+// compile a source in the pool, unless its artifact is in the cache, caching it when it compiles
+const compileCached = async ({ pool, cache, cachePath, contract, sources, runs }) => {
+	const contractName = path.basename(contract, '.sol');
+	const cacheFile = path.join(cachePath, `${cacheKey({ sources, runs })}.json`);
+
+	if (cache && fs.existsSync(cacheFile)) {
+		const { artifact, warnings } = JSON.parse(fs.readFileSync(cacheFile));
+		return { artifact, errors: [], warnings, fromCache: true };
+	}
+
+	const { artifacts, errors, warnings } = await pool.compile({ sources, runs });
+	const artifact = artifacts[contractName];
+	if (cache && !errors.length) {
+		// written aside then renamed, so another build never reads it partially written
+		fs.writeFileSync(
+			`${cacheFile}.${process.pid}`,
+			JSON.stringify({ contract, runs, artifact, warnings })
+		);
+		fs.renameSync(`${cacheFile}.${process.pid}`, cacheFile);
+	}
+	return { artifact, errors, warnings, fromCache: false };
 };
-const overrides = require('../contract-overrides');
 
 const build = async ({
 	buildPath = DEFAULTS.buildPath,
+	cache = true,
 	cleanBuild,
+	jobs = DEFAULTS.jobs,
 	migrations,
 	optimizerRuns = DEFAULTS.optimizerRuns,
 	showSize,
 	showWarnings,
+	sizeBudget = DEFAULTS.sizeBudget,
 	skipUnchanged,
 	testHelpers,
 	useOvm,
 } = {}) => {
 	console.log(gray(`Starting build${useOvm ? ' using OVM' : ''} at path ${buildPath}...`));
 
+	const cachePath = path.join(buildPath, CACHE_FOLDER);
+
 	if (cleanBuild && fs.existsSync(buildPath)) {
-		fs.rmdirSync(buildPath, { recursive: true });
+		// the cache is keyed by everything that determines an artifact, so it is kept
+		for (const entry of fs.readdirSync(buildPath).filter(entry => entry !== CACHE_FOLDER)) {
+			const entryPath = path.join(buildPath, entry);
+			if (fs.statSync(entryPath).isDirectory()) {
+				fs.rmdirSync(entryPath, { recursive: true });
+			} else {
+				fs.unlinkSync(entryPath);
+			}
+		}
 	}
 
 	if (!fs.existsSync(buildPath)) {
 		fs.mkdirSync(buildPath);
 	}
+	if (cache && !fs.existsSync(cachePath)) {
+		fs.mkdirSync(cachePath);
+	}
 
 	// Flatten all the contracts.
 	// Start with the libraries, then copy our own contracts on top to ensure
@@ -92,17 +156,25 @@ const build = async ({
 	const compiledPath = path.join(buildPath, COMPILED_FOLDER);
 
 	// Ok, now we need to compile all the files.
-	console.log(gray(`Compiling contracts... Default optimizer runs is set to ${optimizerRuns}`));
+	console.log(
+		gray(
+			`Compiling contracts in ${jobs} processes${
+				cache ? ', reusing those cached' : ''
+			}... Default optimizer runs is set to ${optimizerRuns}`
+		)
+	);
 
 	let allErrors = [];
 	let allWarnings = [];
 
-	const allArtifacts = {};
-
 	const allCompiledFilePaths = [];
 	const previousSizes = [];
+	const compiledSizes = [];
+	let cached = 0;
 
-	for (const contract of Object.keys(sources)) {
+	const pool = new CompilerPool({ size: jobs });
+
+	const compileContract = async contract => {
 		const contractName = contract
 			.match(/^.+(?=\.sol$)/)[0]
 			.split('/')
@@ -117,34 +189,29 @@ const build = async ({
 		if (prevSizeIfAny) {
 			previousSizes.push(prevSizeIfAny);
 		}
-		let runs = parseInt(optimizerRuns); // default, use ParseInt: runs setting must be an unsigned number.
-		if (typeof overrides[contract] === 'object') {
-			runs = overrides[contract].runs;
-		}
-		console.log(
-			gray(
-				`Attempting compile of ${contract}${
-					runs !== optimizerRuns ? ` (override optimizerRuns: ${runs})` : ''
-				}`
-			)
-		);
+		const runs = optimizerRunsOf({ contract, optimizerRuns });
+		const runsNote = runs !== optimizerRuns ? ` (override optimizerRuns: ${runs})` : '';
 		if (skipUnchanged && unchangedContracts.indexOf(contract) >= 0) {
 			console.log(
 				gray(
-					'\tSource unchanged. Assuming that last deploy completed and skipping. (⚠⚠⚠ Do not use for production deploys!).'
+					`Skipping ${contract}${runsNote}. Source unchanged. Assuming that last deploy completed and skipping. (⚠⚠⚠ Do not use for production deploys!).`
 				)
 			);
-			continue;
+			return;
 		}
 
-		const { artifacts, errors, warnings } = compile({
-			sources: {
-				[contract]: sources[contract],
-			},
+		const { artifact, errors, warnings, fromCache } = await compileCached({
+			pool,
+			cache,
+			cachePath,
+			contract,
+			sources: { [contract]: sources[contract] },
 			runs,
 		});
+		if (fromCache) {
+			cached++;
+		}
 
-		Object.assign(allArtifacts, artifacts);
 		allErrors = allErrors.concat(errors);
 		allWarnings = allWarnings.concat(warnings);
 
@@ -163,29 +230,68 @@ const build = async ({
 				// try make path for sub-folders (note: recursive flag only from nodejs 10.12.0)
 				fs.mkdirSync(path.dirname(toWrite), { recursive: true });
 			} catch (e) {}
-			fs.writeFileSync(filePath, stringify(artifacts[contractName]));
+			fs.writeFileSync(filePath, stringify(artifact));
 
 			const { pcent, bytes, length } = sizeOfContracts({
-				contractToObjectMap: { [filePath]: artifacts[contractName].evm.deployedBytecode.object },
+				contractToObjectMap: { [filePath]: artifact.evm.deployedBytecode.object },
 			})[0];
+			// only the production sources are held to the size budget
+			if (!/^(migrations|test-helpers)\//.test(contract)) {
+				compiledSizes.push({ file: contractName, length });
+			}
 
 			console.log(
 				green(`${contract}`),
-				gray('build using'),
+				gray(`${fromCache ? '(cached) ' : ''}build using${runsNote}`),
 				pcentToColorFnc({ pcent, content: `${bytes} (${pcent})` }),
 				sizeChange({ prevSizeIfAny, length })
 			);
 
 			allCompiledFilePaths.push(filePath);
 		}
+	};
+
+	try {
+		await Promise.all(Object.keys(sources).map(compileContract));
+	} finally {
+		pool.close();
 	}
 
 	console.log(
 		(allErrors.length > 0 ? red : yellow)(
-			`Compiled with ${allWarnings.length} warnings and ${allErrors.length} errors`
+			`Compiled with ${allWarnings.length} warnings and ${allErrors.length} errors${
+				cached ? `, reusing ${cached} cached artifacts` : ''
+			}`
 		)
 	);
 
+	if (sizeBudget) {
+		if (!fs.existsSync(sizeBudget)) {
+			throw Error(`Cannot find the size budget ${sizeBudget}`);
+		}
+		const budgeted = checkSizeBudget({
+			sizes: compiledSizes,
+			budget: JSON.parse(fs.readFileSync(sizeBudget)),
+		});
+		for (const { file, length, ceiling, margin, status } of budgeted) {
+			if (status === 'margin') {
+				console.log(
+					yellow(
+						`${file} is ${length} bytes, within the ${margin} bytes margin of its ${ceiling} bytes ceiling`
+					)
+				);
+			} else if (status === 'over') {
+				console.log(red(`${file} is ${length} bytes, over its ${ceiling} bytes ceiling`));
+			}
+		}
+		const over = budgeted.filter(({ status }) => status === 'over');
+		if (over.length) {
+			throw Error(
+				`Build failed, as ${over.length} contracts exceed their ceiling in ${sizeBudget}. See above.`
+			);
+		}
+	}
+
 	// We're built!
 	console.log(green('Build succeeded'));
 
@@ -203,24 +309,42 @@ const build = async ({
 
 module.exports = {
 	build,
+	cacheKey,
+	compileCached,
+	optimizerRunsOf,
 	DEFAULTS,
 	cmd: program =>
 		program
 			.command('build')
 			.description('Build (flatten and compile) solidity files')
 			.option('-b, --build-path <value>', 'Build path for built files', DEFAULTS.buildPath)
-			.option('-c, --clean-build', 'Delete previously existing files', false)
+			.option(
+				'-c, --clean-build',
+				`Delete previously existing files (except the ${CACHE_FOLDER} of artifacts, see --no-cache)`,
+				false
+			)
+			.option('-j, --jobs <value>', 'The number of processes to compile in at once', DEFAULTS.jobs)
 			.option(
 				'-k, --skip-unchanged',
 				'Skip any contracts that seem as though they have not changed (infers from flattened file and does not strictly check bytecode. ⚠⚠⚠ DO NOT USE FOR PRODUCTION BUILDS.'
 			)
 			.option('-m, --migrations', 'Also compile the migrations')
+			.option(
+				'--no-cache',
+				`Compile every source rather than reuse the artifacts in the ${CACHE_FOLDER} of the build path that have the same flattened source, solc version and optimizer runs`
+			)
 			.option(
 				'-o, --optimizer-runs <value>',
 				'Number of runs for the optimizer by default',
 				DEFAULTS.optimizerRuns
 			)
 			.option('-s, --show-size', 'Show contract sizes')
+			.option(
+				'--size-budget <value>',
+				'The JSON file of the ceiling and margin (in bytes) of each contract, failing the build when one is over its ceiling',
+				DEFAULTS.sizeBudget
+			)
+			.option('--no-size-budget', 'Do not check contract sizes against a budget')
 			.option('-t, --test-helpers', 'Also compile the test-helpers')
 			.option('-w, --show-warnings', 'Show warnings')
 			.option('-z, --use-ovm', 'Use Optimism OVM-compatible compiler')
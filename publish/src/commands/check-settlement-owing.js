@@ -12,6 +12,7 @@ const {
 	loadConnections,
 	loadAndCheckRequiredSources,
 } = require('../util');
+const { getSigner, addSignerOptions } = require('../command-utils/signer');
 
 const { getUsers } = require('../../..');
 
@@ -19,6 +20,11 @@ const checkSettlmentOwing = async ({
 	network,
 	deploymentPath,
 	privateKey,
+	keystore,
+	mnemonic,
+	derivationPath,
+	remoteSigner,
+	remoteSignerAddress,
 	useOvm,
 	useFork,
 	providerUrl,
@@ -29,7 +35,7 @@ const checkSettlmentOwing = async ({
 	deploymentPath = deploymentPath || getDeploymentPathForNetwork({ network, useOvm });
 	ensureDeploymentPath(deploymentPath);
 
-	const { providerUrl: envProviderUrl, privateKey: envPrivateKey } = loadConnections({
+	const { providerUrl: envProviderUrl } = loadConnections({
 		network,
 		useFork,
 		useOvm,
@@ -48,20 +54,24 @@ const checkSettlmentOwing = async ({
 		providerUrl = envProviderUrl;
 	}
 
-	// if not specified, or in a local network, override the private key passed as a CLI option, with the one specified in .env
-	if (network !== 'local' && !privateKey && !useFork) {
-		privateKey = envPrivateKey;
-	}
-
 	const provider = new ethers.providers.JsonRpcProvider(providerUrl);
 
-	let signer;
-	if (!privateKey) {
+	// if no signer is specified, and not in a local network, use the one specified in .env
+	let signer = await getSigner({
+		network,
+		provider,
+		useEnv: network !== 'local' && !useFork,
+		privateKey,
+		keystore,
+		mnemonic,
+		derivationPath,
+		remoteSigner,
+		remoteSignerAddress,
+	});
+	if (!signer) {
 		const account = getUsers({ network, user: 'owner', useOvm }).address;
 		signer = provider.getSigner(account);
 		signer.address = await signer.getAddress();
-	} else {
-		signer = new ethers.Wallet(privateKey, provider);
 	}
 
 	console.log(gray(`Using account with public key ${signer.address}`));
@@ -114,8 +124,7 @@ const checkSettlmentOwing = async ({
 module.exports = {
 	checkSettlmentOwing,
 	cmd: program =>
-		program
-			.command('check-settlement-owing')
+		addSignerOptions(program.command('check-settlement-owing'))
 			.description('Checks total rebates and amount reclaimed for a given list of accounts')
 			.option('-g, --max-fee-per-gas <value>', 'Maximum base gas fee price in GWEI')
 			.option('--max-priority-fee-per-gas <value>', 'Priority gas fee price in GWEI', '2')
@@ -4,12 +4,15 @@ const ethers = require('ethers');
 const { gray, red, yellow } = require('chalk');
 const { wrap, toBytes32 } = require('../../..');
 const { confirmAction } = require('../util');
+const SafeBatchExporter = require('../SafeBatchExporter');
+const GasReport = require('../GasReport');
 const {
 	ensureNetwork,
 	ensureDeploymentPath,
 	getDeploymentPathForNetwork,
 	loadConnections,
 } = require('../util');
+const { getSigner } = require('../command-utils/signer');
 
 const connectBridge = async ({
 	l1Network,
@@ -26,6 +29,8 @@ const connectBridge = async ({
 	l2Messenger,
 	dryRun,
 	l1GasLimit,
+	l1SafeBatchFile,
+	l2SafeBatchFile,
 	quiet,
 }) => {
 	const logger = console.log;
@@ -77,6 +82,40 @@ const connectBridge = async ({
 		useOvm: true,
 	});
 
+	// owner actions can be exported per layer for the owner safe to import offline
+	const l1SafeBatch = l1SafeBatchFile
+		? new SafeBatchExporter({
+				network: l1Network,
+				safeAddress: await AddressResolverL1.owner(),
+				file: l1SafeBatchFile,
+		  })
+		: undefined;
+	const l2SafeBatch = l2SafeBatchFile
+		? new SafeBatchExporter({
+				network: l2Network,
+				useOvm: true,
+				safeAddress: await AddressResolverL2.owner(),
+				file: l2SafeBatchFile,
+		  })
+		: undefined;
+
+	// gas is reported per layer, in the deployment folder of each
+	const [l1GasReport, l2GasReport] = dryRun
+		? []
+		: [
+				[l1Network, false, walletL1],
+				[l2Network, true, walletL2],
+		  ].map(
+				([network, useOvm, wallet]) =>
+					new GasReport({
+						command: 'connect-bridge',
+						network,
+						useOvm,
+						account: wallet.address,
+						provider: wallet.provider,
+					})
+		  );
+
 	// ---------------------------------
 	// Connect L1 instance
 	// ---------------------------------
@@ -100,6 +139,8 @@ const connectBridge = async ({
 		AddressResolver: AddressResolverL1,
 		cachables: [TribeoneBridgeToOptimism, OwnerRelayOnEthereum, DebtMigratorOnEthereum],
 		dryRun,
+		safeBatch: l1SafeBatch,
+		gasReport: l1GasReport,
 	});
 
 	// ---------------------------------
@@ -125,6 +166,8 @@ const connectBridge = async ({
 		AddressResolver: AddressResolverL2,
 		cachables: [TribeoneBridgeToBase, OwnerRelayOnOptimism, DebtMigratorOnOptimism],
 		dryRun,
+		safeBatch: l2SafeBatch,
+		gasReport: l2GasReport,
 	});
 
 	// check approval (bridge needs ERC20 approval to spend bridge escrow's wHAKA for withdrawals)
@@ -159,12 +202,22 @@ const connectBridge = async ({
 					ethers.constants.MaxUint256,
 				]);
 				console.log('Calldata is', calldata);
-				await confirmAction(
-					yellow(
-						`    ⚠️  AddressResolver is owned by ${owner} and the current signer is ${walletL1.address}.
+				await l1GasReport.recordPendingOwnerAction({
+					action: 'TribeoneBridgeEscrow.approveBridge',
+					target: TribeoneBridgeEscrow.address,
+					data: calldata,
+					owner,
+				});
+				if (l1SafeBatch) {
+					await l1SafeBatch.appendTransaction({ to: TribeoneBridgeEscrow.address, data: calldata });
+				} else {
+					await confirmAction(
+						yellow(
+							`    ⚠️  AddressResolver is owned by ${owner} and the current signer is ${walletL1.address}.
 						Please execute the above transaction and press "y" when done.`
-					)
-				);
+						)
+					);
+				}
 			} else {
 				const params = {
 					gasLimit: l1GasLimit,
@@ -177,6 +230,10 @@ const connectBridge = async ({
 				);
 				const receipt = await tx.wait();
 				console.log(gray(`    > tx hash: ${receipt.transactionHash}`));
+				await l1GasReport.recordTransaction({
+					action: 'TribeoneBridgeEscrow.approveBridge',
+					receipt,
+				});
 			}
 		} else {
 			console.log(yellow('  * Skipping, since this is a DRY RUN'));
@@ -185,6 +242,39 @@ const connectBridge = async ({
 		console.log(gray('this is sufficient'));
 	}
 
+	if (!dryRun) {
+		await l1GasReport.report({
+			file: GasReport.pathFor({
+				deploymentPath:
+					l1DeploymentPath || getDeploymentPathForNetwork({ network: l1Network, useOvm: false }),
+				command: 'connect-bridge',
+			}),
+		});
+		await l2GasReport.report({
+			file: GasReport.pathFor({
+				deploymentPath:
+					l2DeploymentPath || getDeploymentPathForNetwork({ network: l2Network, useOvm: true }),
+				command: 'connect-bridge',
+			}),
+		});
+	}
+
+	for (const [safeBatch, network] of [
+		[l1SafeBatch, l1Network],
+		[l2SafeBatch, `${l2Network} (OVM)`],
+	]) {
+		if (safeBatch && safeBatch.transactions.length) {
+			const { transactions, file, multiSendFile } = safeBatch.write({
+				name: `Connect bridge on ${network}`,
+			});
+			logger(
+				gray(
+					`Exported ${transactions.length} owner actions on ${network} as a safe batch to ${file} and as MultiSend calldata to ${multiSendFile}`
+				)
+			);
+		}
+	}
+
 	console.log = logger;
 };
 
@@ -196,6 +286,8 @@ const connectLayer = async ({
 	AddressResolver,
 	cachables,
 	dryRun,
+	safeBatch,
+	gasReport,
 }) => {
 	// ---------------------------------
 	// Check if the AddressResolver has all the correct addresses
@@ -248,15 +340,26 @@ const connectLayer = async ({
 					addresses,
 				]);
 				console.log('Calldata is', calldata);
-				await confirmAction(
-					yellow(
-						`    ⚠️  AddressResolver is owned by ${owner} and the current signer is $${wallet.address}. Please execute the above transaction and press "y" when done.`
-					)
-				);
+				await gasReport.recordPendingOwnerAction({
+					action: 'AddressResolver.importAddresses',
+					target: AddressResolver.address,
+					data: calldata,
+					owner,
+				});
+				if (safeBatch) {
+					await safeBatch.appendTransaction({ to: AddressResolver.address, data: calldata });
+				} else {
+					await confirmAction(
+						yellow(
+							`    ⚠️  AddressResolver is owned by ${owner} and the current signer is $${wallet.address}. Please execute the above transaction and press "y" when done.`
+						)
+					);
+				}
 			} else {
 				tx = await AddressResolver.importAddresses(names.map(toBytes32), addresses, params);
 				receipt = await tx.wait();
 				console.log(gray(`    > tx hash: ${receipt.transactionHash}`));
+				await gasReport.recordTransaction({ action: 'AddressResolver.importAddresses', receipt });
 			}
 		} else {
 			console.log(yellow('  * Skipping, since this is a DRY RUN'));
@@ -281,6 +384,10 @@ const connectLayer = async ({
 				receipt = await tx.wait();
 
 				console.log(gray(`    > tx hash: ${receipt.transactionHash}`));
+				await gasReport.recordTransaction({
+					action: `${contract.address}.rebuildCache`,
+					receipt,
+				});
 			} else {
 				console.log(yellow('Skipping rebuildCache(), since this is a DRY RUN'));
 			}
@@ -302,7 +409,7 @@ const setupInstance = async ({
 	console.log(gray('  > useFork:', useFork));
 	console.log(gray('  > useOvm:', useOvm));
 
-	const { wallet, provider, getSource, getTarget } = bootstrapConnection({
+	const { wallet, provider, getSource, getTarget } = await bootstrapConnection({
 		network,
 		providerUrl: specifiedProviderUrl,
 		deploymentPath,
@@ -385,7 +492,7 @@ const setupInstance = async ({
 	};
 };
 
-const bootstrapConnection = ({
+const bootstrapConnection = async ({
 	network,
 	providerUrl: specifiedProviderUrl,
 	deploymentPath,
@@ -397,28 +504,28 @@ const bootstrapConnection = ({
 	deploymentPath = deploymentPath || getDeploymentPathForNetwork({ network, useOvm });
 	ensureDeploymentPath(deploymentPath);
 
-	const { providerUrl: defaultProviderUrl, privateKey: envPrivateKey } = loadConnections({
+	const { providerUrl: defaultProviderUrl } = loadConnections({
 		network,
 		useFork,
 	});
 
-	// allow local deployments to use the private key passed as a CLI option
-	if (network !== 'local' && !privateKey) {
-		privateKey = envPrivateKey;
-	}
-
 	const providerUrl = specifiedProviderUrl || defaultProviderUrl;
 	const provider = new ethers.providers.JsonRpcProvider(providerUrl);
 
 	const { getUsers, getTarget, getSource } = wrap({ network, useOvm, fs, path });
 
-	let wallet;
-	if (!privateKey) {
+	// allow local deployments to use the private key passed as a CLI option,
+	// otherwise use the signer specified in .env
+	let wallet = await getSigner({
+		network,
+		provider,
+		useEnv: network !== 'local',
+		privateKey,
+	});
+	if (!wallet) {
 		const account = getUsers({ network, user: 'owner' }).address;
 		wallet = provider.getSigner(account);
 		wallet.address = wallet._address;
-	} else {
-		wallet = new ethers.Wallet(privateKey, provider);
 	}
 
 	return {
@@ -466,6 +573,14 @@ module.exports = {
 			.option('--l1-messenger <value>', 'L1 cross domain messenger to use')
 			.option('--l2-messenger <value>', 'L2 cross domain messenger to use')
 			.option('--l1-gas-limit <value>', 'Max gas to use when signing transactions to l1', 8000000)
+			.option(
+				'--l1-safe-batch-file <value>',
+				'Export L1 owner actions to this Safe Transaction Builder JSON file instead of prompting'
+			)
+			.option(
+				'--l2-safe-batch-file <value>',
+				'Export L2 owner actions to this Safe Transaction Builder JSON file instead of prompting'
+			)
 			.option('--dry-run', 'Do not execute any transactions')
 			.option('--quiet', 'Do not print stdout', false)
 			.action(async (...args) => {
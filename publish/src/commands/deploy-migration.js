@@ -23,6 +23,8 @@ const {
 	appendOwnerActionGenerator,
 } = require('../util');
 const { performTransactionalStep } = require('../command-utils/transact');
+const { getSigner, addSignerOptions } = require('../command-utils/signer');
+const GasReport = require('../GasReport');
 
 const {
 	wrap,
@@ -44,7 +46,13 @@ const deployMigration = async ({
 	useOvm,
 	buildPath = DEFAULTS.buildPath,
 	privateKey,
+	keystore,
+	mnemonic,
+	derivationPath,
+	remoteSigner,
+	remoteSignerAddress,
 	overrideProviderUrl,
+	gasReportFile,
 	skipVerification,
 	yes,
 	dryRun = false,
@@ -62,12 +70,7 @@ const deployMigration = async ({
 	// now get the latest time a Solidity file was edited
 	const latestSolTimestamp = getLatestSolTimestamp(CONTRACTS_FOLDER);
 
-	const {
-		providerUrl,
-		privateKey: envPrivateKey,
-		etherscanUrl,
-		explorerLinkPrefix,
-	} = loadConnections({
+	const { providerUrl, etherscanUrl, explorerLinkPrefix } = loadConnections({
 		network,
 		useOvm,
 	});
@@ -79,23 +82,26 @@ const deployMigration = async ({
 		path,
 	});
 
-	// allow local deployments to use the private key passed as a CLI option
-	if (network !== 'local' || !privateKey) {
-		privateKey = envPrivateKey;
-	}
-
 	const effectiveProviderUrl = overrideProviderUrl || providerUrl;
 
 	const provider = new ethers.providers.JsonRpcProvider(effectiveProviderUrl);
 
 	const ownerAddress = getUsers({ user: 'owner' }).address;
 
-	let signer = null;
-	if (network === 'local' && !privateKey) {
+	// the signer options take precedence over the one specified in .env
+	let signer = await getSigner({
+		network,
+		provider,
+		privateKey,
+		keystore,
+		mnemonic,
+		derivationPath,
+		remoteSigner,
+		remoteSignerAddress,
+	});
+	if (network === 'local' && !signer) {
 		signer = provider.getSigner(ownerAddress);
 		signer.address = ownerAddress;
-	} else {
-		signer = new ethers.Wallet(privateKey, provider);
 	}
 
 	parameterNotice({
@@ -138,6 +144,14 @@ const deployMigration = async ({
 	const contractName = 'Migration_' + releaseName;
 	const libName = 'MigrationLib_' + releaseName;
 
+	const gasReport = new GasReport({
+		command: 'deploy-migration',
+		network,
+		useOvm,
+		account: signer.address,
+		provider,
+	});
+
 	let deployedLib;
 	let contractBytecode = compiled[contractName].evm.bytecode.object;
 
@@ -149,7 +163,11 @@ const deployMigration = async ({
 		);
 
 		deployedLib = await helperLibrary.deploy();
-		await deployedLib.deployTransaction.wait();
+		await gasReport.recordDeployment({
+			name: libName,
+			source: libName,
+			receipt: await deployedLib.deployTransaction.wait(),
+		});
 
 		console.log(
 			green(
@@ -171,7 +189,11 @@ const deployMigration = async ({
 
 	// TODO: hardcode the contract address to avoid re-deploying when re-running it
 	const deployedContract = await migrationContract.deploy();
-	await deployedContract.deployTransaction.wait();
+	await gasReport.recordDeployment({
+		name: contractName,
+		source: contractName,
+		receipt: await deployedContract.deployTransaction.wait(),
+	});
 	console.log(green(`\nSuccessfully deployed: ${deployedContract.address}\n`));
 
 	// TODO: hardcode the contract address to avoid re-deploying when re-running it
@@ -229,6 +251,7 @@ const deployMigration = async ({
 			explorerLinkPrefix,
 			ownerActions,
 			ownerActionsFile,
+			gasReport,
 		});
 	}
 
@@ -243,6 +266,12 @@ const deployMigration = async ({
 	};
 
 	appendOwnerAction(ownerAction);
+	await gasReport.recordPendingOwnerAction({
+		action: actionName,
+		target: txn.to,
+		data: txn.data,
+		owner: ownerAddress,
+	});
 
 	for (const addr of requiringOwnership) {
 		const foundContract = findContractByAddress({ addr });
@@ -258,6 +287,7 @@ const deployMigration = async ({
 			explorerLinkPrefix,
 			ownerActions,
 			ownerActionsFile,
+			gasReport,
 		});
 	}
 
@@ -286,6 +316,15 @@ const deployMigration = async ({
 		}
 	}
 
+	await gasReport.report({
+		file:
+			gasReportFile ||
+			GasReport.pathFor({
+				deploymentPath: getPathToNetwork({ network, useOvm }),
+				command: 'deploy-migration',
+			}),
+	});
+
 	console.log(gray(`Done.`));
 };
 
@@ -355,8 +394,7 @@ module.exports = {
 	deployMigration,
 	DEFAULTS,
 	cmd: program =>
-		program
-			.command('deploy-migration')
+		addSignerOptions(program.command('deploy-migration'))
 			.description('Deploys a migration script')
 			.option('-r, --release-name <name>', `Deploys migration contract corresponding to thi name`)
 			.option('-g, --max-fee-per-gas <value>', 'Maximum base gas fee price in GWEI')
@@ -371,6 +409,10 @@ module.exports = {
 				x => x.toLowerCase(),
 				DEFAULTS.network
 			)
+			.option(
+				'--gas-report-file <value>',
+				'Where to write the JSON gas report (defaults to a new file in the gas-reports folder of the deployment path)'
+			)
 			.option('-p, --override-provider-url <value>', 'Override .env PROVIDER_URL.')
 			.option('--use-ovm', 'Use OVM')
 			.option(
@@ -380,7 +422,7 @@ module.exports = {
 			.option('--skip-verification', 'Skip etherscan contract verification')
 			.option(
 				'-v, --private-key [value]',
-				'The private key to deploy with (only works in local mode, otherwise set in .env).'
+				'The private key to deploy with (otherwise the signer set in .env).'
 			)
 			.option('-y, --yes', 'Dont prompt, just reply yes.')
 			.option('--migration-library', 'If using a library for a contract that is too big.')
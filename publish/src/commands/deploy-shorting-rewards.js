@@ -5,7 +5,9 @@ const ethers = require('ethers');
 const { gray, green, yellow } = require('chalk');
 const { table } = require('table');
 const Deployer = require('../Deployer');
-const NonceManager = require('../NonceManager');
+const { getSigner, addSignerOptions } = require('../command-utils/signer');
+const GasReport = require('../GasReport');
+const TransactionManager = require('../TransactionManager');
 const { loadCompiledFiles, getLatestSolTimestamp } = require('../solidity');
 
 const {
@@ -17,7 +19,7 @@ const {
 	confirmAction,
 	parameterNotice,
 } = require('../util');
-const { performTransactionalStep } = require('../command-utils/transact');
+const { performTransactionalStep, addTransactionOptions } = require('../command-utils/transact');
 
 const {
 	toBytes32,
@@ -46,7 +48,16 @@ const deployShortingRewards = async ({
 	network = DEFAULTS.network,
 	buildPath = DEFAULTS.buildPath,
 	deploymentPath,
+	gasReportFile,
 	privateKey,
+	txTimeout,
+	feeBump,
+	maxFeeBumps,
+	keystore,
+	mnemonic,
+	derivationPath,
+	remoteSigner,
+	remoteSignerAddress,
 	yes,
 	dryRun = false,
 } = {}) => {
@@ -103,14 +114,20 @@ const deployShortingRewards = async ({
 	// now get the latest time a Solidity file was edited
 	const latestSolTimestamp = getLatestSolTimestamp(CONTRACTS_FOLDER);
 
-	const { providerUrl, privateKey: envPrivateKey, explorerLinkPrefix } = loadConnections({
+	const { providerUrl, explorerLinkPrefix } = loadConnections({
 		network,
 	});
 
-	// allow local deployments to use the private key passed as a CLI option
-	if (network !== 'local' || !privateKey) {
-		privateKey = envPrivateKey;
-	}
+	// the signer options take precedence over the one specified in .env
+	let signer = await getSigner({
+		network,
+		privateKey,
+		keystore,
+		mnemonic,
+		derivationPath,
+		remoteSigner,
+		remoteSignerAddress,
+	});
 
 	// Names in rewardsToDeploy will always be true
 	const config = rewardsToDeploy.reduce(
@@ -129,12 +146,29 @@ const deployShortingRewards = async ({
 		maxFeePerGas,
 		maxPriorityFeePerGas,
 		network,
-		privateKey,
+		signer,
 		providerUrl,
 		dryRun,
+		transactionManager: new TransactionManager({
+			timeout: txTimeout,
+			feeBump,
+			maxBumps: maxFeeBumps,
+		}),
 	});
 
-	const { account, signer } = deployer;
+	const { account } = deployer;
+	// the deployer connects the signer to its provider if need be
+	signer = deployer.signer;
+
+	const gasReport = dryRun
+		? undefined
+		: new GasReport({
+				command: 'deploy-shorting-rewards',
+				network,
+				account,
+				provider: deployer.provider,
+		  });
+	deployer.gasReport = gasReport;
 
 	parameterNotice({
 		'Dry Run': dryRun ? green('true') : yellow('⚠ NO'),
@@ -238,9 +272,6 @@ const deployShortingRewards = async ({
 			args: [account, resolverAddress, account, rewardsTokenAddress],
 		});
 
-		const nonceManager = new NonceManager({});
-		const manageNonces = deployer.manageNonces;
-
 		const runStep = async opts =>
 			performTransactionalStep({
 				...opts,
@@ -250,7 +281,8 @@ const deployShortingRewards = async ({
 				explorerLinkPrefix,
 				ownerActions,
 				ownerActionsFile,
-				nonceManager: manageNonces ? nonceManager : undefined,
+				transactionManager: deployer.transactionManager,
+				gasReport,
 			});
 
 		// Rebuild the cache so it knows about CollateralShort
@@ -290,14 +322,20 @@ const deployShortingRewards = async ({
 	} else {
 		console.log(gray('Note: No new contracts deployed.'));
 	}
+
+	if (gasReport) {
+		await gasReport.report({
+			file:
+				gasReportFile || GasReport.pathFor({ deploymentPath, command: 'deploy-shorting-rewards' }),
+		});
+	}
 };
 
 module.exports = {
 	deployShortingRewards,
 	DEFAULTS,
 	cmd: program =>
-		program
-			.command('deploy-shorting-rewards')
+		addTransactionOptions(addSignerOptions(program.command('deploy-shorting-rewards')))
 			.description('Deploy shorting rewards')
 			.option(
 				'-t, --rewards-to-deploy <items>',
@@ -314,6 +352,10 @@ module.exports = {
 				'-d, --deployment-path <value>',
 				`Path to a folder that has the rewards file ${SHORTING_REWARDS_FILENAME} and where your ${DEPLOYMENT_FILENAME} files will go`
 			)
+			.option(
+				'--gas-report-file <value>',
+				'Where to write the JSON gas report (defaults to a new file in the gas-reports folder of the deployment path)'
+			)
 			.option('-g, --max-fee-per-gas <value>', 'Maximum base gas fee price in GWEI')
 			.option(
 				'--max-priority-fee-per-gas <value>',
@@ -332,7 +374,7 @@ module.exports = {
 			)
 			.option(
 				'-v, --private-key [value]',
-				'The private key to deploy with (only works in local mode, otherwise set in .env).'
+				'The private key to deploy with (otherwise the signer set in .env).'
 			)
 			.option('-y, --yes', 'Dont prompt, just reply yes.')
 			.action(deployShortingRewards),
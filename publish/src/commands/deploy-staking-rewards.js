@@ -5,6 +5,10 @@ const ethers = require('ethers');
 const { gray, green, yellow } = require('chalk');
 const { table } = require('table');
 const Deployer = require('../Deployer');
+const { getSigner, addSignerOptions } = require('../command-utils/signer');
+const { addTransactionOptions } = require('../command-utils/transact');
+const GasReport = require('../GasReport');
+const TransactionManager = require('../TransactionManager');
 const { loadCompiledFiles, getLatestSolTimestamp } = require('../solidity');
 
 const {
@@ -41,7 +45,16 @@ const deployStakingRewards = async ({
 	network = DEFAULTS.network,
 	buildPath = DEFAULTS.buildPath,
 	deploymentPath,
+	gasReportFile,
 	privateKey,
+	txTimeout,
+	feeBump,
+	maxFeeBumps,
+	keystore,
+	mnemonic,
+	derivationPath,
+	remoteSigner,
+	remoteSignerAddress,
 	yes,
 	useOvm,
 	dryRun = false,
@@ -111,15 +124,21 @@ const deployStakingRewards = async ({
 	// now get the latest time a Solidity file was edited
 	const latestSolTimestamp = getLatestSolTimestamp(CONTRACTS_FOLDER);
 
-	const { providerUrl, privateKey: envPrivateKey, explorerLinkPrefix } = loadConnections({
+	const { providerUrl, explorerLinkPrefix } = loadConnections({
 		network,
 		useOvm,
 	});
 
-	// allow local deployments to use the private key passed as a CLI option
-	if (network !== 'local' || !privateKey) {
-		privateKey = envPrivateKey;
-	}
+	// the signer options take precedence over the one specified in .env
+	const signer = await getSigner({
+		network,
+		privateKey,
+		keystore,
+		mnemonic,
+		derivationPath,
+		remoteSigner,
+		remoteSignerAddress,
+	});
 
 	// Names in rewardsToDeploy will always be true
 	const config = rewardsToDeploy.reduce(
@@ -138,14 +157,30 @@ const deployStakingRewards = async ({
 		maxFeePerGas,
 		maxPriorityFeePerGas,
 		network,
-		privateKey,
+		signer,
 		providerUrl,
 		dryRun,
+		transactionManager: new TransactionManager({
+			timeout: txTimeout,
+			feeBump,
+			maxBumps: maxFeeBumps,
+		}),
 		useOvm,
 	});
 
 	const { account } = deployer;
 
+	const gasReport = dryRun
+		? undefined
+		: new GasReport({
+				command: 'deploy-staking-rewards',
+				network,
+				useOvm,
+				account,
+				provider: deployer.provider,
+		  });
+	deployer.gasReport = gasReport;
+
 	parameterNotice({
 		'Dry Run': dryRun ? green('true') : yellow('⚠ NO'),
 		Network: network,
@@ -267,14 +302,20 @@ const deployStakingRewards = async ({
 	} else {
 		console.log(gray('Note: No new contracts deployed.'));
 	}
+
+	if (gasReport) {
+		await gasReport.report({
+			file:
+				gasReportFile || GasReport.pathFor({ deploymentPath, command: 'deploy-staking-rewards' }),
+		});
+	}
 };
 
 module.exports = {
 	deployStakingRewards,
 	DEFAULTS,
 	cmd: program =>
-		program
-			.command('deploy-staking-rewards')
+		addTransactionOptions(addSignerOptions(program.command('deploy-staking-rewards')))
 			.description('Deploy staking rewards')
 			.option(
 				'-t, --rewards-to-deploy <items>',
@@ -291,6 +332,10 @@ module.exports = {
 				'-d, --deployment-path <value>',
 				`Path to a folder that has the rewards file ${STAKING_REWARDS_FILENAME} and where your ${DEPLOYMENT_FILENAME} files will go`
 			)
+			.option(
+				'--gas-report-file <value>',
+				'Where to write the JSON gas report (defaults to a new file in the gas-reports folder of the deployment path)'
+			)
 			.option('-g, --max-fee-per-gas <value>', 'Maximum base gas fee price in GWEI')
 			.option(
 				'--max-priority-fee-per-gas <value>',
@@ -309,7 +354,7 @@ module.exports = {
 			)
 			.option(
 				'-v, --private-key [value]',
-				'The private key to deploy with (only works in local mode, otherwise set in .env).'
+				'The private key to deploy with (otherwise the signer set in .env).'
 			)
 			.option('-z, --use-ovm', 'Target deployment for the OVM (Optimism).')
 			.option('-y, --yes', 'Dont prompt, just reply yes.')
@@ -17,6 +17,7 @@ module.exports = async ({
 	useOvm,
 	generateSolidity,
 	getDeployParameter,
+	multicall,
 	network,
 	runStep,
 	tribes,
@@ -53,7 +54,11 @@ module.exports = async ({
 	// Note: this populates rates for new tribes regardless of the addNewTribes flag
 	tribeRates = await Promise.all(
 		tribes.map(({ name }) =>
-			(previousSystemSettings || SystemSettings).exchangeFeeRate(toBytes32(name))
+			multicall.call({
+				target: previousSystemSettings || SystemSettings,
+				method: 'exchangeFeeRate',
+				args: [toBytes32(name)],
+			})
 		)
 	);
 
@@ -21,7 +21,6 @@ const {
 	rebuildCaches,
 	importAddresses,
 	pauseMarket,
-	resumeMarket,
 } = require('../../command-utils/perps-v2-utils');
 
 const deployPerpsV2Generics = async ({
@@ -272,15 +271,15 @@ const deployPerpsV2Markets = async ({
 			marketState: deployedMarketState,
 		});
 
-		// Pause market to start linking/configuring
-		const { wasPaused } = newMarket
-			? true
-			: await pauseMarket({
-					marketKey,
-					deployer,
-					runStep,
-					generateSolidity,
-			  });
+		// Pause market to start linking/configuring, configureMarket leaves it as per config
+		if (!newMarket) {
+			await pauseMarket({
+				marketKey,
+				deployer,
+				runStep,
+				generateSolidity,
+			});
+		}
 
 		// Initialize State
 		const stateInitialized = await deployedMarketState.target.initialized();
@@ -354,7 +353,6 @@ const deployPerpsV2Markets = async ({
 		await configureMarket({
 			marketKey,
 			marketConfig,
-			newMarket,
 			perpsV2MarketSettings,
 			deployer,
 			runStep,
@@ -362,18 +360,6 @@ const deployPerpsV2Markets = async ({
 			yes,
 			confirmAction,
 		});
-
-		// Resume market if needed after linking/configuring
-		if (!newMarket && !wasPaused) {
-			await resumeMarket({
-				marketKey,
-				deployer,
-				runStep,
-				generateSolidity,
-				yes,
-				confirmAction,
-			});
-		}
 	}
 
 	// Revoke futures pause/resume ACL to owner
@@ -4,7 +4,11 @@ const path = require('path');
 const { gray, red } = require('chalk');
 const pLimit = require('p-limit');
 const Deployer = require('../../Deployer');
-const NonceManager = require('../../NonceManager');
+const DeployJournal = require('../../DeployJournal');
+const GasReport = require('../../GasReport');
+const Multicall = require('../../Multicall');
+const SafeBatchExporter = require('../../SafeBatchExporter');
+const TransactionManager = require('../../TransactionManager');
 const { loadCompiledFiles } = require('../../solidity');
 
 const {
@@ -15,10 +19,20 @@ const {
 	loadConnections,
 	reportDeployedContracts,
 } = require('../../util');
-const { performTransactionalStep } = require('../../command-utils/transact');
+const { performTransactionalStep, addTransactionOptions } = require('../../command-utils/transact');
+const { getSigner, addSignerOptions } = require('../../command-utils/signer');
+const { validateDeployment, printValidation } = require('../../command-utils/validation');
 
 const {
-	constants: { BUILD_FOLDER, CONFIG_FILENAME, TRIBEONES_FILENAME, DEPLOYMENT_FILENAME },
+	getUsers,
+	getNextRelease,
+	constants: {
+		BUILD_FOLDER,
+		CONFIG_FILENAME,
+		CREATE2_FACTORY_ADDRESS,
+		TRIBEONES_FILENAME,
+		DEPLOYMENT_FILENAME,
+	},
 } = require('../../../..');
 
 const addTribesToProtocol = require('./add-tribes-to-protocol');
@@ -63,22 +77,36 @@ const deploy = async ({
 	addNewTribes,
 	buildPath = DEFAULTS.buildPath,
 	concurrency,
+	create2,
+	create2Release,
 	deploymentPath,
+	derivationPath,
 	dryRun = false,
+	feeBump,
 	freshDeploy,
+	gasReportFile,
 	maxFeePerGas,
 	maxPriorityFeePerGas = DEFAULTS.priorityGasPrice,
 	generateSolidity = false,
 	ignoreCustomParameters,
 	ignoreSafetyChecks,
+	keystore,
 	manageNonces,
+	maxFeeBumps,
+	mnemonic,
 	network = DEFAULTS.network,
+	ownerSigner,
 	privateKey,
 	signer,
 	providerUrl,
 	provider,
+	remoteSigner,
+	remoteSignerAddress,
+	resume,
+	safeBatchFile,
 	skipFeedChecks = false,
 	specifyContracts,
+	txTimeout,
 	useFork,
 	useOvm,
 	yes,
@@ -92,6 +120,15 @@ const deploy = async ({
 	deploymentPath = deploymentPath || getDeploymentPathForNetwork({ network, useOvm });
 	ensureDeploymentPath(deploymentPath);
 
+	// catch mistakes in the deployment files before anything is sent
+	const { errors, warnings } = validateDeployment({ deploymentPath, network });
+	if (errors.length || warnings.length) {
+		printValidation({ deploymentPath, errors, warnings });
+	}
+	if (errors.length) {
+		throw Error(`The deployment files in ${deploymentPath} are invalid (see the validate command)`);
+	}
+
 	const limitPromise = pLimit(concurrency);
 
 	const {
@@ -167,35 +204,66 @@ const deploy = async ({
 	console.log(gray('Loading the compiled contracts locally...'));
 	const { earliestCompiledTimestamp, compiled } = loadCompiledFiles({ buildPath });
 
-	const { privateKey: envPrivateKey, explorerLinkPrefix } = loadConnections({
+	const { explorerLinkPrefix } = loadConnections({
 		network,
 		useFork,
 		useOvm,
 	});
 
+	// when not in a local network, and not forking, and no signer is supplied,
+	// use the one from the .env file
+	if (!signer) {
+		signer = await getSigner({
+			network,
+			useEnv: network !== 'local' && !useFork,
+			privateKey,
+			keystore,
+			mnemonic,
+			derivationPath,
+			remoteSigner,
+			remoteSignerAddress,
+		});
+	}
+
 	// Here we set a default private key for local-ovm deployment, as the
 	// OVM geth node has no notion of local/unlocked accounts.
 	// Deploying without a private key will give the error "OVM: Unsupported RPC method",
 	// as the OVM node does not support eth_sendTransaction, which inherently relies on
 	// the unlocked accounts on the node.
-	if (network === 'local' && useOvm && !privateKey) {
+	if (network === 'local' && useOvm && !signer) {
 		// Account #0: 0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266
 		privateKey = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
 	}
 
-	// when not in a local network, and not forking, and the privateKey isn't supplied,
-	// use the one from the .env file
-	if (network !== 'local' && !useFork && !privateKey) {
-		privateKey = envPrivateKey;
-	}
+	const transactionManager = new TransactionManager({
+		manageNonces,
+		timeout: txTimeout,
+		feeBump,
+		maxBumps: maxFeeBumps,
+	});
 
-	const nonceManager = new NonceManager({});
+	// CREATE2 deployments are salted with the release, by default the next one of the layer
+	if (
+		!create2Release &&
+		(create2 || Object.values(config).some(entry => entry.deploy && entry.create2))
+	) {
+		try {
+			create2Release = getNextRelease({ useOvm }).releaseName;
+		} catch (err) {
+			throw Error(
+				'Cannot find the next release in releases.json to salt CREATE2 deployments with, use --create2-release'
+			);
+		}
+		console.log(gray(`Salting CREATE2 deployments with the release ${create2Release}`));
+	}
 
 	const deployer = new Deployer({
 		account: signer ? await signer.getAddress() : null,
 		compiled,
 		config,
 		configFile,
+		create2,
+		create2Release,
 		deployment,
 		deploymentFile,
 		maxFeePerGas,
@@ -208,17 +276,58 @@ const deploy = async ({
 		dryRun,
 		useOvm,
 		useFork,
-		nonceManager: manageNonces ? nonceManager : undefined,
+		transactionManager,
 	});
 
 	const { account } = deployer;
 
-	if (!signer) {
-		signer = deployer.signer;
+	// the deployer connects the signer to its provider if need be
+	signer = deployer.signer;
+
+	// record every deployment and step of this run so it can be resumed if interrupted
+	let journal;
+	let gasReport;
+	if (!dryRun && !generateSolidity) {
+		journal = new DeployJournal({
+			file: resume || DeployJournal.pathFor({ deploymentPath }),
+			provider: deployer.provider,
+			network,
+			useOvm,
+			account,
+			resume: !!resume,
+		});
+		deployer.journal = journal;
+
+		gasReport = new GasReport({
+			command: 'deploy',
+			network,
+			useOvm,
+			account,
+			provider: deployer.provider,
+		});
+		deployer.gasReport = gasReport;
+		console.log(
+			gray(`${resume ? 'Resuming from' : 'Recording'} deploy journal at ${journal.file}`)
+		);
 	}
 
-	nonceManager.provider = deployer.provider;
-	nonceManager.account = account;
+	// owner actions are also collected into a batch file the owner safe can import offline
+	const safeBatch =
+		safeBatchFile && !generateSolidity
+			? new SafeBatchExporter({
+					network,
+					useOvm,
+					safeAddress: getUsers({ network, useOvm, user: 'owner' }).address,
+					file: safeBatchFile,
+			  })
+			: undefined;
+
+	// view calls are batched through Multicall3 where it is deployed, and made one by one otherwise
+	const multicall = new Multicall({
+		provider: deployer.provider,
+		// its own limit, as callers may already hold a place in the other while they wait on a read
+		limitPromise: pLimit(concurrency),
+	});
 
 	const {
 		currentTribeoneSupply,
@@ -239,6 +348,7 @@ const deploy = async ({
 		maxFeePerGas,
 		maxPriorityFeePerGas,
 		getDeployParameter,
+		multicall,
 		network,
 		skipFeedChecks,
 		feeds,
@@ -265,10 +375,15 @@ const deploy = async ({
 			maxFeePerGas,
 			maxPriorityFeePerGas,
 			generateSolidity,
-			nonceManager: manageNonces ? nonceManager : undefined,
+			transactionManager,
 			ownerActions,
 			ownerActionsFile,
 			useFork,
+			journal,
+			ownerSigner,
+			safeBatch,
+			gasReport,
+			multicall,
 			...overrides,
 		});
 
@@ -400,8 +515,9 @@ const deploy = async ({
 
 	await rebuildResolverCaches({
 		deployer,
+		deploymentPath,
 		generateSolidity,
-		limitPromise,
+		multicall,
 		newContractsBeingAdded,
 		runStep,
 		network,
@@ -497,6 +613,7 @@ const deploy = async ({
 		useOvm,
 		generateSolidity,
 		getDeployParameter,
+		multicall,
 		network,
 		runStep,
 		tribes,
@@ -542,8 +659,30 @@ const deploy = async ({
 
 	console.log(gray(`\n------ DEPLOY COMPLETE ------\n`));
 
+	console.log(
+		gray(`Read ${multicall.stats.calls} values from the chain in ${multicall.stats.requests} calls`)
+	);
+
 	reportDeployedContracts({ deployer });
 
+	if (gasReport) {
+		await gasReport.report({
+			file: gasReportFile || GasReport.pathFor({ deploymentPath, command: 'deploy' }),
+		});
+	}
+
+	if (safeBatch && safeBatch.transactions.length) {
+		const { transactions, file, multiSendFile } = safeBatch.write({
+			name: `Deploy to ${network}${useOvm ? ' (OVM)' : ''}`,
+			description: `Owner actions from deploy ${deploymentPath}`,
+		});
+		console.log(
+			gray(
+				`Exported ${transactions.length} owner actions as a safe batch to ${file} and as MultiSend calldata to ${multiSendFile}`
+			)
+		);
+	}
+
 	if (generateSolidity) {
 		generateSolidityOutput({
 			addressOf,
@@ -564,8 +703,7 @@ module.exports = {
 	deploy,
 	DEFAULTS,
 	cmd: program =>
-		program
-			.command('deploy')
+		addTransactionOptions(addSignerOptions(program.command('deploy')))
 			.description('Deploy compiled solidity files')
 			.option(
 				'-a, --add-new-tribes',
@@ -577,6 +715,14 @@ module.exports = {
 				'Path to a folder hosting compiled files from the "build" step in this script',
 				DEFAULTS.buildPath
 			)
+			.option(
+				'--create2',
+				`Deploy every contract through the CREATE2 factory at ${CREATE2_FACTORY_ADDRESS}, so its address only depends on its name, the release, its bytecode and its constructor args (otherwise only those with "create2": true in the ${CONFIG_FILENAME})`
+			)
+			.option(
+				'--create2-release <value>',
+				'The release name to salt CREATE2 deployments with (defaults to the next release of the layer in releases.json)'
+			)
 			.option(
 				'-d, --deployment-path <value>',
 				`Path to a folder that has your input configuration file ${CONFIG_FILENAME}, the tribe list ${TRIBEONES_FILENAME} and where your ${DEPLOYMENT_FILENAME} files will go`
@@ -597,6 +743,10 @@ module.exports = {
 				DEFAULTS.priorityGasPrice
 			)
 			.option('--generate-solidity', 'Whether or not to output the migration as a Solidity file')
+			.option(
+				'--gas-report-file <value>',
+				'Where to write the JSON gas report (defaults to a new file in the gas-reports folder of the deployment path)'
+			)
 			.option(
 				'-h, --fresh-deploy',
 				'Perform a "fresh" deploy, i.e. the first deployment on a network.'
@@ -632,13 +782,21 @@ module.exports = {
 			)
 			.option(
 				'-q, --manage-nonces',
-				'The command makes sure that no repeated nonces are sent (which may be the case when reorgs are common, i.e. in Goerli. Not to be confused with --manage-nonsense.)',
+				'The command assigns nonces itself so that none are repeated, sending again any dropped by a reorg (which are common, i.e. in Goerli. Not to be confused with --manage-nonsense.)',
 				false
 			)
 			.option(
 				'-p, --provider-url <value>',
 				'Ethereum network provider URL. If default, will use PROVIDER_URL found in the .env file.'
 			)
+			.option(
+				'--resume <journal>',
+				'Resume an interrupted deploy from its journal file, skipping steps that were already mined'
+			)
+			.option(
+				'--safe-batch-file <value>',
+				'Also export the owner actions to this Safe Transaction Builder JSON file (and its MultiSend calldata alongside)'
+			)
 			.option(
 				'--skip-feed-checks',
 				'If enabled, will skip the feed checking on start (speeds up deployment)'
@@ -649,7 +807,7 @@ module.exports = {
 			)
 			.option(
 				'-v, --private-key [value]',
-				'The private key to deploy with (only works in local mode, otherwise set in .env).'
+				'The private key to deploy with (otherwise the signer set in .env).'
 			)
 			.option(
 				'-x, --specify-contracts <value>',
@@ -6,11 +6,13 @@ const {
 	fromBytes32,
 	constants: { ZERO_ADDRESS },
 } = require('../../../..');
+const EventIndexer = require('../../EventIndexer');
 
 module.exports = async ({
 	deployer,
+	deploymentPath,
 	generateSolidity,
-	limitPromise,
+	multicall,
 	newContractsBeingAdded,
 	runStep,
 	network,
@@ -29,15 +31,20 @@ module.exports = async ({
 
 	const wrappers = [];
 
-	// add deployed wrappers
+	// add deployed wrappers, from every version of the factory
+	const indexer = new EventIndexer({
+		network,
+		useOvm,
+		deploymentPath,
+		provider: deployer.provider,
+	});
 	try {
-		const wrapperCreatedLogs = await deployer.provider.getLogs({
-			fromBlock: 0,
-			topics: [ethers.utils.id('WrapperCreated(address,bytes32,address)')],
-		});
+		const wrapperCreated = { contract: 'WrapperFactory', event: 'WrapperCreated' };
+		if (WrapperFactory) {
+			await indexer.sync(wrapperCreated);
+		}
 
-		for (const rawLog of wrapperCreatedLogs) {
-			const log = WrapperFactory.interface.parseLog(rawLog);
+		for (const log of WrapperFactory ? indexer.query(wrapperCreated) : []) {
 			wrappers.push([
 				`Wrapper for ${yellow(
 					ethers.utils.parseBytes32String(log.args.currencyKey)
@@ -87,6 +94,8 @@ module.exports = async ({
 		} else {
 			throw err;
 		}
+	} finally {
+		indexer.close();
 	}
 
 	// OVM pre-regenesis
@@ -131,7 +140,8 @@ module.exports = async ({
 	const resolverAddressesRequired = (
 		await Promise.all(
 			contractsWithRebuildableCache.map(([id, contract]) => {
-				return limitPromise(() => contract.resolverAddressesRequired())
+				return multicall
+					.call({ target: contract, method: 'resolverAddressesRequired' })
 					.then(result => [contract.address, result])
 					.catch(() => {
 						console.log(
@@ -162,9 +172,9 @@ module.exports = async ({
 
 	// check which resolver addresses are imported
 	const resolvedAddresses = await Promise.all(
-		resolverAddressesRequired.map(id => {
-			return limitPromise(() => AddressResolver.getAddress(id));
-		})
+		resolverAddressesRequired.map(id =>
+			multicall.call({ target: AddressResolver, method: 'getAddress', args: [id] })
+		)
 	);
 	const isResolverAddressImported = {};
 	for (let i = 0; i < resolverAddressesRequired.length; i++) {
@@ -199,34 +209,35 @@ module.exports = async ({
 		}
 		contractsToRebuildCache = Array.from(contractsToRebuildCacheSet);
 	} else {
-		for (const [name, target] of contractsWithRebuildableCache) {
-			let isCached = true;
+		const isCached = await Promise.all(
+			contractsWithRebuildableCache.map(([name, target]) =>
+				multicall.call({ target, method: 'isResolverCached' }).catch(() => {
+					console.log(
+						yellow.bold(`⚠ WARNING: Contract ${name} did not respond to isResolverCached()`)
+					);
+					return true;
+				})
+			)
+		);
+		const notCached = contractsWithRebuildableCache.filter((entry, i) => !isCached[i]);
+		const requiredAddressesOf = await Promise.all(
+			notCached.map(([, target]) => multicall.call({ target, method: 'resolverAddressesRequired' }))
+		);
 
-			try {
-				isCached = await target.isResolverCached();
-			} catch (err) {
+		for (const [i, [name, target]] of notCached.entries()) {
+			const requiredAddresses = requiredAddressesOf[i];
+
+			const unknownAddress = requiredAddresses.find(id => !isResolverAddressImported[id]);
+			if (unknownAddress) {
 				console.log(
-					yellow.bold(`⚠ WARNING: Contract ${name} did not respond to isResolverCached()`)
+					redBright(
+						`WARNING: Not invoking ${name}.rebuildCache() because ${fromBytes32(
+							unknownAddress
+						)} is unknown. This contract requires: ${requiredAddresses.map(id => fromBytes32(id))}`
+					)
 				);
-			}
-
-			if (!isCached) {
-				const requiredAddresses = await target.resolverAddressesRequired();
-
-				const unknownAddress = requiredAddresses.find(id => !isResolverAddressImported[id]);
-				if (unknownAddress) {
-					console.log(
-						redBright(
-							`WARNING: Not invoking ${name}.rebuildCache() because ${fromBytes32(
-								unknownAddress
-							)} is unknown. This contract requires: ${requiredAddresses.map(id =>
-								fromBytes32(id)
-							)}`
-						)
-					);
-				} else {
-					contractsToRebuildCache.push(target.address);
-				}
+			} else {
+				contractsToRebuildCache.push(target.address);
 			}
 		}
 	}
@@ -31,6 +31,7 @@ module.exports = async ({
 	maxFeePerGas,
 	maxPriorityFeePerGas,
 	getDeployParameter,
+	multicall,
 	network,
 	providerUrl,
 	skipFeedChecks,
@@ -51,13 +52,24 @@ module.exports = async ({
 
 	try {
 		const oldTribeone = deployer.getExistingContract({ contract: 'Tribeone' });
-		currentTribeoneSupply = await oldTribeone.totalSupply();
-
-		if (config['SupplySchedule']) {
-			const oldSupplySchedule = deployer.getExistingContract({ contract: 'SupplySchedule' });
-			currentWeekOfInflation = await oldSupplySchedule.weekCounter();
-			currentLastMintEvent = await oldSupplySchedule.lastMintEvent();
-		}
+		const oldSupplySchedule = config['SupplySchedule']
+			? deployer.getExistingContract({ contract: 'SupplySchedule' })
+			: undefined;
+
+		[
+			currentTribeoneSupply,
+			currentWeekOfInflation = currentWeekOfInflation,
+			currentLastMintEvent = currentLastMintEvent,
+		] = await Promise.all(
+			[multicall.call({ target: oldTribeone, method: 'totalSupply' })].concat(
+				oldSupplySchedule
+					? [
+							multicall.call({ target: oldSupplySchedule, method: 'weekCounter' }),
+							multicall.call({ target: oldSupplySchedule, method: 'lastMintEvent' }),
+					  ]
+					: []
+			)
+		);
 
 		// inflationSupplyToDate = total supply - 100m
 		inflationSupplyToDate = parseUnits(currentTribeoneSupply.toString(), 'wei').sub(
@@ -94,7 +106,10 @@ module.exports = async ({
 	try {
 		const oldSystemStatus = deployer.getExistingContract({ contract: 'SystemStatus' });
 
-		const systemSuspensionStatus = await oldSystemStatus.systemSuspension();
+		const systemSuspensionStatus = await multicall.call({
+			target: oldSystemStatus,
+			method: 'systemSuspension',
+		});
 
 		systemSuspended = systemSuspensionStatus.suspended;
 		systemSuspendedReason = systemSuspensionStatus.reason;
@@ -0,0 +1,401 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const ethers = require('ethers');
+const pLimit = require('p-limit');
+const { gray, green, red, yellow, cyan } = require('chalk');
+
+const Multicall = require('../Multicall');
+
+const {
+	ensureNetwork,
+	ensureDeploymentPath,
+	getDeploymentPathForNetwork,
+	loadAndCheckRequiredSources,
+	loadConnections,
+	stringify,
+} = require('../util');
+
+const {
+	constants: { CONFIG_FILENAME, DEPLOYMENT_FILENAME },
+	getProxiedContract,
+	toBytes32,
+} = require('../../..');
+
+const DEFAULTS = {
+	network: 'mainnet',
+	concurrency: 10,
+};
+
+const DRIFT_REPORT_FOLDER = 'drift-reports';
+
+const strip0x = hex => (hex || '').replace(/^0x/, '').toLowerCase();
+
+// all (byte aligned) matches of the pattern in the hex string, as [start, end) ranges of characters
+const rangesOf = ({ hex, pattern, offset = 0 }) => {
+	const ranges = [];
+	const regex = new RegExp(pattern, 'g');
+	let match;
+	while ((match = regex.exec(hex))) {
+		if (match.index % 2) {
+			regex.lastIndex = match.index + 1;
+			continue;
+		}
+		const start = match.index + offset;
+		ranges.push([start, match.index + match[0].length]);
+	}
+	return ranges;
+};
+
+const LIBRARY_PREFIX = `73${'0'.repeat(40)}3014`;
+
+/**
+ * Compare the code at an address with the runtime part of the creation bytecode it was deployed from.
+ * Solidity appends the runtime code to the constructor code, so the deployed code must match the
+ * end of the creation bytecode, except where it is filled in at deploy time: linked library
+ * addresses, immutables (zeroed PUSH32 values) and the address a library embeds of itself.
+ * Those ranges are zeroed on both sides before hashing.
+ */
+const compareCode = ({ code, bytecode }) => {
+	const actual = strip0x(code);
+	const creation = strip0x(bytecode);
+
+	if (!actual.length) {
+		return { status: 'missing' };
+	}
+	if (actual.length > creation.length) {
+		return { status: 'mismatch', actualHash: ethers.utils.keccak256(`0x${actual}`) };
+	}
+
+	const expected = creation.slice(creation.length - actual.length);
+	const library = expected.startsWith(LIBRARY_PREFIX);
+
+	const masked = [].concat(
+		rangesOf({ hex: expected, pattern: '__\\$[0-9a-f]{34}\\$__' }),
+		rangesOf({ hex: expected, pattern: `7f${'0'.repeat(64)}`, offset: 2 }),
+		library ? [[2, 42]] : []
+	);
+
+	const mask = hex =>
+		masked.reduce(
+			(memo, [start, end]) => memo.slice(0, start) + '0'.repeat(end - start) + memo.slice(end),
+			hex
+		);
+
+	const expectedHash = ethers.utils.keccak256(`0x${mask(expected)}`);
+	const actualHash = ethers.utils.keccak256(`0x${mask(actual)}`);
+
+	return {
+		status: expectedHash === actualHash ? 'match' : 'mismatch',
+		library,
+		expectedHash,
+		actualHash,
+	};
+};
+
+const count = (entries, ...statuses) =>
+	entries.filter(({ status }) => statuses.includes(status)).length;
+
+const hasFunction = ({ abi, name, inputs = [] }) =>
+	(abi || []).some(
+		entry =>
+			entry.type === 'function' &&
+			entry.name === name &&
+			entry.inputs.map(({ type }) => type).join() === inputs.join()
+	);
+
+/**
+ * Check what deployment.json records against the chain: the code of every target, the entries of
+ * the AddressResolver and the targets of proxies
+ */
+const detectDrift = async ({
+	network = DEFAULTS.network,
+	useOvm,
+	useFork,
+	deploymentPath,
+	providerUrl,
+	concurrency = DEFAULTS.concurrency,
+	json,
+	outputFile,
+}) => {
+	ensureNetwork(network);
+
+	// keep the loading logs out of JSON output
+	const log = console.log;
+	if (json) {
+		console.log = () => {};
+	}
+
+	let deployment;
+	try {
+		deploymentPath = deploymentPath || getDeploymentPathForNetwork({ network, useOvm });
+		ensureDeploymentPath(deploymentPath);
+		({ deployment } = loadAndCheckRequiredSources({ deploymentPath, network }));
+	} finally {
+		console.log = log;
+	}
+
+	const { providerUrl: envProviderUrl } = loadConnections({ network, useFork, useOvm });
+	providerUrl = providerUrl || envProviderUrl;
+	if (!providerUrl) {
+		throw Error('Missing .env key of PROVIDER_URL. Please add and retry.');
+	}
+
+	const provider = new ethers.providers.JsonRpcProvider(providerUrl);
+	// read everything at the same block so the checks agree with one another
+	const blockTag = await provider.getBlockNumber();
+	const limitPromise = pLimit(Number(concurrency));
+	// the resolver and proxies are read in batches, while getCode can only be called one by one
+	const multicall = new Multicall({ provider, limitPromise: pLimit(Number(concurrency)) });
+
+	const { targets, sources } = deployment;
+	const targetList = Object.values(targets);
+	const nameOf = address =>
+		(targetList.find(target => target.address.toLowerCase() === address.toLowerCase()) || {}).name;
+
+	const contractFor = ({ name }) =>
+		new ethers.Contract(
+			targets[name].address,
+			(sources[targets[name].source] || {}).abi || [],
+			provider
+		);
+
+	if (!json) {
+		console.log(
+			gray(`Checking ${targetList.length} targets of ${deploymentPath} at block ${blockTag}`)
+		);
+	}
+
+	const code = await Promise.all(
+		targetList.map(({ name, address, source }) =>
+			limitPromise(async () => {
+				const { bytecode } = sources[source] || {};
+				if (!bytecode) {
+					return { name, address, source, status: 'no-bytecode' };
+				}
+				return Object.assign(
+					{ name, address, source },
+					compareCode({ code: await provider.getCode(address, blockTag), bytecode })
+				);
+			})
+		)
+	);
+
+	let resolver = [];
+	if (targets.AddressResolver) {
+		const AddressResolver = contractFor({ name: 'AddressResolver' });
+		const libraries = code.filter(({ library }) => library).map(({ name }) => name);
+		resolver = await Promise.all(
+			targetList
+				.filter(({ name }) => !libraries.includes(name))
+				.map(async ({ name, address }) => {
+					const actual = await multicall.call({
+						target: AddressResolver,
+						method: 'getAddress',
+						args: [toBytes32(name)],
+						blockTag,
+					});
+					let status = 'match';
+					if (actual === ethers.constants.AddressZero) {
+						// contracts deployed with skipResolver are never imported
+						status = 'not-imported';
+					} else if (actual.toLowerCase() !== address.toLowerCase()) {
+						status = 'mismatch';
+					}
+					return { name, expected: address, actual, actualName: nameOf(actual), status };
+				})
+		);
+	}
+
+	const proxies = await Promise.all(
+		targetList
+			.filter(
+				({ source }) =>
+					hasFunction({ abi: (sources[source] || {}).abi, name: 'target' }) &&
+					hasFunction({ abi: (sources[source] || {}).abi, name: 'setTarget', inputs: ['address'] })
+			)
+			.map(async ({ name, address }) => {
+				const expectedName = getProxiedContract({ name, targets });
+				const expected = expectedName ? targets[expectedName].address : undefined;
+				let actual;
+				try {
+					actual = await multicall.call({
+						target: contractFor({ name }),
+						method: 'target',
+						blockTag,
+					});
+				} catch (err) {
+					return { name, address, expected, expectedName, status: 'unreadable' };
+				}
+				const actualName = nameOf(actual);
+				// without a target by convention, the proxy must at least point at a recorded target
+				const status = (expected
+				? actual.toLowerCase() === expected.toLowerCase()
+				: actualName)
+					? 'match'
+					: 'mismatch';
+				return { name, address, expected, expectedName, actual, actualName, status };
+			})
+	);
+
+	const summary = {
+		targets: targetList.length,
+		codeMismatches: count(code, 'mismatch', 'missing'),
+		resolverMismatches: count(resolver, 'mismatch'),
+		proxyMismatches: count(proxies, 'mismatch', 'unreadable'),
+	};
+
+	const report = {
+		network,
+		useOvm: !!useOvm,
+		deploymentPath,
+		blockNumber: blockTag,
+		checkedAt: new Date().toISOString(),
+		drift: !!(summary.codeMismatches + summary.resolverMismatches + summary.proxyMismatches),
+		summary,
+		code,
+		resolver,
+		proxies,
+	};
+
+	outputFile =
+		outputFile ||
+		path.join(
+			deploymentPath,
+			DRIFT_REPORT_FOLDER,
+			`drift-${report.checkedAt.replace(/[:.]/g, '-')}.json`
+		);
+	fs.mkdirSync(path.dirname(outputFile), { recursive: true });
+	fs.writeFileSync(outputFile, stringify(report));
+
+	if (json) {
+		console.log(stringify(report));
+	} else {
+		printReport({ report });
+		console.log(gray(`\nDrift report written to ${outputFile}`));
+	}
+
+	if (report.drift) {
+		process.exitCode = 1;
+	}
+
+	return report;
+};
+
+const printReport = ({ report: { code, resolver, proxies, summary, drift } }) => {
+	console.log(cyan('\nCode'));
+	code
+		.filter(({ status }) => status !== 'match')
+		.forEach(({ name, address, source, status, expectedHash, actualHash }) => {
+			const line = `  ${name} (${source}) at ${address}: ${status}`;
+			if (status === 'no-bytecode') {
+				console.log(yellow(`${line}, nothing recorded to compare with`));
+			} else {
+				console.log(red(line));
+				if (actualHash) {
+					console.log(gray(`      expected ${expectedHash}, found ${actualHash}`));
+				}
+			}
+		});
+	console.log(gray(`  ${count(code, 'match')} of ${code.length} targets match their bytecode`));
+
+	if (resolver.length) {
+		console.log(cyan('\nAddressResolver'));
+		resolver
+			.filter(({ status }) => status === 'mismatch')
+			.forEach(({ name, expected, actual, actualName }) =>
+				console.log(
+					red(
+						`  ${name} resolves to ${actual}${
+							actualName ? ` (${actualName})` : ''
+						}, not ${expected}`
+					)
+				)
+			);
+		const notImported = resolver.filter(({ status }) => status === 'not-imported');
+		if (notImported.length) {
+			console.log(gray(`  Not imported: ${notImported.map(({ name }) => name).join(', ')}`));
+		}
+		console.log(gray(`  ${count(resolver, 'match')} of ${resolver.length} entries match`));
+	}
+
+	if (proxies.length) {
+		console.log(cyan('\nProxies'));
+		proxies
+			.filter(({ status }) => status !== 'match')
+			.forEach(({ name, expected, expectedName, actual, actualName, status }) =>
+				console.log(
+					red(
+						status === 'unreadable'
+							? `  ${name}: could not read its target`
+							: `  ${name} points at ${actual} (${actualName || 'not a recorded target'})${
+									expected ? `, not ${expectedName} ${expected}` : ''
+							  }`
+					)
+				)
+			);
+		console.log(gray(`  ${count(proxies, 'match')} of ${proxies.length} proxies match`));
+	}
+
+	if (drift) {
+		console.log(
+			red(
+				`\nDrift detected: ${summary.codeMismatches} code, ${summary.resolverMismatches} resolver and ${summary.proxyMismatches} proxy mismatches`
+			)
+		);
+	} else {
+		console.log(green('\nNo drift detected'));
+	}
+};
+
+module.exports = {
+	detectDrift,
+	compareCode,
+	DEFAULTS,
+	cmd: program =>
+		program
+			.command('detect-drift')
+			.description(
+				`Check ${DEPLOYMENT_FILENAME} against the chain: the code of each target, the AddressResolver entries and proxy targets. Exits with 1 on drift.`
+			)
+			.option(
+				'-c, --concurrency <value>',
+				'The max number of contracts to check at once',
+				DEFAULTS.concurrency
+			)
+			.option(
+				'-d, --deployment-path <value>',
+				`Path to a folder that has your input configuration file ${CONFIG_FILENAME} and where your ${DEPLOYMENT_FILENAME} files will go`
+			)
+			.option('-j, --json', 'Print the report as JSON')
+			.option(
+				'-k, --use-fork',
+				'Check the deployment on a forked chain running on localhost (see fork command).',
+				false
+			)
+			.option(
+				'-n, --network <value>',
+				'The network to check.',
+				x => x.toLowerCase(),
+				DEFAULTS.network
+			)
+			.option(
+				'-o, --output-file <value>',
+				`Write the report to this file (defaults to the ${DRIFT_REPORT_FOLDER} folder of the deployment)`
+			)
+			.option(
+				'-p, --provider-url <value>',
+				'Ethereum network provider URL. If default, will use PROVIDER_URL found in the .env file.'
+			)
+			.option('-z, --use-ovm', 'Target deployment for the OVM (Optimism).')
+			.action(async (...args) => {
+				try {
+					await detectDrift(...args);
+				} catch (err) {
+					// show pretty errors for CLI users
+					console.error(red(err));
+					process.exitCode = 1;
+				}
+			}),
+};
@@ -0,0 +1,428 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const execFile = require('util').promisify(require('child_process').execFile);
+const ethers = require('ethers');
+const { gray, green, red, yellow, cyan } = require('chalk');
+
+const {
+	ensureNetwork,
+	getDeploymentPathForNetwork,
+	loadAndCheckRequiredSources,
+	stringify,
+} = require('../util');
+
+const {
+	constants: {
+		CONFIG_FILENAME,
+		PARAMS_FILENAME,
+		TRIBEONES_FILENAME,
+		STAKING_REWARDS_FILENAME,
+		SHORTING_REWARDS_FILENAME,
+		VERSIONS_FILENAME,
+		FEEDS_FILENAME,
+		OFFCHAIN_FEEDS_FILENAME,
+		FUTURES_MARKETS_FILENAME,
+		PERPS_V2_MARKETS_FILENAME,
+	},
+} = require('../../..');
+
+const DEFAULTS = {
+	network: 'mainnet',
+};
+
+// older revisions may predate some of these files, so stand in empty ones for them
+const EMPTY_FILES = {
+	[CONFIG_FILENAME]: {},
+	[PARAMS_FILENAME]: [],
+	[TRIBEONES_FILENAME]: [],
+	[STAKING_REWARDS_FILENAME]: [],
+	[SHORTING_REWARDS_FILENAME]: [],
+	[VERSIONS_FILENAME]: {},
+	[FEEDS_FILENAME]: {},
+	[OFFCHAIN_FEEDS_FILENAME]: {},
+	[FUTURES_MARKETS_FILENAME]: [],
+	[PERPS_V2_MARKETS_FILENAME]: [],
+};
+
+const git = async (...args) => (await execFile('git', args, { maxBuffer: 1024 ** 3 })).stdout;
+
+/**
+ * Copy the deployment folder as of the given git ref into a temporary folder
+ */
+const checkoutDeployment = async ({ deploymentPath, ref }) => {
+	const root = (await git('rev-parse', '--show-toplevel')).trim();
+	const folder = path.relative(root, path.resolve(deploymentPath));
+	const files = (await git('-C', root, 'ls-tree', '--name-only', `${ref}:${folder}`))
+		.split('\n')
+		.filter(file => /\.json$/.test(file));
+
+	if (!files.length) {
+		throw Error(`No deployment files found in ${folder} at ${ref}`);
+	}
+
+	const tmpPath = fs.mkdtempSync(path.join(os.tmpdir(), 'publish-diff-'));
+	for (const file of files) {
+		fs.writeFileSync(
+			path.join(tmpPath, file),
+			await git('-C', root, 'show', `${ref}:${path.posix.join(folder, file)}`)
+		);
+	}
+	return tmpPath;
+};
+
+const loadSnapshot = async ({ network, deploymentPath, ref }) => {
+	const snapshotPath = ref ? await checkoutDeployment({ deploymentPath, ref }) : deploymentPath;
+	try {
+		if (ref) {
+			for (const [file, empty] of Object.entries(EMPTY_FILES)) {
+				if (!fs.existsSync(path.join(snapshotPath, file))) {
+					fs.writeFileSync(path.join(snapshotPath, file), stringify(empty));
+				}
+			}
+		}
+		// feeds are mixed into shared asset objects, so copy them before the other snapshot is loaded
+		return JSON.parse(
+			JSON.stringify(loadAndCheckRequiredSources({ deploymentPath: snapshotPath, network }))
+		);
+	} finally {
+		if (ref) {
+			fs.rmSync(snapshotPath, { recursive: true, force: true });
+		}
+	}
+};
+
+const isObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// stringify with sorted keys, so key order alone is never reported as a change
+const canonical = value =>
+	JSON.stringify(value, (key, entry) =>
+		isObject(entry)
+			? Object.keys(entry)
+					.sort()
+					.reduce((memo, k) => Object.assign(memo, { [k]: entry[k] }), {})
+			: entry
+	);
+
+const toKeyed = ({ entries, key }) =>
+	Array.isArray(entries)
+		? entries.reduce((memo, entry) => Object.assign(memo, { [entry[key]]: entry }), {})
+		: entries || {};
+
+/**
+ * Compare two lists (or objects) of entries by the given key, reporting the fields changed per entry
+ */
+const diffEntries = ({ from, to, key }) => {
+	const [before, after] = [from, to].map(entries => toKeyed({ entries, key }));
+
+	const added = Object.keys(after).filter(name => !(name in before));
+	const removed = Object.keys(before).filter(name => !(name in after));
+	const changed = Object.keys(after)
+		.filter(name => name in before && canonical(before[name]) !== canonical(after[name]))
+		.map(name => {
+			const [a, b] = [before[name], after[name]];
+			// objects are compared field by field, anything else as a whole
+			if (!isObject(a) || !isObject(b)) {
+				return { key: name, changes: { value: { from: a, to: b } } };
+			}
+			return {
+				key: name,
+				changes: Array.from(new Set(Object.keys(a).concat(Object.keys(b))))
+					.filter(field => canonical(a[field]) !== canonical(b[field]))
+					.reduce(
+						(memo, field) => Object.assign(memo, { [field]: { from: a[field], to: b[field] } }),
+						{}
+					),
+			};
+		});
+
+	return { added, removed, changed };
+};
+
+const abiFragments = abi => {
+	const fragments = {};
+	for (const fragment of new ethers.utils.Interface(abi || []).fragments) {
+		if (fragment.type !== 'function' && fragment.type !== 'event') {
+			continue;
+		}
+		const id = `${fragment.type} ${fragment.name}`;
+		fragments[id] = (fragments[id] || []).concat(fragment.format('full')).sort();
+	}
+	return fragments;
+};
+
+/**
+ * Functions and events added or removed by name, and those whose signatures changed
+ */
+const diffAbi = ({ from, to }) => {
+	const [before, after] = [from, to].map(abiFragments);
+	return {
+		added: Object.keys(after)
+			.filter(id => !(id in before))
+			.map(id => after[id])
+			.reduce((memo, signatures) => memo.concat(signatures), []),
+		removed: Object.keys(before)
+			.filter(id => !(id in after))
+			.map(id => before[id])
+			.reduce((memo, signatures) => memo.concat(signatures), []),
+		changed: Object.keys(after)
+			.filter(id => id in before && canonical(before[id]) !== canonical(after[id]))
+			.map(id => ({ name: id, from: before[id], to: after[id] })),
+	};
+};
+
+// unlinked library placeholders are hashed as the zero address
+const bytecodeHash = ({ bytecode } = {}) =>
+	bytecode
+		? ethers.utils.keccak256(
+				`0x${bytecode.replace(/^0x/, '').replace(/__\$[0-9a-fA-F]{34}\$__/g, '0'.repeat(40))}`
+		  )
+		: undefined;
+
+// the hash of the solidity source, as recorded in versions.json by versions-update
+const sourceHash = ({ source } = {}) => (source || {}).keccak256;
+
+const diffSnapshots = ({ from, to }) => {
+	const [before, after] = [from.deployment, to.deployment];
+
+	const targets = {
+		added: Object.values(after.targets)
+			.filter(({ name }) => !before.targets[name])
+			.map(({ name, address, source }) => ({ name, address, source })),
+		removed: Object.values(before.targets)
+			.filter(({ name }) => !after.targets[name])
+			.map(({ name, address, source }) => ({ name, address, source })),
+		replaced: Object.values(after.targets)
+			.filter(
+				({ name, address }) =>
+					before.targets[name] &&
+					before.targets[name].address.toLowerCase() !== address.toLowerCase()
+			)
+			.map(({ name, address, source }) => ({
+				name,
+				from: { address: before.targets[name].address, source: before.targets[name].source },
+				to: { address, source },
+			})),
+	};
+
+	const sources = {
+		added: Object.keys(after.sources).filter(name => !before.sources[name]),
+		removed: Object.keys(before.sources).filter(name => !after.sources[name]),
+		changed: Object.keys(after.sources)
+			.filter(name => before.sources[name])
+			.map(name => {
+				const [a, b] = [before.sources[name], after.sources[name]];
+				const entry = { name, abi: diffAbi({ from: a.abi, to: b.abi }) };
+				if (bytecodeHash(a) !== bytecodeHash(b)) {
+					entry.bytecode = { from: bytecodeHash(a), to: bytecodeHash(b) };
+				}
+				if (sourceHash(a) !== sourceHash(b)) {
+					entry.keccak256 = { from: sourceHash(a), to: sourceHash(b) };
+				}
+				return entry;
+			})
+			.filter(
+				({ abi, bytecode, keccak256 }) =>
+					bytecode || keccak256 || abi.added.length || abi.removed.length || abi.changed.length
+			),
+	};
+
+	return {
+		targets,
+		sources,
+		versions: {
+			added: Object.keys(to.versions).filter(tag => !(tag in from.versions)),
+			removed: Object.keys(from.versions).filter(tag => !(tag in to.versions)),
+		},
+		[PARAMS_FILENAME]: diffEntries({ from: from.params, to: to.params, key: 'name' }),
+		[TRIBEONES_FILENAME]: diffEntries({ from: from.tribes, to: to.tribes, key: 'name' }),
+		[FEEDS_FILENAME]: diffEntries({ from: from.feeds, to: to.feeds }),
+		[PERPS_V2_MARKETS_FILENAME]: diffEntries({
+			from: from.perpsv2Markets,
+			to: to.perpsv2Markets,
+			key: 'marketKey',
+		}),
+	};
+};
+
+const short = value => (typeof value === 'string' ? value : JSON.stringify(value));
+
+const printEntries = ({ title, added, removed, changed }) => {
+	if (!added.length && !removed.length && !changed.length) {
+		return;
+	}
+	console.log(cyan(`\n${title}`));
+	added.forEach(key => console.log(green(`  + ${key}`)));
+	removed.forEach(key => console.log(red(`  - ${key}`)));
+	changed.forEach(({ key, changes }) => {
+		console.log(yellow(`  ~ ${key}`));
+		Object.entries(changes).forEach(([field, { from, to }]) =>
+			console.log(gray(`      ${field}: ${short(from)} -> ${short(to)}`))
+		);
+	});
+};
+
+const printDiff = ({ result }) => {
+	const { targets, sources, versions } = result;
+
+	console.log(gray(`\n------ DEPLOYMENT DIFF ------`));
+	console.log(gray(`From: ${result.from}`));
+	console.log(gray(`To:   ${result.to}`));
+
+	if (targets.added.length || targets.removed.length || targets.replaced.length) {
+		console.log(cyan('\nTargets'));
+		targets.added.forEach(({ name, source, address }) =>
+			console.log(green(`  + ${name}${name !== source ? ` (${source})` : ''} ${address}`))
+		);
+		targets.replaced.forEach(({ name, from, to }) =>
+			console.log(
+				yellow(
+					`  ~ ${name} ${from.address} -> ${to.address}${
+						from.source !== to.source ? ` (source ${from.source} -> ${to.source})` : ''
+					}`
+				)
+			)
+		);
+		targets.removed.forEach(({ name, address }) => console.log(red(`  - ${name} ${address}`)));
+	}
+
+	if (sources.added.length || sources.removed.length || sources.changed.length) {
+		console.log(cyan('\nSources'));
+		sources.added.forEach(name => console.log(green(`  + ${name}`)));
+		sources.removed.forEach(name => console.log(red(`  - ${name}`)));
+		sources.changed.forEach(({ name, abi, bytecode, keccak256 }) => {
+			console.log(yellow(`  ~ ${name}`));
+			if (bytecode) {
+				console.log(gray(`      bytecode hash ${bytecode.from} -> ${bytecode.to}`));
+			}
+			if (keccak256) {
+				console.log(gray(`      source keccak256 ${keccak256.from} -> ${keccak256.to}`));
+			}
+			abi.added.forEach(signature => console.log(green(`      + ${signature}`)));
+			abi.removed.forEach(signature => console.log(red(`      - ${signature}`)));
+			abi.changed.forEach(({ from, to }) => {
+				from.forEach(signature => console.log(red(`      - ${signature}`)));
+				to.forEach(signature => console.log(green(`      + ${signature}`)));
+			});
+		});
+	}
+
+	printEntries({
+		title: 'Versions',
+		added: versions.added,
+		removed: versions.removed,
+		changed: [],
+	});
+
+	for (const file of [
+		PARAMS_FILENAME,
+		TRIBEONES_FILENAME,
+		FEEDS_FILENAME,
+		PERPS_V2_MARKETS_FILENAME,
+	]) {
+		printEntries(Object.assign({ title: file }, result[file]));
+	}
+};
+
+const diff = async ({
+	network = DEFAULTS.network,
+	useOvm,
+	fromPath,
+	toPath,
+	fromRef,
+	toRef,
+	json,
+	outputFile,
+}) => {
+	ensureNetwork(network);
+
+	if (!fromPath && !fromRef) {
+		throw Error('Please provide what to compare from, via --from-path or --from-ref');
+	}
+
+	// keep the loading logs out of JSON output
+	const log = console.log;
+	if (json) {
+		console.log = () => {};
+	}
+
+	const deploymentPath = getDeploymentPathForNetwork({ network, useOvm });
+
+	// without a "to", compare against the network's deployment as it is in the working tree
+	const [fromSnapshot, toSnapshot] = [
+		{ deploymentPath: fromPath || deploymentPath, ref: fromPath ? undefined : fromRef },
+		{ deploymentPath: toPath || deploymentPath, ref: toPath ? undefined : toRef },
+	];
+	const label = ({ deploymentPath, ref }) => (ref ? `${ref}:${deploymentPath}` : deploymentPath);
+
+	let from, to;
+	try {
+		from = await loadSnapshot(Object.assign({ network }, fromSnapshot));
+		to = await loadSnapshot(Object.assign({ network }, toSnapshot));
+	} finally {
+		console.log = log;
+	}
+
+	const result = Object.assign(
+		{ network, useOvm: !!useOvm, from: label(fromSnapshot), to: label(toSnapshot) },
+		diffSnapshots({ from, to })
+	);
+
+	if (outputFile) {
+		fs.writeFileSync(outputFile, stringify(result));
+	}
+
+	if (json) {
+		console.log(stringify(result));
+	} else {
+		printDiff({ result });
+		if (outputFile) {
+			console.log(gray(`\nDiff written to ${outputFile}`));
+		}
+	}
+
+	return result;
+};
+
+module.exports = {
+	diff,
+	diffAbi,
+	diffSnapshots,
+	DEFAULTS,
+	cmd: program =>
+		program
+			.command('diff')
+			.description(
+				'Compare two deployment folders, or the deployment of a network at two git refs: targets, ABIs, bytecode and configuration'
+			)
+			.option(
+				'-n, --network <value>',
+				'The network of the deployments.',
+				x => x.toLowerCase(),
+				DEFAULTS.network
+			)
+			.option('-z, --use-ovm', 'Target deployment for the OVM (Optimism).')
+			.option('--from-path <value>', 'The deployment folder to compare from')
+			.option('--to-path <value>', 'The deployment folder to compare to')
+			.option(
+				'--from-ref <value>',
+				'The git ref (tag, branch or commit) of the network deployment to compare from'
+			)
+			.option(
+				'--to-ref <value>',
+				'The git ref of the network deployment to compare to (defaults to the working tree)'
+			)
+			.option('-j, --json', 'Print the diff as JSON')
+			.option('-o, --output-file <value>', 'Also write the diff as JSON to this file')
+			.action(async (...args) => {
+				try {
+					await diff(...args);
+				} catch (err) {
+					// show pretty errors for CLI users
+					console.error(red(err));
+					process.exitCode = 1;
+				}
+			}),
+};
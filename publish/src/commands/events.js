@@ -0,0 +1,220 @@
+'use strict';
+
+const ethers = require('ethers');
+const { gray, yellow } = require('chalk');
+const { table } = require('table');
+
+const {
+	constants: { CONFIG_FILENAME, DEPLOYMENT_FILENAME, VERSIONS_FILENAME },
+} = require('../../..');
+
+const {
+	ensureNetwork,
+	ensureDeploymentPath,
+	getDeploymentPathForNetwork,
+	loadConnections,
+	stringify,
+	action,
+	addDeploymentOptions,
+} = require('../util');
+
+const EventIndexer = require('../EventIndexer');
+
+const DEFAULTS = {
+	network: 'mainnet',
+};
+
+const getIndexer = ({
+	network,
+	useOvm,
+	useFork,
+	deploymentPath,
+	providerUrl,
+	file,
+	pageSize,
+	confirmations,
+	requireProvider,
+}) => {
+	ensureNetwork(network);
+	deploymentPath = deploymentPath || getDeploymentPathForNetwork({ network, useOvm });
+	ensureDeploymentPath(deploymentPath);
+
+	const { providerUrl: envProviderUrl } = loadConnections({ network, useOvm, useFork });
+	providerUrl = providerUrl || envProviderUrl;
+	if (!providerUrl && requireProvider) {
+		throw Error('Missing .env key of PROVIDER_URL. Please add and retry.');
+	}
+
+	return new EventIndexer({
+		network,
+		useOvm,
+		deploymentPath,
+		provider: providerUrl ? new ethers.providers.JsonRpcProvider(providerUrl) : undefined,
+		file,
+		pageSize,
+		confirmations,
+	});
+};
+
+const syncEvents = async ({
+	network = DEFAULTS.network,
+	useOvm,
+	useFork,
+	deploymentPath,
+	providerUrl,
+	file,
+	pageSize,
+	confirmations,
+	contract,
+	source,
+	event,
+	fromBlock,
+	toBlock,
+}) => {
+	if (!contract || !event) {
+		throw Error('Both the contract and the event to index are required');
+	}
+	const indexer = getIndexer({
+		network,
+		useOvm,
+		useFork,
+		deploymentPath,
+		providerUrl,
+		file,
+		pageSize,
+		confirmations,
+		requireProvider: true,
+	});
+	try {
+		const fetched = await indexer.sync({ contract, source, event, fromBlock, toBlock });
+		console.log(
+			gray('Indexed', yellow(fetched), `new ${contract}.${event} events into`, yellow(indexer.file))
+		);
+	} finally {
+		indexer.close();
+	}
+};
+
+const queryEvents = async ({
+	network = DEFAULTS.network,
+	useOvm,
+	useFork,
+	deploymentPath,
+	providerUrl,
+	file,
+	contract,
+	event,
+	address,
+	arg = [],
+	fromBlock,
+	toBlock,
+	json,
+}) => {
+	const indexer = getIndexer({ network, useOvm, useFork, deploymentPath, providerUrl, file });
+	let events;
+	try {
+		const args = arg.reduce((memo, entry) => {
+			const [name, ...value] = entry.split('=');
+			memo[name] = value.join('=');
+			return memo;
+		}, {});
+		events = indexer.query({ contract, event, address, args, fromBlock, toBlock });
+	} finally {
+		indexer.close();
+	}
+
+	// the args by name only, without their positions
+	const namedArgs = args =>
+		Object.keys(args)
+			.filter(key => isNaN(key))
+			.reduce((memo, key) => Object.assign(memo, { [key]: args[key] }), {});
+
+	if (json) {
+		console.log(
+			stringify(events.map(entry => Object.assign({}, entry, { args: namedArgs(entry.args) })))
+		);
+		return;
+	}
+
+	if (!events.length) {
+		console.log(gray('No events indexed that match'));
+		return;
+	}
+	console.log(
+		table(
+			[['Block', 'Contract', 'Event', 'Args', 'Tx']].concat(
+				events.map(({ blockNumber, contract, event, args, transactionHash }) => [
+					blockNumber,
+					contract,
+					event,
+					Object.entries(namedArgs(args))
+						.map(([key, value]) => `${key}: ${value}`)
+						.join('\n'),
+					transactionHash,
+				])
+			)
+		)
+	);
+	console.log(gray(`${events.length} events`));
+};
+
+const withCommonOptions = command =>
+	addDeploymentOptions({
+		deploymentPathDescription: `Path to a folder that has your input configuration file ${CONFIG_FILENAME}, the ${DEPLOYMENT_FILENAME} and ${VERSIONS_FILENAME} to index from`,
+		network: DEFAULTS.network,
+	})(command)
+		.option('-c, --contract <value>', 'The contract label in the deployment, i.e. ProxyTribeone')
+		.option('-e, --event <value>', 'The event name, i.e. TribeExchange')
+		.option('-f, --from-block <value>', 'The block to start from')
+		.option('-t, --to-block <value>', 'The block to end at')
+		.option(
+			'--file <value>',
+			`The SQLite file of the index (defaults to ${EventIndexer.DEFAULTS.file} in the deployment path)`
+		)
+		.option('-k, --use-fork', 'Perform on a local fork', false)
+		.option('-p, --provider-url <value>', 'Ethereum network provider URL.');
+
+module.exports = {
+	syncEvents,
+	queryEvents,
+	DEFAULTS,
+	cmd: program => {
+		const command = program
+			.command('events')
+			.description(
+				'Index the events of the deployed contracts into a local SQLite file, and query it'
+			);
+
+		withCommonOptions(command.command('sync'))
+			.description(
+				'Index the logs of an event from every address the contract has had, resuming from the last run'
+			)
+			.option(
+				'-s, --source <value>',
+				'The source with the event, if not the contract (i.e. Tribeone)'
+			)
+			.option(
+				'--page-size <value>',
+				'The blocks to fetch logs for at a time',
+				EventIndexer.DEFAULTS.pageSize
+			)
+			.option(
+				'--confirmations <value>',
+				'How many blocks behind the head a range is final, the blocks after it being fetched again on each sync',
+				EventIndexer.DEFAULTS.confirmations
+			)
+			.action(action(syncEvents));
+
+		withCommonOptions(command.command('query'))
+			.description('List the indexed events')
+			.option('-a, --address <value>', 'Only those emitted by this address')
+			.option(
+				'--arg <name=value>',
+				'Only those with this argument value (repeatable)',
+				(value, previous) => previous.concat(value),
+				[]
+			)
+			.option('-j, --json', 'Print the events as JSON')
+			.action(action(queryEvents));
+	},
+};
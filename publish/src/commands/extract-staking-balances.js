@@ -1,6 +1,5 @@
 const fs = require('fs');
 const path = require('path');
-const axios = require('axios');
 const ethers = require('ethers');
 const uniq = require('lodash.uniq');
 const {
@@ -16,6 +15,8 @@ const {
 	getDeploymentPathForNetwork,
 	loadConnections,
 } = require('../util');
+const EventIndexer = require('../EventIndexer');
+const { getTribeTransfers } = require('../command-utils/holders');
 
 const DEFAULTS = {
 	network: 'goerli',
@@ -44,7 +45,7 @@ async function extractStakingBalances({
 	/** *********** Replace Settings Here *********** **/
 
 	// The RPC endpoint that the results will be retrieved from. Preferably this is an archive node.
-	const { providerUrl, etherscanUrl } = loadConnections({
+	const { providerUrl } = loadConnections({
 		network,
 	});
 
@@ -71,17 +72,16 @@ async function extractStakingBalances({
 	const stakingAddress = lastStakingVersionThatsCurrent.address;
 	console.log(gray(`Using StakingRewards${tribe} address of`), yellow(stakingAddress));
 
-	const result = await axios.get(etherscanUrl, {
-		params: {
-			module: 'account',
-			action: 'txlist',
-			address: stakingAddress,
-			apikey: useOvm ? process.env.OVM_ETHERSCAN_KEY : process.env.ETHERSCAN_KEY,
-		},
-	});
+	const provider = new ethers.providers.JsonRpcProvider(providerUrl);
 
 	// The block that the staking contract was deployed, for filtering transfers into it.
-	const deploymentBlock = +result.data.result[0].blockNumber;
+	let deploymentBlock;
+	const indexer = new EventIndexer({ network, useOvm, deploymentPath, provider });
+	try {
+		deploymentBlock = await indexer.deployedAt({ address: stakingAddress });
+	} finally {
+		indexer.close();
+	}
 
 	console.log(`Loading rewards for tribe ${tribe} on network ${network}`);
 
@@ -90,8 +90,6 @@ async function extractStakingBalances({
 		yellow(deploymentBlock)
 	);
 
-	const provider = new ethers.providers.JsonRpcProvider(providerUrl);
-
 	const ExchangeRates = new ethers.Contract(
 		getTarget({ contract: 'ExchangeRates' }).address,
 		getSource({ contract: 'ExchangeRates' }).abi,
@@ -159,7 +157,6 @@ async function extractStakingBalances({
 
 	// Looks for all transfers into the staking contract
 	async function fetchStakedBalances() {
-		const iTribe = new ethers.Contract(iTribeAddress, snxABI, provider);
 		const stakingContract = new ethers.Contract(stakingAddress, snxABI, provider);
 
 		const currentBlock = await provider.getBlockNumber();
@@ -173,16 +170,19 @@ async function extractStakingBalances({
 				deploymentBlock} blocks ago at ${formatDate(deploymentBlockDetails.timestamp * 1000)})\n`
 		);
 
-		const transferEvents = await iTribe.queryFilter(
-			{
-				topics: [
-					ethers.utils.id('Transfer(address,address,uint256)'),
-					null,
-					ethers.utils.hexZeroPad(stakingAddress, 32),
-				],
-			},
-			deploymentBlock - 1
-		);
+		// from every address the proxies of the tribe have had, not only the current one
+		const indexer = new EventIndexer({ network, useOvm, deploymentPath, provider });
+		let transferEvents;
+		try {
+			transferEvents = await getTribeTransfers({
+				indexer,
+				currencyKey: tribe,
+				fromBlock: deploymentBlock - 1,
+				args: { to: stakingAddress },
+			});
+		} finally {
+			indexer.close();
+		}
 
 		const candidates = uniq(transferEvents.map(e => e.args.from));
 
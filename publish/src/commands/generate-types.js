@@ -0,0 +1,130 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { gray, yellow, red } = require('chalk');
+
+const tribeone = require('../../..');
+const {
+	constants: { DEPLOYMENT_FILENAME, TYPES_FOLDER },
+	getPathToNetwork,
+	getPerpsV2ProxiedMarkets,
+	getProxiedContract,
+} = tribeone;
+
+const {
+	commonTypes,
+	contractsTypes,
+	contractTypes,
+	deploymentTypes,
+	packageTypes,
+} = require('../typings');
+
+const DEFAULTS = {
+	packagePath: path.join(__dirname, '..', '..', '..'),
+	deployedPath: path.join(__dirname, '..', '..', 'deployed'),
+};
+
+// the deployments published with the package, by their folder names
+const getDeployments = ({ deployedPath }) =>
+	fs
+		.readdirSync(deployedPath)
+		.filter(folder => fs.existsSync(path.join(deployedPath, folder, DEPLOYMENT_FILENAME)))
+		.sort();
+
+const writeDeploymentTypes = ({ deploymentPath, network }) => {
+	let deployment;
+	try {
+		deployment = JSON.parse(fs.readFileSync(path.join(deploymentPath, DEPLOYMENT_FILENAME)));
+	} catch (err) {
+		console.log(
+			red(`Skipping ${deploymentPath} as its ${DEPLOYMENT_FILENAME} cannot be read:`, err.message)
+		);
+		return;
+	}
+	// a deployment yet to happen has no sources
+	const { sources = {}, targets = {} } = deployment;
+	if (!Object.keys(sources).length) {
+		console.log(gray('Skipping', yellow(deploymentPath), 'as it has no sources'));
+		return;
+	}
+
+	const typesPath = path.join(deploymentPath, TYPES_FOLDER);
+	// start over, so the types of any sources no longer in the deployment are removed
+	if (fs.existsSync(typesPath)) {
+		fs.rmdirSync(typesPath, { recursive: true });
+	}
+	fs.mkdirSync(typesPath);
+
+	fs.writeFileSync(path.join(typesPath, 'common.d.ts'), commonTypes());
+	for (const [name, { abi }] of Object.entries(sources)) {
+		fs.writeFileSync(path.join(typesPath, `${name}.d.ts`), contractTypes({ name, abi }));
+	}
+
+	const perpsV2Markets = Object.entries(
+		getPerpsV2ProxiedMarkets({ network, deploymentPath, fs, path })
+	)
+		.filter(([, { address }]) => address)
+		.map(([market]) => market);
+
+	const { js, dts } = deploymentTypes({ sources, targets, perpsV2Markets, getProxiedContract });
+	fs.writeFileSync(path.join(typesPath, 'index.js'), js);
+	fs.writeFileSync(path.join(typesPath, 'index.d.ts'), dts);
+
+	console.log(
+		gray('Wrote the types of', yellow(Object.keys(sources).length), 'sources to', yellow(typesPath))
+	);
+};
+
+const generateTypes = async ({
+	network,
+	useOvm,
+	deploymentPath,
+	packagePath = DEFAULTS.packagePath,
+	deployedPath = DEFAULTS.deployedPath,
+} = {}) => {
+	const deployments = getDeployments({ deployedPath });
+
+	const packageFile = path.join(packagePath, 'index.d.ts');
+	fs.writeFileSync(packageFile, packageTypes({ tribeone, deployments }));
+	const contractsFile = path.join(packagePath, 'contracts.d.ts');
+	fs.writeFileSync(contractsFile, contractsTypes());
+	console.log(
+		gray('Wrote the types of the package to', yellow(packageFile), 'and', yellow(contractsFile))
+	);
+
+	if (deploymentPath) {
+		writeDeploymentTypes({ deploymentPath });
+		return;
+	}
+
+	// the given network or all those published
+	const folders = network
+		? [path.basename(getPathToNetwork({ network, useOvm, path }))]
+		: deployments;
+	for (const folder of folders) {
+		writeDeploymentTypes({ deploymentPath: path.join(deployedPath, folder), network: folder });
+	}
+};
+
+module.exports = {
+	generateTypes,
+	DEFAULTS,
+	cmd: program =>
+		program
+			.command('generate-types')
+			.description(
+				'Generate the TypeScript declarations of the package, and the typed contract factories of every source in each deployment'
+			)
+			.option(
+				'-d, --deployment-path <value>',
+				`Path to a folder with a ${DEPLOYMENT_FILENAME} to only generate the contract types of (into its ${TYPES_FOLDER} folder)`
+			)
+			.option(
+				'-n, --network <value>',
+				'Only generate the contract types of this network (defaults to all published)',
+				x => x.toLowerCase()
+			)
+			.option('-z, --use-ovm', 'Target deployment for the OVM (Optimism).')
+			.action(generateTypes),
+};
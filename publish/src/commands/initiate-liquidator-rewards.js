@@ -1,7 +1,5 @@
 'use strict';
 
-const fs = require('fs');
-
 const ethers = require('ethers');
 
 const { gray, green } = require('chalk');
@@ -13,6 +11,8 @@ const {
 	loadConnections,
 	loadAndCheckRequiredSources,
 } = require('../util');
+const { getSigner, addSignerOptions } = require('../command-utils/signer');
+const { getDebtShareAccounts } = require('../command-utils/debt-shares');
 
 const { getUsers } = require('../../..');
 
@@ -20,6 +20,11 @@ const initiateLiquidatorRewards = async ({
 	network,
 	deploymentPath,
 	privateKey,
+	keystore,
+	mnemonic,
+	derivationPath,
+	remoteSigner,
+	remoteSignerAddress,
 	useOvm,
 	useFork,
 	providerUrl,
@@ -29,7 +34,7 @@ const initiateLiquidatorRewards = async ({
 	deploymentPath = deploymentPath || getDeploymentPathForNetwork({ network, useOvm });
 	ensureDeploymentPath(deploymentPath);
 
-	const { providerUrl: envProviderUrl, privateKey: envPrivateKey } = loadConnections({
+	const { providerUrl: envProviderUrl } = loadConnections({
 		network,
 		useFork,
 		useOvm,
@@ -48,29 +53,31 @@ const initiateLiquidatorRewards = async ({
 		providerUrl = envProviderUrl;
 	}
 
-	// if not specified, or in a local network, override the private key passed as a CLI option, with the one specified in .env
-	if (network !== 'local' && !privateKey && !useFork) {
-		privateKey = envPrivateKey;
-	}
-
 	const provider = new ethers.providers.JsonRpcProvider(providerUrl);
 
-	let signer;
-	if (!privateKey) {
+	// if no signer is specified, and not in a local network, use the one specified in .env
+	let signer = await getSigner({
+		network,
+		provider,
+		useEnv: network !== 'local' && !useFork,
+		privateKey,
+		keystore,
+		mnemonic,
+		derivationPath,
+		remoteSigner,
+		remoteSignerAddress,
+	});
+	if (!signer) {
 		const account = getUsers({ network, user: 'owner', useOvm }).address;
 		signer = provider.getSigner(account);
 		signer.address = await signer.getAddress();
-	} else {
-		signer = new ethers.Wallet(privateKey, provider);
 	}
 
 	console.log(gray(`Using account with public key ${signer.address}`));
 
 	// Instantiate Debt Share contract
 	const { address: debtSharesAddress } = deployment.targets['TribeoneDebtShare'];
-	const { abi: debtSharesABI } = deployment.sources[
-		deployment.targets['TribeoneDebtShare'].source
-	];
+	const { abi: debtSharesABI } = deployment.sources[deployment.targets['TribeoneDebtShare'].source];
 	const TribeoneDebtShare = new ethers.Contract(debtSharesAddress, debtSharesABI, signer);
 
 	// Instantiate Liquidator Rewards contract
@@ -324,18 +331,17 @@ const initiateLiquidatorRewards = async ({
 	];
 	const MultiCall = new ethers.Contract(multiCallAddress, multiCallABI, signer);
 
-	// Get a list of addresses from the csv file
-	const addrs = fs.readFileSync(etherscanAddressCsv).toString('utf8');
-	const lines = addrs.split('\n');
+	// Get a list of addresses from the csv file, or the event index
+	const unFilteredAddresses = await getDebtShareAccounts({
+		network,
+		useOvm,
+		deploymentPath,
+		provider,
+		etherscanAddressCsv,
+	});
 
 	const filteredAddresses = [];
 
-	// Filter out unwanted text
-	const unFilteredAddresses = lines
-		.slice(1)
-		.filter(l => l)
-		.map(l => JSON.parse(l.split(',')[0]));
-
 	// Check for accounts with debt shares and add them to the `filteredAddresses` list.
 	await readMulticall(
 		unFilteredAddresses,
@@ -407,8 +413,7 @@ const initiateLiquidatorRewards = async ({
 module.exports = {
 	initiateLiquidatorRewards,
 	cmd: program =>
-		program
-			.command('initiate-liquidator-rewards')
+		addSignerOptions(program.command('initiate-liquidator-rewards'))
 			.description('Initialize entries for liquidator rewards')
 			.option('-g, --max-fee-per-gas <value>', 'Maximum base gas fee price in GWEI')
 			.option('--max-priority-fee-per-gas <value>', 'Priority gas fee price in GWEI', '2')
@@ -424,6 +429,9 @@ module.exports = {
 				'-p, --provider-url <value>',
 				'Ethereum network provider URL. If default, will use PROVIDER_URL found in the .env file.'
 			)
-			.option('--etherscan-address-csv <file>', 'CSV of all addresses to scan', 'snx-addrs.csv')
+			.option(
+				'--etherscan-address-csv <file>',
+				'CSV of all addresses to scan (defaults to all accounts ever minted debt shares, from the event index)'
+			)
 			.action(initiateLiquidatorRewards),
 };
@@ -11,6 +11,7 @@ const {
 	loadConnections,
 	loadAndCheckRequiredSources,
 } = require('../util');
+const { getSigner, addSignerOptions } = require('../command-utils/signer');
 
 const { getUsers } = require('../../..');
 
@@ -18,6 +19,11 @@ const liquidatorRewardsRestitution = async ({
 	network,
 	deploymentPath,
 	privateKey,
+	keystore,
+	mnemonic,
+	derivationPath,
+	remoteSigner,
+	remoteSignerAddress,
 	useOvm,
 	useFork,
 	providerUrl,
@@ -28,7 +34,7 @@ const liquidatorRewardsRestitution = async ({
 	deploymentPath = deploymentPath || getDeploymentPathForNetwork({ network, useOvm });
 	ensureDeploymentPath(deploymentPath);
 
-	const { providerUrl: envProviderUrl, privateKey: envPrivateKey } = loadConnections({
+	const { providerUrl: envProviderUrl } = loadConnections({
 		network,
 		useFork,
 		useOvm,
@@ -47,20 +53,24 @@ const liquidatorRewardsRestitution = async ({
 		providerUrl = envProviderUrl;
 	}
 
-	// if not specified, or in a local network, override the private key passed as a CLI option, with the one specified in .env
-	if (network !== 'local' && !privateKey && !useFork) {
-		privateKey = envPrivateKey;
-	}
-
 	const provider = new ethers.providers.JsonRpcProvider(providerUrl);
 
-	let signer;
-	if (!privateKey) {
+	// if no signer is specified, and not in a local network, use the one specified in .env
+	let signer = await getSigner({
+		network,
+		provider,
+		useEnv: network !== 'local' && !useFork,
+		privateKey,
+		keystore,
+		mnemonic,
+		derivationPath,
+		remoteSigner,
+		remoteSignerAddress,
+	});
+	if (!signer) {
 		const account = getUsers({ network, user: 'owner', useOvm }).address;
 		signer = provider.getSigner(account);
 		signer.address = await signer.getAddress();
-	} else {
-		signer = new ethers.Wallet(privateKey, provider);
 	}
 
 	console.log(gray(`Using account with public key ${signer.address}`));
@@ -374,8 +384,7 @@ const liquidatorRewardsRestitution = async ({
 module.exports = {
 	liquidatorRewardsRestitution,
 	cmd: program =>
-		program
-			.command('liquidator-rewards-restitution')
+		addSignerOptions(program.command('liquidator-rewards-restitution'))
 			.description('Restore liquidator rewards')
 			.option('-g, --max-fee-per-gas <value>', 'Maximum base gas fee price in GWEI')
 			.option('--max-priority-fee-per-gas <value>', 'Priority gas fee price in GWEI', '2')
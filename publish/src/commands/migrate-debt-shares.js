@@ -1,7 +1,5 @@
 'use strict';
 
-const fs = require('fs');
-
 const async = require('async');
 
 const ethers = require('ethers');
@@ -15,6 +13,8 @@ const {
 	loadConnections,
 	loadAndCheckRequiredSources,
 } = require('../util');
+const { getSigner, addSignerOptions } = require('../command-utils/signer');
+const { getDebtShareAccounts } = require('../command-utils/debt-shares');
 
 const { performTransactionalStep } = require('../command-utils/transact');
 
@@ -24,6 +24,11 @@ const migrateDebtShares = async ({
 	network,
 	deploymentPath,
 	privateKey,
+	keystore,
+	mnemonic,
+	derivationPath,
+	remoteSigner,
+	remoteSignerAddress,
 	useOvm,
 	useFork,
 	providerUrl,
@@ -41,7 +46,7 @@ const migrateDebtShares = async ({
 
 	console.log(factor.toString(), reapportion);
 
-	const { providerUrl: envProviderUrl, privateKey: envPrivateKey } = loadConnections({
+	const { providerUrl: envProviderUrl } = loadConnections({
 		network,
 		useFork,
 		useOvm,
@@ -60,34 +65,40 @@ const migrateDebtShares = async ({
 		providerUrl = envProviderUrl;
 	}
 
-	// if not specified, or in a local network, override the private key passed as a CLI option, with the one specified in .env
-	if (network !== 'local' && !privateKey && !useFork) {
-		privateKey = envPrivateKey;
-	}
-
 	const provider = new ethers.providers.JsonRpcProvider(providerUrl);
 
-	let signer;
-	if (!privateKey) {
+	// if no signer is specified, and not in a local network, use the one specified in .env
+	let signer = await getSigner({
+		network,
+		provider,
+		useEnv: network !== 'local' && !useFork,
+		privateKey,
+		keystore,
+		mnemonic,
+		derivationPath,
+		remoteSigner,
+		remoteSignerAddress,
+	});
+	if (!signer) {
 		const account = getUsers({ network, user: 'owner', useOvm }).address;
 		signer = provider.getSigner(account);
 		signer.address = await signer.getAddress();
-	} else {
-		signer = new ethers.Wallet(privateKey, provider);
 	}
 
 	console.log(gray(`Using account with public key ${signer.address}`));
 
 	const { address: debtSharesAddress } = deployment.targets['TribeoneDebtShare'];
-	const { abi: debtSharesABI } = deployment.sources[
-		deployment.targets['TribeoneDebtShare'].source
-	];
+	const { abi: debtSharesABI } = deployment.sources[deployment.targets['TribeoneDebtShare'].source];
 	const TribeoneDebtShare = new ethers.Contract(debtSharesAddress, debtSharesABI, signer);
 
 	// get a list of addresses
-	const addrs = fs.readFileSync(etherscanAddressCsv).toString('utf8');
-
-	const lines = addrs.split('\n');
+	const addresses = await getDebtShareAccounts({
+		network,
+		useOvm,
+		deploymentPath,
+		provider,
+		etherscanAddressCsv,
+	});
 
 	const addressCollateralAmounts = [];
 
@@ -95,13 +106,9 @@ const migrateDebtShares = async ({
 	let totalDebtForgiven = ethers.BigNumber.from(0);
 	let totalDebtAfter = ethers.BigNumber.from(0);
 
-	await async.eachOfLimit(lines, 50, async (line, i) => {
-		if (line === '') return;
-
-		const address = JSON.parse(line.split(',')[0]);
-
+	await async.eachOfLimit(addresses, 50, async (address, i) => {
 		if (i % 100 === 0) {
-			console.log('scanning address', i, 'of', lines.length);
+			console.log('scanning address', i, 'of', addresses.length);
 		}
 
 		try {
@@ -163,8 +170,7 @@ const migrateDebtShares = async ({
 module.exports = {
 	migrateDebtShares,
 	cmd: program =>
-		program
-			.command('migrate-debt-shares')
+		addSignerOptions(program.command('migrate-debt-shares'))
 			.description('Migrate to Debt Shares from debtLedger')
 			.option('-g, --max-fee-per-gas <value>', 'Maximum base gas fee price in GWEI')
 			.option('--max-priority-fee-per-gas <value>', 'Priority gas fee price in GWEI', '2')
@@ -180,7 +186,10 @@ module.exports = {
 				'-p, --provider-url <value>',
 				'Ethereum network provider URL. If default, will use PROVIDER_URL found in the .env file.'
 			)
-			.option('--etherscan-address-csv <file>', 'CSV of all addresses to scan', 'snx-addrs.csv')
+			.option(
+				'--etherscan-address-csv <file>',
+				'CSV of all addresses to scan (defaults to all accounts ever minted debt shares, from the event index)'
+			)
 			.option(
 				'--threshold <amount>',
 				'Forgive debt amounts for holders who have less than the given threshold of debt',
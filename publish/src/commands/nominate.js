@@ -17,7 +17,10 @@ const {
 	confirmAction,
 } = require('../util');
 
-const { performTransactionalStep } = require('../command-utils/transact');
+const { performTransactionalStep, addTransactionOptions } = require('../command-utils/transact');
+const TransactionManager = require('../TransactionManager');
+const { getSigner, addSignerOptions } = require('../command-utils/signer');
+const SafeBatchExporter = require('../SafeBatchExporter');
 
 const DEFAULTS = {
 	priorityGasPrice: '1',
@@ -33,7 +36,16 @@ const nominate = async ({
 	maxPriorityFeePerGas = DEFAULTS.priorityGasPrice,
 	useOvm,
 	privateKey,
+	keystore,
+	mnemonic,
+	derivationPath,
+	remoteSigner,
+	remoteSignerAddress,
 	providerUrl,
+	safeBatchFile,
+	txTimeout,
+	feeBump,
+	maxFeeBumps,
 	yes,
 }) => {
 	ensureNetwork(network);
@@ -76,11 +88,7 @@ const nominate = async ({
 		contracts = Object.keys(config).filter(contract => !excludedContracts.includes(contract));
 	}
 
-	const {
-		providerUrl: envProviderUrl,
-		privateKey: envPrivateKey,
-		explorerLinkPrefix,
-	} = loadConnections({
+	const { providerUrl: envProviderUrl, explorerLinkPrefix } = loadConnections({
 		network,
 		useFork,
 		useOvm,
@@ -94,19 +102,24 @@ const nominate = async ({
 		providerUrl = envProviderUrl;
 	}
 
-	// if not specified, or in a local network, override the private key passed as a CLI option, with the one specified in .env
-	if (network !== 'local' && !privateKey && !useFork) {
-		privateKey = envPrivateKey;
-	}
-
 	const provider = new ethers.providers.JsonRpcProvider(providerUrl);
-	let wallet;
-	if (!privateKey) {
+
+	// if no signer is specified, and not in a local network, use the one specified in .env
+	let wallet = await getSigner({
+		network,
+		provider,
+		useEnv: network !== 'local' && !useFork,
+		privateKey,
+		keystore,
+		mnemonic,
+		derivationPath,
+		remoteSigner,
+		remoteSignerAddress,
+	});
+	if (!wallet) {
 		const account = getUsers({ network, user: 'owner' }).address; // protocolDAO
 		wallet = provider.getSigner(account);
 		wallet.address = await wallet.getAddress();
-	} else {
-		wallet = new ethers.Wallet(privateKey, provider);
 	}
 
 	const signerAddress = wallet.address;
@@ -130,6 +143,23 @@ const nominate = async ({
 		}
 	}
 
+	// the nominations are made by the current owner (protocolDAO)
+	const safeBatch = safeBatchFile
+		? new SafeBatchExporter({
+				network,
+				useOvm,
+				safeAddress: getUsers({ network, useOvm, user: 'owner' }).address,
+				file: safeBatchFile,
+		  })
+		: undefined;
+
+	const transactionManager = new TransactionManager({
+		provider,
+		timeout: txTimeout,
+		feeBump,
+		maxBumps: maxFeeBumps,
+	});
+
 	const warnings = [];
 	for (const contract of contracts) {
 		if (!deployment.targets[contract]) {
@@ -170,8 +200,10 @@ const nominate = async ({
 				maxPriorityFeePerGas,
 				ownerActions,
 				ownerActionsFile,
+				safeBatch,
 				signer: wallet,
 				target: deployedContract,
+				transactionManager,
 				write: nominationFnc,
 				writeArg: newOwner, // explicitly pass array of args so array not splat as params
 			});
@@ -179,6 +211,17 @@ const nominate = async ({
 			console.log(gray('No change required.'));
 		}
 	}
+	if (safeBatch && safeBatch.transactions.length) {
+		const { transactions, file, multiSendFile } = safeBatch.write({
+			name: `Nominate ${newOwner} on ${network}${useOvm ? ' (OVM)' : ''}`,
+		});
+		console.log(
+			gray(
+				`Exported ${transactions.length} nominations as a safe batch to ${file} and as MultiSend calldata to ${multiSendFile}`
+			)
+		);
+	}
+
 	if (warnings.length) {
 		console.log(yellow('\nThere were some issues nominating owner\n'));
 		console.log(yellow('---'));
@@ -190,8 +233,7 @@ const nominate = async ({
 module.exports = {
 	nominate,
 	cmd: program =>
-		program
-			.command('nominate')
+		addTransactionOptions(addSignerOptions(program.command('nominate')))
 			.description('Nominate a new owner for one or more contracts')
 			.option(
 				'-d, --deployment-path <value>',
@@ -220,7 +262,11 @@ module.exports = {
 			)
 			.option(
 				'-v, --private-key [value]',
-				'The private key to deploy with (only works in local mode, otherwise set in .env).'
+				'The private key to deploy with (otherwise the signer set in .env).'
+			)
+			.option(
+				'--safe-batch-file <value>',
+				'Also export the nominations to this Safe Transaction Builder JSON file (and its MultiSend calldata alongside)'
 			)
 			.option('-y, --yes', 'Dont prompt, just reply yes.')
 			.option(
@@ -0,0 +1,477 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const ethers = require('ethers');
+const { gray, yellow, green } = require('chalk');
+const { table } = require('table');
+
+const {
+	decode,
+	getUsers,
+	constants: { CONFIG_FILENAME, OWNER_ACTIONS_FILENAME },
+} = require('../../..');
+
+const {
+	ensureNetwork,
+	ensureDeploymentPath,
+	getDeploymentPathForNetwork,
+	loadAndCheckRequiredSources,
+	loadConnections,
+	confirmAction,
+	stringify,
+	action,
+	addDeploymentOptions,
+} = require('../util');
+
+const SafeBatchSubmitter = require('../SafeBatchSubmitter');
+const { safeInitializer } = require('../command-utils/safe-initializer');
+const { getSigner, addSignerOptions } = require('../command-utils/signer');
+
+const DEFAULTS = {
+	network: 'mainnet',
+	batchSize: 50,
+};
+
+const SAFE_ABI = ['function nonce() view returns (uint256)'];
+
+const loadOwnerActions = ({ network, useOvm, deploymentPath }) => {
+	ensureNetwork(network);
+	deploymentPath = deploymentPath || getDeploymentPathForNetwork({ network, useOvm });
+	ensureDeploymentPath(deploymentPath);
+
+	const { deployment, ownerActions, ownerActionsFile } = loadAndCheckRequiredSources({
+		deploymentPath,
+		network,
+	});
+
+	return { deployment, ownerActions, ownerActionsFile };
+};
+
+const getProvider = ({ network, useOvm, providerUrl }) => {
+	const { providerUrl: envProviderUrl } = loadConnections({
+		network,
+		useOvm,
+	});
+
+	providerUrl = providerUrl || envProviderUrl;
+	if (!providerUrl) {
+		throw Error('Missing .env key of PROVIDER_URL. Please add and retry.');
+	}
+
+	return { provider: new ethers.providers.JsonRpcProvider(providerUrl) };
+};
+
+const equalsIgnoreCase = (a = '', b = '') => a.toLowerCase() === b.toLowerCase();
+
+const findTarget = ({ deployment, address }) =>
+	Object.values(deployment.targets).find(target => equalsIgnoreCase(target.address, address));
+
+const statusOf = ({ complete, safeNonce }) =>
+	complete ? 'complete' : safeNonce !== undefined ? `staged (nonce ${safeNonce})` : 'pending';
+
+const describeAction = ({ network, useOvm, data }) => {
+	try {
+		const { method } = decode({ network, useOvm, fs, path, data });
+		return `${method.name}(${method.params.map(({ value }) => value).join(', ')})`;
+	} catch (err) {
+		return gray('unable to decode');
+	}
+};
+
+const listOwnerActions = async ({ network, useOvm, deploymentPath, pendingOnly }) => {
+	const { deployment, ownerActions } = loadOwnerActions({ network, useOvm, deploymentPath });
+
+	const entries = Object.entries(ownerActions).filter(
+		([, { complete }]) => !pendingOnly || !complete
+	);
+
+	if (!entries.length) {
+		console.log(gray(`No owner actions in ${OWNER_ACTIONS_FILENAME}`));
+		return;
+	}
+
+	console.log(
+		table(
+			[['Status', 'Target', 'Decoded']].concat(
+				entries.map(([, entry]) => {
+					const status = statusOf(entry);
+					const { name } = findTarget({ deployment, address: entry.target }) || {};
+					return [
+						entry.complete ? green(status) : yellow(status),
+						`${name || gray('unknown')}\n${entry.target}`,
+						describeAction({ network, useOvm, data: entry.data }),
+					];
+				})
+			)
+		)
+	);
+
+	const pending = entries.filter(([, { complete }]) => !complete).length;
+	console.log(
+		gray(
+			`${entries.length} owner actions,`,
+			yellow(pending),
+			'pending and',
+			green(entries.length - pending),
+			'complete'
+		)
+	);
+};
+
+const submitOwnerActions = async ({
+	network,
+	useOvm,
+	deploymentPath,
+	safeAddress,
+	privateKey,
+	keystore,
+	mnemonic,
+	derivationPath,
+	remoteSigner,
+	remoteSignerAddress,
+	providerUrl,
+	batchSize = DEFAULTS.batchSize,
+	yes,
+}) => {
+	const { ownerActions, ownerActionsFile } = loadOwnerActions({
+		network,
+		useOvm,
+		deploymentPath,
+	});
+
+	safeAddress = safeAddress || getUsers({ network, useOvm, user: 'owner' }).address;
+
+	const { provider } = getProvider({ network, useOvm, providerUrl });
+	const signer = await getSigner({
+		network,
+		provider,
+		privateKey,
+		keystore,
+		mnemonic,
+		derivationPath,
+		remoteSigner,
+		remoteSignerAddress,
+	});
+	if (!signer) {
+		throw Error('A signer on the safe is required to submit owner actions.');
+	}
+
+	// only submit what hasn't already been staged, up to the batch size
+	const batch = Object.entries(ownerActions)
+		.filter(([, { complete, safeNonce }]) => !complete && safeNonce === undefined)
+		.slice(0, batchSize);
+
+	if (!batch.length) {
+		console.log(gray('No pending owner actions to submit'));
+		return;
+	}
+
+	const safeBatchSubmitter = await safeInitializer({ network, signer, safeAddress });
+	if (!safeBatchSubmitter) {
+		throw Error(`Owner ${safeAddress} is not a Gnosis safe on ${network}.`);
+	}
+
+	if (!yes) {
+		try {
+			await confirmAction(
+				gray(
+					'Found',
+					yellow(batch.length),
+					'pending owner actions to stage to safe',
+					yellow(safeAddress),
+					'on network',
+					yellow(network),
+					'. Continue (y/n)? '
+				)
+			);
+		} catch (err) {
+			console.log(gray('Operation cancelled'));
+			return;
+		}
+	}
+
+	const appendedKeys = [];
+	for (const [key, { target, data }] of batch) {
+		console.log(gray(`Attempting to append`, yellow(key), `to the batch`));
+		const { appended } = await safeBatchSubmitter.appendTransaction({ to: target, data });
+		if (appended) {
+			appendedKeys.push(key);
+		} else {
+			console.log(gray('Skipping adding to the batch as already in pending queue'));
+		}
+	}
+
+	const { nonce } = await safeBatchSubmitter.submit();
+
+	// track the nonce of the proposal, the actions are only complete once it's executed (see sync)
+	appendedKeys.forEach(key => {
+		ownerActions[key].safeNonce = nonce;
+	});
+	fs.writeFileSync(ownerActionsFile, stringify(ownerActions));
+
+	console.log(
+		gray(
+			'Submitted a batch of',
+			yellow(appendedKeys.length),
+			'transactions to the safe',
+			yellow(safeAddress),
+			'at nonce position',
+			yellow(nonce)
+		)
+	);
+};
+
+/**
+ * Check if the effect of a pending owner action is already visible on the target contract. This is
+ * only a hint, as a getter can match without the action having been executed (i.e. set by another
+ * action), so it never marks the action complete on its own.
+ *
+ * @returns true or false if the target could be checked, undefined if there's no way of knowing
+ */
+const isActionReflectedOnChain = async ({ contract, data, safeAddress }) => {
+	let parsed;
+	try {
+		parsed = contract.interface.parseTransaction({ data });
+	} catch (err) {
+		return;
+	}
+	const { name, args } = parsed;
+	const equal = (a, b) => a.toString().toLowerCase() === b.toString().toLowerCase();
+
+	if (name === 'acceptOwnership') {
+		return equal(await contract.owner(), safeAddress);
+	} else if (name === 'nominateNewOwner' || name === 'nominateOwner') {
+		const [newOwner] = args;
+		return (
+			equal(await contract.owner(), newOwner) || equal(await contract.nominatedOwner(), newOwner)
+		);
+	}
+
+	// setters of the form setX(...keys, value) which have a view of the form x(...keys)
+	const [, property] = /^set([A-Z]\w*)$/.exec(name) || [];
+	if (property) {
+		const getter = Object.values(contract.interface.functions).find(
+			fragment =>
+				fragment.name === property[0].toLowerCase() + property.slice(1) &&
+				fragment.inputs.length === args.length - 1 &&
+				['view', 'pure'].includes(fragment.stateMutability)
+		);
+		const value = args[args.length - 1];
+		if (getter && !Array.isArray(value)) {
+			return equal(await contract[getter.format()](...args.slice(0, -1)), value);
+		}
+	}
+};
+
+const syncOwnerActions = async ({
+	network,
+	useOvm,
+	deploymentPath,
+	safeAddress,
+	providerUrl,
+	skipSafeService,
+}) => {
+	const { deployment, ownerActions, ownerActionsFile } = loadOwnerActions({
+		network,
+		useOvm,
+		deploymentPath,
+	});
+
+	safeAddress = safeAddress || getUsers({ network, useOvm, user: 'owner' }).address;
+	const { provider } = getProvider({ network, useOvm, providerUrl });
+
+	// the safe history only needs reading back to the oldest nonce an action was staged at, and in
+	// full when any pending action was never staged
+	const oldestPendingNonce = () => {
+		const pending = Object.values(ownerActions).filter(({ complete }) => !complete);
+		return pending.every(({ safeNonce }) => safeNonce !== undefined)
+			? Math.min(...pending.map(({ safeNonce }) => safeNonce))
+			: undefined;
+	};
+
+	let executedTransactions;
+	const findExecutedTransaction = async ({ target, data }) => {
+		if (!executedTransactions) {
+			try {
+				executedTransactions = await SafeBatchSubmitter.getExecutedTransactions({
+					network,
+					safeAddress,
+					minNonce: oldestPendingNonce(),
+				});
+			} catch (err) {
+				console.log(yellow(`Unable to fetch executed transactions for safe: ${err.message}`));
+				executedTransactions = [];
+			}
+		}
+		return executedTransactions.find(
+			({ to, data: executedData }) =>
+				equalsIgnoreCase(to, target) && equalsIgnoreCase(executedData, data)
+		);
+	};
+
+	// the nonce of the next transaction the safe will execute, so every one below it has been used
+	let currentSafeNonce;
+	const getSafeNonce = async () => {
+		if (currentSafeNonce === undefined) {
+			const safe = new ethers.Contract(safeAddress, SAFE_ABI, provider);
+			currentSafeNonce = Number(await safe.nonce());
+		}
+		return currentSafeNonce;
+	};
+
+	let synced = 0;
+	for (const [key, entry] of Object.entries(ownerActions)) {
+		const { complete, target, data, safeNonce } = entry;
+		if (complete) continue;
+
+		const executed = skipSafeService ? undefined : await findExecutedTransaction({ target, data });
+		if (executed) {
+			console.log(green(`Completed (executed in ${executed.transactionHash}): ${key}`));
+			entry.complete = true;
+			entry.executedIn = executed.transactionHash;
+			synced++;
+			continue;
+		}
+
+		if (safeNonce !== undefined && safeNonce < (await getSafeNonce())) {
+			if (skipSafeService) {
+				// the proposal staged at that nonce is the only record of it, so trust it was executed
+				console.log(green(`Completed (safe nonce ${safeNonce} executed): ${key}`));
+				entry.complete = true;
+				entry.executedAtNonce = safeNonce;
+				synced++;
+			} else {
+				// the safe moved past the nonce without executing it (i.e. the proposal was rejected)
+				console.log(
+					yellow(`Safe nonce ${safeNonce} was used by another transaction, unstaging: ${key}`)
+				);
+				delete entry.safeNonce;
+			}
+			continue;
+		}
+
+		const targetEntry = findTarget({ deployment, address: target });
+		if (targetEntry) {
+			const { abi } = deployment.sources[targetEntry.source];
+			const contract = new ethers.Contract(target, abi, provider);
+			if (await isActionReflectedOnChain({ contract, data, safeAddress })) {
+				console.log(gray(`Still pending, though the target state already matches: ${key}`));
+				continue;
+			}
+		}
+
+		console.log(gray(`Still pending: ${key}`));
+	}
+
+	fs.writeFileSync(ownerActionsFile, stringify(ownerActions));
+	console.log(gray('Marked', yellow(synced), 'owner actions as complete'));
+};
+
+const pruneOwnerActions = async ({ network, useOvm, deploymentPath, dryRun, yes }) => {
+	const { deployment, ownerActions, ownerActionsFile } = loadOwnerActions({
+		network,
+		useOvm,
+		deploymentPath,
+	});
+
+	// stale entries are those completed, or those targeting contracts since replaced
+	const stale = Object.entries(ownerActions).filter(
+		([, { complete, target }]) => complete || !findTarget({ deployment, address: target })
+	);
+
+	for (const [key, { complete, executedIn, executedAtNonce }] of stale) {
+		const evidence = executedIn
+			? ` (executed in ${executedIn})`
+			: executedAtNonce !== undefined
+			? ` (safe nonce ${executedAtNonce})`
+			: '';
+		console.log(
+			gray(
+				`${dryRun ? '[DRY RUN] Would remove' : 'To remove'} ${
+					complete ? `complete${evidence}` : 'outdated'
+				}:`
+			),
+			yellow(key)
+		);
+	}
+
+	if (!stale.length || dryRun) {
+		console.log(gray(`${dryRun ? 'Would prune' : 'Pruned'} ${stale.length} stale owner actions`));
+		return;
+	}
+
+	if (!yes) {
+		try {
+			await confirmAction(
+				gray(`Remove these ${stale.length} owner actions from ${ownerActionsFile} (y/n)? `)
+			);
+		} catch (err) {
+			console.log(gray('Operation cancelled'));
+			return;
+		}
+	}
+
+	stale.forEach(([key]) => delete ownerActions[key]);
+
+	fs.writeFileSync(ownerActionsFile, stringify(ownerActions));
+	console.log(gray(`Pruned ${stale.length} stale owner actions`));
+};
+
+const withCommonOptions = addDeploymentOptions({
+	deploymentPathDescription: `Path to a folder that has your input configuration file ${CONFIG_FILENAME} and your ${OWNER_ACTIONS_FILENAME}`,
+	network: DEFAULTS.network,
+});
+
+module.exports = {
+	listOwnerActions,
+	submitOwnerActions,
+	syncOwnerActions,
+	pruneOwnerActions,
+	cmd: program => {
+		const command = program
+			.command('owner-actions')
+			.description(`Manage the deferred owner actions in ${OWNER_ACTIONS_FILENAME}`);
+
+		withCommonOptions(command.command('list'))
+			.description('List pending and complete owner actions, decoded')
+			.option('--pending-only', 'Only show the actions not yet complete')
+			.action(action(listOwnerActions));
+
+		addSignerOptions(withCommonOptions(command.command('submit')))
+			.description('Stage pending owner actions to the owner safe in a single proposal')
+			.option(
+				'-b, --batch-size <value>',
+				'Maximum actions in the proposal',
+				parseInt,
+				DEFAULTS.batchSize
+			)
+			.option('-o, --safe-address <value>', 'The safe to stage to (defaults to the owner)')
+			.option(
+				'-p, --provider-url <value>',
+				'Ethereum network provider URL. If default, will use PROVIDER_URL found in the .env file.'
+			)
+			.option('-v, --private-key [value]', 'The private key of a signer on the safe.')
+			.option('-y, --yes', 'Dont prompt, just reply yes.')
+			.action(action(submitOwnerActions));
+
+		withCommonOptions(command.command('sync'))
+			.description('Mark owner actions complete once the safe has executed them')
+			.option('-o, --safe-address <value>', 'The owner safe (defaults to the owner)')
+			.option(
+				'-p, --provider-url <value>',
+				'Ethereum network provider URL. If default, will use PROVIDER_URL found in the .env file.'
+			)
+			.option(
+				'--skip-safe-service',
+				'Only check the nonce of the safe, not the safe transaction service'
+			)
+			.action(action(syncOwnerActions));
+
+		withCommonOptions(command.command('prune'))
+			.description('Remove complete owner actions and those targeting replaced contracts')
+			.option('-r, --dry-run', 'Only show what would be removed')
+			.option('-y, --yes', 'Dont prompt, just reply yes.')
+			.action(action(pruneOwnerActions));
+	},
+};
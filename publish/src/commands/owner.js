@@ -22,6 +22,8 @@ const {
 
 const { getContract } = require('../command-utils/contract');
 const { safeInitializer } = require('../command-utils/safe-initializer');
+const { getSigner, addSignerOptions } = require('../command-utils/signer');
+const SafeBatchExporter = require('../SafeBatchExporter');
 
 const DEFAULTS = {
 	priorityGasPrice: '1',
@@ -36,10 +38,16 @@ const owner = async ({
 	maxPriorityFeePerGas = DEFAULTS.priorityGasPrice,
 	gasLimit = DEFAULTS.gasLimit,
 	privateKey,
+	keystore,
+	mnemonic,
+	derivationPath,
+	remoteSigner,
+	remoteSignerAddress,
 	yes,
 	useOvm,
 	useFork,
 	providerUrl,
+	safeBatchFile,
 	isTest = false,
 	skipAcceptance = false,
 	throwOnNotNominatedOwner = false,
@@ -67,7 +75,7 @@ const owner = async ({
 		network,
 	});
 
-	const { providerUrl: envProviderUrl, privateKey: envPrivateKey } = loadConnections({
+	const { providerUrl: envProviderUrl } = loadConnections({
 		network,
 		useFork,
 		useOvm,
@@ -81,31 +89,63 @@ const owner = async ({
 		providerUrl = envProviderUrl;
 	}
 
-	// if not specified, or in a local network, override the private key passed as a CLI option, with the one specified in .env
-	if (network !== 'local' && !privateKey && !useFork) {
-		privateKey = envPrivateKey;
-	}
-
 	const provider = new ethers.providers.JsonRpcProvider(providerUrl);
 
-	let signer;
-	if (!privateKey || isTest) {
+	// if no signer is specified, and not in a local network, use the one specified in .env
+	let signer = isTest
+		? undefined
+		: await getSigner({
+				network,
+				provider,
+				useEnv: network !== 'local' && !useFork,
+				privateKey,
+				keystore,
+				mnemonic,
+				derivationPath,
+				remoteSigner,
+				remoteSignerAddress,
+		  });
+	if (!signer) {
 		const account = getUsers({ network, user: 'owner', useOvm }).address;
 		signer = provider.getSigner(account);
 		signer.address = await signer.getAddress();
-	} else {
-		signer = new ethers.Wallet(privateKey, provider);
 	}
 
 	console.log(gray(`Using account with public key ${signer.address}`));
 
 	let relayers;
 
+	// when exporting to a file, the batch is collected offline instead of staged to the safe
+	// (on OVM the owner is a relayer, so the batch is for the L1 owner, see below)
 	let safeBatchSubmitter;
-	if (!useFork && !isTest) {
+	if (safeBatchFile && !useOvm) {
+		safeBatchSubmitter = new SafeBatchExporter({
+			network,
+			safeAddress: newOwner,
+			file: safeBatchFile,
+		});
+	} else if (!useFork && !isTest && !safeBatchFile) {
 		safeBatchSubmitter = await safeInitializer({ network, signer, safeAddress: newOwner });
 	}
 
+	const writeSafeBatch = ({ safeAddress }) => {
+		const { transactions, file, multiSendFile } = safeBatchSubmitter.write({
+			name: `Owner actions on ${network}${useOvm ? ' (OVM)' : ''}`,
+		});
+		console.log(
+			gray(
+				'Exported a batch of',
+				yellow(transactions.length),
+				'transactions for the safe',
+				yellow(safeAddress),
+				'to',
+				yellow(file),
+				'and as MultiSend calldata to',
+				yellow(multiSendFile)
+			)
+		);
+	};
+
 	if (!safeBatchSubmitter) {
 		console.log(gray('New owner is not a Gnosis safe.'));
 		console.log(gray('New owner set to'), yellow(newOwner));
@@ -116,7 +156,7 @@ const owner = async ({
 		if (isContract && useOvm && !isTest) {
 			console.log(gray('New owner is a contract. Assuming it is a relayer.'));
 			// load up L1 deployment for relaying
-			const { providerUrl: l1ProviderUrl, privateKey: l1PrivateKey } = loadConnections({
+			const { providerUrl: l1ProviderUrl } = loadConnections({
 				network,
 				useOvm: false,
 			});
@@ -138,7 +178,15 @@ const owner = async ({
 					useOvm: false,
 					provider: l1Provider,
 				}),
-				l1Signer: new ethers.Wallet(l1PrivateKey, l1Provider),
+				l1Signer: await getSigner({
+					network,
+					provider: l1Provider,
+					keystore,
+					mnemonic,
+					derivationPath,
+					remoteSigner,
+					remoteSignerAddress,
+				}),
 				l1Owner,
 			};
 
@@ -351,18 +399,22 @@ const owner = async ({
 				);
 			}
 
-			const { nonce } = await safeBatchSubmitter.submit();
+			if (safeBatchFile) {
+				writeSafeBatch({ safeAddress: newOwner });
+			} else {
+				const { nonce } = await safeBatchSubmitter.submit();
 
-			console.log(
-				gray(
-					'Submitted a batch of',
-					yellow(transactions.length),
-					'transactions to the safe',
-					yellow(newOwner),
-					'at nonce position',
-					yellow(nonce)
-				)
-			);
+				console.log(
+					gray(
+						'Submitted a batch of',
+						yellow(transactions.length),
+						'transactions to the safe',
+						yellow(newOwner),
+						'at nonce position',
+						yellow(nonce)
+					)
+				);
+			}
 
 			fs.writeFileSync(ownerActionsFile, stringify(ownerActions));
 		} else {
@@ -372,11 +424,13 @@ const owner = async ({
 		const { l1Provider, actions, OwnerRelayOnEthereum, l1Signer, l1Owner } = relayers;
 
 		// Load the equivalent L1 safe
-		const safeBatchSubmitter = await safeInitializer({
-			network,
-			signer: l1Signer,
-			safeAddress: l1Owner,
-		});
+		safeBatchSubmitter = safeBatchFile
+			? new SafeBatchExporter({ network, safeAddress: l1Owner, file: safeBatchFile })
+			: await safeInitializer({
+					network,
+					signer: l1Signer,
+					safeAddress: l1Owner,
+			  });
 
 		if (!safeBatchSubmitter) {
 			console.log('The L1 owner for this relayer is NOT a safe, proceeding directly');
@@ -441,18 +495,22 @@ const owner = async ({
 					)
 				);
 			}
-			const { nonce } = await safeBatchSubmitter.submit();
+			if (safeBatchFile) {
+				writeSafeBatch({ safeAddress: l1Owner });
+			} else {
+				const { nonce } = await safeBatchSubmitter.submit();
 
-			console.log(
-				gray(
-					'Submitted a batch of',
-					yellow(Math.ceil(actions.length / batchSize)),
-					'transactions to the safe',
-					yellow(l1Owner),
-					'at nonce position',
-					yellow(nonce)
-				)
-			);
+				console.log(
+					gray(
+						'Submitted a batch of',
+						yellow(Math.ceil(actions.length / batchSize)),
+						'transactions to the safe',
+						yellow(l1Owner),
+						'at nonce position',
+						yellow(nonce)
+					)
+				);
+			}
 
 			fs.writeFileSync(ownerActionsFile, stringify(ownerActions));
 		} else {
@@ -471,8 +529,7 @@ const owner = async ({
 module.exports = {
 	owner,
 	cmd: program =>
-		program
-			.command('owner')
+		addSignerOptions(program.command('owner'))
 			.description('Owner script - a list of transactions required by the owner.')
 			.option(
 				'-d, --deployment-path <value>',
@@ -492,6 +549,10 @@ module.exports = {
 			.option('--max-priority-fee-per-gas <value>', 'Priority gas fee price in GWEI', '1')
 			.option('-l, --gas-limit <value>', 'Gas limit', parseInt, DEFAULTS.gasLimit)
 			.option('-n, --network <value>', 'The network to run off.', x => x.toLowerCase(), 'goerli')
+			.option(
+				'--safe-batch-file <value>',
+				'Export the batch to this Safe Transaction Builder JSON file (and its MultiSend calldata alongside) instead of staging it'
+			)
 			.option('-s, --skip-acceptance', 'Skip ownership acceptance checks.')
 			.option('-y, --yes', 'Dont prompt, just reply yes.')
 			.option('--is-test', 'Is a test deployment (on a forked network as it were mainnet).')
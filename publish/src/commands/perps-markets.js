@@ -0,0 +1,522 @@
+'use strict';
+
+const ethers = require('ethers');
+const { gray, green, yellow } = require('chalk');
+const { table } = require('table');
+
+const {
+	getUsers,
+	toBytes32,
+	constants: { CONFIG_FILENAME, PERPS_V2_MARKETS_FILENAME },
+} = require('../../..');
+
+const {
+	ensureNetwork,
+	ensureDeploymentPath,
+	getDeploymentPathForNetwork,
+	loadAndCheckRequiredSources,
+	loadConnections,
+	confirmAction,
+	stringify,
+	assignGasOptions,
+	action,
+	addDeploymentOptions,
+} = require('../util');
+
+const Multicall = require('../Multicall');
+const TransactionManager = require('../TransactionManager');
+const SafeBatchExporter = require('../SafeBatchExporter');
+const { safeInitializer } = require('../command-utils/safe-initializer');
+const { getSigner, addSignerOptions } = require('../command-utils/signer');
+const { getContract } = require('../command-utils/contract');
+const { addTransactionOptions } = require('../command-utils/transact');
+const {
+	marketSettingUnits,
+	getMarketSettings,
+	formatMarketSetting,
+	settingSetter,
+} = require('../command-utils/perps-v2-utils');
+
+const DEFAULTS = {
+	network: 'mainnet',
+	// the reason code deploy suspends futures markets with
+	suspensionReason: 80,
+	// the number of calls relayed to L2 per L1 transaction, see owner
+	relayBatchSize: 20,
+	relayGasLimit: '12000000',
+	priorityGasPrice: '1',
+};
+
+const getProvider = ({ network, useOvm, useFork, providerUrl }) => {
+	const { providerUrl: envProviderUrl } = loadConnections({ network, useOvm, useFork });
+
+	providerUrl = providerUrl || envProviderUrl;
+	if (!providerUrl) {
+		throw Error('Missing .env key of PROVIDER_URL. Please add and retry.');
+	}
+
+	return new ethers.providers.JsonRpcProvider(providerUrl);
+};
+
+const percentChange = ({ setting, current, desired }) => {
+	if (marketSettingUnits[setting] !== 'decimal' || current === undefined) {
+		return '';
+	}
+	const from = ethers.BigNumber.from(current);
+	if (from.isZero()) {
+		return '';
+	}
+	// to 2 decimal places
+	const change = ethers.BigNumber.from(desired)
+		.sub(from)
+		.mul(10000)
+		.div(from)
+		.toNumber();
+	return `${change > 0 ? '+' : ''}${(change / 100).toFixed(2)}%`;
+};
+
+/**
+ * Compare the settings of every market in perpsv2-markets.json to those on chain
+ *
+ * @returns {object} the markets with the changes needed for each, and the contracts they're made on
+ */
+const planMarkets = async ({ network, useOvm, useFork, deploymentPath, providerUrl, markets }) => {
+	ensureNetwork(network);
+	deploymentPath = deploymentPath || getDeploymentPathForNetwork({ network, useOvm });
+	ensureDeploymentPath(deploymentPath);
+
+	const { perpsv2Markets } = loadAndCheckRequiredSources({ deploymentPath, network });
+
+	const provider = getProvider({ network, useOvm, useFork, providerUrl });
+	const contractFor = contract =>
+		getContract({ contract, network, useOvm, deploymentPath, provider });
+	const PerpsV2MarketSettings = contractFor('PerpsV2MarketSettings');
+	const SystemStatus = contractFor('SystemStatus');
+
+	const marketConfigs = perpsv2Markets.filter(
+		({ marketKey }) => !markets || markets.includes(marketKey)
+	);
+	if (markets) {
+		const unknown = markets.filter(key => !marketConfigs.find(m => m.marketKey === key));
+		if (unknown.length) {
+			throw Error(`No markets ${unknown.join(', ')} in ${PERPS_V2_MARKETS_FILENAME}`);
+		}
+	}
+
+	const calls = [];
+	for (const { marketKey, offchainMarketKey } of marketConfigs) {
+		calls.push(
+			{ contract: PerpsV2MarketSettings, method: 'parameters', args: [toBytes32(marketKey)] },
+			{ contract: SystemStatus, method: 'futuresMarketSuspension', args: [toBytes32(marketKey)] },
+			{
+				contract: SystemStatus,
+				method: 'futuresMarketSuspension',
+				args: [toBytes32(offchainMarketKey)],
+			}
+		);
+	}
+	// read in as few calls as possible, leaving undefined what can't be read (i.e. undeployed markets)
+	const multicall = new Multicall({ provider });
+	const results = await Promise.all(
+		calls.map(({ contract, method, args }) =>
+			multicall.call({ target: contract, method, args }).catch(() => undefined)
+		)
+	);
+
+	const plan = marketConfigs.map((marketConfig, i) => {
+		const [parameters, suspension, offchainSuspension] = results.slice(i * 3, i * 3 + 3);
+		const { marketKey, offchainMarketKey } = marketConfig;
+
+		const settings = Object.entries(getMarketSettings({ marketConfig })).map(
+			([setting, desired]) => {
+				const current = parameters ? parameters[setting].toString() : undefined;
+				desired = String(desired);
+				return { setting, current, desired, changed: current !== desired };
+			}
+		);
+
+		const pausedStates = [
+			{ key: marketKey, suspension, desired: !!marketConfig.paused },
+			{
+				key: offchainMarketKey,
+				suspension: offchainSuspension,
+				desired: !!marketConfig.offchainPaused,
+			},
+		].map(({ key, suspension, desired }) => {
+			const current = suspension ? suspension.suspended : undefined;
+			return { marketKey: key, current, desired, changed: current !== desired };
+		});
+
+		return {
+			marketKey,
+			// a market yet to be deployed has no settings, so no skew scale
+			deployed: !!parameters && !ethers.BigNumber.from(parameters.skewScale).isZero(),
+			settings,
+			pausedStates,
+		};
+	});
+
+	return { plan, provider, PerpsV2MarketSettings, SystemStatus };
+};
+
+const changesOf = plan =>
+	plan.reduce(
+		(count, { settings, pausedStates }) =>
+			count + settings.concat(pausedStates).filter(({ changed }) => changed).length,
+		0
+	);
+
+const printPlan = ({ plan }) => {
+	for (const { marketKey, deployed, settings, pausedStates } of plan) {
+		const rows = settings
+			.filter(({ changed }) => changed)
+			.map(({ setting, current, desired }) => [
+				setting,
+				formatMarketSetting({ setting, value: current }),
+				formatMarketSetting({ setting, value: desired }),
+				percentChange({ setting, current, desired }),
+			])
+			.concat(
+				pausedStates
+					.filter(({ changed }) => changed)
+					.map(({ marketKey, current, desired }) => [
+						`paused (${marketKey})`,
+						current === undefined ? '-' : String(current),
+						String(desired),
+						'',
+					])
+			);
+
+		if (!rows.length) {
+			console.log(gray(`${marketKey}: no changes`));
+			continue;
+		}
+
+		console.log(
+			yellow(`${marketKey}: ${rows.length} change(s)`),
+			deployed ? '' : gray('(not yet deployed)')
+		);
+		console.log(table([['Setting', 'Current', 'Desired', 'Change']].concat(rows)));
+	}
+
+	const changes = changesOf(plan);
+	console.log(
+		(changes ? yellow : green)(`${changes} change(s) across ${plan.length} perpsV2 market(s)`)
+	);
+};
+
+const plan = async ({ network, useOvm, useFork, deploymentPath, providerUrl, markets, json }) => {
+	// keep the loading logs out of JSON output
+	const log = console.log;
+	if (json) {
+		console.log = () => {};
+	}
+	let result;
+	try {
+		result = await planMarkets({
+			network,
+			useOvm,
+			useFork,
+			deploymentPath,
+			providerUrl,
+			markets,
+		});
+	} finally {
+		console.log = log;
+	}
+
+	if (json) {
+		console.log(stringify(result.plan));
+	} else {
+		printPlan(result);
+	}
+	return result.plan;
+};
+
+/**
+ * The owner calls to bring the markets in line with the plan
+ */
+const encodeCalls = ({ plan, PerpsV2MarketSettings, SystemStatus }) => {
+	const calls = [];
+	for (const { marketKey, settings, pausedStates } of plan) {
+		for (const { setting, desired } of settings.filter(({ changed }) => changed)) {
+			calls.push({
+				description: `${marketKey} ${setting} = ${formatMarketSetting({
+					setting,
+					value: desired,
+				})}`,
+				target: PerpsV2MarketSettings.address,
+				data: PerpsV2MarketSettings.interface.encodeFunctionData(settingSetter(setting), [
+					toBytes32(marketKey),
+					desired,
+				]),
+			});
+		}
+		for (const { marketKey, desired } of pausedStates.filter(({ changed }) => changed)) {
+			calls.push({
+				description: `${desired ? 'pause' : 'resume'} ${marketKey}`,
+				target: SystemStatus.address,
+				data: desired
+					? SystemStatus.interface.encodeFunctionData('suspendFuturesMarket', [
+							toBytes32(marketKey),
+							DEFAULTS.suspensionReason,
+					  ])
+					: SystemStatus.interface.encodeFunctionData('resumeFuturesMarket', [
+							toBytes32(marketKey),
+					  ]),
+			});
+		}
+	}
+	return calls;
+};
+
+const apply = async ({
+	network,
+	useOvm,
+	useFork,
+	deploymentPath,
+	providerUrl,
+	markets,
+	safeBatchFile,
+	privateKey,
+	keystore,
+	mnemonic,
+	derivationPath,
+	remoteSigner,
+	remoteSignerAddress,
+	maxFeePerGas,
+	maxPriorityFeePerGas = DEFAULTS.priorityGasPrice,
+	txTimeout,
+	feeBump,
+	maxFeeBumps,
+	yes,
+}) => {
+	const { plan, provider, PerpsV2MarketSettings, SystemStatus } = await planMarkets({
+		network,
+		useOvm,
+		useFork,
+		deploymentPath,
+		providerUrl,
+		markets,
+	});
+	printPlan({ plan });
+
+	const undeployed = plan.filter(({ deployed }) => !deployed).map(({ marketKey }) => marketKey);
+	if (undeployed.length) {
+		throw Error(`Markets ${undeployed.join(', ')} are not deployed yet, run deploy first`);
+	}
+
+	let calls = encodeCalls({ plan, PerpsV2MarketSettings, SystemStatus });
+	if (!calls.length) {
+		return;
+	}
+
+	// both contracts share the owner
+	const owner = await PerpsV2MarketSettings.owner();
+
+	// on OVM the owner is the L2 relayer, so the calls are relayed in batches from the L1 owner
+	let l1Provider;
+	let safeAddress = owner;
+	const ownerCode = await provider.getCode(owner);
+	if (useOvm && ownerCode !== '0x') {
+		l1Provider = getProvider({ network, useOvm: false, useFork, providerUrl: undefined });
+		const OwnerRelayOnEthereum = getContract({
+			contract: 'OwnerRelayOnEthereum',
+			network,
+			useOvm: false,
+			provider: l1Provider,
+		});
+		safeAddress = getUsers({ network, user: 'owner', useOvm: false }).address;
+
+		const relayCalls = [];
+		for (let i = 0; i < calls.length; i += DEFAULTS.relayBatchSize) {
+			const batch = calls.slice(i, i + DEFAULTS.relayBatchSize);
+			relayCalls.push({
+				description: `relay ${batch.length} call(s) to L2`,
+				target: OwnerRelayOnEthereum.address,
+				data: OwnerRelayOnEthereum.interface.encodeFunctionData('initiateRelayBatch', [
+					batch.map(({ target }) => target),
+					batch.map(({ data }) => data),
+					ethers.BigNumber.from(DEFAULTS.relayGasLimit),
+				]),
+			});
+		}
+		calls = relayCalls;
+		console.log(
+			gray('Owner is the L2 relayer, relaying from'),
+			yellow(OwnerRelayOnEthereum.address),
+			gray('for the L1 owner'),
+			yellow(safeAddress)
+		);
+	}
+
+	if (!yes) {
+		try {
+			await confirmAction(
+				gray(
+					'Apply',
+					yellow(changesOf(plan)),
+					'change(s) in',
+					yellow(calls.length),
+					'owner call(s) from',
+					yellow(safeAddress),
+					'on network',
+					yellow(network),
+					'. Continue (y/n)? '
+				)
+			);
+		} catch (err) {
+			console.log(gray('Operation cancelled'));
+			return;
+		}
+	}
+
+	if (safeBatchFile) {
+		const safeBatchExporter = new SafeBatchExporter({
+			network,
+			useOvm: useOvm && !l1Provider,
+			safeAddress,
+			file: safeBatchFile,
+		});
+		for (const { target, data } of calls) {
+			await safeBatchExporter.appendTransaction({ to: target, data });
+		}
+		const { transactions, file, multiSendFile } = safeBatchExporter.write({
+			name: `PerpsV2 market settings on ${network}${useOvm ? ' (OVM)' : ''}`,
+			description: calls.map(({ description }) => description).join('\n'),
+		});
+		console.log(
+			gray(
+				'Exported a batch of',
+				yellow(transactions.length),
+				'transactions for the safe',
+				yellow(safeAddress),
+				'to',
+				yellow(file),
+				'and as MultiSend calldata to',
+				yellow(multiSendFile)
+			)
+		);
+		return;
+	}
+
+	const signerProvider = l1Provider || provider;
+	let signer = await getSigner({
+		network,
+		provider: signerProvider,
+		useEnv: network !== 'local' && !useFork,
+		privateKey,
+		keystore,
+		mnemonic,
+		derivationPath,
+		remoteSigner,
+		remoteSignerAddress,
+	});
+	if (!signer && (network === 'local' || useFork)) {
+		// the owner is unlocked on local nodes and forks
+		signer = signerProvider.getSigner(safeAddress);
+	}
+	if (!signer) {
+		throw Error('A signer is required to apply the changes, or use --safe-batch-file');
+	}
+
+	const safeBatchSubmitter = useFork
+		? undefined
+		: await safeInitializer({ network, signer, safeAddress });
+	if (safeBatchSubmitter) {
+		for (const { target, data } of calls) {
+			await safeBatchSubmitter.appendTransaction({ to: target, data });
+		}
+		const { nonce } = await safeBatchSubmitter.submit();
+		console.log(
+			gray(
+				'Submitted a batch of',
+				yellow(calls.length),
+				'transactions to the safe',
+				yellow(safeAddress),
+				'at nonce position',
+				yellow(nonce)
+			)
+		);
+		return;
+	}
+
+	const signerAddress = await signer.getAddress();
+	if (signerAddress.toLowerCase() !== safeAddress.toLowerCase()) {
+		throw Error(
+			`The owner ${safeAddress} is not a safe and the signer is ${signerAddress}. Sign as the owner or use --safe-batch-file`
+		);
+	}
+	const transactionManager = new TransactionManager({
+		provider: signerProvider,
+		timeout: txTimeout,
+		feeBump,
+		maxBumps: maxFeeBumps,
+	});
+	for (const { description, target, data } of calls) {
+		console.log(gray(`Sending: ${description}`));
+		const receipt = await transactionManager.send({
+			signer,
+			overrides: await assignGasOptions({
+				tx: {},
+				provider: signerProvider,
+				maxFeePerGas,
+				maxPriorityFeePerGas,
+			}),
+			send: overrides => signer.sendTransaction(Object.assign({ to: target, data }, overrides)),
+		});
+		console.log(gray(`  > tx hash: ${receipt.transactionHash}`));
+	}
+	console.log(green(`Applied ${changesOf(plan)} change(s)`));
+};
+
+const withCommonOptions = command =>
+	addDeploymentOptions({
+		deploymentPathDescription: `Path to a folder that has your input configuration file ${CONFIG_FILENAME} and your ${PERPS_V2_MARKETS_FILENAME}`,
+		network: DEFAULTS.network,
+	})(command)
+		.option('-k, --use-fork', 'Perform on a local fork', false)
+		.option(
+			'-m, --markets <value>',
+			'Comma separated market keys to limit to (defaults to all)',
+			x => x.split(',').map(key => key.trim())
+		)
+		.option('-p, --provider-url <value>', 'Ethereum network provider URL.');
+
+module.exports = {
+	planMarkets,
+	plan,
+	apply,
+	DEFAULTS,
+	cmd: program => {
+		const command = program
+			.command('perps-markets')
+			.description(
+				`Review and apply the settings of the perpsV2 markets in ${PERPS_V2_MARKETS_FILENAME}`
+			);
+
+		withCommonOptions(command.command('plan'))
+			.description('Show what would change on chain for each market, in the units of the file')
+			.option('-j, --json', 'Print the plan as JSON')
+			.action(action(plan));
+
+		addTransactionOptions(addSignerOptions(withCommonOptions(command.command('apply'))))
+			.description('Apply the planned changes as a single batch of owner transactions')
+			.option('-g, --max-fee-per-gas <value>', 'Maximum base gas fee price in GWEI')
+			.option(
+				'--max-priority-fee-per-gas <value>',
+				'Priority gas fee price in GWEI',
+				DEFAULTS.priorityGasPrice
+			)
+			.option(
+				'-v, --private-key [value]',
+				'The private key of the owner or of a signer on the safe.'
+			)
+			.option(
+				'--safe-batch-file <value>',
+				'Export the owner transactions as a Safe Transaction Builder batch file instead of staging them'
+			)
+			.option('-y, --yes', 'Dont prompt, just reply yes.')
+			.action(action(apply));
+	},
+};
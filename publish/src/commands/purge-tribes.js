@@ -1,8 +1,7 @@
 'use strict';
 
-const { gray, green, yellow, red, cyan } = require('chalk');
+const { gray, green, yellow, cyan } = require('chalk');
 const ethers = require('ethers');
-const axios = require('axios');
 
 const {
 	toBytes32,
@@ -17,7 +16,10 @@ const {
 	loadAndCheckRequiredSources,
 	loadConnections,
 	confirmAction,
+	action,
 } = require('../util');
+const { getSigner, addSignerOptions } = require('../command-utils/signer');
+const { getTribeHolders } = require('../command-utils/holders');
 
 const { performTransactionalStep } = require('../command-utils/transact');
 
@@ -36,13 +38,20 @@ const purgeTribes = async ({
 	dryRun = false,
 	yes,
 	privateKey,
+	keystore,
+	mnemonic,
+	derivationPath,
+	remoteSigner,
+	remoteSignerAddress,
 	addresses = [],
 	batchSize = DEFAULTS.batchSize,
 	proxyAddress,
 	useFork,
+	useOvm,
+	providerUrl,
 }) => {
 	ensureNetwork(network);
-	deploymentPath = deploymentPath || getDeploymentPathForNetwork({ network });
+	deploymentPath = deploymentPath || getDeploymentPathForNetwork({ network, useOvm });
 	ensureDeploymentPath(deploymentPath);
 
 	const { tribes, deployment } = loadAndCheckRequiredSources({
@@ -58,42 +67,40 @@ const purgeTribes = async ({
 	// sanity-check the tribe list
 	for (const tribe of tribesToPurge) {
 		if (tribes.filter(({ name }) => name === tribe).length < 1) {
-			console.error(red(`Tribe ${tribe} not found!`));
-			process.exitCode = 1;
-			return;
+			throw Error(`Tribe ${tribe} not found!`);
 		} else if (['hUSD'].indexOf(tribe) >= 0) {
-			console.error(red(`Tribe ${tribe} cannot be purged`));
-			process.exitCode = 1;
-			return;
+			throw Error(`Tribe ${tribe} cannot be purged`);
 		}
 	}
 
 	if (tribesToPurge.length > 1 && proxyAddress) {
-		console.error(red(`Cannot provide a proxy address with multiple tribes`));
-		process.exitCode = 1;
-		return;
+		throw Error('Cannot provide a proxy address with multiple tribes');
 	}
 
-	const { providerUrl, privateKey: envPrivateKey, explorerLinkPrefix } = loadConnections({
+	const { providerUrl: envProviderUrl, explorerLinkPrefix } = loadConnections({
 		network,
 		useFork,
+		useOvm,
 	});
-
-	// allow local deployments to use the private key passed as a CLI option
-	if (network !== 'local' || !privateKey) {
-		privateKey = envPrivateKey;
-	}
+	providerUrl = providerUrl || envProviderUrl;
 
 	console.log(gray(`Provider url: ${providerUrl}`));
 	const provider = new ethers.providers.JsonRpcProvider(providerUrl);
 
-	let wallet;
-	if (!privateKey) {
-		const account = getUsers({ network, user: 'owner' }).address; // protocolDAO
+	let wallet = await getSigner({
+		network,
+		provider,
+		privateKey,
+		keystore,
+		mnemonic,
+		derivationPath,
+		remoteSigner,
+		remoteSignerAddress,
+	});
+	if (!wallet) {
+		const account = getUsers({ network, useOvm, user: 'owner' }).address; // protocolDAO
 		wallet = provider.getSigner(account);
 		wallet.address = await wallet.getAddress();
-	} else {
-		wallet = new ethers.Wallet(privateKey, provider);
 	}
 
 	console.log(gray(`Using account with public key ${wallet.address}`));
@@ -132,7 +139,7 @@ const purgeTribes = async ({
 
 		const { abi: tribeABI } = deployment.sources[tribeSource];
 		const Tribe = new ethers.Contract(tribeAddress, tribeABI, wallet);
-		proxyAddress = proxyAddress || deployment.targets[`Proxy${currencyKey}`].address;
+		const tribeProxyAddress = proxyAddress || deployment.targets[`Proxy${currencyKey}`].address;
 
 		console.log(
 			gray(
@@ -143,43 +150,31 @@ const purgeTribes = async ({
 				'at address',
 				tribeAddress,
 				'proxy',
-				proxyAddress
+				tribeProxyAddress
 			)
 		);
 
 		const currentTribeInHAKA = await Tribeone.tribes(toBytes32(currencyKey));
 
 		if (tribeAddress !== currentTribeInHAKA) {
-			console.error(
-				red(
-					`Tribe address in Tribeone for ${currencyKey} is different from what's deployed in Tribeone to the local ${DEPLOYMENT_FILENAME} of ${network} \ndeployed: ${yellow(
-						currentTribeInHAKA
-					)}\nlocal:    ${yellow(tribeAddress)}`
-				)
+			throw Error(
+				`Tribe address in Tribeone for ${currencyKey} is different from what's deployed in Tribeone to the local ${DEPLOYMENT_FILENAME} of ${network} \ndeployed: ${currentTribeInHAKA}\nlocal:    ${tribeAddress}`
 			);
-			process.exitCode = 1;
-			return;
 		}
 
-		// step 1. fetch all holders via ethplorer api
-		if (network === 'mainnet') {
-			const topTokenHoldersUrl = `http://api.ethplorer.io/getTopTokenHolders/${proxyAddress}`;
-			const response = await axios.get(topTokenHoldersUrl, {
-				params: {
-					apiKey: process.env.ETHPLORER_API_KEY || 'freekey',
-					limit: 1000,
-				},
-			});
-
-			const topTokenHolders = response.data.holders.map(({ address }) => address);
-			console.log(gray(`Found ${topTokenHolders.length} possible holders of ${currencyKey}`));
-			// Filter out any 0 holder
-			const supplyPerEntry = await Promise.all(
-				topTokenHolders.map(entry => Tribe.balanceOf(entry))
-			);
-			addresses = topTokenHolders.filter((e, i) => supplyPerEntry[i] !== '0');
-			console.log(gray(`Filtered to ${addresses.length} with supply`));
-		}
+		// step 1. find all holders from the transfers of the tribe, unless given
+		const holders = addresses.length
+			? addresses
+			: (
+					await getTribeHolders({
+						network,
+						useOvm,
+						deploymentPath,
+						provider,
+						currencyKey,
+						proxyAddress,
+					})
+			  ).map(({ address }) => address);
 
 		const totalSupplyBefore = ethers.utils.formatEther(await Tribe.totalSupply());
 
@@ -192,10 +187,10 @@ const purgeTribes = async ({
 
 		// Split the addresses into batch size
 		// step 2. start the purge
-		for (let batch = 0; batch * batchSize < addresses.length; batch++) {
+		for (let batch = 0; batch * batchSize < holders.length; batch++) {
 			const start = batch * batchSize;
-			const end = Math.min((batch + 1) * batchSize, addresses.length);
-			const entries = addresses.slice(start, end);
+			const end = Math.min((batch + 1) * batchSize, holders.length);
+			const entries = holders.slice(start, end);
 
 			totalBatches++;
 
@@ -224,8 +219,8 @@ const purgeTribes = async ({
 			console.log(
 				yellow(
 					`⚠⚠⚠ WARNING: totalSupply is not 0 after purge of ${currencyKey}. It is ${totalSupply}. ` +
-						`Were there 100 or 1000 holders noted above? If so then we have likely hit the tokenHolder ` +
-						`API limit; another purge is required for this tribe.`
+						`Were the addresses given incomplete, or did the transfers indexed stop short of the ` +
+						`latest block? If so another purge is required for this tribe.`
 				)
 			);
 		}
@@ -236,12 +231,11 @@ const purgeTribes = async ({
 module.exports = {
 	purgeTribes,
 	cmd: program =>
-		program
-			.command('purge-tribes')
+		addSignerOptions(program.command('purge-tribes'))
 			.description('Purge a number of tribes from the system')
 			.option(
 				'-a, --addresses <value>',
-				'The list of holder addresses (use in testnets when Ethplorer API does not return holders)',
+				'The list of holder addresses (otherwise every holder found from the Transfer events of the tribe)',
 				(val, memo) => {
 					memo.push(val);
 					return memo;
@@ -264,10 +258,11 @@ module.exports = {
 				x => x.toLowerCase(),
 				DEFAULTS.network
 			)
+			.option('--provider-url <value>', 'Ethereum network provider URL.')
 			.option('-r, --dry-run', 'Dry run - no changes transacted')
 			.option(
 				'-v, --private-key [value]',
-				'The private key to transact with (only works in local mode, otherwise set in .env).'
+				'The private key to transact with (otherwise the signer set in .env).'
 			)
 			.option(
 				'-bs, --batch-size [value]',
@@ -276,7 +271,7 @@ module.exports = {
 			)
 			.option(
 				'-p, --proxy-address <value>',
-				'Override the proxy address for the token (only works with a single tribe given)'
+				'Override the proxy address for the token, whose transfers alone are then read for holders (only works with a single tribe given)'
 			)
 			.option(
 				'-k, --use-fork',
@@ -293,5 +288,6 @@ module.exports = {
 				},
 				[]
 			)
-			.action(purgeTribes),
+			.option('-z, --use-ovm', 'Target deployment for the OVM (Optimism).')
+			.action(action(purgeTribes)),
 };
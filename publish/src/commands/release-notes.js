@@ -0,0 +1,385 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const execFile = require('util').promisify(require('child_process').execFile);
+const semver = require('semver');
+const { gray, green, yellow, red } = require('chalk');
+
+const { diffAbi } = require('./diff');
+const { stringify, readJSON } = require('../util');
+
+const {
+	constants: { DEPLOYMENT_FILENAME, OWNER_ACTIONS_FILENAME, VERSIONS_FILENAME },
+	decode,
+	getPathToNetwork,
+	networks,
+	releases,
+} = require('../../..');
+
+const DEFAULTS = {
+	layer: 'both',
+	outputPath: 'release-notes',
+};
+
+const git = async (...args) => (await execFile('git', args, { maxBuffer: 1024 ** 3 })).stdout;
+
+/**
+ * A JSON file of the folder as it was at the given git ref, or as it is without one. Missing files
+ * are empty, unless required.
+ */
+const jsonAt = async ({ deploymentPath, file, ref, required }) => {
+	if (!ref) {
+		const filePath = path.join(deploymentPath, file);
+		return required || fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath)) : {};
+	}
+	const root = (await git('-C', deploymentPath, 'rev-parse', '--show-toplevel')).trim();
+	const relative = path
+		.relative(root, path.join(deploymentPath, file))
+		.split(path.sep)
+		.join('/');
+	if (!required && !(await git('-C', root, 'ls-tree', '--name-only', ref, relative)).trim()) {
+		return {};
+	}
+	return JSON.parse(await git('-C', root, 'show', `${ref}:${relative}`));
+};
+
+/**
+ * The deployment file of the folder as it was at the given git ref, or as it is without one
+ */
+const deploymentAt = ({ deploymentPath, ref }) =>
+	jsonAt({ deploymentPath, file: DEPLOYMENT_FILENAME, ref, required: true });
+
+/**
+ * The SIPs of the releases.json entries for the version on the layer, with the sources of that layer
+ */
+const sipsOfRelease = ({ versionTag, useOvm }) => {
+	const [major, minor] = [semver.major(versionTag), semver.minor(versionTag)];
+	const layer = useOvm ? 'ovm' : 'base';
+
+	const matching = releases.releases.filter(
+		({ ovm, version }) => !!ovm === !!useOvm && version.major === major && version.minor === minor
+	);
+
+	return {
+		names: matching.map(({ name }) => name),
+		sips: matching
+			.reduce((memo, { sips }) => memo.concat(sips), [])
+			.map(number => {
+				const sip = releases.sips.find(({ sip }) => sip === number);
+				if (!sip) {
+					console.log(yellow(`WARNING: Cannot find entry for SIP ${number} in releases.json`));
+					return { sip: number, sources: [] };
+				}
+				const sources = Array.isArray(sip.sources) ? sip.sources : sip.sources[layer] || [];
+				return { sip: number, layer: sip.layer, sources };
+			}),
+	};
+};
+
+/**
+ * The contracts of the version entry, each either new or replacing the address some earlier entry had
+ */
+const contractsOfRelease = ({ versions, versionTag }) => {
+	const tags = Object.keys(versions);
+	const earlier = tags.slice(0, tags.indexOf(versionTag)).map(tag => versions[tag]);
+
+	const added = [];
+	const replaced = [];
+	for (const [name, { address }] of Object.entries(versions[versionTag].contracts)) {
+		// the entry marked replaced in this version, else the latest earlier one of the same name
+		const candidates = earlier.filter(({ contracts }) => name in contracts);
+		const previous =
+			candidates.find(({ contracts }) => contracts[name].replaced_in === versionTag) ||
+			candidates[candidates.length - 1];
+		if (previous) {
+			replaced.push({
+				name,
+				address,
+				previous: { tag: previous.tag, address: previous.contracts[name].address },
+			});
+		} else {
+			added.push({ name, address });
+		}
+	}
+	return { added, replaced };
+};
+
+/**
+ * Per source, the functions and events added, removed and changed between the deployment files of
+ * the previous version and this one
+ */
+const sourcesOfRelease = async ({ deploymentPath, fromRef, toRef }) => {
+	const [before, after] = await Promise.all([
+		fromRef ? deploymentAt({ deploymentPath, ref: fromRef }) : { sources: {} },
+		deploymentAt({ deploymentPath, ref: toRef }),
+	]);
+
+	return {
+		added: Object.keys(after.sources).filter(name => !before.sources[name]),
+		removed: Object.keys(before.sources).filter(name => !after.sources[name]),
+		changed: Object.keys(after.sources)
+			.filter(name => before.sources[name])
+			.map(name => ({
+				name,
+				abi: diffAbi({ from: before.sources[name].abi, to: after.sources[name].abi }),
+			}))
+			.filter(({ abi }) => abi.added.length || abi.removed.length || abi.changed.length),
+	};
+};
+
+/**
+ * The owner actions marked complete in the owner actions file of this version and not in that of
+ * the previous one, decoded where possible
+ */
+const ownerActionsOfRelease = async ({ network, useOvm, deploymentPath, fromRef, toRef }) => {
+	const [before, after] = await Promise.all([
+		fromRef ? jsonAt({ deploymentPath, file: OWNER_ACTIONS_FILENAME, ref: fromRef }) : {},
+		jsonAt({ deploymentPath, file: OWNER_ACTIONS_FILENAME, ref: toRef }),
+	]);
+	return Object.entries(after)
+		.filter(([key, { complete }]) => complete && !(before[key] && before[key].complete))
+		.map(([key, { target, data, executedIn }]) => {
+			const entry = { key, target, executedIn };
+			try {
+				const { contract, method } = decode({
+					network,
+					useOvm,
+					fs,
+					path,
+					data,
+					target,
+					decodeMigration: true,
+				});
+				const call = `${method.name}(${method.params.map(({ value }) => value).join(', ')})`;
+				Object.assign(entry, { contract, call });
+			} catch (err) {}
+			return entry;
+		});
+};
+
+const code = value => `\`${value}\``;
+
+const toMarkdown = notes => {
+	const { tag, release, network, useOvm, date, commit, releaseNames, sips } = notes;
+	const lines = [
+		`# ${tag}${release ? ` (${release})` : ''} - ${network}${useOvm ? ' (Optimism)' : ''}`,
+	];
+	const released = [date && `Released ${date}`, commit && `from commit ${code(commit)}`];
+	if (date || commit) {
+		lines.push('', `${released.filter(Boolean).join(' ')}.`);
+	}
+
+	lines.push('', '## SIPs', '');
+	if (releaseNames.length) {
+		lines.push(`Releases: ${releaseNames.join(', ')}`, '');
+	}
+	lines.push(
+		...(sips.length
+			? sips.map(
+					({ sip, sources }) =>
+						`- [SIP-${sip}](https://sips.tribeone.io/sips/sip-${sip})${
+							sources.length ? `: ${sources.map(code).join(', ')}` : ''
+						}`
+			  )
+			: ['None'])
+	);
+
+	const { added, replaced } = notes.contracts;
+	lines.push('', '## Contracts', '');
+	if (added.length || replaced.length) {
+		lines.push('| Contract | Address | Replaces |', '| --- | --- | --- |');
+		replaced.forEach(({ name, address, previous }) =>
+			lines.push(`| ${name} | ${code(address)} | ${code(previous.address)} (${previous.tag}) |`)
+		);
+		added.forEach(({ name, address }) => lines.push(`| ${name} | ${code(address)} | new |`));
+	} else {
+		lines.push('None');
+	}
+
+	lines.push('', '## ABI changes', '');
+	if (!notes.sources) {
+		lines.push(`Unavailable: ${notes.sourcesError}`);
+	} else {
+		const { added, removed, changed } = notes.sources;
+		if (!added.length && !removed.length && !changed.length) {
+			lines.push('None');
+		}
+		added.forEach(name => lines.push(`- New source ${code(name)}`));
+		removed.forEach(name => lines.push(`- Removed source ${code(name)}`));
+		changed.forEach(({ name, abi }) => {
+			lines.push('', `### ${name}`, '');
+			abi.added.forEach(signature => lines.push(`- Added ${code(signature)}`));
+			abi.removed.forEach(signature => lines.push(`- Removed ${code(signature)}`));
+			abi.changed.forEach(({ from, to }) =>
+				lines.push(`- Changed ${from.map(code).join(', ')} to ${to.map(code).join(', ')}`)
+			);
+		});
+	}
+
+	lines.push('', '## Owner actions', '');
+	lines.push(
+		...(!notes.ownerActions
+			? [`Unavailable: ${notes.ownerActionsError}`]
+			: notes.ownerActions.length
+			? notes.ownerActions.map(
+					({ key, contract, call, executedIn }) =>
+						`- ${code(call ? `${contract || key.split('.')[0]}.${call}` : key)}${
+							executedIn ? ` in ${code(executedIn)}` : ''
+						}`
+			  )
+			: ['None'])
+	);
+
+	return lines.join('\n') + '\n';
+};
+
+const releaseNotesForNetwork = async ({ network, useOvm, versionTag, fromRef, toRef }) => {
+	const deploymentPath = getPathToNetwork({ network, useOvm, path });
+	const versions = readJSON(path.join(deploymentPath, VERSIONS_FILENAME));
+	if (!versions[versionTag]) {
+		return;
+	}
+
+	const { tag, release, date, commit } = versions[versionTag];
+	const tags = Object.keys(versions);
+	// the version entries are in the order they were released
+	const previous = versions[tags[tags.indexOf(versionTag) - 1]];
+
+	const { names: releaseNames, sips } = sipsOfRelease({ versionTag, useOvm });
+
+	const notes = {
+		tag,
+		release,
+		network: path.basename(deploymentPath),
+		useOvm: !!useOvm,
+		date,
+		commit,
+		releaseNames,
+		sips,
+		contracts: contractsOfRelease({ versions, versionTag }),
+	};
+
+	// without a commit recorded for the version, compare to the deployment file as it is now
+	fromRef = fromRef || (previous && previous.commit);
+	toRef = toRef || commit;
+	try {
+		notes.sources = await sourcesOfRelease({ deploymentPath, fromRef, toRef });
+	} catch (err) {
+		console.log(yellow(`Unable to compare the ABIs of ${notes.network}: ${err.message.trim()}`));
+		notes.sources = null;
+		notes.sourcesError = `cannot read ${DEPLOYMENT_FILENAME} at ${fromRef || ''}..${toRef ||
+			'the working tree'}`;
+	}
+
+	try {
+		notes.ownerActions = await ownerActionsOfRelease({
+			network,
+			useOvm,
+			deploymentPath,
+			fromRef,
+			toRef,
+		});
+	} catch (err) {
+		console.log(
+			yellow(`Unable to compare the owner actions of ${notes.network}: ${err.message.trim()}`)
+		);
+		notes.ownerActions = null;
+		notes.ownerActionsError = `cannot read ${OWNER_ACTIONS_FILENAME} at ${fromRef || ''}..${toRef ||
+			'the working tree'}`;
+	}
+
+	return notes;
+};
+
+const releaseNotes = async ({
+	versionTag,
+	layer = DEFAULTS.layer,
+	network,
+	fromRef,
+	toRef,
+	outputPath = DEFAULTS.outputPath,
+}) => {
+	// prefix a "v" to the tag
+	versionTag = /^v/.test(versionTag) ? versionTag : 'v' + versionTag;
+
+	const layers = [].concat(
+		layer === 'base' || layer === 'both' ? false : [],
+		layer === 'ovm' || layer === 'both' ? true : []
+	);
+
+	const written = [];
+	for (const useOvm of layers) {
+		for (const entry of networks.filter(n => n !== 'local' && (!network || n === network))) {
+			if (!fs.existsSync(getPathToNetwork({ network: entry, useOvm, path }))) {
+				continue;
+			}
+			const notes = await releaseNotesForNetwork({
+				network: entry,
+				useOvm,
+				versionTag,
+				fromRef,
+				toRef,
+			});
+			if (!notes) {
+				continue;
+			}
+
+			const folder = path.join(outputPath, versionTag);
+			fs.mkdirSync(folder, { recursive: true });
+			const file = path.join(folder, notes.network);
+			fs.writeFileSync(`${file}.json`, stringify(notes));
+			fs.writeFileSync(`${file}.md`, toMarkdown(notes));
+			console.log(gray('Wrote release notes of', green(notes.network), 'to', `${file}.{md,json}`));
+			written.push(notes);
+		}
+	}
+
+	if (!written.length) {
+		throw Error(`No deployment has version ${versionTag} in its ${VERSIONS_FILENAME}`);
+	}
+
+	return written;
+};
+
+module.exports = {
+	releaseNotes,
+	deploymentAt,
+	ownerActionsOfRelease,
+	DEFAULTS,
+	cmd: program =>
+		program
+			.command('release-notes')
+			.description(
+				'Write the Markdown and JSON release notes of a version for each network: SIPs, contracts replaced, ABI changes and owner actions executed'
+			)
+			.requiredOption('-v, --version-tag <value>', `The version released (e.g. "2.21.13-alpha")`)
+			.addOption(
+				new program.Option('-l, --layer <value>', `The layer released`)
+					.choices(['base', 'ovm', 'both'])
+					.default(DEFAULTS.layer)
+			)
+			.option('-n, --network <value>', 'Only this network', x => x.toLowerCase())
+			.option(
+				'--from-ref <value>',
+				`The git ref to compare the ABIs from (defaults to the commit of the previous version in ${VERSIONS_FILENAME})`
+			)
+			.option(
+				'--to-ref <value>',
+				`The git ref to compare the ABIs to (defaults to the commit of the version in ${VERSIONS_FILENAME})`
+			)
+			.option(
+				'-o, --output-path <value>',
+				'The folder to write the notes to, under a folder per version',
+				DEFAULTS.outputPath
+			)
+			.action(async (...args) => {
+				try {
+					await releaseNotes(...args);
+				} catch (err) {
+					// show pretty errors for CLI users
+					console.error(red(err));
+					process.exitCode = 1;
+				}
+			}),
+};
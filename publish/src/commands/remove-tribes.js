@@ -19,7 +19,9 @@ const {
 	loadConnections,
 	confirmAction,
 	stringify,
+	action,
 } = require('../util');
+const { getSigner, addSignerOptions } = require('../command-utils/signer');
 
 const { performTransactionalStep } = require('../command-utils/transact');
 
@@ -39,8 +41,14 @@ const removeTribes = async ({
 	yes,
 	useOvm,
 	useFork,
+	providerUrl,
 	dryRun = false,
 	privateKey,
+	keystore,
+	mnemonic,
+	derivationPath,
+	remoteSigner,
+	remoteSignerAddress,
 }) => {
 	ensureNetwork(network);
 	deploymentPath = deploymentPath || getDeploymentPathForNetwork({ network, useOvm });
@@ -68,35 +76,36 @@ const removeTribes = async ({
 	// sanity-check the tribe list
 	for (const tribe of tribesToRemove) {
 		if (tribes.filter(({ name }) => name === tribe).length < 1) {
-			console.error(red(`Tribe ${tribe} not found!`));
-			process.exitCode = 1;
-			return;
+			throw Error(`Tribe ${tribe} not found!`);
 		} else if (['hUSD'].indexOf(tribe) >= 0) {
-			console.error(red(`Tribe ${tribe} cannot be removed`));
-			process.exitCode = 1;
-			return;
+			throw Error(`Tribe ${tribe} cannot be removed`);
 		}
 	}
 
-	const { providerUrl, privateKey: envPrivateKey, explorerLinkPrefix } = loadConnections({
+	const { providerUrl: envProviderUrl, explorerLinkPrefix } = loadConnections({
 		network,
 		useFork,
 		useOvm,
 	});
-
-	// if not specified, or in a local network, override the private key passed as a CLI option, with the one specified in .env
-	if (network !== 'local' && !privateKey && !useFork) {
-		privateKey = envPrivateKey;
-	}
+	providerUrl = providerUrl || envProviderUrl;
 
 	const provider = new ethers.providers.JsonRpcProvider(providerUrl);
-	let wallet;
-	if (!privateKey) {
+	// if no signer is specified, and not in a local network, use the one specified in .env
+	let wallet = await getSigner({
+		network,
+		provider,
+		useEnv: network !== 'local' && !useFork,
+		privateKey,
+		keystore,
+		mnemonic,
+		derivationPath,
+		remoteSigner,
+		remoteSignerAddress,
+	});
+	if (!wallet) {
 		const account = getUsers({ network, useOvm, user: 'owner' }).address; // protocolDAO on L1, Owner Relay on L2
 		wallet = provider.getSigner(account);
 		wallet.address = await wallet.getAddress();
-	} else {
-		wallet = new ethers.Wallet(privateKey, provider);
 	}
 
 	console.log(gray(`Using account with public key ${wallet.address}`));
@@ -168,15 +177,9 @@ const removeTribes = async ({
 		const currentTribeInHAKA = await Tribeone.tribes(toBytes32(currencyKey));
 
 		if (tribeAddress !== currentTribeInHAKA) {
-			console.error(
-				red(
-					`Tribe address in Tribeone for ${currencyKey} is different from what's deployed in Tribeone to the local ${DEPLOYMENT_FILENAME} of ${network} \ndeployed: ${yellow(
-						currentTribeInHAKA
-					)}\nlocal:    ${yellow(tribeAddress)}`
-				)
+			throw Error(
+				`Tribe address in Tribeone for ${currencyKey} is different from what's deployed in Tribeone to the local ${DEPLOYMENT_FILENAME} of ${network} \ndeployed: ${currentTribeInHAKA}\nlocal:    ${tribeAddress}`
 			);
-			process.exitCode = 1;
-			return;
 		}
 
 		// now check total supply (is required in Tribeone.removeTribe)
@@ -283,8 +286,7 @@ const removeTribes = async ({
 module.exports = {
 	removeTribes,
 	cmd: program =>
-		program
-			.command('remove-tribes')
+		addSignerOptions(program.command('remove-tribes'))
 			.description('Remove a number of tribes from the system')
 			.option(
 				'-d, --deployment-path <value>',
@@ -298,6 +300,7 @@ module.exports = {
 			)
 			.option('-l, --gas-limit <value>', 'Gas limit', 1e6)
 			.option('-n, --network <value>', 'The network to run off.', x => x.toLowerCase(), 'goerli')
+			.option('-p, --provider-url <value>', 'Ethereum network provider URL.')
 			.option('-r, --dry-run', 'Dry run - no changes transacted')
 			.option(
 				'-k, --use-fork',
@@ -315,5 +318,5 @@ module.exports = {
 				},
 				[]
 			)
-			.action(removeTribes),
+			.action(action(removeTribes)),
 };
@@ -3,7 +3,7 @@
 const fs = require('fs');
 const path = require('path');
 const ethers = require('ethers');
-const { gray, yellow, red, cyan } = require('chalk');
+const { gray, green, yellow, cyan } = require('chalk');
 
 const { loadCompiledFiles } = require('../solidity');
 const Deployer = require('../Deployer');
@@ -23,7 +23,9 @@ const {
 	confirmAction,
 	stringify,
 	assignGasOptions,
+	action,
 } = require('../util');
+const { getSigner, addSignerOptions } = require('../command-utils/signer');
 const { performTransactionalStep } = require('../command-utils/transact');
 
 const DEFAULTS = {
@@ -39,14 +41,23 @@ const replaceTribes = async ({
 	maxPriorityFeePerGas = DEFAULTS.priorityGasPrice,
 	subclass,
 	tribesToReplace,
-	privateKey,
+	dryRun = false,
 	yes,
+	useOvm,
+	useFork,
+	providerUrl,
+	privateKey,
+	keystore,
+	mnemonic,
+	derivationPath,
+	remoteSigner,
+	remoteSignerAddress,
 }) => {
 	ensureNetwork(network);
-	deploymentPath = deploymentPath || getDeploymentPathForNetwork({ network });
+	deploymentPath = deploymentPath || getDeploymentPathForNetwork({ network, useOvm });
 	ensureDeploymentPath(deploymentPath);
 
-	const { getTarget } = wrap({ network, fs, path });
+	const { getTarget } = wrap({ network, deploymentPath, useOvm, fs, path });
 
 	const {
 		configFile,
@@ -65,8 +76,7 @@ const replaceTribes = async ({
 	}
 
 	if (!subclass) {
-		console.log(yellow('Please provide a valid Tribe subclass'));
-		return;
+		throw Error('Please provide a valid Tribe subclass');
 	}
 
 	// now check the subclass is valud
@@ -77,33 +87,37 @@ const replaceTribes = async ({
 		.find(entry => new RegExp(`^${subclass}.json$`).test(entry));
 
 	if (!foundSourceFileForSubclass) {
-		console.log(
-			yellow(`Cannot find a source file called: ${subclass}.json. Please check the name`)
-		);
-		return;
+		throw Error(`Cannot find a source file called: ${subclass}.json. Please check the name`);
 	}
 
 	// sanity-check the tribe list
 	for (const tribe of tribesToReplace) {
 		if (tribes.filter(({ name }) => name === tribe).length < 1) {
-			console.error(red(`Tribe ${tribe} not found!`));
-			process.exitCode = 1;
-			return;
+			throw Error(`Tribe ${tribe} not found!`);
 		} else if (['hUSD'].indexOf(tribe) >= 0) {
-			console.error(red(`Tribe ${tribe} cannot be replaced`));
-			process.exitCode = 1;
-			return;
+			throw Error(`Tribe ${tribe} cannot be replaced`);
 		}
 	}
 
-	const { providerUrl, privateKey: envPrivateKey, explorerLinkPrefix } = loadConnections({
+	const { providerUrl: envProviderUrl, explorerLinkPrefix } = loadConnections({
 		network,
+		useFork,
+		useOvm,
 	});
+	const provider = new ethers.providers.JsonRpcProvider(providerUrl || envProviderUrl);
 
-	// allow local deployments to use the private key passed as a CLI option
-	if (network !== 'local' || !privateKey) {
-		privateKey = envPrivateKey;
-	}
+	// if no signer is specified, and not in a local network, use the one specified in .env
+	const signer = await getSigner({
+		network,
+		provider,
+		useEnv: network !== 'local' && !useFork,
+		privateKey,
+		keystore,
+		mnemonic,
+		derivationPath,
+		remoteSigner,
+		remoteSignerAddress,
+	});
 
 	console.log(gray('Loading the compiled contracts locally...'));
 	const { compiled } = loadCompiledFiles({ buildPath });
@@ -117,9 +131,12 @@ const replaceTribes = async ({
 		maxFeePerGas,
 		maxPriorityFeePerGas,
 		network,
-		privateKey,
-		providerUrl,
-		dryRun: false,
+		provider,
+		// without a signer, forks and local networks send as the owner
+		signer,
+		useFork,
+		useOvm,
+		dryRun,
 	});
 
 	// TODO - this should be fixed in Deployer
@@ -127,11 +144,11 @@ const replaceTribes = async ({
 		address: getTarget({ contract: 'SafeDecimalMath' }).address,
 	};
 
-	const { account, signer } = deployer;
-	const provider = deployer.provider;
+	const { account } = deployer;
 
 	console.log(gray(`Using account with public key ${account}`));
 	console.log(gray(`Using max base fee of ${maxFeePerGas} GWEI`));
+	console.log(gray('Dry-run:'), dryRun ? green('yes') : yellow('no'));
 
 	const currentGasPrice = await provider.getGasPrice();
 	console.log(
@@ -176,13 +193,9 @@ const replaceTribes = async ({
 			(supply, i) => (totalSupplies[tribesToReplace[i]] = totalSupplyList[i])
 		);
 	} catch (err) {
-		console.error(
-			red(
-				'Cannot connect to existing contracts. Please double check the deploymentPath is correct for the network allocated'
-			)
+		throw Error(
+			'Cannot connect to existing contracts. Please double check the deploymentPath is correct for the network allocated'
 		);
-		process.exitCode = 1;
-		return;
 	}
 	if (!yes) {
 		try {
@@ -215,8 +228,9 @@ const replaceTribes = async ({
 		performTransactionalStep({
 			...opts,
 			deployer,
-			signer,
+			signer: deployer.signer,
 			explorerLinkPrefix,
+			dryRun,
 		});
 
 	for (const { currencyKey, Tribe, Proxy, TokenState } of deployedTribes) {
@@ -263,15 +277,19 @@ const replaceTribes = async ({
 		});
 
 		// Ensure this new tribe has its resolver cache set
-		const overrides = await assignGasOptions({
-			tx: {},
-			provider,
-			maxFeePerGas,
-			maxPriorityFeePerGas,
-		});
-
-		const tx = await replacementTribe.rebuildCache(overrides);
-		await tx.wait();
+		if (dryRun) {
+			console.log(green(`[DRY RUN] Would rebuild the cache of the new ${tribeContractName}`));
+		} else {
+			const overrides = await assignGasOptions({
+				tx: {},
+				provider,
+				maxFeePerGas,
+				maxPriorityFeePerGas,
+			});
+
+			const tx = await replacementTribe.rebuildCache(overrides);
+			await tx.wait();
+		}
 
 		// 4. Issuer.addTribe(newone) // owner
 		await runStep({
@@ -305,6 +323,9 @@ const replaceTribes = async ({
 		});
 
 		// Update the tribes.json file
+		if (dryRun) {
+			continue;
+		}
 		const tribeToUpdateInJSON = updatedTribes.find(({ name }) => name === currencyKey);
 		tribeToUpdateInJSON.subclass = subclass;
 		fs.writeFileSync(tribesFile, stringify(updatedTribes));
@@ -314,8 +335,7 @@ const replaceTribes = async ({
 module.exports = {
 	replaceTribes,
 	cmd: program =>
-		program
-			.command('replace-tribes')
+		addSignerOptions(program.command('replace-tribes'))
 			.description('Replaces a number of existing tribes with a subclass')
 			.option(
 				'-b, --build-path [value]',
@@ -327,12 +347,19 @@ module.exports = {
 				`Path to a folder that has your input configuration file ${CONFIG_FILENAME} and where your ${DEPLOYMENT_FILENAME} files will go`
 			)
 			.option('-g, --max-fee-per-gas <value>', 'Maximum base gas fee price in GWEI')
+			.option(
+				'-k, --use-fork',
+				'Perform the replacement on a forked chain running on localhost (see fork command).',
+				false
+			)
 			.option(
 				'--max-priority-fee-per-gas <value>',
 				'Priority gas fee price in GWEI',
 				DEFAULTS.priorityGasPrice
 			)
 			.option('-n, --network <value>', 'The network to run off.', x => x.toLowerCase(), 'goerli')
+			.option('-p, --provider-url <value>', 'Ethereum network provider URL.')
+			.option('-r, --dry-run', 'Dry run - no changes transacted')
 			.option(
 				'-s, --tribes-to-replace <value>',
 				'The list of tribes to replace',
@@ -345,9 +372,10 @@ module.exports = {
 			.option('-u, --subclass <value>', 'Subclass to switch into')
 			.option(
 				'-v, --private-key [value]',
-				'The private key to transact with (only works in local mode, otherwise set in .env).'
+				'The private key to transact with (otherwise the signer set in .env).'
 			)
 			.option('-x, --max-supply-to-purge-in-usd [value]', 'For PurgeableTribe, max supply', 1000)
 			.option('-y, --yes', 'Dont prompt, just reply yes.')
-			.action(replaceTribes),
+			.option('-z, --use-ovm', 'Target deployment for the OVM (Optimism).')
+			.action(action(replaceTribes)),
 };
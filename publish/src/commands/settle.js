@@ -7,7 +7,14 @@ const ethers = require('ethers');
 
 const { wrap, toBytes32 } = require('../../..');
 
-const { ensureNetwork, loadConnections, stringify, assignGasOptions } = require('../util');
+const {
+	ensureNetwork,
+	getDeploymentPathForNetwork,
+	loadConnections,
+	assignGasOptions,
+} = require('../util');
+const { getSigner, addSignerOptions } = require('../command-utils/signer');
+const EventIndexer = require('../EventIndexer');
 
 // The block where Tribeone first had SIP-37 added (when ExchangeState was added)
 const fromBlockMap = {
@@ -30,16 +37,6 @@ const fromBlockMap = {
 	mainnet: 11590207, // system exchanged after SCCP-68 implemented
 };
 
-const pathToLocal = name => path.join(__dirname, `${name}.json`);
-
-const saveExchangesToFile = ({ network, exchanges, fromBlock }) => {
-	fs.writeFileSync(pathToLocal(`exchanges-${network}-${fromBlock}`), stringify(exchanges));
-};
-
-const loadExchangesFromFile = ({ network, fromBlock }) => {
-	return JSON.parse(fs.readFileSync(pathToLocal(`exchanges-${network}-${fromBlock}`)).toString());
-};
-
 const settle = async ({
 	network,
 	fromBlock = fromBlockMap[network],
@@ -49,6 +46,11 @@ const settle = async ({
 	maxPriorityFeePerGas = '1',
 	gasLimit,
 	privateKey,
+	keystore,
+	mnemonic,
+	derivationPath,
+	remoteSigner,
+	remoteSignerAddress,
 	ethToSeed,
 	showDebt,
 	useFork,
@@ -56,32 +58,35 @@ const settle = async ({
 }) => {
 	ensureNetwork(network);
 
-	const { getTarget, getSource, getVersions, getUsers } = wrap({ network, fs, path });
+	const { getTarget, getSource, getVersions } = wrap({ network, fs, path });
 
 	console.log(gray('Using network:', yellow(network)));
 
-	const { providerUrl, privateKey: envPrivateKey, explorerLinkPrefix } = loadConnections({
+	const { providerUrl, explorerLinkPrefix } = loadConnections({
 		network,
 		useFork,
 	});
 
-	privateKey = privateKey || envPrivateKey;
-
 	const provider = new ethers.providers.JsonRpcProvider(providerUrl);
 
 	console.log(gray('maxFeePerGas'), yellow(maxFeePerGas));
 	console.log(gray('maxPriorityFeePerGas'), yellow(maxPriorityFeePerGas));
 
-	let wallet;
-	if (!privateKey) {
-		const account = getUsers({ network, user: 'owner' }).address; // protocolDAO
-		wallet = provider.getSigner(account);
-		wallet.address = await wallet.getAddress();
-	} else {
-		wallet = new ethers.Wallet(privateKey, provider);
+	// settling is done by the signer itself, so unlike other commands there is no impersonation fallback
+	const user = await getSigner({
+		network,
+		provider,
+		privateKey,
+		keystore,
+		mnemonic,
+		derivationPath,
+		remoteSigner,
+		remoteSignerAddress,
+	});
+	if (!user) {
+		throw Error('No signer to settle with. Please provide one via the CLI options or .env');
 	}
-
-	const user = new ethers.Wallet(privateKey, provider);
+	const wallet = user;
 
 	if (tribe) {
 		console.log(gray('Filtered to tribe:'), yellow(tribe));
@@ -141,41 +146,29 @@ const settle = async ({
 		source: 'Tribeone',
 	});
 
-	const fetchAllEvents = ({ pageSize = 10e3, startingBlock = fromBlock, target }) => {
-		const innerFnc = async () => {
-			if (startingBlock > currentBlock) {
-				return [];
-			}
-			console.log(gray('-> Fetching page of results from target', yellow(target.address)));
-			const pageOfResults = await target.queryFilter(
-				'TribeExchange',
-				startingBlock,
-				startingBlock + pageSize - 1
-			);
-			startingBlock += pageSize;
-			return [].concat(pageOfResults).concat(await innerFnc());
-		};
-		return innerFnc();
-	};
-
-	let methodology = gray('Loaded');
+	// exchanges are emitted by the proxy, from each of the addresses it has had
+	const indexer = new EventIndexer({
+		network,
+		deploymentPath: getDeploymentPathForNetwork({ network }),
+		provider,
+	});
+	const exchangeEvent = { contract: 'ProxyTribeone', source: 'Tribeone', event: 'TribeExchange' };
 	let exchanges;
 	try {
-		if (latest) {
-			throw Error('Must fetch latest');
-		}
-		exchanges = loadExchangesFromFile({ network, fromBlock });
-	} catch (err) {
-		exchanges = await fetchAllEvents({ target: Tribeone });
-		saveExchangesToFile({
-			network,
-			fromBlock,
-			exchanges,
-		});
-		methodology = yellow('Fetched');
+		// unless the latest are wanted, only fetch up to where previous runs got to
+		const fetched = await indexer.sync(
+			Object.assign(
+				{ fromBlock, toBlock: latest ? currentBlock : indexer.lastSyncedBlock(exchangeEvent) },
+				exchangeEvent
+			)
+		);
+		exchanges = indexer.query({ contract: 'ProxyTribeone', event: 'TribeExchange', fromBlock });
+		console.log(gray('Fetched', yellow(fetched), 'new exchanges into', yellow(indexer.file)));
+	} finally {
+		indexer.close();
 	}
 
-	console.log(gray(methodology, yellow(exchanges.length), 'exchanges since block', fromBlock));
+	console.log(gray('Loaded', yellow(exchanges.length), 'exchanges since block', fromBlock));
 
 	// this would be faster in parallel, but let's do it in serial so we know where we got up to
 	// if we have to restart
@@ -356,10 +349,12 @@ const settle = async ({
 module.exports = {
 	settle,
 	cmd: program =>
-		program
-			.command('settle')
+		addSignerOptions(program.command('settle'))
 			.description('Settle all exchanges')
-			.option('-a, --latest', 'Always fetch the latest list of transactions')
+			.option(
+				'-a, --latest',
+				'Index exchanges up to the latest block, not just those indexed so far'
+			)
 			.option('-d, --show-debt', 'Whether or not to show debt pool impact (requires archive node)')
 			.option('-e, --eth-to-seed <value>', 'Amount of ETH to seed', '1')
 			.option('-f, --from-block <value>', 'Starting block number to listen to events from')
@@ -0,0 +1,338 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ethers = require('ethers');
+const { gray, green, yellow, red, cyan } = require('chalk');
+const { table } = require('table');
+
+const {
+	getUsers,
+	constants: { CONFIG_FILENAME, DEPLOYMENT_FILENAME },
+} = require('../../..');
+
+const {
+	ensureNetwork,
+	ensureDeploymentPath,
+	getDeploymentPathForNetwork,
+	loadConnections,
+	stringify,
+} = require('../util');
+
+const DeployJournal = require('../DeployJournal');
+const { deploy, DEFAULTS: deployDefaults } = require('./deploy');
+
+const DEFAULTS = {
+	network: 'mainnet',
+	balance: '0x10000000000000000000000',
+};
+
+// map the journal step statuses onto the categories of the simulation report
+const stepCategories = {
+	noop: 'noop',
+	complete: 'performed',
+	'owner-action': 'owner-action',
+	failed: 'reverted',
+};
+
+const loadSimulationJournal = ({ simulationPath }) => {
+	const journalFolder = DeployJournal.folderFor({ deploymentPath: simulationPath });
+	const [journalFile] = fs.existsSync(journalFolder) ? fs.readdirSync(journalFolder) : [];
+	return journalFile
+		? JSON.parse(fs.readFileSync(path.join(journalFolder, journalFile)))
+		: { deployments: {}, steps: {} };
+};
+
+const buildSimulationReport = ({ network, useOvm, forkBlock, journal, error }) => {
+	const deployments = Object.values(journal.deployments).map(
+		({ name, source, address, status, gasUsed = '0', error }) => ({
+			name,
+			source,
+			address,
+			status: status === 'complete' ? 'deployed' : 'reverted',
+			gasUsed,
+			error,
+		})
+	);
+
+	const steps = Object.entries(journal.steps).map(
+		([action, { status, gasUsed = '0', target, error }]) => ({
+			action,
+			category: stepCategories[status] || status,
+			gasUsed,
+			target,
+			error,
+		})
+	);
+
+	const sumGas = entries =>
+		entries.reduce((memo, { gasUsed }) => memo.add(gasUsed), ethers.BigNumber.from(0)).toString();
+	const stepsIn = category => steps.filter(step => step.category === category);
+
+	return {
+		network,
+		useOvm: !!useOvm,
+		forkBlock,
+		success: !error,
+		error: error ? error.message : undefined,
+		deployments,
+		steps,
+		summary: {
+			contractsDeployed: deployments.filter(({ status }) => status === 'deployed').length,
+			noop: stepsIn('noop').length,
+			performed: stepsIn('performed').length,
+			ownerActions: stepsIn('owner-action').length,
+			reverts:
+				stepsIn('reverted').length +
+				deployments.filter(({ status }) => status === 'reverted').length,
+			deploymentGas: sumGas(deployments),
+			performedGas: sumGas(stepsIn('performed')),
+			ownerActionGas: sumGas(stepsIn('owner-action')),
+		},
+	};
+};
+
+const printSimulationReport = ({ report }) => {
+	const { deployments, steps, summary } = report;
+
+	console.log(gray(`\n------ SIMULATION REPORT ------\n`));
+
+	if (deployments.length) {
+		console.log(gray('Contracts deployed:'));
+		console.log(
+			table(
+				[['Contract', 'Source', 'Address', 'Gas used']].concat(
+					deployments.map(({ name, source, address, status, gasUsed }) => [
+						status === 'reverted' ? red(name) : name,
+						source,
+						address || '',
+						gasUsed,
+					])
+				)
+			)
+		);
+	} else {
+		console.log(gray('No contracts deployed.'));
+	}
+
+	const colorFor = { noop: gray, performed: green, 'owner-action': cyan, reverted: red };
+	const actionable = steps.filter(({ category }) => category !== 'noop');
+	if (actionable.length) {
+		console.log(gray('Steps requiring a transaction:'));
+		console.log(
+			table(
+				[['Category', 'Action', 'Gas used']].concat(
+					actionable.map(({ category, action, gasUsed }) => [
+						(colorFor[category] || yellow)(category),
+						action,
+						gasUsed,
+					])
+				)
+			)
+		);
+	}
+
+	const reverts = deployments
+		.filter(({ status }) => status === 'reverted')
+		.map(({ name, error }) => [name, error])
+		.concat(steps.filter(({ category }) => category === 'reverted').map(r => [r.action, r.error]));
+	if (reverts.length) {
+		console.log(red('Reverts:'));
+		reverts.forEach(([label, error]) => console.log(red(`- ${label}: ${error}`)));
+	}
+
+	console.log(
+		table([
+			['Contracts deployed', summary.contractsDeployed],
+			['Steps with nothing to do (noop)', summary.noop],
+			['Steps performed by the deployer', summary.performed],
+			['Steps requiring the owner', summary.ownerActions],
+			['Reverts', summary.reverts],
+			['Gas used for deployments', summary.deploymentGas],
+			['Gas used for deployer steps', summary.performedGas],
+			['Gas used for owner actions', summary.ownerActionGas],
+		])
+	);
+
+	if (report.error) {
+		console.log(red(`Simulation halted: ${report.error}`));
+	}
+};
+
+const simulateDeploy = async ({
+	network = DEFAULTS.network,
+	deploymentPath,
+	deployer: deployerAddress,
+	forkBlock,
+	outputFile,
+	providerUrl,
+	useOvm,
+	...deployOptions
+} = {}) => {
+	ensureNetwork(network);
+	deploymentPath = deploymentPath || getDeploymentPathForNetwork({ network, useOvm });
+	ensureDeploymentPath(deploymentPath);
+
+	if (!providerUrl) {
+		({ providerUrl } = loadConnections({ network, useOvm }));
+	}
+	if (!providerUrl) {
+		throw Error('Missing .env key of PROVIDER_URL. Please add and retry.');
+	}
+
+	// work off a copy of the deployment folder so the simulation never touches the real files
+	const simulationPath = path.join(
+		fs.mkdtempSync(path.join(os.tmpdir(), 'tribeone-simulation-')),
+		path.basename(deploymentPath)
+	);
+	fs.cpSync(deploymentPath, simulationPath, {
+		recursive: true,
+		filter: src => src !== DeployJournal.folderFor({ deploymentPath }),
+	});
+	console.log(gray(`Simulating against a copy of ${deploymentPath} in ${simulationPath}`));
+
+	// Note: required lazily as loading hardhat loads the whole hardhat config
+	const hre = require('hardhat');
+	await hre.network.provider.request({
+		method: 'hardhat_reset',
+		params: [
+			{
+				forking: Object.assign(
+					{ jsonRpcUrl: providerUrl },
+					forkBlock ? { blockNumber: Number(forkBlock) } : {}
+				),
+			},
+		],
+	});
+	const provider = new ethers.providers.Web3Provider(hre.network.provider);
+	const { number: blockNumber } = await provider.getBlock('latest');
+	console.log(gray(`Forked ${network}${useOvm ? ' (OVM)' : ''} in-process at block`, blockNumber));
+
+	const impersonate = async address => {
+		console.log(gray(`  > Impersonating & funding ${address}`));
+		await provider.send('hardhat_setBalance', [address, DEFAULTS.balance]);
+		await provider.send('hardhat_impersonateAccount', [address]);
+		const signer = provider.getSigner(address);
+		signer.address = address;
+		return signer;
+	};
+
+	deployerAddress = deployerAddress || getUsers({ network, useOvm, user: 'deployer' }).address;
+	const signer = await impersonate(deployerAddress);
+	const ownerSigner = await impersonate(getUsers({ network, useOvm, user: 'owner' }).address);
+
+	let error;
+	try {
+		await deploy(
+			Object.assign({}, deployOptions, {
+				concurrency: 1,
+				deploymentPath: simulationPath,
+				dryRun: false,
+				network,
+				ownerSigner,
+				provider,
+				providerUrl,
+				signer,
+				useFork: true,
+				useOvm,
+				yes: true,
+			})
+		);
+	} catch (err) {
+		error = err;
+		console.error(red(err));
+	}
+
+	const report = buildSimulationReport({
+		network,
+		useOvm,
+		forkBlock: blockNumber,
+		journal: loadSimulationJournal({ simulationPath }),
+		error,
+	});
+
+	printSimulationReport({ report });
+
+	if (outputFile) {
+		fs.writeFileSync(outputFile, stringify(report));
+		console.log(gray(`Simulation report written to ${outputFile}`));
+	}
+
+	if (error) {
+		process.exitCode = 1;
+	}
+
+	return report;
+};
+
+module.exports = {
+	simulateDeploy,
+	buildSimulationReport,
+	cmd: program =>
+		program
+			.command('simulate-deploy')
+			.description(
+				'Simulate a full deploy against an in-process fork and report on what a real run would do'
+			)
+			.option(
+				'-a, --add-new-tribes',
+				'Whether or not any new tribes in the tribes file should be deployed',
+				true
+			)
+			.option(
+				'-b, --build-path [value]',
+				'Path to a folder hosting compiled files from the "build" step in this script',
+				deployDefaults.buildPath
+			)
+			.option(
+				'-d, --deployment-path <value>',
+				`Path to a folder that has your input configuration file ${CONFIG_FILENAME} and your ${DEPLOYMENT_FILENAME} (it will be copied, not modified)`
+			)
+			.option(
+				'--deployer <value>',
+				'The address to impersonate as the deployer (defaults to the deployer user of the network)'
+			)
+			.option('--fork-block <value>', 'The block to fork from (defaults to the latest)')
+			.option(
+				'-i, --ignore-safety-checks',
+				'Ignores some validations regarding paths, compiler versions, etc.',
+				false
+			)
+			.option(
+				'--ignore-custom-parameters',
+				'Ignores deployment parameters specified in params.json',
+				false
+			)
+			.option(
+				'-n, --network <value>',
+				'The network to fork.',
+				x => x.toLowerCase(),
+				DEFAULTS.network
+			)
+			.option('-o, --output-file <value>', 'Write the simulation report as JSON to this file')
+			.option(
+				'-p, --provider-url <value>',
+				'Ethereum network provider URL to fork from. If default, will use PROVIDER_URL found in the .env file.'
+			)
+			.option('--skip-feed-checks', 'If enabled, will skip the feed checking on start')
+			.option(
+				'-x, --specify-contracts <value>',
+				'Ignore config.json  and specify contracts to be deployed (Comma separated list)'
+			)
+			.option(
+				'--perps-v2-markets <market...>',
+				'PerpsV2 Markets to deploy/upgrade. If not present will process all markets'
+			)
+			.option('-z, --use-ovm', 'Target deployment for the OVM (Optimism).')
+			.action(async (...args) => {
+				try {
+					await simulateDeploy(...args);
+				} catch (err) {
+					// show pretty errors for CLI users
+					console.error(red(err));
+					console.log(err.stack);
+					process.exitCode = 1;
+				}
+			}),
+};
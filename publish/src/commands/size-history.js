@@ -0,0 +1,187 @@
+'use strict';
+
+const path = require('path');
+const { gray, green, yellow, red } = require('chalk');
+
+const {
+	constants: { CONFIG_FILENAME, DEPLOYMENT_FILENAME, VERSIONS_FILENAME },
+} = require('../../..');
+
+const {
+	ensureNetwork,
+	ensureDeploymentPath,
+	getDeploymentPathForNetwork,
+	readJSON,
+	action,
+	addDeploymentOptions,
+} = require('../util');
+const { deploymentAt } = require('./release-notes');
+const {
+	EIP170_LIMIT,
+	patternToRegExp,
+	budgetOf,
+	checkSizeBudget,
+	deployedSizeOf,
+	pcentToColorFnc,
+} = require('../contract-size');
+const { DEFAULTS: buildDefaults } = require('./build');
+
+const DEFAULTS = {
+	network: 'mainnet',
+	// the contracts that keep hitting the limit
+	contracts: ['PerpsV2Market*', 'Issuer', 'Exchanger'],
+	width: 40,
+};
+
+const getDeploymentPath = ({ network, useOvm, deploymentPath }) => {
+	ensureNetwork(network);
+	deploymentPath = deploymentPath || getDeploymentPathForNetwork({ network, useOvm });
+	ensureDeploymentPath(deploymentPath);
+	return deploymentPath;
+};
+
+/**
+ * The deployed size of every source in the deployment file, by name
+ */
+const sizesOfDeployment = ({ sources }) =>
+	Object.entries(sources)
+		.filter(([, { bytecode }]) => bytecode)
+		.reduce((memo, [name, { bytecode }]) => {
+			memo[name] = deployedSizeOf({ bytecode });
+			return memo;
+		}, {});
+
+/**
+ * The sizes of the sources of each version, from the deployment file at the commit of each in the
+ * versions file, then those of the deployment file as it is now
+ */
+const sizesOfVersions = async ({ deploymentPath }) => {
+	const versions = readJSON(path.join(deploymentPath, VERSIONS_FILENAME));
+
+	const entries = [];
+	for (const [tag, { commit }] of Object.entries(versions)) {
+		if (!commit) {
+			console.log(yellow(`Skipping ${tag}, as it has no commit in ${VERSIONS_FILENAME}`));
+			continue;
+		}
+		try {
+			const deployment = await deploymentAt({ deploymentPath, ref: commit });
+			entries.push({ tag, sources: sizesOfDeployment(deployment) });
+		} catch (err) {
+			console.log(yellow(`Skipping ${tag}, as ${DEPLOYMENT_FILENAME} cannot be read at ${commit}`));
+		}
+	}
+	entries.push({
+		tag: 'current',
+		sources: sizesOfDeployment(await deploymentAt({ deploymentPath })),
+	});
+	return entries;
+};
+
+const bar = ({ length, width }) => {
+	const filled = Math.min(width, Math.round((length / EIP170_LIMIT) * width));
+	return '█'.repeat(filled) + '░'.repeat(width - filled);
+};
+
+const chartSizes = async ({
+	network = DEFAULTS.network,
+	useOvm,
+	deploymentPath,
+	contracts = DEFAULTS.contracts,
+	sizeBudget = buildDefaults.sizeBudget,
+	width = DEFAULTS.width,
+}) => {
+	deploymentPath = getDeploymentPath({ network, useOvm, deploymentPath });
+	width = Number(width);
+
+	const entries = await sizesOfVersions({ deploymentPath });
+
+	const { targets } = readJSON(path.join(deploymentPath, DEPLOYMENT_FILENAME));
+	const budget = sizeBudget ? readJSON(sizeBudget) : {};
+
+	// a contract is either a source, or a target whose source is charted instead (i.e. Exchanger)
+	const known = [
+		...new Set(entries.reduce((memo, { sources }) => memo.concat(Object.keys(sources)), [])),
+	];
+	const charted = [];
+	for (const contract of [].concat(contracts)) {
+		const pattern = patternToRegExp(contract);
+		const matching = known.filter(name => pattern.test(name));
+		if (!matching.length && targets && targets[contract]) {
+			matching.push(targets[contract].source);
+		}
+		if (!matching.length) {
+			console.log(yellow(`No deployed source matches ${contract}`));
+		}
+		matching.filter(name => !charted.includes(name)).forEach(name => charted.push(name));
+	}
+
+	const tagWidth = Math.max(...entries.map(({ tag }) => tag.length));
+	for (const name of charted) {
+		const { ceiling, margin } = budgetOf({ budget, name });
+		console.log(
+			'\n' + green(name),
+			gray(`(ceiling ${ceiling} bytes${margin ? `, margin ${margin} bytes` : ''})`)
+		);
+		let previous;
+		for (const { tag, sources } of entries) {
+			if (!sources[name]) {
+				continue;
+			}
+			const { length, estimated } = sources[name];
+			const [{ status }] = checkSizeBudget({ sizes: [{ file: name, length }], budget });
+			const pcent = `${((length / EIP170_LIMIT) * 100).toFixed(2)}%`;
+			const change =
+				previous === undefined || previous === length
+					? ''
+					: (length > previous ? red : green)(
+							`${length > previous ? '+' : ''}${length - previous}`
+					  );
+			console.log(
+				gray(tag.padEnd(tagWidth)),
+				pcentToColorFnc({ pcent, content: bar({ length, width }) }),
+				`${length}${estimated ? '*' : ''}`.padStart(6),
+				pcentToColorFnc({ pcent, content: pcent.padStart(7) }),
+				status === 'over' ? red('over ceiling') : status === 'margin' ? yellow('in margin') : '',
+				change
+			);
+			previous = length;
+		}
+	}
+	if (entries.some(({ sources }) => charted.some(name => (sources[name] || {}).estimated))) {
+		console.log(
+			gray('\n* the size of the whole bytecode, as the deployed code could not be found in it')
+		);
+	}
+
+	return charted;
+};
+
+const withCommonOptions = addDeploymentOptions({
+	deploymentPathDescription: `Path to a folder that has your input configuration file ${CONFIG_FILENAME}, the ${DEPLOYMENT_FILENAME} and ${VERSIONS_FILENAME}`,
+	network: DEFAULTS.network,
+});
+
+module.exports = {
+	sizesOfVersions,
+	chartSizes,
+	DEFAULTS,
+	cmd: program =>
+		withCommonOptions(program.command('size-history'))
+			.description(
+				`Chart the deployed size of the contracts over the versions in ${VERSIONS_FILENAME}, from the ${DEPLOYMENT_FILENAME} at the commit of each`
+			)
+			.option(
+				'-c, --contracts <value>',
+				'The sources or targets to chart, with "*" to match many (repeatable)',
+				(value, previous) => (previous === DEFAULTS.contracts ? [] : previous).concat(value),
+				DEFAULTS.contracts
+			)
+			.option(
+				'--size-budget <value>',
+				'The JSON file of the ceiling and margin of each contract',
+				buildDefaults.sizeBudget
+			)
+			.option('-w, --width <value>', 'The width of the bars', DEFAULTS.width)
+			.action(action(chartSizes)),
+};
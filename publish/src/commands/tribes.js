@@ -0,0 +1,586 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const ethers = require('ethers');
+const { gray, green, yellow, red, cyan } = require('chalk');
+
+const {
+	toBytes32,
+	getUsers,
+	getPathToNetwork,
+	constants: { CONFIG_FILENAME, FEEDS_FILENAME, TRIBEONES_FILENAME, ZERO_ADDRESS },
+} = require('../../..');
+const assets = require('../../assets.json');
+
+const { getContract } = require('../command-utils/contract');
+const { getSigner, addSignerOptions } = require('../command-utils/signer');
+const { performTransactionalStep } = require('../command-utils/transact');
+const {
+	ensureNetwork,
+	ensureDeploymentPath,
+	loadAndCheckRequiredSources,
+	loadConnections,
+	confirmAction,
+	stringify,
+} = require('../util');
+
+const { prepareDeploy } = require('./prepare-deploy');
+const { deploy, DEFAULTS: deployDefaults } = require('./deploy');
+const { replaceTribes } = require('./replace-tribes');
+const { purgeTribes } = require('./purge-tribes');
+const { removeTribes } = require('./remove-tribes');
+const { getTribeHolders } = require('../command-utils/holders');
+
+const DEFAULTS = {
+	network: 'goerli',
+	subclass: 'MultiCollateralTribe',
+	batchSize: 15,
+	priorityGasPrice: '1',
+	// the parallel calls the deploy can make to the provider
+	concurrency: 10,
+};
+
+// the stages of a tribe, in the order it goes through them
+const STAGES = {
+	unlisted: `not in ${TRIBEONES_FILENAME}`,
+	listed: `in ${TRIBEONES_FILENAME} but not deployed`,
+	deployed: 'deployed but not in the Issuer',
+	active: 'in the Issuer',
+	deprecated: 'a PurgeableTribe with holders to purge',
+	purged: 'a PurgeableTribe without any supply',
+	removed: 'removed from the Issuer',
+};
+
+// the purge of a PurgeableTribe reverts above this supply (see maxSupplyToPurgeInUSD)
+const MAX_SUPPLY_TO_PURGE_IN_USD = 100000;
+
+/**
+ * Where the tribe is in its lifecycle, from the deployment files and the chain
+ */
+const tribeStatus = async ({ currencyKey, network, useOvm, deploymentPath, provider }) => {
+	const { config, tribes, feeds, deployment, versions } = loadAndCheckRequiredSources({
+		deploymentPath,
+		network,
+	});
+
+	const { asset, subclass } = tribes.find(({ name }) => name === currencyKey) || {};
+	const targets = ['Tribe', 'Proxy', 'TokenState'].reduce((memo, name) => {
+		memo[name] = deployment.targets[`${name}${currencyKey}`];
+		return memo;
+	}, {});
+	const { Tribe: tribe, Proxy: proxy } = targets;
+
+	const status = {
+		currencyKey,
+		listed: !!asset,
+		asset,
+		subclass,
+		feed: asset && feeds[asset] ? feeds[asset].feed : undefined,
+		targets,
+		config,
+	};
+
+	if (tribe) {
+		const currencyKeyInBytes = toBytes32(currencyKey);
+		const [Issuer, ExchangeRates, SystemStatus] = [
+			'Issuer',
+			'ExchangeRates',
+			'SystemStatus',
+		].map(contract => getContract({ contract, network, deploymentPath, provider }));
+		const Tribe = new ethers.Contract(
+			tribe.address,
+			deployment.sources[tribe.source].abi,
+			provider
+		);
+
+		const [issuerTribe, aggregator, { suspended, reason }, totalSupply] = await Promise.all([
+			Issuer.tribes(currencyKeyInBytes),
+			ExchangeRates.aggregators(currencyKeyInBytes),
+			SystemStatus.tribeSuspension(currencyKeyInBytes),
+			Tribe.totalSupply(),
+		]);
+		Object.assign(status, {
+			inIssuer: issuerTribe === tribe.address,
+			aggregator: aggregator !== ZERO_ADDRESS ? aggregator : undefined,
+			suspended,
+			suspensionReason: suspended ? reason.toString() : undefined,
+			totalSupply,
+		});
+
+		if (!totalSupply.isZero()) {
+			try {
+				status.totalSupplyInUSD = await ExchangeRates.effectiveValue(
+					currencyKeyInBytes,
+					totalSupply,
+					toBytes32('hUSD')
+				);
+			} catch (err) {
+				// without a rate the value is unknown
+			}
+			if (proxy) {
+				try {
+					status.holders = (
+						await getTribeHolders({ network, useOvm, deploymentPath, provider, currencyKey })
+					).map(({ address }) => address);
+				} catch (err) {
+					// i.e. a node that cannot serve the logs
+					console.log(yellow(`⚠ Cannot find the holders of ${currencyKey}: ${err.message}`));
+				}
+			}
+		}
+	}
+
+	if (!tribe) {
+		const wasDeployed = Object.values(versions).some(
+			({ contracts }) => contracts[`Tribe${currencyKey}`]
+		);
+		status.stage = status.listed ? 'listed' : wasDeployed ? 'removed' : 'unlisted';
+	} else if (!status.inIssuer) {
+		status.stage = 'deployed';
+	} else if (tribe.source === 'PurgeableTribe') {
+		status.stage = status.totalSupply.isZero() ? 'purged' : 'deprecated';
+	} else {
+		status.stage = 'active';
+	}
+
+	return status;
+};
+
+const logStatus = ({ network, status }) => {
+	const { currencyKey, stage, targets, totalSupply, totalSupplyInUSD } = status;
+	const { Tribe: tribe } = targets;
+
+	console.log(
+		'\n' + cyan(currencyKey),
+		gray('on'),
+		cyan(network),
+		gray('is'),
+		green(stage),
+		gray(`(${STAGES[stage]})`)
+	);
+	if (status.listed) {
+		console.log(gray(`  ${TRIBEONES_FILENAME}:`), `${status.asset} as a ${status.subclass}`);
+	}
+	console.log(
+		gray(`  ${FEEDS_FILENAME}:`),
+		status.feed || yellow('none'),
+		tribe ? gray('on chain:') : '',
+		tribe ? status.aggregator || yellow('none') : ''
+	);
+	Object.entries(targets).forEach(([name, target]) =>
+		console.log(
+			gray(`  ${name}:`),
+			target ? `${target.address} ${gray(`(${target.source})`)}` : yellow('not deployed')
+		)
+	);
+	if (tribe) {
+		console.log(gray('  In the Issuer:'), status.inIssuer ? 'yes' : yellow('no'));
+		console.log(
+			gray('  Suspended:'),
+			status.suspended ? yellow(`yes (reason ${status.suspensionReason})`) : 'no'
+		);
+		console.log(
+			gray('  Supply:'),
+			ethers.utils.formatEther(totalSupply),
+			totalSupplyInUSD ? gray(`($${ethers.utils.formatEther(totalSupplyInUSD)})`) : ''
+		);
+		if (!totalSupply.isZero()) {
+			console.log(gray('  Holders:'), status.holders ? status.holders.length : yellow('unknown'));
+		}
+	}
+};
+
+/**
+ * The steps that take the tribe to its next stage, each with what it does and a function doing it
+ */
+const planNextStage = ({ status, network, useOvm, deploymentPath, options }) => {
+	const { currencyKey, stage } = status;
+	const steps = [];
+	const blockers = [];
+
+	if (stage === 'unlisted' || stage === 'listed') {
+		const asset = status.asset || options.asset;
+		const feed = status.feed || options.feed;
+		if (!asset) {
+			blockers.push(`Give the --asset of ${currencyKey} to add it to ${TRIBEONES_FILENAME}`);
+		} else if (!assets[asset]) {
+			blockers.push(`Add ${asset} to publish/assets.json (its category, sign and description)`);
+		}
+		if (!status.listed && asset) {
+			const tribe = { name: currencyKey, asset, subclass: options.subclass };
+			steps.push({
+				description: `Add ${currencyKey} to ${TRIBEONES_FILENAME}, as a ${options.subclass} of ${asset}`,
+				run: () => prepareDeploy({ network, useOvm, tribesToAdd: [tribe], useReleases: false }),
+			});
+		}
+		if (!status.feed && feed) {
+			steps.push({
+				description: `Add the feed ${feed} of ${asset} to ${FEEDS_FILENAME}`,
+				run: () => {
+					const feedsFile = path.join(deploymentPath, FEEDS_FILENAME);
+					const feeds = JSON.parse(fs.readFileSync(feedsFile));
+					feeds[asset] = { asset, feed };
+					fs.writeFileSync(feedsFile, stringify(feeds));
+				},
+			});
+		} else if (!feed) {
+			console.log(yellow(`⚠ ${asset || currencyKey} has no feed, give one with --feed`));
+		}
+		// deployed as a new tribe (having no entry in the config), along with whatever the config flags
+		const flagged = Object.keys(status.config).filter(name => status.config[name].deploy);
+		steps.push({
+			description: `Deploy the TokenState, Proxy and Tribe of ${currencyKey}${
+				flagged.length ? ` (and ${flagged.join(', ')}, as flagged in ${CONFIG_FILENAME})` : ''
+			}, add it to the Issuer and its feed to ExchangeRates`,
+			run: () =>
+				deploy(
+					Object.assign({}, options.transaction, {
+						network,
+						useOvm,
+						deploymentPath,
+						buildPath: options.buildPath,
+						concurrency: DEFAULTS.concurrency,
+						addNewTribes: true,
+						yes: true,
+						dryRun: options.dryRun,
+					})
+				),
+		});
+	} else if (stage === 'deployed') {
+		const currencyKeyInBytes = toBytes32(currencyKey);
+		steps.push({
+			description: `Issuer.addTribe(${status.targets.Tribe.address})`,
+			run: ({ wallet, runStep }) =>
+				runStep({
+					contract: 'Issuer',
+					target: getContract({ contract: 'Issuer', network, deploymentPath, wallet }),
+					read: 'tribes',
+					readArg: currencyKeyInBytes,
+					expected: input => input === status.targets.Tribe.address,
+					write: 'addTribe',
+					writeArg: status.targets.Tribe.address,
+				}),
+		});
+		if (status.feed && status.aggregator !== status.feed) {
+			steps.push({
+				description: `ExchangeRates.addAggregator(${currencyKey}, ${status.feed})`,
+				run: ({ wallet, runStep }) =>
+					runStep({
+						contract: 'ExchangeRates',
+						target: getContract({ contract: 'ExchangeRates', network, deploymentPath, wallet }),
+						read: 'aggregators',
+						readArg: currencyKeyInBytes,
+						expected: input => input === status.feed,
+						write: 'addAggregator',
+						writeArg: [currencyKeyInBytes, status.feed],
+					}),
+			});
+		}
+	} else if (stage === 'active') {
+		if (currencyKey === 'hUSD') {
+			blockers.push('hUSD cannot be deprecated');
+		}
+		if (
+			status.totalSupplyInUSD &&
+			status.totalSupplyInUSD.gt(ethers.utils.parseEther(String(MAX_SUPPLY_TO_PURGE_IN_USD)))
+		) {
+			console.log(
+				yellow(
+					`⚠ The supply is above the $${MAX_SUPPLY_TO_PURGE_IN_USD} a PurgeableTribe can purge, so it will need to shrink first`
+				)
+			);
+		}
+		steps.push({
+			description: `Replace Tribe${currencyKey} with a PurgeableTribe, keeping its proxy, token state and supply`,
+			run: () =>
+				replaceTribes(
+					Object.assign({}, options.transaction, {
+						network,
+						useOvm,
+						useFork: options.useFork,
+						providerUrl: options.providerUrl,
+						deploymentPath,
+						buildPath: options.buildPath,
+						subclass: 'PurgeableTribe',
+						tribesToReplace: [currencyKey],
+						dryRun: options.dryRun,
+						yes: true,
+					})
+				),
+		});
+	} else if (stage === 'deprecated') {
+		const holders = options.addresses.length ? options.addresses : status.holders;
+		if (!holders || !holders.length) {
+			blockers.push(`No holders of ${currencyKey} are known, give them with --addresses`);
+		} else {
+			for (let start = 0; start < holders.length; start += options.batchSize) {
+				const batch = holders.slice(start, start + options.batchSize);
+				steps.push({
+					description: `Purge ${batch.length} holders (batch ${start / options.batchSize +
+						1} of ${Math.ceil(holders.length / options.batchSize)}): ${batch.join(', ')}`,
+					run: () =>
+						purgeTribes(
+							Object.assign({}, options.transaction, {
+								network,
+								deploymentPath,
+								tribesToPurge: [currencyKey],
+								addresses: batch,
+								batchSize: batch.length,
+								dryRun: options.dryRun,
+								useFork: options.useFork,
+								providerUrl: options.providerUrl,
+								useOvm,
+								yes: true,
+							})
+						),
+				});
+			}
+		}
+	} else if (stage === 'purged') {
+		if (currencyKey === 'hUSD') {
+			blockers.push('hUSD cannot be removed');
+		}
+		steps.push({
+			description: `Issuer.removeTribe(${currencyKey}), ExchangeRates.removeAggregator(${currencyKey}) and SystemStatus.resumeTribe(${currencyKey}), then remove it from ${TRIBEONES_FILENAME}, the config and the deployment (keeping its feed in ${FEEDS_FILENAME}, as that of ${status.asset})`,
+			run: () =>
+				removeTribes(
+					Object.assign({}, options.transaction, {
+						network,
+						useOvm,
+						useFork: options.useFork,
+						providerUrl: options.providerUrl,
+						deploymentPath,
+						tribesToRemove: [currencyKey],
+						dryRun: options.dryRun,
+						yes: true,
+					})
+				),
+		});
+	}
+
+	return { stage, steps, blockers };
+};
+
+const tribesLifecycle = async (
+	currencyKey,
+	{
+		network = DEFAULTS.network,
+		useOvm,
+		useFork,
+		providerUrl,
+		asset,
+		feed,
+		subclass = DEFAULTS.subclass,
+		addresses = [],
+		batchSize = DEFAULTS.batchSize,
+		buildPath = deployDefaults.buildPath,
+		execute,
+		dryRun,
+		yes,
+		maxFeePerGas,
+		maxPriorityFeePerGas = DEFAULTS.priorityGasPrice,
+		privateKey,
+		keystore,
+		mnemonic,
+		derivationPath,
+		remoteSigner,
+		remoteSignerAddress,
+	} = {}
+) => {
+	ensureNetwork(network);
+	const deploymentPath = getPathToNetwork({ network, useOvm, path });
+	ensureDeploymentPath(deploymentPath);
+
+	const { providerUrl: envProviderUrl, explorerLinkPrefix } = loadConnections({
+		network,
+		useFork,
+		useOvm,
+	});
+	const provider = new ethers.providers.JsonRpcProvider(providerUrl || envProviderUrl);
+
+	const status = await tribeStatus({
+		currencyKey,
+		network,
+		useOvm,
+		deploymentPath,
+		provider,
+	});
+	logStatus({ network, status });
+
+	const signerOptions = {
+		privateKey,
+		keystore,
+		mnemonic,
+		derivationPath,
+		remoteSigner,
+		remoteSignerAddress,
+	};
+	const plan = planNextStage({
+		status,
+		network,
+		useOvm,
+		deploymentPath,
+		options: {
+			asset,
+			feed,
+			subclass,
+			addresses,
+			batchSize: Number(batchSize),
+			buildPath,
+			dryRun,
+			useFork,
+			providerUrl,
+			transaction: Object.assign({ maxFeePerGas, maxPriorityFeePerGas }, signerOptions),
+		},
+	});
+
+	if (!plan.steps.length) {
+		console.log(gray('\nThere is no next stage'));
+		return { status, plan };
+	}
+
+	console.log(gray('\nTo move on from'), green(plan.stage) + gray(':'));
+	plan.steps.forEach(({ description }, i) => console.log(gray(`  ${i + 1}.`), description));
+	plan.blockers.forEach(blocker => console.log(red(`  ✗ ${blocker}`)));
+
+	if (!execute) {
+		console.log(gray('\nUse --execute to carry it out'));
+		return { status, plan };
+	}
+	if (plan.blockers.length) {
+		throw Error(`Cannot move ${currencyKey} on from ${plan.stage}, see above`);
+	}
+
+	if (!yes) {
+		try {
+			await confirmAction(
+				cyan(
+					`${yellow(
+						'⚠ WARNING'
+					)}: This action will carry out the steps above for ${currencyKey} on ${network}`
+				) + '\nDo you want to continue? (y/n) '
+			);
+		} catch (err) {
+			console.log(gray('Operation cancelled'));
+			return { status, plan };
+		}
+	}
+
+	// the steps made here rather than by another command are signed by the owner
+	let wallet = await getSigner(
+		Object.assign({ network, provider, useEnv: network !== 'local' && !useFork }, signerOptions)
+	);
+	if (!wallet) {
+		const account = getUsers({ network, useOvm, user: 'owner' }).address;
+		wallet = provider.getSigner(account);
+		wallet.address = await wallet.getAddress();
+	}
+	const { ownerActions, ownerActionsFile } = loadAndCheckRequiredSources({
+		deploymentPath,
+		network,
+	});
+	const runStep = opts =>
+		performTransactionalStep(
+			Object.assign(
+				{
+					signer: wallet,
+					maxFeePerGas,
+					maxPriorityFeePerGas,
+					explorerLinkPrefix,
+					ownerActions,
+					ownerActionsFile,
+					dryRun,
+					encodeABI: network === 'mainnet',
+				},
+				opts
+			)
+		);
+
+	for (const [i, { description, run }] of plan.steps.entries()) {
+		console.log(gray(`\n${i + 1}. ${description}`));
+		try {
+			await run({ wallet, runStep });
+		} catch (err) {
+			throw Error(`Step ${i + 1} failed: ${err.message}`);
+		}
+	}
+
+	console.log(
+		green(`\n${currencyKey} has moved on from ${plan.stage}, run again for the next stage`)
+	);
+	return { status, plan };
+};
+
+module.exports = {
+	tribesLifecycle,
+	tribeStatus,
+	planNextStage,
+	STAGES,
+	DEFAULTS,
+	cmd: program =>
+		addSignerOptions(program.command('tribes <currency-key>'))
+			.description(
+				`Report the stage of a tribe (${Object.keys(STAGES).join(
+					', '
+				)}) and plan, or carry out, the steps to its next one`
+			)
+			.option(
+				'-a, --addresses <value>',
+				'The holders to purge (otherwise every holder found from the Transfer events of the tribe)',
+				(val, memo) => memo.concat(val),
+				[]
+			)
+			.option('--asset <value>', `The asset of a tribe to add to ${TRIBEONES_FILENAME}`)
+			.option(
+				'-b, --build-path <value>',
+				'Path to a folder hosting compiled files from the "build" step in this script',
+				deployDefaults.buildPath
+			)
+			.option(
+				'--batch-size <value>',
+				'The number of holders to purge in a transaction',
+				DEFAULTS.batchSize
+			)
+			.option('-e, --execute', 'Carry out the steps to the next stage')
+			.option('-f, --feed <value>', `The feed of the asset to add to ${FEEDS_FILENAME}`)
+			.option('-g, --max-fee-per-gas <value>', 'Maximum base gas fee price in GWEI')
+			.option(
+				'--max-priority-fee-per-gas <value>',
+				'Priority gas fee price in GWEI',
+				DEFAULTS.priorityGasPrice
+			)
+			.option(
+				'-k, --use-fork',
+				'Perform the deployment on a forked chain running on localhost (see fork command).',
+				false
+			)
+			.option(
+				'-n, --network <value>',
+				'The network to run off.',
+				x => x.toLowerCase(),
+				DEFAULTS.network
+			)
+			.option('-p, --provider-url <value>', 'Ethereum network provider URL.')
+			.option('-r, --dry-run', 'Dry run - no changes transacted')
+			.option(
+				'-u, --subclass <value>',
+				`The Tribe source of a tribe to add to ${TRIBEONES_FILENAME}`,
+				DEFAULTS.subclass
+			)
+			.option(
+				'-v, --private-key [value]',
+				'The private key to transact with (otherwise the signer set in .env).'
+			)
+			.option('-y, --yes', 'Dont prompt, just reply yes.')
+			.option('-z, --use-ovm', 'Target deployment for the OVM (Optimism).')
+			.action(async (...args) => {
+				try {
+					await tribesLifecycle(...args);
+				} catch (err) {
+					// show pretty errors for CLI users
+					console.error(red(err));
+					process.exitCode = 1;
+				}
+			}),
+};
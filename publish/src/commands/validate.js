@@ -0,0 +1,81 @@
+'use strict';
+
+const { red } = require('chalk');
+
+const {
+	ensureNetwork,
+	ensureDeploymentPath,
+	getDeploymentPathForNetwork,
+	stringify,
+} = require('../util');
+const { validateDeployment, printValidation } = require('../command-utils/validation');
+
+const {
+	constants: { CONFIG_FILENAME, DEPLOYMENT_FILENAME },
+} = require('../../..');
+
+const DEFAULTS = {
+	network: 'mainnet',
+};
+
+const validate = async ({ network = DEFAULTS.network, useOvm, deploymentPath, json }) => {
+	ensureNetwork(network);
+
+	// keep the loading logs out of JSON output
+	const log = console.log;
+	if (json) {
+		console.log = () => {};
+	}
+	try {
+		deploymentPath = deploymentPath || getDeploymentPathForNetwork({ network, useOvm });
+		ensureDeploymentPath(deploymentPath);
+	} finally {
+		console.log = log;
+	}
+
+	const { errors, warnings } = validateDeployment({ deploymentPath, network });
+
+	if (json) {
+		console.log(stringify({ deploymentPath, errors, warnings }));
+	} else {
+		printValidation({ deploymentPath, errors, warnings });
+	}
+
+	if (errors.length) {
+		process.exitCode = 1;
+	}
+
+	return { errors, warnings };
+};
+
+module.exports = {
+	validate,
+	DEFAULTS,
+	cmd: program =>
+		program
+			.command('validate')
+			.description(
+				'Validate the deployment files of a network against their JSON schemas and against each other'
+			)
+			.option(
+				'-d, --deployment-path <value>',
+				`Path to a folder that has your input configuration file ${CONFIG_FILENAME} and where your ${DEPLOYMENT_FILENAME} files will go`
+			)
+			.option('-j, --json', 'Print the errors and warnings as JSON')
+			.option(
+				'-n, --network <value>',
+				'The network to validate.',
+				x => x.toLowerCase(),
+				DEFAULTS.network
+			)
+			.option('-z, --use-ovm', 'Target deployment for the OVM (Optimism).')
+			.action(async (...args) => {
+				try {
+					await validate(...args);
+				} catch (err) {
+					// show pretty errors for CLI users
+					console.error(red(err));
+					process.exitCode = 1;
+				}
+			}),
+};
@@ -0,0 +1,16 @@
+'use strict';
+
+// The child process of a CompilerPool: compiles the sources of each message it's sent with solc and
+// replies with the result
+const { compile } = require('./solidity');
+
+process.on('message', ({ id, sources, runs }) => {
+	let result;
+	try {
+		result = Object.assign({ id }, compile({ sources, runs }));
+	} catch (err) {
+		result = { id, error: err.message };
+	}
+	// the reply fails when the pool was closed while compiling, with no one left to reply to
+	process.send(result, () => {});
+});
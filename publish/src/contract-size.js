@@ -4,6 +4,10 @@ const path = require('path');
 const { table } = require('table');
 const { gray, green, yellow, red, bgRed } = require('chalk');
 
+// Max contract size as defined in EIP-170
+// https://github.com/ethereum/EIPs/blob/master/EIPS/eip-170.md
+const EIP170_LIMIT = 0x6000;
+
 function formatBytes(bytes, decimals) {
 	if (bytes === 0) return '0 Bytes';
 	const k = 1024;
@@ -54,9 +58,7 @@ const sizeChange = ({ prevSizeIfAny, length }) => {
 const sizeOfContracts = ({ contractToObjectMap }) => {
 	return Object.entries(contractToObjectMap)
 		.map(([file, object]) => {
-			// Max contract size as defined in EIP-170
-			// https://github.com/ethereum/EIPs/blob/master/EIPS/eip-170.md
-			const max = 0x6000;
+			const max = EIP170_LIMIT;
 			const decimalsToDisplay = 2;
 
 			const { length } = hexToBytes(object);
@@ -71,7 +73,70 @@ const sizeOfContracts = ({ contractToObjectMap }) => {
 		.sort((left, right) => right.length - left.length);
 };
 
+const patternToRegExp = pattern =>
+	new RegExp(
+		`^${pattern
+			.split('*')
+			.map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+			.join('.*')}$`
+	);
+
+/**
+ * The budget of a contract: the ceiling it must stay under and the margin below that it should keep
+ * free. Entries of the budget are contract names or patterns with "*", and the more specific the
+ * entry the more it overrides, with the EIP-170 limit and no margin when nothing says otherwise.
+ */
+const budgetOf = ({ budget, name }) =>
+	Object.assign(
+		{ ceiling: EIP170_LIMIT, margin: 0 },
+		...Object.keys(budget)
+			.filter(key => patternToRegExp(key).test(name))
+			.sort((left, right) => left.replace(/\*/g, '').length - right.replace(/\*/g, '').length)
+			.map(key => budget[key])
+	);
+
+/**
+ * Check sizes (as from sizeOfContracts) against the budget, with the status of each: "over" its
+ * ceiling, within its "margin" or "ok"
+ */
+const checkSizeBudget = ({ sizes, budget }) =>
+	sizes.map(({ file, length }) => {
+		const { ceiling, margin } = budgetOf({ budget, name: file });
+		const status = length > ceiling ? 'over' : length > ceiling - margin ? 'margin' : 'ok';
+		return { file, length, ceiling, margin, status };
+	});
+
+// PUSH1 to PUSH3 of a value
+const push = '(?:60([0-9a-f]{2})|61([0-9a-f]{4})|62([0-9a-f]{6}))';
+const runtimeCopies = [
+	// contracts: PUSH len DUP1 PUSH offset PUSH1 0 CODECOPY PUSH1 0 RETURN
+	new RegExp(`${push}80${push}6000396000f3(?:fe|00)`),
+	// libraries: PUSH len PUSH offset PUSH1 0x0b DUP3 DUP3 DUP3 CODECOPY
+	new RegExp(`^${push}${push}600b82828239`),
+];
+
+/**
+ * The size of the code a contract has once deployed, from its creation bytecode, by finding where the
+ * constructor copies it. When it cannot, the size is of the whole bytecode, marked as estimated.
+ */
+const deployedSizeOf = ({ bytecode }) => {
+	const hex = bytecode.replace(/^0x/, '');
+	const total = hex.length / 2;
+	const match = runtimeCopies.map(pattern => hex.match(pattern)).find(Boolean);
+	if (match) {
+		const [length, offset] = [match.slice(1, 4), match.slice(4, 7)].map(values =>
+			parseInt(values.find(Boolean), 16)
+		);
+		if (offset + length <= total) {
+			return { length };
+		}
+	}
+	return { length: total, estimated: true };
+};
+
 module.exports = {
+	EIP170_LIMIT,
+
 	logContractSizes({ previousSizes = [], contractToObjectMap }) {
 		const config = {
 			border: Object.entries({
@@ -116,6 +181,11 @@ module.exports = {
 	},
 	sizeOfContracts,
 
+	patternToRegExp,
+	budgetOf,
+	checkSizeBudget,
+	deployedSizeOf,
+
 	pcentToColorFnc,
 
 	sizeChange,
@@ -34,8 +34,27 @@ const findSolFiles = ({ sourcePath, ignore = [] }) => {
 	return fileList;
 };
 
+// The standard JSON input given to solc, i.e. everything that determines the artifacts besides the
+// compiler version
+const compilerInput = ({ sources, runs }) => ({
+	language: 'Solidity',
+	settings: {
+		optimizer: {
+			enabled: true,
+			runs,
+		},
+		outputSelection: {
+			'*': {
+				'*': ['abi', 'metadata', 'evm.bytecode', 'evm.deployedBytecode'],
+			},
+		},
+	},
+	sources,
+});
+
 module.exports = {
 	findSolFiles,
+	compilerInput,
 
 	getLatestSolTimestamp(dir) {
 		let latestSolTimestamp = 0;
@@ -67,26 +86,8 @@ module.exports = {
 		// Note: require this here as silent error is detected on require that impacts pretty-error
 		const solc = require('solc');
 
-		const artifacts = [];
-		const output = JSON.parse(
-			solc.compile(
-				JSON.stringify({
-					language: 'Solidity',
-					settings: {
-						optimizer: {
-							enabled: true,
-							runs,
-						},
-						outputSelection: {
-							'*': {
-								'*': ['abi', 'metadata', 'evm.bytecode', 'evm.deployedBytecode'],
-							},
-						},
-					},
-					sources,
-				})
-			)
-		);
+		const artifacts = {};
+		const output = JSON.parse(solc.compile(JSON.stringify(compilerInput({ sources, runs }))));
 
 		const warnings = output.errors ? output.errors.filter(e => e.severity === 'warning') : [];
 		const errors = output.errors ? output.errors.filter(e => e.severity === 'error') : [];
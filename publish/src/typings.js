@@ -0,0 +1,786 @@
+'use strict';
+
+const HEADER = '// Generated by `node publish generate-types` - do not edit';
+
+// the members of an ethers contract, which a function of the same name does not replace
+const CONTRACT_MEMBERS = [
+	'address',
+	'attach',
+	'callStatic',
+	'connect',
+	'deployed',
+	'deployTransaction',
+	'emit',
+	'estimateGas',
+	'fallback',
+	'filters',
+	'functions',
+	'interface',
+	'listenerCount',
+	'listeners',
+	'off',
+	'on',
+	'once',
+	'populateTransaction',
+	'provider',
+	'queryFilter',
+	'removeAllListeners',
+	'removeListener',
+	'resolvedAddress',
+	'signer',
+];
+
+// the words that cannot name a parameter
+const RESERVED = [
+	'break',
+	'case',
+	'catch',
+	'class',
+	'const',
+	'continue',
+	'debugger',
+	'default',
+	'delete',
+	'do',
+	'else',
+	'enum',
+	'export',
+	'extends',
+	'false',
+	'finally',
+	'for',
+	'function',
+	'if',
+	'import',
+	'in',
+	'instanceof',
+	'new',
+	'null',
+	'return',
+	'super',
+	'switch',
+	'this',
+	'throw',
+	'true',
+	'try',
+	'typeof',
+	'var',
+	'void',
+	'while',
+	'with',
+];
+
+const isIdentifier = name => /^[A-Za-z_$][\w$]*$/.test(name);
+
+const quote = value => `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+
+const toKey = name => (isIdentifier(name) ? name : quote(name));
+
+// the name a source is typed by, i.e. "RewardEscrowV2" as is, but "My-Contract" as "My_Contract"
+const toTypeName = name => name.replace(/[^\w$]/g, '_').replace(/^(\d)/, '_$1');
+
+const paramNames = params =>
+	params.map(({ name }, i) =>
+		name && isIdentifier(name) && !RESERVED.includes(name) && name !== 'overrides'
+			? name
+			: `arg${i}`
+	);
+
+// the type ethers takes for a value of the abi parameter
+const inputType = ({ type, components }) => {
+	const array = type.match(/^(.*)\[\d*\]$/);
+	if (array) {
+		return `${inputType({ type: array[1], components })}[]`;
+	} else if (type === 'tuple') {
+		return components.every(({ name }) => name)
+			? `{ ${components.map(entry => `${toKey(entry.name)}: ${inputType(entry)}`).join('; ')} }`
+			: `[${components.map(inputType).join(', ')}]`;
+	} else if (/^u?int\d*$/.test(type)) {
+		return 'BigNumberish';
+	} else if (type === 'bool') {
+		return 'boolean';
+	} else if (/^bytes\d*$/.test(type)) {
+		return 'BytesLike';
+	}
+	// address, string and the contract types of old compilers
+	return 'string';
+};
+
+// the positional results of the parameters, with those that are named also by name
+const resultType = params => {
+	const types = params.map(outputType);
+	const named = params.filter(({ name }) => name);
+	return named.length
+		? `[${types.join(', ')}] & { ${named
+				.map(entry => `${toKey(entry.name)}: ${outputType(entry)}`)
+				.join('; ')} }`
+		: `[${types.join(', ')}]`;
+};
+
+// the type ethers decodes a value of the abi parameter to
+const outputType = ({ type, components }) => {
+	const array = type.match(/^(.*)\[\d*\]$/);
+	if (array) {
+		return `${outputType({ type: array[1], components })}[]`;
+	} else if (type === 'tuple') {
+		return resultType(components);
+	}
+	const int = type.match(/^u?int(\d*)$/);
+	if (int) {
+		// small enough numbers are decoded as such
+		return Number(int[1] || 256) <= 48 ? 'number' : 'BigNumber';
+	} else if (type === 'bool') {
+		return 'boolean';
+	}
+	return 'string';
+};
+
+const signatureOf = ({ name, inputs = [] }) => {
+	const typeOf = ({ type, components }) =>
+		type.replace(/^tuple/, () => `(${components.map(typeOf).join(',')})`);
+	return `${name}(${inputs.map(typeOf).join(',')})`;
+};
+
+const isView = ({ stateMutability, constant }) =>
+	['view', 'pure'].includes(stateMutability) || (!stateMutability && constant);
+
+// each fragment by its signature, and by name also when it has no overloads
+const byKey = fragments =>
+	fragments.reduce((memo, fragment) => {
+		memo.push({ key: quote(signatureOf(fragment)), fragment });
+		if (
+			fragments.filter(({ name }) => name === fragment.name).length === 1 &&
+			!CONTRACT_MEMBERS.includes(fragment.name)
+		) {
+			memo.push({ key: fragment.name, fragment });
+		}
+		return memo;
+	}, []);
+
+const argsOf = ({ inputs = [] }, overrides) => {
+	const names = paramNames(inputs);
+	return inputs
+		.map((input, i) => `${names[i]}: ${inputType(input)}`)
+		.concat(`overrides?: ${overrides}`)
+		.join(', ');
+};
+
+// what calling the function statically resolves to: nothing, its one result or all of them
+const staticResult = ({ outputs = [] }) =>
+	!outputs.length ? 'void' : outputs.length === 1 ? outputType(outputs[0]) : resultType(outputs);
+
+const overridesOf = fragment =>
+	isView(fragment)
+		? 'CallOverrides'
+		: fragment.stateMutability === 'payable' || fragment.payable
+		? 'PayableOverrides'
+		: 'Overrides';
+
+/**
+ * The declarations of an ethers contract with the abi, as if created by the ethers ContractFactory
+ *
+ * @param {string} name The name of the source
+ * @param {Array} abi The abi of the source
+ * @returns {string} the contents of the .d.ts file
+ */
+const contractTypes = ({ name, abi }) => {
+	const type = toTypeName(name);
+	const functions = byKey(abi.filter(({ type }) => type === 'function'));
+	const events = byKey(abi.filter(({ type, anonymous }) => type === 'event' && !anonymous));
+
+	const methods = functions.map(
+		({ key, fragment }) =>
+			`\t${key}(${argsOf(fragment, overridesOf(fragment))}): Promise<${
+				isView(fragment) ? staticResult(fragment) : 'ContractTransaction'
+			}>;`
+	);
+	const calls = functions.map(
+		({ key, fragment }) =>
+			`\t${key}(${argsOf(fragment, 'CallOverrides')}): Promise<${staticResult(fragment)}>;`
+	);
+	const filters = events.map(({ key, fragment }) => {
+		const names = paramNames(fragment.inputs);
+		// only the indexed arguments can be filtered by
+		const args = fragment.inputs.map(
+			(input, i) => `${names[i]}?: ${input.indexed ? `${inputType(input)} | null` : 'null'}`
+		);
+		return `\t${key}(${args.join(', ')}): EventFilter;`;
+	});
+
+	return `${HEADER}
+import {
+	BaseContract,
+	BigNumber,
+	BigNumberish,
+	BytesLike,
+	CallOverrides,
+	ContractTransaction,
+	EventFilter,
+	Overrides,
+	PayableOverrides,
+	Signer,
+	providers,
+} from 'ethers';
+
+import { ContractFactory, EstimateGas, PopulateTransaction } from './common';
+
+export type ${type}Methods = {
+${methods.join('\n')}
+};
+
+export type ${type}CallStatic = {
+${calls.join('\n')}
+};
+
+export type ${type}Filters = {
+${filters.join('\n')}
+};
+
+export interface ${type} extends BaseContract, ${type}Methods {
+	connect(signerOrProvider: Signer | providers.Provider | string): ${type};
+	attach(addressOrName: string): ${type};
+	callStatic: ${type}CallStatic;
+	estimateGas: EstimateGas<${type}Methods>;
+	populateTransaction: PopulateTransaction<${type}Methods>;
+	filters: ${type}Filters;
+}
+
+export declare const ${type}__factory: ContractFactory<${type}>;
+`;
+};
+
+/**
+ * The declarations shared by the contract types of every source
+ *
+ * @returns {string} the contents of common.d.ts
+ */
+const commonTypes = () => `${HEADER}
+import { BigNumber, PopulatedTransaction, Signer, providers, utils } from 'ethers';
+
+type Arguments<F> = F extends (...args: infer A) => any ? A : never;
+
+export type EstimateGas<T> = {
+	[K in keyof T]: (...args: Arguments<T[K]>) => Promise<BigNumber>;
+};
+
+export type PopulateTransaction<T> = {
+	[K in keyof T]: (...args: Arguments<T[K]>) => Promise<PopulatedTransaction>;
+};
+
+export interface ContractFactory<C> {
+	readonly abi: ReadonlyArray<any>;
+	createInterface(): utils.Interface;
+	connect(address: string, signerOrProvider: Signer | providers.Provider): C;
+}
+`;
+
+/**
+ * The typed factories of the sources, and the type of the contracts of each target as given by
+ * getContracts() of tribeone/contracts, where proxies have the functions of the contract they
+ * forward to
+ *
+ * @param {object} sources The sources of the deployment by name
+ * @param {object} targets The targets of the deployment by name
+ * @param {Array} perpsV2Markets The names of the PerpsV2 markets that have a proxy
+ * @param {function} getProxiedContract Gives the target a proxy forwards to
+ * @returns {{ js: string, dts: string }} the contents of the index.js and index.d.ts files
+ */
+const deploymentTypes = ({ sources, targets, perpsV2Markets, getProxiedContract }) => {
+	const names = Object.keys(sources).sort();
+
+	const typeOfTarget = ({ name, source }) => {
+		const proxied = getProxiedContract({ name, targets });
+		return [source]
+			.concat(proxied ? targets[proxied].source : [])
+			.map(toTypeName)
+			.join(' & ');
+	};
+
+	// the PerpsV2 market proxies forward to each of the market's components
+	const typeOfMarket = market => {
+		const components = [
+			'PerpsV2Market',
+			'PerpsV2MarketViews',
+			'PerpsV2DelayedIntent',
+			'PerpsV2DelayedExecution',
+			'PerpsV2MarketLiquidate',
+		]
+			.map(prefix => targets[`${prefix}${market}`])
+			.filter(target => target)
+			.map(({ source }) => toTypeName(source));
+		return components.length ? components.join(' & ') : 'Contract';
+	};
+
+	const entries = Object.values(targets)
+		.map(target => `\t${toKey(target.name)}: ${typeOfTarget(target)};`)
+		.concat(
+			perpsV2Markets.map(
+				market => `\t${toKey(`PerpsV2MarketProxied${market}`)}: ${typeOfMarket(market)};`
+			)
+		);
+
+	const js = `'use strict';
+
+${HEADER}
+const { Contract, utils } = require('ethers');
+
+const { sources } = require('../deployment.json');
+
+module.exports = Object.keys(sources).reduce((memo, source) => {
+	const { abi } = sources[source];
+	memo[\`\${source.replace(/[^\\w$]/g, '_').replace(/^(\\d)/, '_$1')}__factory\`] = {
+		abi,
+		createInterface: () => new utils.Interface(abi),
+		connect: (address, signerOrProvider) => new Contract(address, abi, signerOrProvider),
+	};
+	return memo;
+}, {});
+`;
+
+	const dts = `${HEADER}
+import { Contract } from 'ethers';
+
+${names.map(name => `import { ${toTypeName(name)} } from './${name}';`).join('\n')}
+
+${names
+	.map(name => `export { ${toTypeName(name)}, ${toTypeName(name)}__factory } from './${name}';`)
+	.join('\n')}
+export { ContractFactory } from './common';
+
+export interface Contracts {
+${entries.join('\n')}
+}
+`;
+
+	return { js, dts };
+};
+
+// the type of the value, with strings, numbers and booleans as their literals
+const literalType = (value, indent = '') => {
+	if (Array.isArray(value)) {
+		const types = Array.from(new Set(value.map(entry => literalType(entry, indent))));
+		return types.length === 1
+			? `ReadonlyArray<${types[0]}>`
+			: `ReadonlyArray<${types.join(' | ') || 'never'}>`;
+	} else if (value && typeof value === 'object') {
+		return `{\n${Object.entries(value)
+			.map(
+				([key, entry]) => `${indent}\treadonly ${toKey(key)}: ${literalType(entry, `${indent}\t`)};`
+			)
+			.join('\n')}\n${indent}}`;
+	}
+	return typeof value === 'string' ? quote(value) : String(value);
+};
+
+/**
+ * The declarations of the package, for index.js and its browser bundle
+ *
+ * @param {object} tribeone The exports of index.js
+ * @param {Array} deployments The folders of the published deployments
+ * @returns {string} the contents of index.d.ts
+ */
+const packageTypes = ({ tribeone, deployments }) => {
+	const union = values => values.map(quote).join(' | ');
+
+	return `${HEADER}
+export type Network = ${union(tribeone.networks)};
+
+/** The folders of the deployments in the package */
+export type DeploymentNetwork = ${union(deployments)};
+
+interface FileSystem {
+	existsSync(path: string): boolean;
+	readFileSync(path: string): any;
+}
+
+interface PathModule {
+	join(...paths: string[]): string;
+	resolve(...paths: string[]): string;
+	dirname(path: string): string;
+}
+
+/**
+ * Without fs and path (or a deploymentPath), the deployments published with the package are read
+ */
+export interface DeploymentOptions {
+	network?: Network | DeploymentNetwork | string;
+	useOvm?: boolean;
+	fs?: FileSystem;
+	path?: PathModule;
+	deploymentPath?: string;
+}
+
+export interface AbiParameter {
+	name: string;
+	type: string;
+	internalType?: string;
+	indexed?: boolean;
+	components?: AbiParameter[];
+}
+
+export interface AbiFragment {
+	type: string;
+	name?: string;
+	inputs?: AbiParameter[];
+	outputs?: AbiParameter[];
+	stateMutability?: string;
+	constant?: boolean;
+	payable?: boolean;
+	anonymous?: boolean;
+}
+
+export interface Target {
+	name: string;
+	address: string;
+	source: string;
+	link: string;
+	timestamp: string;
+	txn: string;
+	network: string;
+	constructorArgs?: any[];
+}
+
+/** A current target, or the contract at an address in a past version */
+export interface TargetByAddress extends Partial<Target> {
+	name: string;
+	address: string;
+	status: string;
+	tag?: string;
+	release?: string;
+	date?: string;
+	commit?: string;
+	replacedIn?: string;
+}
+
+export interface Source {
+	bytecode: string;
+	abi: AbiFragment[];
+}
+
+export interface Asset {
+	asset: string;
+	category?: string;
+	sign?: string;
+	description?: string;
+	exchange?: string;
+}
+
+export interface Feed extends Asset {
+	feed?: string;
+	note?: string;
+}
+
+export interface OffchainFeed {
+	kind: string;
+	oracle: string;
+	asset: string;
+	feedId: string;
+}
+
+export interface IndexEntry extends Asset {
+	units?: number;
+	weight?: number;
+}
+
+export interface Tribe extends Asset {
+	name: string;
+	subclass?: string;
+	feed?: string;
+	index?: IndexEntry[];
+}
+
+export interface FuturesMarket extends Asset {
+	marketKey: string;
+	paused?: boolean;
+	[parameter: string]: any;
+}
+
+export interface PerpsMarket extends Asset {
+	marketKey: string;
+	paused?: boolean;
+	offchainMarketKey?: string;
+	[parameter: string]: any;
+}
+
+export interface PerpsV2ProxiedMarket {
+	address?: string;
+	abi: AbiFragment[];
+}
+
+export interface StakingReward {
+	name: string;
+	stakingToken: string;
+	rewardsToken: string;
+}
+
+export interface ShortingReward {
+	name: string;
+	rewardsToken: string;
+}
+
+export interface Token {
+	symbol: string;
+	asset: string;
+	name: string;
+	address: string;
+	decimals: number;
+	feed?: string;
+	index?: IndexEntry[];
+}
+
+export interface User {
+	name: string;
+	address: string;
+}
+
+export interface ContractVersion {
+	address: string;
+	status: string;
+	keccak256?: string;
+	replaced_in?: string;
+}
+
+export interface Version {
+	tag: string;
+	fulltag: string;
+	release: string;
+	network: string;
+	date: string;
+	commit: string;
+	block?: number;
+	contracts: { [name: string]: ContractVersion };
+}
+
+export interface ContractVersionEntry extends ContractVersion {
+	tag: string;
+	release: string;
+	date: string;
+	commit: string;
+	block?: number;
+}
+
+export interface Release {
+	name: string;
+	ovm?: boolean;
+	version: { major: number; minor: number };
+	sips: number[];
+	released: boolean;
+}
+
+export interface Sip {
+	sip: number;
+	layer: 'base' | 'ovm' | 'both';
+	sources?: string[] | { base?: string[]; ovm?: string[] };
+	released?: 'base' | 'ovm' | 'both';
+}
+
+export interface DecodedParam {
+	name: string;
+	type: string;
+	value: any;
+	enhanced?: { ascii?: string; bp?: string; decimal?: string; number?: string };
+}
+
+export interface DecodedCall {
+	network: string;
+	to?: string;
+	value: string;
+	operation?: 'Call' | 'DelegateCall';
+	contract?: string;
+	/** when the address is one the contract had in a past version */
+	version?: { tag: string; release: string; status: string };
+	method?: {
+		signature: string;
+		name: string;
+		params: (DecodedParam & { decodedInCalls?: boolean })[];
+	};
+	/** the calldata, when it could not be decoded */
+	data?: string;
+	calls?: DecodedCall[];
+}
+
+export interface Decoded {
+	method: { name: string; params: DecodedParam[] } | undefined;
+	contract?: string;
+	version?: { tag: string; release: string; status: string };
+}
+
+export declare const chainIdMapping: ${literalType(tribeone.chainIdMapping)};
+
+export declare const networkToChainId: ${literalType(tribeone.networkToChainId)};
+
+export declare const networks: ReadonlyArray<Network>;
+
+export declare const constants: ${literalType(tribeone.constants)};
+
+export declare const defaults: ${literalType(tribeone.defaults)};
+
+export declare const knownAccounts: ${literalType(tribeone.knownAccounts)};
+
+export declare const nonUpgradeable: string[];
+
+export declare const releases: { sips: Sip[]; releases: Release[] };
+
+export declare function toBytes32(key: string): string;
+export declare function fromBytes32(key: string): string;
+
+export declare function getNetworkFromId(options: {
+	id: number | string;
+}): { network: string; useOvm: boolean; fork: boolean } | undefined;
+/** The folder of the deployment of the network, i.e. mainnet-ovm for mainnet with useOvm */
+export declare function getFolderNameForNetwork(options: {
+	network: string;
+	useOvm?: boolean;
+}): string;
+export declare function getPathToNetwork(options: {
+	network?: string;
+	file?: string;
+	useOvm?: boolean;
+	path: PathModule;
+}): string;
+export declare function getProxiedContract(options: {
+	name: string;
+	targets: { [name: string]: Target };
+}): string | undefined;
+export declare function getNextRelease(options: {
+	useOvm?: boolean;
+}): Release & { releaseName: string };
+export declare function getCreate2Salt(options: { name: string; release: string }): string;
+export declare function getCreate2Address(options: {
+	name: string;
+	release: string;
+	source?: string;
+	bytecode: string;
+	abi?: AbiFragment[];
+	args?: any[];
+	libraries?: { [name: string]: string };
+	factory?: string;
+}): { address: string; salt: string; initCodeHash: string };
+export declare function getSuspensionReasons(): { [code: number]: string };
+export declare function getSuspensionReasons(options: { code: number }): string | undefined;
+
+export declare function getTarget(options?: DeploymentOptions): { [name: string]: Target };
+export declare function getTarget(
+	options: DeploymentOptions & { contract: string }
+): Target | undefined;
+export declare function getTarget(
+	options: DeploymentOptions & { address: string }
+): TargetByAddress | undefined;
+export declare function getTargetByAddress(
+	options: DeploymentOptions & { address: string }
+): TargetByAddress | undefined;
+export declare function getSource(options?: DeploymentOptions): { [name: string]: Source };
+export declare function getSource(
+	options: DeploymentOptions & { contract: string }
+): Source | undefined;
+export declare function getAST(options?: {
+	source?: string;
+	path?: PathModule;
+	fs?: FileSystem;
+	match?: RegExp;
+}): any;
+export declare function getFeeds(options?: DeploymentOptions): { [asset: string]: Feed };
+export declare function getOffchainFeeds(options?: DeploymentOptions): OffchainFeed[];
+export declare function getTribes(
+	options?: DeploymentOptions & { skipPopulate?: boolean }
+): Tribe[];
+export declare function getFuturesMarkets(options?: DeploymentOptions): FuturesMarket[];
+export declare function getPerpsMarkets(options?: DeploymentOptions): PerpsMarket[];
+export declare function getPerpsV2ProxiedMarkets(
+	options?: DeploymentOptions
+): { [market: string]: PerpsV2ProxiedMarket };
+export declare function getStakingRewards(options?: DeploymentOptions): StakingReward[];
+export declare function getShortingRewards(options?: DeploymentOptions): ShortingReward[];
+export declare function getTokens(options?: DeploymentOptions): Token[];
+export declare function getUsers(options?: { network?: string; useOvm?: boolean }): User[];
+export declare function getUsers(options: {
+	network?: string;
+	useOvm?: boolean;
+	user: string;
+}): User | undefined;
+export declare function getVersions(
+	options?: DeploymentOptions & { byContract?: false }
+): { [tag: string]: Version };
+export declare function getVersions(
+	options: DeploymentOptions & { byContract: true }
+): { [contract: string]: ContractVersionEntry[] };
+export declare function decode(
+	options: DeploymentOptions & {
+		data: string;
+		target?: string;
+		decodeMigration?: boolean;
+		enhanceDecode?: boolean;
+	}
+): Decoded;
+
+export declare function decodeRecursive(
+	options: DeploymentOptions & {
+		data: string;
+		target?: string;
+		value?: string;
+		maxDepth?: number;
+	}
+): DecodedCall;
+
+export declare function wrap(
+	options: DeploymentOptions
+): {
+	decode: typeof decode;
+	decodeRecursive: typeof decodeRecursive;
+	getAST: typeof getAST;
+	getPathToNetwork: typeof getPathToNetwork;
+	getSource: typeof getSource;
+	getStakingRewards: typeof getStakingRewards;
+	getShortingRewards: typeof getShortingRewards;
+	getFeeds: typeof getFeeds;
+	getOffchainFeeds: typeof getOffchainFeeds;
+	getTribes: typeof getTribes;
+	getTarget: typeof getTarget;
+	getTargetByAddress: typeof getTargetByAddress;
+	getFuturesMarkets: typeof getFuturesMarkets;
+	getPerpsMarkets: typeof getPerpsMarkets;
+	getPerpsV2ProxiedMarkets: typeof getPerpsV2ProxiedMarkets;
+	getTokens: typeof getTokens;
+	getUsers: typeof getUsers;
+	getVersions: typeof getVersions;
+};
+`;
+};
+
+/**
+ * The types of the tribeone/contracts entry, kept apart from the package's so that only those using
+ * it need ethers
+ *
+ * @returns {string} the contents of contracts.d.ts
+ */
+const contractsTypes = () => `${HEADER}
+import { Contract, Signer, providers } from 'ethers';
+import { DeploymentOptions } from './index';
+
+export interface GetContractsOptions extends DeploymentOptions {
+	provider?: providers.Provider;
+	signer?: Signer;
+	useResolver?: boolean;
+}
+
+/**
+ * The contracts are typed by the Contracts of the network's types, i.e.
+ * getContracts<Contracts>() with import { Contracts } from 'tribeone/publish/deployed/mainnet/types'
+ */
+export declare function getContracts<C = { [name: string]: Contract }>(
+	options: GetContractsOptions & { useResolver?: false }
+): C;
+export declare function getContracts<C = { [name: string]: Contract }>(
+	options: GetContractsOptions & { useResolver: true }
+): Promise<C>;
+
+export declare function mergeAbis(abis: ReadonlyArray<ReadonlyArray<any>>): any[];
+`;
+
+module.exports = {
+	commonTypes,
+	contractsTypes,
+	contractTypes,
+	deploymentTypes,
+	packageTypes,
+};
@@ -3,7 +3,7 @@
 const path = require('path');
 const fs = require('fs');
 const readline = require('readline');
-const { gray, cyan, yellow, redBright, green } = require('chalk');
+const { gray, cyan, yellow, red, redBright, green } = require('chalk');
 const { table } = require('table');
 const {
 	BigNumber,
@@ -162,9 +162,11 @@ const loadAndCheckRequiredSources = ({ deploymentPath, network, freshDeploy }) =
 };
 
 const getExplorerLinkPrefix = ({ network, useOvm }) => {
-	return network == 'sepolia-arbitrum' ? 'https://sepolia.arbiscan.io' : `https://${network !== 'mainnet' ? network + (useOvm ? '-' : '.') : ''}${
-		useOvm ? 'explorer.optimism' : 'etherscan'
-	}.io`;
+	return network == 'sepolia-arbitrum'
+		? 'https://sepolia.arbiscan.io'
+		: `https://${network !== 'mainnet' ? network + (useOvm ? '-' : '.') : ''}${
+				useOvm ? 'explorer.optimism' : 'etherscan'
+		  }.io`;
 };
 
 const loadConnections = ({ network, useFork, useOvm }) => {
@@ -194,9 +196,12 @@ const loadConnections = ({ network, useFork, useOvm }) => {
 	const privateKey =
 		network === 'mainnet' ? process.env.DEPLOY_PRIVATE_KEY : process.env.TESTNET_DEPLOY_PRIVATE_KEY;
 
-	const etherscanUrl = network == 'sepolia-arbitrum' ? 'https://api-sepolia.arbiscan.io/api' : `https://api${network !== 'mainnet' ? `-${network}` : ''}${
-		useOvm ? '-optimistic' : ''
-	}.etherscan.io/api`;
+	const etherscanUrl =
+		network == 'sepolia-arbitrum'
+			? 'https://api-sepolia.arbiscan.io/api'
+			: `https://api${network !== 'mainnet' ? `-${network}` : ''}${
+					useOvm ? '-optimistic' : ''
+			  }.etherscan.io/api`;
 
 	const explorerLinkPrefix = getExplorerLinkPrefix({ network, useOvm });
 
@@ -300,6 +305,28 @@ const assignGasOptions = async ({ tx, provider, maxFeePerGas, maxPriorityFeePerG
 	return Object.assign(gasOptions, tx);
 };
 
+const sleep = seconds => new Promise(resolve => setTimeout(resolve, seconds * 1000));
+
+// the parsed JSON file, or an empty object when there is none
+const readJSON = file => (fs.existsSync(file) ? JSON.parse(fs.readFileSync(file)) : {});
+
+// wrap a command's action to show pretty errors for CLI users, failing the process
+const action = fnc => async (...args) => {
+	try {
+		await fnc(...args);
+	} catch (err) {
+		console.error(red(err));
+		process.exitCode = 1;
+	}
+};
+
+// the options of the commands on a deployment folder, described by what that command reads from it
+const addDeploymentOptions = ({ deploymentPathDescription, network = 'mainnet' }) => command =>
+	command
+		.option('-d, --deployment-path <value>', deploymentPathDescription)
+		.option('-n, --network <value>', 'The network to run off.', x => x.toLowerCase(), network)
+		.option('-z, --use-ovm', 'Target deployment for the OVM (Optimism).');
+
 module.exports = {
 	allowZeroOrUpdateIfNonZero,
 	ensureNetwork,
@@ -315,4 +342,8 @@ module.exports = {
 	reportDeployedContracts,
 	catchMissingResolverWhenGeneratingSolidity,
 	assignGasOptions,
+	sleep,
+	readJSON,
+	action,
+	addDeploymentOptions,
 };
@@ -1,22 +1,13 @@
 const fs = require('fs');
 const path = require('path');
 const ethers = require('ethers');
-const { getSource, getTarget } = require('../../..');
+const { getContracts } = require('../../../contracts');
 
 function connectContracts({ ctx }) {
 	const { useOvm } = ctx;
 	const network = ctx.fork ? 'mainnet' : 'local';
 
-	const allTargets = getTarget({ fs, path, network, useOvm });
-
-	ctx.contracts = {};
-	Object.entries(allTargets).map(([name, target]) => {
-		ctx.contracts[name] = new ethers.Contract(
-			getTarget({ fs, path, network, useOvm, contract: name }).address,
-			getSource({ fs, path, network, useOvm, contract: target.source }).abi,
-			ctx.provider
-		);
-	});
+	ctx.contracts = getContracts({ fs, path, network, useOvm, provider: ctx.provider });
 
 	_ensureWETH({ ctx });
 }
@@ -1,5 +1,7 @@
 const axios = require('axios');
+const ethers = require('ethers');
 const { getLocalPrivateKey } = require('../../test-utils/wallets');
+const { deployMulticall3 } = require('../../test-utils/rpc');
 
 const commands = {
 	build: require('../../../publish/src/commands/build').build,
@@ -40,6 +42,11 @@ async function deployInstance({
 }) {
 	const privateKey = network === 'local' ? getLocalPrivateKey({ index: 0 }) : undefined;
 
+	if (network === 'local') {
+		const provider = new ethers.providers.JsonRpcProvider(`${providerUrl}:${providerPort}`);
+		await deployMulticall3({ provider, buildPath });
+	}
+
 	await commands.deploy({
 		addNewTribes,
 		buildPath,
@@ -7,7 +7,7 @@ const ethers = require('ethers');
 const isCI = require('is-ci');
 
 const { loadLocalWallets } = require('../test-utils/wallets');
-const { fastForward } = require('../test-utils/rpc');
+const { fastForward, deployMulticall3 } = require('../test-utils/rpc');
 
 const deployStakingRewardsCmd = require('../../publish/src/commands/deploy-staking-rewards');
 const deployShortingRewardsCmd = require('../../publish/src/commands/deploy-shorting-rewards');
@@ -154,6 +154,8 @@ describe('publish scripts', () => {
 
 		MockAggregatorFactory = await createMockAggregatorFactory(accounts.deployer);
 
+		await deployMulticall3({ provider });
+
 		[hUSD, hBTC, hETH] = ['hUSD', 'hBTC', 'hETH'].map(toBytes32);
 
 		gasLimit = 8000000;
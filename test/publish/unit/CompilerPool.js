@@ -0,0 +1,80 @@
+'use strict';
+
+const assert = require('assert');
+
+const CompilerPool = require('../../../publish/src/CompilerPool');
+
+// assert.rejects is not in every node version the package supports
+const assertRejects = async (promise, pattern) => {
+	let error;
+	try {
+		await promise;
+	} catch (err) {
+		error = err;
+	}
+	assert.ok(error, 'Expected a rejection');
+	assert.ok(pattern.test(error.message), error.message);
+};
+
+const SOURCE = {
+	'Counter.sol': {
+		content: 'pragma solidity ^0.5.16;\ncontract Counter {\n    uint public count;\n}\n',
+	},
+};
+
+describe('CompilerPool', () => {
+	let pool;
+
+	afterEach(() => {
+		pool.close();
+	});
+
+	it('compiles in its processes, starting no more than its size', async () => {
+		pool = new CompilerPool({ size: 1 });
+		const results = await Promise.all([
+			pool.compile({ sources: SOURCE, runs: 200 }),
+			pool.compile({ sources: SOURCE, runs: 1 }),
+		]);
+		assert.strictEqual(pool.workers.length, 1);
+		results.forEach(({ artifacts, errors }) => {
+			assert.deepStrictEqual(errors, []);
+			assert.ok(artifacts.Counter.evm.deployedBytecode.object.length);
+		});
+		assert.deepStrictEqual(
+			results.map(({ artifacts }) => artifacts.Counter.metadata.settings.optimizer.runs),
+			[200, 1]
+		);
+	});
+
+	it('gives the errors of a source that does not compile', async () => {
+		pool = new CompilerPool({ size: 1 });
+		const { errors } = await pool.compile({
+			sources: { 'Broken.sol': { content: 'pragma solidity ^0.5.16;\ncontract Broken {' } },
+			runs: 200,
+		});
+		assert.strictEqual(errors.length, 1);
+	});
+
+	it('rejects the job of a process that exits, and replaces the process', async () => {
+		pool = new CompilerPool({ size: 1 });
+		const compiling = pool.compile({ sources: SOURCE, runs: 200 });
+		const [{ process: worker }] = pool.workers;
+		worker.kill();
+		await assertRejects(compiling, /Compiler process exited with SIGTERM/);
+		const { errors } = await pool.compile({ sources: SOURCE, runs: 200 });
+		assert.deepStrictEqual(errors, []);
+		assert.notStrictEqual(pool.workers[0].process, worker);
+	});
+
+	it('rejects what is still queued when closed', async () => {
+		pool = new CompilerPool({ size: 1 });
+		pool.compile({ sources: SOURCE, runs: 200 });
+		const queued = pool.compile({ sources: SOURCE, runs: 200 });
+		const [{ process: worker }] = pool.workers;
+		pool.close();
+		await assertRejects(queued, /Compiler pool closed/);
+		// the process finishes what it was compiling, then exits without replying
+		await new Promise(resolve => worker.on('exit', resolve));
+		assert.deepStrictEqual(pool.workers, []);
+	});
+});
@@ -0,0 +1,120 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DeployJournal = require('../../../publish/src/DeployJournal');
+
+const hashOf = n => '0x' + n.toString(16).padStart(64, '0');
+
+const fakeProvider = ({ receipts = {}, pending = [] }) => ({
+	getTransactionReceipt: async hash => receipts[hash] || null,
+	getTransaction: async hash => (pending.includes(hash) || receipts[hash] ? { hash } : null),
+});
+
+const receiptOf = ({ hash, status = 1, contractAddress = null }) => ({
+	transactionHash: hash,
+	blockNumber: 1,
+	status,
+	contractAddress,
+	gasUsed: { toString: () => '21000' },
+});
+
+describe('DeployJournal', () => {
+	let file;
+
+	beforeEach(() => {
+		file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'journal-')), 'deploy.json');
+		// a run that was interrupted after sending a tx and one replacement for each entry
+		const journal = new DeployJournal({ file, network: 'local', provider: fakeProvider({}) });
+		journal.recordDeployment({ name: 'Issuer', status: 'pending', hash: hashOf(1) });
+		journal.recordDeployment({ name: 'Issuer', status: 'pending', hash: hashOf(2) });
+		journal.recordStep({ key: 'Issuer.rebuildCache', status: 'pending', hash: hashOf(3) });
+		journal.recordStep({ key: 'Issuer.rebuildCache', status: 'pending', hash: hashOf(4) });
+	});
+
+	afterEach(() => {
+		fs.rmSync(path.dirname(file), { recursive: true, force: true });
+	});
+
+	const resumeWith = provider =>
+		new DeployJournal({ file, network: 'local', provider, resume: true, pollInterval: 0 });
+
+	it('keeps every hash sent for an entry', () => {
+		const { deployments, steps } = JSON.parse(fs.readFileSync(file));
+		assert.deepStrictEqual(deployments.Issuer.hashes, [hashOf(1), hashOf(2)]);
+		assert.strictEqual(deployments.Issuer.hash, hashOf(2));
+		assert.deepStrictEqual(steps['Issuer.rebuildCache'].hashes, [hashOf(3), hashOf(4)]);
+	});
+
+	describe('when resuming after a tx was replaced', () => {
+		it('finds the original when it was the one mined', async () => {
+			const journal = resumeWith(
+				fakeProvider({
+					receipts: {
+						[hashOf(1)]: receiptOf({ hash: hashOf(1), contractAddress: '0x1' }),
+						[hashOf(3)]: receiptOf({ hash: hashOf(3) }),
+					},
+				})
+			);
+
+			const deployment = await journal.resolveDeployment({ name: 'Issuer' });
+			assert.strictEqual(deployment.status, 'complete');
+			assert.strictEqual(deployment.hash, hashOf(1));
+			assert.strictEqual(deployment.address, '0x1');
+
+			const step = await journal.resolveStep({ key: 'Issuer.rebuildCache' });
+			assert.strictEqual(step.status, 'complete');
+			assert.strictEqual(step.hash, hashOf(3));
+		});
+
+		it('prefers a replacement that succeeded to an earlier one that reverted', async () => {
+			const journal = resumeWith(
+				fakeProvider({
+					receipts: {
+						[hashOf(1)]: receiptOf({ hash: hashOf(1), status: 0 }),
+						[hashOf(2)]: receiptOf({ hash: hashOf(2), contractAddress: '0x2' }),
+					},
+				})
+			);
+			const deployment = await journal.resolveDeployment({ name: 'Issuer' });
+			assert.strictEqual(deployment.hash, hashOf(2));
+			assert.strictEqual(deployment.address, '0x2');
+		});
+
+		it('waits for those still pending', async () => {
+			const receipts = {};
+			const provider = fakeProvider({ receipts, pending: [hashOf(2)] });
+			const getTransactionReceipt = provider.getTransactionReceipt;
+			let polls = 0;
+			provider.getTransactionReceipt = async hash => {
+				if (++polls > 4) {
+					receipts[hashOf(2)] = receiptOf({ hash: hashOf(2), contractAddress: '0x2' });
+				}
+				return getTransactionReceipt(hash);
+			};
+			const deployment = await resumeWith(provider).resolveDeployment({ name: 'Issuer' });
+			assert.strictEqual(deployment.hash, hashOf(2));
+		});
+
+		it('sends it again when all were dropped', async () => {
+			const journal = resumeWith(fakeProvider({}));
+			assert.strictEqual(await journal.resolveDeployment({ name: 'Issuer' }), undefined);
+			assert.strictEqual(await journal.resolveStep({ key: 'Issuer.rebuildCache' }), undefined);
+			assert.strictEqual(journal.data.deployments.Issuer.status, 'failed');
+			// the txs given up on are still checked should the run be resumed again
+			assert.deepStrictEqual(journal.data.deployments.Issuer.hashes, [hashOf(1), hashOf(2)]);
+		});
+
+		it('keeps the address of a CREATE2 deployment, which has no contract address in its receipt', async () => {
+			const journal = resumeWith(
+				fakeProvider({ receipts: { [hashOf(2)]: receiptOf({ hash: hashOf(2) }) } })
+			);
+			journal.data.deployments.Issuer.address = '0x3';
+			const deployment = await journal.resolveDeployment({ name: 'Issuer' });
+			assert.strictEqual(deployment.address, '0x3');
+		});
+	});
+});
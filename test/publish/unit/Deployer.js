@@ -0,0 +1,91 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { getCreate2Address, getSource } = require('../../..');
+const Deployer = require('../../../publish/src/Deployer');
+
+const OWNER = '0x99F4176EE457afedFfCB1839c7aB7A030a5e4A92';
+const PROXY = '0x33341CA3c8D6352EeDFbe7C988fCd161f8A493B4';
+
+describe('Deployer', () => {
+	let folder;
+	let configFile;
+
+	const deployerWith = ({ config, create2 }) => {
+		const provider = { _isProvider: true };
+		return new Deployer({
+			config,
+			configFile,
+			create2,
+			create2Release: 'Diphda',
+			deployment: { targets: {}, sources: {} },
+			deploymentFile: path.join(folder, 'deployment.json'),
+			network: 'mainnet',
+			provider,
+			signer: { provider, address: OWNER },
+		});
+	};
+
+	beforeEach(() => {
+		folder = fs.mkdtempSync(path.join(os.tmpdir(), 'deployer-'));
+		configFile = path.join(folder, 'config.json');
+	});
+
+	afterEach(() => {
+		fs.rmSync(folder, { recursive: true, force: true });
+	});
+
+	it('keeps the other flags of a contract when marking it deployed', async () => {
+		const deployer = deployerWith({
+			config: { ProxyTribeone: { deploy: true, create2: true }, Issuer: { deploy: true } },
+		});
+		deployer.deployedContracts.ProxyTribeone = { address: PROXY };
+		await deployer._updateResults({
+			name: 'ProxyTribeone',
+			source: 'Proxy',
+			deployed: false,
+			address: PROXY,
+			constructorArgs: [OWNER],
+		});
+		assert.deepStrictEqual(JSON.parse(fs.readFileSync(configFile)), {
+			ProxyTribeone: { deploy: false, create2: true },
+			Issuer: { deploy: true },
+		});
+		assert.strictEqual(deployer.deployment.targets.ProxyTribeone.address, PROXY);
+	});
+
+	it('deploys through the CREATE2 factory the contracts flagged, or all of them', () => {
+		const config = { ProxyTribeone: { deploy: true, create2: true }, Issuer: { deploy: true } };
+		const flagged = deployerWith({ config });
+		assert.deepStrictEqual(
+			['ProxyTribeone', 'Issuer'].map(name => flagged.usesCreate2({ name })),
+			[true, false]
+		);
+		assert.ok(deployerWith({ config, create2: true }).usesCreate2({ name: 'Issuer' }));
+	});
+
+	it('deploys to the address getCreate2Address gives', () => {
+		const { bytecode, abi } = getSource({ network: 'mainnet', contract: 'Proxy' });
+		const deployer = deployerWith({ config: {} });
+		const { address, salt, data } = deployer.evaluateCreate2Deployment({
+			name: 'ProxyTribeone',
+			source: 'Proxy',
+			abi,
+			bytecode,
+			args: [OWNER],
+		});
+		assert.strictEqual(address, PROXY);
+		assert.strictEqual(
+			address,
+			getCreate2Address({ name: 'ProxyTribeone', release: 'Diphda', bytecode, abi, args: [OWNER] })
+				.address
+		);
+		// the factory takes the salt then the init code
+		assert.ok(data.startsWith(salt));
+		assert.ok(data.includes(bytecode.replace(/^0x/, '')));
+	});
+});
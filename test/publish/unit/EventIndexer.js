@@ -0,0 +1,235 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ethers = require('ethers');
+const Database = require('better-sqlite3');
+
+const EventIndexer = require('../../../publish/src/EventIndexer');
+
+const ABI = [
+	'event Transfer(address indexed from, address indexed to, uint256 value)',
+	'event Tick(uint8 kind, uint256 amount, bool up)',
+];
+const iface = new ethers.utils.Interface(ABI);
+
+const PROXY = '0x57Ab1ec28D129707052df4dF418D58a2D46d5f51';
+const OTHER = '0x5f98805A4E8be255a32880FDeC7F6728C6568bA0';
+const ALICE = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const BOB = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+
+// a log of the event as a node returns it
+const logOf = ({ address, blockNumber, logIndex, event, args }) =>
+	Object.assign(
+		{
+			address,
+			blockNumber,
+			logIndex,
+			transactionHash: ethers.utils.id(`${blockNumber}.${logIndex}`),
+		},
+		iface.encodeEventLog(iface.getEvent(event), args)
+	);
+
+// a node with the given logs, which refuses getLogs over more than maxRange blocks
+const fakeProvider = ({ logs, blockNumber = 100, maxRange = Infinity }) => {
+	const provider = {
+		requests: [],
+		getBlockNumber: async () => blockNumber,
+		getCode: async () => '0x1',
+		getLogs: async ({ address, topics: [topic], fromBlock, toBlock }) => {
+			provider.requests.push({ address, fromBlock, toBlock });
+			if (toBlock - fromBlock + 1 > maxRange) {
+				throw Error('query exceeds max block range');
+			}
+			return logs.filter(
+				log =>
+					log.address === address &&
+					log.topics[0] === topic &&
+					log.blockNumber >= fromBlock &&
+					log.blockNumber <= toBlock
+			);
+		},
+	};
+	return provider;
+};
+
+describe('EventIndexer', () => {
+	let deploymentPath;
+	let indexer;
+
+	const indexerWith = options =>
+		new EventIndexer(Object.assign({ network: 'local', deploymentPath }, options));
+
+	beforeEach(() => {
+		deploymentPath = fs.mkdtempSync(path.join(os.tmpdir(), 'events-'));
+		// both proxies of hUSD are at the same address, as on mainnet
+		fs.writeFileSync(
+			path.join(deploymentPath, 'deployment.json'),
+			JSON.stringify({
+				targets: {
+					ProxyhUSD: { address: PROXY, source: 'Proxy' },
+					ProxyERC20hUSD: { address: PROXY, source: 'ProxyERC20' },
+					Ticker: { address: OTHER, source: 'Ticker' },
+				},
+				sources: { Tribeone: { abi: ABI }, Ticker: { abi: ABI } },
+			})
+		);
+	});
+
+	afterEach(() => {
+		if (indexer) {
+			indexer.close();
+			indexer = undefined;
+		}
+		fs.rmSync(deploymentPath, { recursive: true, force: true });
+	});
+
+	describe('when two labels share an address', () => {
+		const logs = [
+			logOf({
+				address: PROXY,
+				blockNumber: 5,
+				logIndex: 0,
+				event: 'Transfer',
+				args: [ethers.constants.AddressZero, ALICE, 100],
+			}),
+			logOf({
+				address: PROXY,
+				blockNumber: 7,
+				logIndex: 2,
+				event: 'Transfer',
+				args: [ALICE, BOB, 40],
+			}),
+		];
+
+		beforeEach(async () => {
+			indexer = indexerWith({ provider: fakeProvider({ logs }) });
+			for (const contract of ['ProxyhUSD', 'ProxyERC20hUSD']) {
+				await indexer.sync({ contract, source: 'Tribeone', event: 'Transfer' });
+			}
+		});
+
+		it('indexes and queries the logs for each of them', () => {
+			for (const contract of ['ProxyhUSD', 'ProxyERC20hUSD']) {
+				const transfers = indexer.query({ contract, event: 'Transfer' });
+				assert.deepStrictEqual(
+					transfers.map(({ blockNumber, logIndex, contract }) => [blockNumber, logIndex, contract]),
+					[
+						[5, 0, contract],
+						[7, 2, contract],
+					]
+				);
+				assert.strictEqual(transfers[1].args.value, '40');
+				assert.strictEqual(transfers[1].args[1], BOB);
+			}
+		});
+
+		it('records what was synced for each of them, up to the confirmations behind the head', () => {
+			for (const contract of ['ProxyhUSD', 'ProxyERC20hUSD']) {
+				assert.strictEqual(
+					indexer.lastSyncedBlock({ contract, source: 'Tribeone', event: 'Transfer' }),
+					100 - EventIndexer.DEFAULTS.confirmations
+				);
+			}
+		});
+
+		it('filters on addresses in any case', () => {
+			const transfers = indexer.query({
+				contract: 'ProxyhUSD',
+				event: 'Transfer',
+				args: { to: BOB.toLowerCase() },
+			});
+			assert.deepStrictEqual(
+				transfers.map(({ blockNumber }) => blockNumber),
+				[7]
+			);
+		});
+	});
+
+	describe('when querying by argument', () => {
+		beforeEach(async () => {
+			const logs = [
+				logOf({ address: OTHER, blockNumber: 1, logIndex: 0, event: 'Tick', args: [3, 5, true] }),
+				logOf({ address: OTHER, blockNumber: 2, logIndex: 0, event: 'Tick', args: [4, 5, false] }),
+			];
+			indexer = indexerWith({ provider: fakeProvider({ logs }) });
+			await indexer.sync({ contract: 'Ticker', event: 'Tick' });
+		});
+
+		const blocksWhere = args =>
+			indexer
+				.query({ contract: 'Ticker', event: 'Tick', args })
+				.map(({ blockNumber }) => blockNumber);
+
+		it('matches small integers, which are kept as JSON numbers, as numbers or strings', () => {
+			assert.deepStrictEqual(blocksWhere({ kind: 3 }), [1]);
+			assert.deepStrictEqual(blocksWhere({ kind: '4' }), [2]);
+		});
+
+		it('matches large integers, which are kept as strings, as numbers or strings', () => {
+			assert.deepStrictEqual(blocksWhere({ amount: 5 }), [1, 2]);
+			assert.deepStrictEqual(blocksWhere({ amount: '5' }), [1, 2]);
+			assert.deepStrictEqual(blocksWhere({ amount: 6 }), []);
+		});
+
+		it('matches booleans', () => {
+			assert.deepStrictEqual(blocksWhere({ up: false }), [2]);
+		});
+	});
+
+	describe('when syncing', () => {
+		it('halves the page size when the node refuses a range, and only fetches new blocks later', async () => {
+			const logs = [
+				logOf({ address: OTHER, blockNumber: 30, logIndex: 0, event: 'Tick', args: [1, 1, true] }),
+			];
+			const provider = fakeProvider({ logs, maxRange: 30 });
+			indexer = indexerWith({ provider, pageSize: 100, confirmations: 0 });
+
+			assert.strictEqual(await indexer.sync({ contract: 'Ticker', event: 'Tick' }), 1);
+			assert.strictEqual(indexer.pageSize, 25);
+
+			provider.requests = [];
+			assert.strictEqual(await indexer.sync({ contract: 'Ticker', event: 'Tick' }), 0);
+			assert.deepStrictEqual(provider.requests, []);
+		});
+
+		it('fetches the blocks within the confirmations again, dropping logs a reorg removed', async () => {
+			const tick = ({ blockNumber, logIndex = 0 }) =>
+				logOf({ address: OTHER, blockNumber, logIndex, event: 'Tick', args: [1, 1, true] });
+			const logs = [tick({ blockNumber: 50 }), tick({ blockNumber: 95 })];
+			const provider = fakeProvider({ logs });
+			indexer = indexerWith({ provider, confirmations: 10 });
+			const blocks = () =>
+				indexer.query({ contract: 'Ticker', event: 'Tick' }).map(({ blockNumber }) => blockNumber);
+
+			await indexer.sync({ contract: 'Ticker', event: 'Tick' });
+			assert.deepStrictEqual(blocks(), [50, 95]);
+			assert.strictEqual(indexer.lastSyncedBlock({ contract: 'Ticker', event: 'Tick' }), 90);
+
+			// the block of the second was reorged, and the log is now in another one
+			logs.splice(1, 1, tick({ blockNumber: 97, logIndex: 3 }));
+			provider.requests = [];
+			await indexer.sync({ contract: 'Ticker', event: 'Tick' });
+			assert.deepStrictEqual(provider.requests, [{ address: OTHER, fromBlock: 91, toBlock: 100 }]);
+			assert.deepStrictEqual(blocks(), [50, 97]);
+		});
+
+		it('rebuilds an index made before its tables were keyed by label', () => {
+			const file = path.join(deploymentPath, 'events.sqlite');
+			const db = new Database(file);
+			db.exec(`
+				CREATE TABLE events (block_number INTEGER, log_index INTEGER, transaction_hash TEXT,
+					address TEXT, contract TEXT, event TEXT, args TEXT, PRIMARY KEY (block_number, log_index));
+				CREATE TABLE synced_ranges (address TEXT, event TEXT, from_block INTEGER, to_block INTEGER);
+				INSERT INTO events VALUES (1, 0, '0x', '${OTHER}', 'Ticker', 'Tick', '{}');
+			`);
+			db.close();
+
+			indexer = indexerWith({ provider: fakeProvider({ logs: [] }) });
+			assert.deepStrictEqual(indexer.query({ contract: 'Ticker' }), []);
+			assert.strictEqual(indexer.lastSyncedBlock({ contract: 'Ticker', event: 'Tick' }), undefined);
+		});
+	});
+});
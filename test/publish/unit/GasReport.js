@@ -0,0 +1,106 @@
+'use strict';
+
+const assert = require('assert');
+const ethers = require('ethers');
+
+const GasReport = require('../../../publish/src/GasReport');
+
+const { parseUnits } = ethers.utils;
+const ACCOUNT = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const ORACLE = '0x420000000000000000000000000000000000000F';
+
+const oracle = new ethers.utils.Interface([
+	'function getL1Fee(bytes _data) view returns (uint256)',
+]);
+
+const receiptOf = hash => ({
+	transactionHash: hash,
+	blockNumber: 10,
+	gasUsed: ethers.BigNumber.from(100000),
+	effectiveGasPrice: parseUnits('0.001', 'gwei'),
+});
+
+// a node which gives the L1 fee in its raw receipts when withL1Fee, else only from the oracle
+const fakeProvider = ({ withL1Fee }) => {
+	const wallet = new ethers.Wallet(
+		'0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80'
+	);
+	return {
+		_isProvider: true,
+		send: async (method, [hash]) =>
+			Object.assign(
+				{ transactionHash: hash },
+				withL1Fee ? { l1Fee: parseUnits('0.002', 'ether').toHexString() } : {}
+			),
+		getTransaction: async () =>
+			Object.assign(
+				ethers.utils.parseTransaction(
+					await wallet.signTransaction({
+						type: 2,
+						chainId: 10,
+						nonce: 1,
+						maxFeePerGas: 10,
+						maxPriorityFeePerGas: 1,
+						gasLimit: 21000,
+						to: ACCOUNT,
+						data: '0x1234',
+					})
+				),
+				// as ethers gives it for EIP-1559 transactions
+				{ gasPrice: ethers.BigNumber.from(5) }
+			),
+		call: async ({ to, data }) => {
+			assert.strictEqual(to, ORACLE);
+			const [serialized] = oracle.decodeFunctionData('getL1Fee', data);
+			// the signed transaction, as sent
+			assert.strictEqual(ethers.utils.parseTransaction(serialized).from, wallet.address);
+			return oracle.encodeFunctionResult('getL1Fee', [parseUnits('0.003', 'ether')]);
+		},
+	};
+};
+
+describe('GasReport', () => {
+	const reportOf = async ({ useOvm, withL1Fee }) => {
+		const gasReport = new GasReport({
+			command: 'deploy',
+			network: 'mainnet',
+			useOvm,
+			account: ACCOUNT,
+			provider: fakeProvider({ withL1Fee }),
+		});
+		await gasReport.recordDeployment({
+			name: 'Issuer',
+			source: 'Issuer',
+			receipt: receiptOf('0x1'),
+		});
+		await gasReport.recordTransaction({ action: 'Issuer.rebuildCache', receipt: receiptOf('0x2') });
+		return gasReport.toJSON();
+	};
+
+	it('costs transactions by their gas alone on L1', async () => {
+		const { deployments, summary } = await reportOf({ useOvm: false, withL1Fee: true });
+		assert.strictEqual(deployments[0].cost, '0.0000001');
+		assert.strictEqual(deployments[0].l1Fee, undefined);
+		assert.strictEqual(summary.total.cost, '0.0000002');
+		assert.strictEqual(summary.total.effectiveGasPrice, '0.001');
+	});
+
+	it('adds the L1 data fee from the receipt on the OVM', async () => {
+		const { deployments, transactions, summary } = await reportOf({
+			useOvm: true,
+			withL1Fee: true,
+		});
+		assert.strictEqual(deployments[0].l1Fee, '0.002');
+		assert.strictEqual(transactions[0].cost, '0.0020001');
+		assert.strictEqual(summary.deployer.l1Fee, '0.004');
+		assert.strictEqual(summary.total.cost, '0.0040002');
+		// the gas price is that of the L2 execution
+		assert.strictEqual(summary.total.effectiveGasPrice, '0.001');
+	});
+
+	it('prices the L1 data fee with the GasPriceOracle where the receipt has none', async () => {
+		const { deployments, summary } = await reportOf({ useOvm: true, withL1Fee: false });
+		assert.strictEqual(deployments[0].l1Fee, '0.003');
+		assert.strictEqual(summary.total.cost, '0.0060002');
+	});
+});
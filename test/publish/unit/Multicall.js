@@ -0,0 +1,66 @@
+'use strict';
+
+const assert = require('assert');
+const ethers = require('ethers');
+
+const Multicall = require('../../../publish/src/Multicall');
+
+const TOKEN = '0x05a9CBe762B36632b3594DA4F082340E0e5343e8';
+const ALICE = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const BOB = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+
+const token = new ethers.utils.Interface(['function balanceOf(address) view returns (uint256)']);
+const multicall3 = new ethers.utils.Interface([
+	'function aggregate3(tuple(address target, bool allowFailure, bytes callData)[] calls) payable returns (tuple(bool success, bytes returnData)[] returnData)',
+]);
+
+const BALANCES = { [ALICE]: 10, [BOB]: 20 };
+
+// a node with the token above, and with Multicall3 only when deployed
+const fakeProvider = ({ deployed }) => {
+	const balanceOf = data => {
+		const [account] = token.decodeFunctionData('balanceOf', data);
+		return token.encodeFunctionResult('balanceOf', [BALANCES[account] || 0]);
+	};
+	const provider = {
+		_isProvider: true,
+		calls: [],
+		getCode: async address => (address === Multicall.DEFAULTS.address && !deployed ? '0x' : '0x1'),
+		call: async ({ to, data }) => {
+			provider.calls.push(to);
+			if (to === TOKEN) {
+				return balanceOf(data);
+			}
+			const [calls] = multicall3.decodeFunctionData('aggregate3', data);
+			return multicall3.encodeFunctionResult('aggregate3', [
+				calls.map(({ callData }) => [true, balanceOf(callData)]),
+			]);
+		},
+	};
+	return provider;
+};
+
+describe('Multicall', () => {
+	const balancesWith = async provider => {
+		const multicall = new Multicall({ provider });
+		const Token = new ethers.Contract(TOKEN, token, provider);
+		const balances = await Promise.all(
+			[ALICE, BOB].map(account =>
+				multicall.call({ target: Token, method: 'balanceOf', args: [account] })
+			)
+		);
+		return balances.map(String);
+	};
+
+	it('aggregates the calls made at once where Multicall3 is deployed', async () => {
+		const provider = fakeProvider({ deployed: true });
+		assert.deepStrictEqual(await balancesWith(provider), ['10', '20']);
+		assert.deepStrictEqual(provider.calls, [Multicall.DEFAULTS.address]);
+	});
+
+	it('makes each call on its own where it is not', async () => {
+		const provider = fakeProvider({ deployed: false });
+		assert.deepStrictEqual(await balancesWith(provider), ['10', '20']);
+		assert.deepStrictEqual(provider.calls, [TOKEN, TOKEN]);
+	});
+});
@@ -0,0 +1,110 @@
+'use strict';
+
+const assert = require('assert');
+
+const SafeBatchSubmitter = require('../../../publish/src/SafeBatchSubmitter');
+
+const SAFE = '0xEb3107117FEAd7de89Cd14D463D340A2E6917769';
+const TARGET = '0x05a9CBe762B36632b3594DA4F082340E0e5343e8';
+
+// the executed transactions of a safe from the newest, in pages of two
+const fakeService = ({ nonces }) => {
+	const pages = [];
+	for (let i = 0; i < nonces.length; i += 2) {
+		pages.push(
+			nonces.slice(i, i + 2).map(nonce => ({
+				to: TARGET,
+				data: `0x${nonce.toString(16).padStart(8, '0')}`,
+				nonce,
+				safeTxHash: `0xsafe${nonce}`,
+				transactionHash: `0xtx${nonce}`,
+				isExecuted: true,
+				isSuccessful: nonce !== 3,
+			}))
+		);
+	}
+	const get = async url => {
+		get.requested.push(url);
+		const page = Number((/[?&]page=(\d+)/.exec(url) || [])[1] || 0);
+		return {
+			results: pages[page],
+			next: page + 1 < pages.length ? `https://service/next?page=${page + 1}` : null,
+		};
+	};
+	get.requested = [];
+	return get;
+};
+
+describe('SafeBatchSubmitter', () => {
+	describe('getExecutedTransactions', () => {
+		it('reads every page of the safe history when no nonce is given', async () => {
+			const get = fakeService({ nonces: [6, 5, 4, 3, 2] });
+			const executed = await SafeBatchSubmitter.getExecutedTransactions({
+				network: 'mainnet',
+				safeAddress: SAFE,
+				get,
+			});
+			assert.strictEqual(get.requested.length, 3);
+			assert.ok(get.requested[0].includes(`/safes/${SAFE}/multisig-transactions/`));
+			// the failed one is left out
+			assert.deepStrictEqual(
+				executed.map(({ nonce }) => nonce),
+				[6, 5, 4, 2]
+			);
+		});
+
+		it('stops once a page reaches the oldest nonce of interest', async () => {
+			const get = fakeService({ nonces: [6, 5, 4, 3, 2] });
+			const executed = await SafeBatchSubmitter.getExecutedTransactions({
+				network: 'mainnet',
+				safeAddress: SAFE,
+				minNonce: 4,
+				get,
+			});
+			assert.strictEqual(get.requested.length, 2);
+			assert.deepStrictEqual(
+				executed.map(({ nonce }) => nonce),
+				[6, 5, 4]
+			);
+		});
+
+		it('flattens multi-send batches into their inner transactions', async () => {
+			const get = async () => ({
+				results: [
+					{
+						to: '0x40A2aCCbd92BCA938b02010E17A5b8929b49130D',
+						data: '0x8d80ff0a',
+						dataDecoded: {
+							method: 'multiSend',
+							parameters: [
+								{
+									valueDecoded: [
+										{ to: TARGET, data: '0x01' },
+										{ to: SAFE, data: '0x02' },
+									],
+								},
+							],
+						},
+						nonce: 1,
+						safeTxHash: '0xsafe',
+						transactionHash: '0xtx',
+						isExecuted: true,
+						isSuccessful: true,
+					},
+				],
+				next: null,
+			});
+			assert.deepStrictEqual(
+				await SafeBatchSubmitter.getExecutedTransactions({
+					network: 'mainnet',
+					safeAddress: SAFE,
+					get,
+				}),
+				[
+					{ to: TARGET, data: '0x01', safeTxHash: '0xsafe', transactionHash: '0xtx', nonce: 1 },
+					{ to: SAFE, data: '0x02', safeTxHash: '0xsafe', transactionHash: '0xtx', nonce: 1 },
+				]
+			);
+		});
+	});
+});
@@ -0,0 +1,268 @@
+'use strict';
+
+const assert = require('assert');
+const ethers = require('ethers');
+
+const TransactionManager = require('../../../publish/src/TransactionManager');
+
+const { BigNumber } = ethers;
+
+const FROM = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+const TO = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+
+// assert.rejects is not in every node version the package supports
+const assertRejects = async (promise, pattern) => {
+	let error;
+	try {
+		await promise;
+	} catch (err) {
+		error = err;
+	}
+	assert.ok(error, 'Expected a rejection');
+	assert.ok(pattern.test(error.message), error.message);
+};
+
+const hashOf = n => '0x' + n.toString(16).padStart(64, '0');
+
+// a chain that mines what it is told to, with every sent tx kept by hash
+const fakeChain = () => {
+	const chain = {
+		sent: [],
+		receipts: {},
+		minedNonce: 0,
+		pendingNonce: undefined,
+		blocks: {},
+	};
+	chain.provider = {
+		getTransactionCount: async (address, tag) =>
+			tag === 'pending' && chain.pendingNonce !== undefined ? chain.pendingNonce : chain.minedNonce,
+		getBlockNumber: async () => 1,
+		getTransactionReceipt: async hash => chain.receipts[hash] || null,
+		getTransaction: async hash => chain.sent.find(tx => tx.hash === hash) || null,
+		getFeeData: async () => ({
+			maxFeePerGas: BigNumber.from(1),
+			maxPriorityFeePerGas: BigNumber.from(1),
+			gasPrice: BigNumber.from(1),
+		}),
+		getBlockWithTransactions: async blockNumber => ({
+			transactions: chain.blocks[blockNumber] || [],
+		}),
+		waitForTransaction: async hash => chain.receipts[hash],
+	};
+	chain.signer = {
+		getAddress: async () => FROM,
+		sendTransaction: async request => {
+			const tx = Object.assign({}, request, {
+				hash: hashOf(chain.sent.length + 1),
+				from: FROM,
+				type: 2,
+			});
+			chain.sent.push(tx);
+			return tx;
+		},
+	};
+	chain.mine = ({ hash, status = 1 }) => {
+		chain.receipts[hash] = { transactionHash: hash, blockNumber: 1, status };
+	};
+	// sends a plain transfer with the given overrides, as the send() of a deploy or a write would
+	chain.send = overrides =>
+		chain.signer.sendTransaction(
+			Object.assign(
+				{
+					to: TO,
+					data: '0x',
+					value: 0,
+					gasLimit: BigNumber.from(21000),
+					nonce: chain.sent.length,
+					maxFeePerGas: BigNumber.from(100),
+					maxPriorityFeePerGas: BigNumber.from(10),
+				},
+				overrides
+			)
+		);
+	return chain;
+};
+
+describe('TransactionManager', () => {
+	describe('when managing nonces', () => {
+		let chain;
+		let manager;
+
+		beforeEach(() => {
+			chain = fakeChain();
+			// nothing is mined or seen in the mempool while the sends are in flight
+			chain.pendingNonce = 0;
+			manager = new TransactionManager({
+				provider: chain.provider,
+				manageNonces: true,
+				pollInterval: 0,
+			});
+		});
+
+		it('gives sends made at once a nonce each', async () => {
+			const receipts = await Promise.all(
+				[0, 1, 2].map(() =>
+					manager.send({
+						signer: chain.signer,
+						send: async overrides => {
+							const tx = await chain.send(overrides);
+							chain.mine(tx);
+							return tx;
+						},
+					})
+				)
+			);
+			assert.deepStrictEqual(chain.sent.map(({ nonce }) => nonce).sort(), [0, 1, 2]);
+			assert.strictEqual(receipts.length, 3);
+		});
+
+		it('reserves the nonce before the send is awaited', async () => {
+			const [first, second] = await Promise.all([
+				manager.getNonce({ signer: chain.signer }),
+				manager.getNonce({ signer: chain.signer }),
+			]);
+			assert.strictEqual(first, 0);
+			assert.strictEqual(second, 1);
+		});
+
+		it('reuses the nonce of a send that failed', async () => {
+			await assertRejects(
+				manager.send({
+					signer: chain.signer,
+					send: async () => {
+						throw Error('insufficient funds');
+					},
+				}),
+				/insufficient funds/
+			);
+			await manager.send({
+				signer: chain.signer,
+				send: async overrides => {
+					const tx = await chain.send(overrides);
+					chain.mine(tx);
+					return tx;
+				},
+			});
+			assert.strictEqual(chain.sent[0].nonce, 0);
+		});
+
+		it('sends again a tx dropped from the chain', async () => {
+			await manager.send({
+				signer: chain.signer,
+				send: async overrides => {
+					const tx = await chain.send(overrides);
+					chain.mine(tx);
+					return tx;
+				},
+			});
+			// a reorg drops it: the node no longer knows of it
+			chain.sent.pop();
+			delete chain.receipts[hashOf(1)];
+
+			const nonce = await manager.getNonce({ signer: chain.signer });
+			assert.strictEqual(nonce, 1);
+			assert.strictEqual(chain.sent.length, 1);
+			assert.strictEqual(chain.sent[0].nonce, 0);
+		});
+	});
+
+	describe('when a tx stays pending past the timeout', () => {
+		let chain;
+		let manager;
+
+		beforeEach(() => {
+			chain = fakeChain();
+			manager = new TransactionManager({
+				provider: chain.provider,
+				timeout: 0,
+				pollInterval: 0,
+				maxBumps: 2,
+			});
+		});
+
+		it('replaces it with bumped fees, and returns the receipt of the one mined', async () => {
+			const sent = [];
+			let polls = 0;
+			chain.provider.getTransactionReceipt = async hash => {
+				// the replacement is mined once sent
+				polls++;
+				return hash === hashOf(2) ? { transactionHash: hash, blockNumber: 1, status: 1 } : null;
+			};
+			const receipt = await manager.send({
+				signer: chain.signer,
+				send: overrides => chain.send(overrides),
+				onSent: tx => sent.push(tx.hash),
+			});
+
+			assert.strictEqual(receipt.transactionHash, hashOf(2));
+			assert.deepStrictEqual(sent, [hashOf(1), hashOf(2)]);
+			assert.ok(polls > 1);
+
+			const [original, replacement] = chain.sent;
+			assert.strictEqual(replacement.nonce, original.nonce);
+			assert.strictEqual(replacement.maxFeePerGas.toString(), '120');
+			assert.strictEqual(replacement.maxPriorityFeePerGas.toString(), '12');
+		});
+
+		it('returns the receipt of the original when it is mined after being replaced', async () => {
+			let replaced = false;
+			chain.provider.getTransactionReceipt = async hash =>
+				replaced && hash === hashOf(1)
+					? { transactionHash: hash, blockNumber: 1, status: 1 }
+					: null;
+			const receipt = await manager.send({
+				signer: chain.signer,
+				send: overrides => chain.send(overrides),
+				onSent: () => (replaced = chain.sent.length > 1),
+			});
+			assert.strictEqual(receipt.transactionHash, hashOf(1));
+		});
+
+		it('fails after the most fee bumps allowed', async () => {
+			await assertRejects(
+				manager.send({ signer: chain.signer, send: overrides => chain.send(overrides) }),
+				/still pending after 2 fee bumps/
+			);
+			assert.strictEqual(chain.sent.length, 3);
+		});
+	});
+
+	describe('when the nonce is taken by a tx not sent from here', () => {
+		let chain;
+		let manager;
+
+		beforeEach(() => {
+			chain = fakeChain();
+			chain.minedNonce = 1;
+			manager = new TransactionManager({ provider: chain.provider, pollInterval: 0 });
+		});
+
+		it('picks up the same call repriced elsewhere', async () => {
+			const repriced = {
+				hash: hashOf(99),
+				from: FROM,
+				to: TO,
+				data: '0x',
+				value: BigNumber.from(0),
+				nonce: 0,
+			};
+			chain.blocks[1] = [repriced];
+			chain.mine(repriced);
+			const receipt = await manager.send({
+				signer: chain.signer,
+				send: overrides => chain.send(overrides),
+			});
+			assert.strictEqual(receipt.transactionHash, hashOf(99));
+		});
+
+		it('fails when it was cancelled', async () => {
+			chain.blocks[1] = [
+				{ hash: hashOf(99), from: FROM, to: FROM, data: '0x', value: BigNumber.from(0), nonce: 0 },
+			];
+			await assertRejects(
+				manager.send({ signer: chain.signer, send: overrides => chain.send(overrides) }),
+				/was cancelled by 0x0+63/
+			);
+		});
+	});
+});
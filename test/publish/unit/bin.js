@@ -0,0 +1,58 @@
+'use strict';
+
+const assert = require('assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..', '..', '..');
+
+describe('bin', () => {
+	let folder;
+	let withoutEthers;
+
+	// run the CLI as where ethers, an optional peer dependency, is not installed
+	const run = (...args) =>
+		execFileSync(process.execPath, ['-r', withoutEthers, path.join(ROOT, 'bin.js')].concat(args), {
+			cwd: ROOT,
+			stdio: ['ignore', 'pipe', 'pipe'],
+		}).toString();
+
+	before(() => {
+		folder = fs.mkdtempSync(path.join(os.tmpdir(), 'bin-'));
+		withoutEthers = path.join(folder, 'without-ethers.js');
+		fs.writeFileSync(
+			withoutEthers,
+			`const Module = require('module');
+const load = Module._load;
+Module._load = function(request, ...args) {
+	if (/^ethers(\\/|$)/.test(request)) {
+		throw Object.assign(Error("Cannot find module '" + request + "'"), { code: 'MODULE_NOT_FOUND' });
+	}
+	return load.call(this, request, ...args);
+};`
+		);
+	});
+
+	after(() => {
+		fs.rmSync(folder, { recursive: true, force: true });
+	});
+
+	it('runs the commands that do not read the chain without ethers', () => {
+		assert.ok(JSON.parse(run('tribes', '-n', 'mainnet')).some(({ name }) => name === 'hUSD'));
+		assert.strictEqual(
+			JSON.parse(run('target', '-n', 'mainnet', '-c', 'ProxyERC20', '-k', 'address')),
+			require(ROOT).getTarget({ network: 'mainnet', contract: 'ProxyERC20' }).address
+		);
+		// the packed transactions are encoded as a multiSend call without ethers too
+		assert.ok(/^MultiSend\.multiSend\(bytes\)/.test(run('decode-multi-send', '0x')));
+	});
+
+	it('asks for ethers when reading the chain', () => {
+		assert.throws(
+			() => run('fee-periods', '-p', 'http://127.0.0.1:1'),
+			({ stderr }) => /need ethers/.test(stderr.toString())
+		);
+	});
+});
@@ -0,0 +1,108 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { cacheKey, compileCached, optimizerRunsOf } = require('../../../publish/src/commands/build');
+
+const CONTRACT = 'Counter.sol';
+const SOURCES = { [CONTRACT]: { content: 'contract Counter {}' } };
+const ARTIFACT = { abi: [], evm: { deployedBytecode: { object: '6080' } } };
+
+describe('build', () => {
+	describe('cacheKey', () => {
+		const key = cacheKey({ sources: SOURCES, runs: 200 });
+
+		it('is the same for the same input', () => {
+			assert.strictEqual(
+				cacheKey({ sources: { [CONTRACT]: { content: 'contract Counter {}' } }, runs: 200 }),
+				key
+			);
+		});
+
+		it('changes with the source, the optimizer runs or the solc version', () => {
+			assert.notStrictEqual(
+				cacheKey({ sources: { [CONTRACT]: { content: 'contract Counter { }' } }, runs: 200 }),
+				key
+			);
+			assert.notStrictEqual(cacheKey({ sources: SOURCES, runs: 201 }), key);
+			assert.notStrictEqual(cacheKey({ sources: SOURCES, runs: 200, solcVersion: '0.5.16' }), key);
+			assert.strictEqual(
+				cacheKey({
+					sources: SOURCES,
+					runs: 200,
+					solcVersion: require('solc/package.json').version,
+				}),
+				key
+			);
+		});
+
+		it('changes when the contract overrides change its runs', () => {
+			const keyWith = overrides =>
+				cacheKey({
+					sources: SOURCES,
+					runs: optimizerRunsOf({ contract: CONTRACT, optimizerRuns: '200', overrides }),
+				});
+			assert.strictEqual(keyWith({}), key);
+			assert.strictEqual(keyWith({ 'Other.sol': { runs: 1 } }), key);
+			assert.notStrictEqual(keyWith({ [CONTRACT]: { runs: 1500 } }), key);
+			assert.notStrictEqual(
+				keyWith({ [CONTRACT]: { runs: 1500 } }),
+				keyWith({ [CONTRACT]: { runs: 20000 } })
+			);
+		});
+	});
+
+	describe('compileCached', () => {
+		let cachePath;
+		let compiled;
+
+		// a pool giving the result given, counting its compilations
+		const poolOf = result => ({
+			compile: async () => {
+				compiled++;
+				return result;
+			},
+		});
+		const compileWith = ({ pool, runs = 200, cache = true }) =>
+			compileCached({ pool, cache, cachePath, contract: CONTRACT, sources: SOURCES, runs });
+
+		beforeEach(() => {
+			cachePath = fs.mkdtempSync(path.join(os.tmpdir(), 'build-cache-'));
+			compiled = 0;
+		});
+
+		afterEach(() => {
+			fs.rmSync(cachePath, { recursive: true, force: true });
+		});
+
+		it('reuses the artifact cached for the same input', async () => {
+			const pool = poolOf({ artifacts: { Counter: ARTIFACT }, errors: [], warnings: [] });
+			const first = await compileWith({ pool });
+			const second = await compileWith({ pool });
+			assert.strictEqual(compiled, 1);
+			assert.deepStrictEqual([first.fromCache, second.fromCache], [false, true]);
+			assert.deepStrictEqual(second.artifact, ARTIFACT);
+			assert.deepStrictEqual(second.errors, []);
+		});
+
+		it('compiles again when the runs differ, or without the cache', async () => {
+			const pool = poolOf({ artifacts: { Counter: ARTIFACT }, errors: [], warnings: [] });
+			await compileWith({ pool });
+			assert.strictEqual((await compileWith({ pool, runs: 1 })).fromCache, false);
+			assert.strictEqual((await compileWith({ pool, cache: false })).fromCache, false);
+			assert.strictEqual(compiled, 3);
+		});
+
+		it('does not cache what fails to compile', async () => {
+			const errors = [{ severity: 'error', formattedMessage: 'ParserError' }];
+			const pool = poolOf({ artifacts: {}, errors, warnings: [] });
+			assert.deepStrictEqual((await compileWith({ pool })).errors, errors);
+			assert.deepStrictEqual(fs.readdirSync(cachePath), []);
+			await compileWith({ pool });
+			assert.strictEqual(compiled, 2);
+		});
+	});
+});
@@ -0,0 +1,152 @@
+'use strict';
+
+const assert = require('assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ethers = require('ethers');
+
+const { toBytes32 } = require('../../..');
+const { getContracts, mergeAbis } = require('../../../contracts');
+
+const abiOf = signatures => JSON.parse(new ethers.utils.Interface(signatures).format('json'));
+
+const PROXY_ABI = abiOf(['function target() view returns (address)']);
+const TRIBE_ABI = abiOf([
+	'constructor(address owner)',
+	'function target() view returns (address)',
+	'function totalSupply() view returns (uint256)',
+]);
+const RESOLVER_ABI = abiOf(['function getAddress(bytes32 name) view returns (address)']);
+const MARKET_ABI = abiOf(['function marketKey() view returns (bytes32)']);
+
+const RESOLVER = '0x823bE81bbF96BEc0e25CA13170F5AaCb5B79ba83';
+const PROXY = '0x57Ab1ec28D129707052df4dF418D58a2D46d5f51';
+const TRIBE = '0x05a9CBe762B36632b3594DA4F082340E0e5343e8';
+const MARKET_PROXY = '0x2B3bb4c683BFc5239B029131EEf3B1d214478d93';
+const NEW_TRIBE = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+
+const tribe = new ethers.utils.Interface(TRIBE_ABI);
+const resolver = new ethers.utils.Interface(RESOLVER_ABI);
+
+// a node where the AddressResolver has the addresses given, and the tribe at NEW_TRIBE a total
+// supply of 2 where any other has 1
+const fakeProvider = ({ resolved = {} } = {}) => ({
+	_isProvider: true,
+	call: async ({ to, data }) => {
+		if (to === RESOLVER) {
+			const [name] = resolver.decodeFunctionData('getAddress', data);
+			return resolver.encodeFunctionResult('getAddress', [
+				resolved[name] || ethers.constants.AddressZero,
+			]);
+		}
+		return tribe.encodeFunctionResult('totalSupply', [to === NEW_TRIBE ? 2 : 1]);
+	},
+});
+
+describe('contracts', () => {
+	let deploymentPath;
+
+	const contractsWith = options =>
+		getContracts(Object.assign({ network: 'local', fs, path, deploymentPath }, options));
+
+	beforeEach(() => {
+		deploymentPath = fs.mkdtempSync(path.join(os.tmpdir(), 'contracts-'));
+		fs.writeFileSync(
+			path.join(deploymentPath, 'deployment.json'),
+			JSON.stringify({
+				targets: {
+					AddressResolver: {
+						name: 'AddressResolver',
+						address: RESOLVER,
+						source: 'AddressResolver',
+					},
+					ProxyhUSD: { name: 'ProxyhUSD', address: PROXY, source: 'Proxy' },
+					TribehUSD: { name: 'TribehUSD', address: TRIBE, source: 'Tribe' },
+					PerpsV2ProxyETHPERP: {
+						name: 'PerpsV2ProxyETHPERP',
+						address: MARKET_PROXY,
+						source: 'Proxy',
+					},
+					PerpsV2MarketETHPERP: {
+						name: 'PerpsV2MarketETHPERP',
+						address: NEW_TRIBE,
+						source: 'PerpsV2Market',
+					},
+				},
+				sources: {
+					AddressResolver: { abi: RESOLVER_ABI },
+					Proxy: { abi: PROXY_ABI },
+					Tribe: { abi: TRIBE_ABI },
+					PerpsV2Market: { abi: MARKET_ABI },
+				},
+			})
+		);
+	});
+
+	afterEach(() => {
+		fs.rmSync(deploymentPath, { recursive: true, force: true });
+	});
+
+	describe('getContracts', () => {
+		it('requires a provider or signer', () => {
+			assert.throws(() => contractsWith({}), /A provider or signer is required/);
+		});
+
+		it('has every target, with proxies given the functions of what they forward to', async () => {
+			const contracts = contractsWith({ provider: fakeProvider() });
+			assert.deepStrictEqual(Object.keys(contracts), [
+				'AddressResolver',
+				'ProxyhUSD',
+				'TribehUSD',
+				'PerpsV2ProxyETHPERP',
+				'PerpsV2MarketETHPERP',
+				'PerpsV2MarketProxiedETHPERP',
+			]);
+			assert.strictEqual(contracts.ProxyhUSD.address, PROXY);
+			assert.strictEqual((await contracts.ProxyhUSD.totalSupply()).toString(), '1');
+			assert.strictEqual(contracts.PerpsV2MarketProxiedETHPERP.address, MARKET_PROXY);
+			assert.ok(contracts.PerpsV2MarketProxiedETHPERP.interface.getFunction('marketKey'));
+		});
+
+		it('creates each contract once, when first used, and lets it be swapped out', () => {
+			const contracts = contractsWith({ provider: fakeProvider() });
+			assert.strictEqual(contracts.TribehUSD, contracts.TribehUSD);
+			const mock = { address: TRIBE };
+			contracts.TribehUSD = mock;
+			assert.strictEqual(contracts.TribehUSD, mock);
+		});
+
+		it('reads the addresses from the AddressResolver, keeping those it does not have', async () => {
+			const provider = fakeProvider({ resolved: { [toBytes32('TribehUSD')]: NEW_TRIBE } });
+			const contracts = await contractsWith({ provider, useResolver: true });
+			assert.strictEqual(contracts.TribehUSD.address, NEW_TRIBE);
+			assert.strictEqual(contracts.ProxyhUSD.address, PROXY);
+			assert.strictEqual((await contracts.TribehUSD.totalSupply()).toString(), '2');
+		});
+	});
+
+	describe('mergeAbis', () => {
+		it('keeps each function once and leaves out constructors', () => {
+			const merged = mergeAbis([PROXY_ABI, TRIBE_ABI]);
+			assert.deepStrictEqual(
+				merged.map(({ name }) => name),
+				['target', 'totalSupply']
+			);
+		});
+	});
+
+	it('is not required by the main entry, which does not need ethers', () => {
+		const root = path.join(__dirname, '..', '..', '..');
+		const required = execFileSync(
+			process.execPath,
+			['-e', "require('./index'); console.log(Object.keys(require.cache).join('\\n'))"],
+			{ cwd: root }
+		)
+			.toString()
+			.split('\n');
+		assert.ok(!required.some(file => /node_modules[\\/]ethers[\\/]/.test(file)));
+		assert.ok(!required.includes(path.join(root, 'contracts.js')));
+	});
+});
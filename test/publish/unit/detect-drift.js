@@ -0,0 +1,112 @@
+'use strict';
+
+const assert = require('assert');
+
+const { compareCode } = require('../../../publish/src/commands/detect-drift');
+
+// PUSH1 0x80 PUSH1 0x40 MSTORE, as both the constructor and runtime code start
+const PREAMBLE = '6080604052';
+const CONSTRUCTOR = `${PREAMBLE}348015600f57600080fd5b50`;
+const ADDRESS = '2b3bb4c683bfc5239b029131eef3b1d214478d93';
+const PLACEHOLDER = `__$${'a1'.repeat(17)}$__`;
+const VALUE = '00000000000000000000000000000000000000000000000000000000000004d2';
+
+// the creation bytecode of the runtime code given, and the code deployed from it
+const compare = ({ runtime, deployed }) =>
+	compareCode({ bytecode: `0x${CONSTRUCTOR}${runtime}`, code: `0x${deployed}` });
+
+describe('detect-drift', () => {
+	describe('compareCode', () => {
+		it('matches the code deployed from the end of the creation bytecode', () => {
+			const runtime = `${PREAMBLE}600435`;
+			assert.strictEqual(compare({ runtime, deployed: runtime }).status, 'match');
+		});
+
+		it('reports code that differs, is missing, or is longer than the bytecode', () => {
+			const runtime = `${PREAMBLE}600435`;
+			assert.strictEqual(compare({ runtime, deployed: `${PREAMBLE}600535` }).status, 'mismatch');
+			assert.strictEqual(compare({ runtime, deployed: '' }).status, 'missing');
+			assert.strictEqual(
+				compare({ runtime, deployed: `${CONSTRUCTOR}${runtime}00` }).status,
+				'mismatch'
+			);
+		});
+
+		describe('linked libraries', () => {
+			const runtime = `${PREAMBLE}73${PLACEHOLDER}5af4`;
+
+			it('ignores the address a library placeholder was linked to', () => {
+				assert.strictEqual(
+					compare({ runtime, deployed: `${PREAMBLE}73${ADDRESS}5af4` }).status,
+					'match'
+				);
+			});
+
+			it('still reports a difference next to a placeholder', () => {
+				assert.strictEqual(
+					compare({ runtime, deployed: `${PREAMBLE}73${ADDRESS}5af1` }).status,
+					'mismatch'
+				);
+			});
+		});
+
+		describe('immutables', () => {
+			const runtime = `${PREAMBLE}7f${'0'.repeat(64)}600052`;
+
+			it('ignores the value of a zeroed PUSH32 set in the constructor', () => {
+				assert.strictEqual(
+					compare({ runtime, deployed: `${PREAMBLE}7f${VALUE}600052` }).status,
+					'match'
+				);
+			});
+
+			it('keeps the PUSH32 opcode itself and any PUSH32 of a constant', () => {
+				assert.strictEqual(
+					compare({ runtime, deployed: `${PREAMBLE}7e${VALUE}600052` }).status,
+					'mismatch'
+				);
+				assert.strictEqual(
+					compare({
+						runtime: `${PREAMBLE}7f${VALUE}600052`,
+						deployed: `${PREAMBLE}7f${'0'.repeat(63)}1600052`,
+					}).status,
+					'mismatch'
+				);
+			});
+
+			it('only masks a PUSH32 on a byte boundary', () => {
+				// a 7f that straddles two bytes is not an opcode
+				const straddling = `${PREAMBLE}17f${'0'.repeat(64)}0`;
+				assert.strictEqual(
+					compare({ runtime: straddling, deployed: `${PREAMBLE}17f${VALUE}0` }).status,
+					'mismatch'
+				);
+			});
+		});
+
+		describe('libraries', () => {
+			const runtime = `73${'0'.repeat(40)}3014${PREAMBLE}`;
+
+			it('ignores the address a library embeds of itself when deployed', () => {
+				const result = compare({ runtime, deployed: `73${ADDRESS}3014${PREAMBLE}` });
+				assert.strictEqual(result.status, 'match');
+				assert.strictEqual(result.library, true);
+			});
+
+			it('still reports a difference in the rest of a library', () => {
+				const result = compare({ runtime, deployed: `73${ADDRESS}3014${PREAMBLE.slice(0, -2)}53` });
+				assert.strictEqual(result.status, 'mismatch');
+			});
+
+			it('does not treat a contract as a library', () => {
+				const contract = `${PREAMBLE}73${'0'.repeat(40)}3014`;
+				const result = compare({
+					runtime: contract,
+					deployed: `${PREAMBLE}73${ADDRESS}3014`,
+				});
+				assert.strictEqual(result.library, false);
+				assert.strictEqual(result.status, 'mismatch');
+			});
+		});
+	});
+});
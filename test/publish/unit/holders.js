@@ -0,0 +1,163 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ethers = require('ethers');
+
+const {
+	getTribeHolders,
+	balancesFromTransfers,
+} = require('../../../publish/src/command-utils/holders');
+const Multicall = require('../../../publish/src/Multicall');
+
+const TRIBE_ABI = ['event Transfer(address indexed from, address indexed to, uint256 value)'];
+const TOKEN_STATE_ABI = ['function balanceOf(address) view returns (uint256)'];
+const tribe = new ethers.utils.Interface(TRIBE_ABI);
+const tokenState = new ethers.utils.Interface(TOKEN_STATE_ABI);
+
+const PROXY = '0x57Ab1ec28D129707052df4dF418D58a2D46d5f51';
+const OLD_PROXY = '0x57Ab1E02fEE23774580C119740129eAC7081e9D3';
+const TOKEN_STATE = '0x05a9CBe762B36632b3594DA4F082340E0e5343e8';
+const ALICE = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const BOB = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+const CAROL = '0x90F79bf6EB2c4f870365E785982E1f101E93b906';
+const { AddressZero } = ethers.constants;
+
+const transferOf = ({ address, blockNumber, logIndex = 0, from, to, value }) =>
+	Object.assign(
+		{
+			address,
+			blockNumber,
+			logIndex,
+			transactionHash: ethers.utils.id(`${blockNumber}.${logIndex}`),
+		},
+		tribe.encodeEventLog(tribe.getEvent('Transfer'), [from, to, value])
+	);
+
+// a node with the logs given, where TokenState has the balances given and Multicall3 is not deployed
+const fakeProvider = ({ logs, balances }) => ({
+	_isProvider: true,
+	getBlockNumber: async () => 100,
+	getCode: async address => (address === Multicall.DEFAULTS.address ? '0x' : '0x1'),
+	getLogs: async ({ address, fromBlock, toBlock }) =>
+		logs.filter(
+			log => log.address === address && log.blockNumber >= fromBlock && log.blockNumber <= toBlock
+		),
+	call: async ({ to, data }) => {
+		assert.strictEqual(to, TOKEN_STATE);
+		const [account] = tokenState.decodeFunctionData('balanceOf', data);
+		return tokenState.encodeFunctionResult('balanceOf', [balances[account] || 0]);
+	},
+});
+
+describe('holders', () => {
+	describe('balancesFromTransfers', () => {
+		it('counts issues and burns as transfers from and to no one', () => {
+			const transfers = [
+				{ args: { from: AddressZero, to: ALICE, value: '100' } },
+				{ args: { from: ALICE, to: BOB, value: '30' } },
+				{ args: { from: BOB, to: AddressZero, value: '30' } },
+			];
+			const balances = balancesFromTransfers({ transfers });
+			assert.deepStrictEqual(Object.keys(balances), [ALICE, BOB]);
+			assert.strictEqual(balances[ALICE].toString(), '70');
+			assert.strictEqual(balances[BOB].toString(), '0');
+		});
+	});
+
+	describe('getTribeHolders', () => {
+		let deploymentPath;
+
+		// hUSD, whose proxies share an address, and which had another proxy in a past release
+		const logs = [
+			transferOf({ address: OLD_PROXY, blockNumber: 3, from: AddressZero, to: ALICE, value: 50 }),
+			transferOf({ address: PROXY, blockNumber: 10, from: AddressZero, to: ALICE, value: 100 }),
+			transferOf({ address: PROXY, blockNumber: 11, from: ALICE, to: BOB, value: 60 }),
+			transferOf({ address: PROXY, blockNumber: 12, from: BOB, to: CAROL, value: 60 }),
+		];
+
+		beforeEach(() => {
+			deploymentPath = fs.mkdtempSync(path.join(os.tmpdir(), 'holders-'));
+			fs.writeFileSync(
+				path.join(deploymentPath, 'deployment.json'),
+				JSON.stringify({
+					targets: {
+						ProxyhUSD: { address: PROXY, source: 'Proxy' },
+						ProxyERC20hUSD: { address: PROXY, source: 'ProxyERC20' },
+						TokenStatehUSD: { address: TOKEN_STATE, source: 'TokenState' },
+					},
+					sources: { Tribeone: { abi: TRIBE_ABI }, TokenState: { abi: TOKEN_STATE_ABI } },
+				})
+			);
+			fs.writeFileSync(
+				path.join(deploymentPath, 'versions.json'),
+				JSON.stringify({
+					'v2.0': { contracts: { ProxyhUSD: { address: OLD_PROXY, status: 'replaced' } } },
+				})
+			);
+		});
+
+		afterEach(() => {
+			fs.rmSync(deploymentPath, { recursive: true, force: true });
+		});
+
+		const holdersWith = ({ balances, proxyAddress }) =>
+			getTribeHolders({
+				network: 'local',
+				deploymentPath,
+				provider: fakeProvider({ logs, balances }),
+				currencyKey: 'hUSD',
+				proxyAddress,
+			}).then(holders => holders.map(({ address, balance }) => [address, balance.toString()]));
+
+		// what is logged while running fnc
+		const logsOf = async fnc => {
+			const log = console.log;
+			const lines = [];
+			console.log = (...args) => lines.push(args.join(' '));
+			try {
+				await fnc();
+			} finally {
+				console.log = log;
+			}
+			return lines;
+		};
+
+		it('finds the holders through every proxy, counting each transfer once, the largest first', async () => {
+			let holders;
+			const lines = await logsOf(async () => {
+				holders = await holdersWith({ balances: { [ALICE]: 90, [CAROL]: 60 } });
+			});
+			assert.deepStrictEqual(holders, [
+				[ALICE, '90'],
+				[CAROL, '60'],
+			]);
+			// the balances rebuilt from the transfers are those of the TokenState
+			assert.ok(!lines.some(line => /differ/.test(line)), lines.join('\n'));
+		});
+
+		it('uses the balances of the TokenState where they differ from the transfers', async () => {
+			let holders;
+			const lines = await logsOf(async () => {
+				holders = await holdersWith({ balances: { [ALICE]: 10, [BOB]: 5, [CAROL]: 60 } });
+			});
+			assert.deepStrictEqual(holders, [
+				[CAROL, '60'],
+				[ALICE, '10'],
+				[BOB, '5'],
+			]);
+			assert.ok(lines.some(line => /2 balances rebuilt from the transfers differ/.test(line)));
+		});
+
+		it('only reads the transfers through the proxy address given', async () => {
+			const holders = await holdersWith({
+				balances: { [ALICE]: 90, [CAROL]: 60 },
+				proxyAddress: OLD_PROXY,
+			});
+			// only Alice received through the old proxy
+			assert.deepStrictEqual(holders, [[ALICE, '90']]);
+		});
+	});
+});
@@ -0,0 +1,464 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ethers = require('ethers');
+
+const {
+	constants: { CREATE2_FACTORY_ADDRESS },
+	decode,
+	decodeRecursive,
+	getCreate2Address,
+	getCreate2Salt,
+	getProxiedContract,
+	getSource,
+	getTarget,
+	getTargetByAddress,
+} = require('../../..');
+
+const { formatBytes32String, hexConcat, hexDataLength, solidityPack } = ethers.utils;
+
+const SAFE = '0xEb3107117FEAd7de89Cd14D463D340A2E6917769';
+const MULTI_SEND = '0x40A2aCCbd92BCA938b02010E17A5b8929b49130D';
+const DS_PROXY = '0x2B3bb4c683BFc5239B029131EEf3B1d214478d93';
+const PROXY_ADDRESS = '0xb440DD674e1243644791a4AdfE3A2AbB0A92d309';
+
+const iface = signatures => new ethers.utils.Interface(signatures);
+const safe = iface([
+	'function execTransaction(address to, uint256 value, bytes data, uint8 operation, uint256 safeTxGas, uint256 baseGas, uint256 gasPrice, address gasToken, address refundReceiver, bytes signatures)',
+]);
+const multiSend = iface(['function multiSend(bytes transactions)']);
+const dsProxy = iface(['function execute(address target, bytes data) payable returns (bytes)']);
+
+// the calldata of a call to the contract of the deployment, and where it is
+const callTo = ({ network = 'mainnet', contract, method, args }) => {
+	const { address, source } = getTarget({ network, contract });
+	const { abi } = getSource({ network, contract: source });
+	return { to: address, data: iface(abi).encodeFunctionData(method, args) };
+};
+
+// the transactions as a MultiSend packs them
+const pack = transactions =>
+	hexConcat(
+		transactions.map(({ operation = 0, to, value = 0, data }) =>
+			solidityPack(
+				['uint8', 'address', 'uint256', 'uint256', 'bytes'],
+				[operation, to, value, hexDataLength(data), data]
+			)
+		)
+	);
+
+const execTransaction = ({ to, data, operation }) =>
+	safe.encodeFunctionData('execTransaction', [
+		to,
+		0,
+		data,
+		operation,
+		0,
+		0,
+		0,
+		ethers.constants.AddressZero,
+		ethers.constants.AddressZero,
+		'0x',
+	]);
+
+// the tree of the calls by contract and method
+const shapeOf = ({ network, contract, operation, method, calls }) =>
+	Object.assign(
+		{ call: `${operation ? `${operation} ` : ''}${contract}.${method.name} on ${network}` },
+		calls ? { calls: calls.map(shapeOf) } : {}
+	);
+
+describe('index', () => {
+	describe('decodeRecursive', () => {
+		// the issuance ratio set on L1, and the exchange fee of hETH on L2 from its SystemSettings
+		// of a past release, relayed by the OwnerRelayOnEthereum
+		const setIssuanceRatio = callTo({
+			contract: 'SystemSettings',
+			method: 'setIssuanceRatio',
+			args: ['250000000000000000'],
+		});
+		const oldSystemSettings = '0x8454190C164e52664Af2c9C24ab58c4e14D6bbE4';
+		const setExchangeFeeRate = callTo({
+			network: 'mainnet-ovm',
+			contract: 'SystemSettings',
+			method: 'setExchangeFeeRateForTribes',
+			args: [[formatBytes32String('hETH')], [5]],
+		});
+		const relay = callTo({
+			contract: 'OwnerRelayOnEthereum',
+			method: 'initiateRelayBatch',
+			args: [[oldSystemSettings], [setExchangeFeeRate.data], 5e6],
+		});
+		const batch = multiSend.encodeFunctionData('multiSend', [
+			pack([Object.assign({ value: 7 }, setIssuanceRatio), relay]),
+		]);
+
+		it('decodes a Safe transaction of a MultiSend, down to the calls relayed to L2', () => {
+			const decoded = decodeRecursive({
+				network: 'mainnet',
+				data: execTransaction({ to: MULTI_SEND, data: batch, operation: 1 }),
+				target: SAFE,
+			});
+
+			assert.deepStrictEqual(shapeOf(decoded), {
+				call: 'GnosisSafe.execTransaction on mainnet',
+				calls: [
+					{
+						call: 'DelegateCall MultiSend.multiSend on mainnet',
+						calls: [
+							{ call: 'Call SystemSettings.setIssuanceRatio on mainnet' },
+							{
+								call: 'Call OwnerRelayOnEthereum.initiateRelayBatch on mainnet',
+								calls: [{ call: 'SystemSettings.setExchangeFeeRateForTribes on mainnet-ovm' }],
+							},
+						],
+					},
+				],
+			});
+
+			const [ratio, relayed] = decoded.calls[0].calls;
+			assert.strictEqual(ratio.value, '7');
+			assert.deepStrictEqual(ratio.method.params[0].enhanced, {
+				bp: '2500',
+				decimal: '0',
+				number: '250,000,000,000,000,000',
+			});
+
+			// the payloads are marked as decoded in the calls
+			assert.deepStrictEqual(
+				relayed.method.params.map(({ name, decodedInCalls }) => [name, !!decodedInCalls]),
+				[
+					['targets', false],
+					['payloads', true],
+					['crossDomainGasLimit', false],
+				]
+			);
+
+			// the L2 contract is found at its address of a past release
+			const [feeRate] = relayed.calls;
+			assert.strictEqual(feeRate.to, oldSystemSettings);
+			assert.deepStrictEqual(feeRate.version, {
+				tag: 'v1.0.7-alpha',
+				release: 'Castor OVM',
+				status: 'replaced',
+			});
+			assert.deepStrictEqual(feeRate.method.params[0].value, [
+				{
+					original: formatBytes32String('hETH'),
+					enhanced: { ascii: 'hETH' },
+				},
+			]);
+		});
+
+		it('decodes what a proxy executes', () => {
+			const decoded = decodeRecursive({
+				network: 'mainnet',
+				data: dsProxy.encodeFunctionData('execute', [MULTI_SEND, batch]),
+				target: DS_PROXY,
+			});
+			assert.strictEqual(decoded.contract, 'DSProxy');
+			assert.strictEqual(decoded.calls[0].operation, 'DelegateCall');
+			assert.strictEqual(decoded.calls[0].contract, 'MultiSend');
+			assert.strictEqual(decoded.calls[0].calls.length, 2);
+		});
+
+		it('names a migration by the owner action that runs it', () => {
+			const migration = '0x1C3dBf6F1cB0e2b3b38c6A87A5FFbE14c6aB3B33';
+			const ownerActions = {
+				'Migration_Diphda.migrate()': {
+					target: migration,
+					action: 'Migration_Diphda.migrate()',
+				},
+			};
+			// the files of the repo, with the owner action pending on mainnet
+			const withOwnerActions = Object.assign({}, fs, {
+				readFileSync: (file, ...args) =>
+					file ===
+					path.join(__dirname, '..', '..', '..', 'publish/deployed/mainnet/owner-actions.json')
+						? JSON.stringify(ownerActions)
+						: fs.readFileSync(file, ...args),
+			});
+			const data = iface(['function migrate()']).encodeFunctionData('migrate', []);
+
+			const decoded = decodeRecursive({
+				network: 'mainnet',
+				fs: withOwnerActions,
+				path,
+				data,
+				target: migration,
+			});
+			assert.strictEqual(decoded.contract, 'Migration_Diphda');
+			assert.strictEqual(decoded.method.signature, 'migrate()');
+
+			// and generically without it
+			assert.strictEqual(
+				decodeRecursive({ network: 'mainnet', data, target: SAFE }).contract,
+				'Migration'
+			);
+		});
+
+		it('leaves the data of calls it cannot decode, and stops at the depth given', () => {
+			assert.deepStrictEqual(
+				decodeRecursive({ network: 'mainnet', data: '0x12345678', target: SAFE }),
+				{
+					network: 'mainnet',
+					to: SAFE,
+					value: '0',
+					data: '0x12345678',
+				}
+			);
+
+			const decoded = decodeRecursive({
+				network: 'mainnet',
+				data: batch,
+				target: MULTI_SEND,
+				maxDepth: 1,
+			});
+			assert.ok(!decoded.calls[1].calls);
+		});
+	});
+
+	describe('decode', () => {
+		// a tuple argument, of a contract's function
+		const { to, data } = callTo({
+			contract: 'CollateralStateEth',
+			method: 'updateLoan',
+			args: [[1, SAFE, 2, formatBytes32String('hUSD'), 3, false, 4, 5, 6]],
+		});
+
+		it('gives the values of tuples in an array, by name', () => {
+			const [{ value }] = decode({
+				network: 'mainnet',
+				data,
+				target: to,
+				enhanceDecode: true,
+			}).method.params;
+			assert.ok(Array.isArray(value));
+			assert.strictEqual(value.account, SAFE);
+			assert.deepStrictEqual(value.currency.enhanced, { ascii: 'hUSD' });
+		});
+
+		it('which decodeRecursive gives as an object', () => {
+			const [{ value }] = decodeRecursive({ network: 'mainnet', data, target: to }).method.params;
+			assert.ok(!Array.isArray(value));
+			assert.strictEqual(value.short, false);
+			assert.deepStrictEqual(value.currency.enhanced, { ascii: 'hUSD' });
+		});
+	});
+
+	describe('getTargetByAddress', () => {
+		let deploymentPath;
+
+		const FEE_POOL = '0x83105D7CDd2fd9b8185BFF1cb56bB1595a618618';
+		const OLD_FEE_POOL = '0xc43b833F93C3896472dED3EfF73311f571e38742';
+		const PROXY = '0xb440DD674e1243644791a4AdfE3A2AbB0A92d309';
+
+		const targetAt = address =>
+			getTargetByAddress({ network: 'local', fs, path, deploymentPath, address });
+
+		beforeEach(() => {
+			deploymentPath = fs.mkdtempSync(path.join(os.tmpdir(), 'targets-'));
+			fs.writeFileSync(
+				path.join(deploymentPath, 'deployment.json'),
+				JSON.stringify({
+					targets: {
+						FeePool: { name: 'FeePool', address: FEE_POOL, source: 'FeePool' },
+						ProxyFeePool: { name: 'ProxyFeePool', address: PROXY, source: 'Proxy' },
+					},
+					sources: {},
+				})
+			);
+		});
+
+		afterEach(() => {
+			fs.rmSync(deploymentPath, { recursive: true, force: true });
+		});
+
+		describe('with the versions of the deployment', () => {
+			beforeEach(() => {
+				fs.writeFileSync(
+					path.join(deploymentPath, 'versions.json'),
+					JSON.stringify({
+						'v1.0': {
+							tag: 'v1.0',
+							release: 'Alpha',
+							date: '2022-01-01',
+							commit: 'abc',
+							contracts: {
+								FeePool: { address: OLD_FEE_POOL, status: 'replaced', replaced_in: 'v2.0' },
+								ProxyFeePool: { address: PROXY, status: 'current' },
+							},
+						},
+						'v2.0': {
+							tag: 'v2.0',
+							release: 'Beta',
+							date: '2022-02-01',
+							commit: 'def',
+							contracts: {
+								FeePool: { address: FEE_POOL, status: 'current' },
+								// the same address listed under another name
+								Proxy: { address: PROXY, status: 'current' },
+							},
+						},
+					})
+				);
+			});
+
+			it('gives a current target, in any case, with the version it was deployed in', () => {
+				assert.deepStrictEqual(targetAt(FEE_POOL.toLowerCase()), {
+					name: 'FeePool',
+					address: FEE_POOL,
+					source: 'FeePool',
+					status: 'current',
+					tag: 'v2.0',
+					release: 'Beta',
+					date: '2022-02-01',
+					commit: 'def',
+				});
+			});
+
+			it('gives a replaced address as the contract it was, with its current source', () => {
+				assert.deepStrictEqual(targetAt(OLD_FEE_POOL), {
+					name: 'FeePool',
+					address: OLD_FEE_POOL,
+					source: 'FeePool',
+					status: 'replaced',
+					tag: 'v1.0',
+					release: 'Alpha',
+					date: '2022-01-01',
+					commit: 'abc',
+					replacedIn: 'v2.0',
+				});
+			});
+
+			it('prefers the current name of an address listed under others', () => {
+				const { name, tag } = targetAt(PROXY);
+				assert.strictEqual(name, 'ProxyFeePool');
+				assert.strictEqual(tag, 'v1.0');
+			});
+
+			it('gives nothing for an address never deployed, and is what getTarget gives for an address', () => {
+				assert.strictEqual(targetAt(SAFE), undefined);
+				assert.deepStrictEqual(
+					getTarget({ network: 'local', fs, path, deploymentPath, address: OLD_FEE_POOL }),
+					targetAt(OLD_FEE_POOL)
+				);
+			});
+		});
+
+		it('finds the current targets of a deployment without versions', () => {
+			assert.deepStrictEqual(targetAt(FEE_POOL), {
+				name: 'FeePool',
+				address: FEE_POOL,
+				source: 'FeePool',
+				status: 'current',
+			});
+			assert.strictEqual(targetAt(OLD_FEE_POOL), undefined);
+		});
+
+		it('reads the deployments published with the package without fs and path', () => {
+			const { name, status, tag } = getTargetByAddress({
+				network: 'mainnet',
+				useOvm: true,
+				address: '0x8454190C164e52664Af2c9C24ab58c4e14D6bbE4',
+			});
+			assert.deepStrictEqual([name, status, tag], ['SystemSettings', 'replaced', 'v1.0.7-alpha']);
+		});
+	});
+
+	describe('getProxiedContract', () => {
+		const targets = {
+			FeePool: {},
+			TribehUSD: {},
+			Tribeone: {},
+			SystemSettings: {},
+		};
+		const proxiedBy = name => getProxiedContract({ name, targets });
+
+		it('gives the contract a proxy forwards to by its name', () => {
+			assert.deepStrictEqual(
+				[
+					'ProxyFeePool',
+					'ProxyhUSD',
+					'ProxyERC20hUSD',
+					'ProxyERC20',
+					'Proxy',
+					'ReadProxySystemSettings',
+				].map(proxiedBy),
+				['FeePool', 'TribehUSD', 'TribehUSD', 'Tribeone', 'Tribeone', 'SystemSettings']
+			);
+		});
+
+		it('gives nothing for other contracts or proxies of contracts not deployed', () => {
+			assert.deepStrictEqual(['FeePool', 'ProxyhETH', 'ReadProxyAddressResolver'].map(proxiedBy), [
+				undefined,
+				undefined,
+				undefined,
+			]);
+		});
+	});
+
+	describe('getCreate2Address', () => {
+		const owner = '0x99F4176EE457afedFfCB1839c7aB7A030a5e4A92';
+		// the bytecode and abi of the source as deployed
+		const compiled = contract => {
+			const { bytecode, abi } = getSource({ network: 'mainnet', contract });
+			return { bytecode, abi };
+		};
+		const proxy = Object.assign(compiled('Proxy'), {
+			name: 'ProxyTribeone',
+			release: 'Diphda',
+			args: [owner],
+		});
+
+		it('gives the address of a proxy deployed through the factory', () => {
+			const { address, salt, initCodeHash } = getCreate2Address(proxy);
+			assert.strictEqual(address, '0x33341CA3c8D6352EeDFbe7C988fCd161f8A493B4');
+			assert.strictEqual(salt, ethers.utils.id('Diphda:ProxyTribeone'));
+
+			// as ethers computes it from the deploy transaction
+			const initCode = new ethers.ContractFactory(proxy.abi, proxy.bytecode).getDeployTransaction(
+				owner
+			).data;
+			assert.strictEqual(initCodeHash, ethers.utils.keccak256(initCode));
+			assert.strictEqual(
+				address,
+				ethers.utils.getCreate2Address(CREATE2_FACTORY_ADDRESS, salt, initCodeHash)
+			);
+		});
+
+		it('differs by release and constructor args', () => {
+			const { address } = getCreate2Address(proxy);
+			const others = [
+				Object.assign({}, proxy, { release: 'Elnath' }),
+				Object.assign({}, proxy, { args: [MULTI_SEND] }),
+			].map(entry => getCreate2Address(entry).address);
+			assert.ok(!others.includes(address));
+			assert.notStrictEqual(others[0], others[1]);
+		});
+
+		it('requires the libraries of the bytecode to be linked', () => {
+			const feePool = Object.assign(compiled('FeePool'), {
+				name: 'FeePool',
+				release: 'Diphda',
+				args: [PROXY_ADDRESS, owner, PROXY_ADDRESS],
+			});
+			assert.throws(() => getCreate2Address(feePool), /FeePool has libraries left to link/);
+
+			const { address } = getCreate2Address(
+				Object.assign({ libraries: { SafeDecimalMath: DS_PROXY } }, feePool)
+			);
+			assert.ok(ethers.utils.isAddress(address));
+		});
+
+		it('salts with both the name and the release', () => {
+			assert.throws(
+				() => getCreate2Salt({ name: 'FeePool' }),
+				/Both the contract name and the release/
+			);
+		});
+	});
+});
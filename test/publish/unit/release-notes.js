@@ -0,0 +1,104 @@
+'use strict';
+
+const assert = require('assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { ownerActionsOfRelease } = require('../../../publish/src/commands/release-notes');
+
+const TARGET = '0x05a9CBe762B36632b3594DA4F082340E0e5343e8';
+
+const action = ({ complete, executedIn }) =>
+	Object.assign({ target: TARGET, data: '0x1234', complete }, executedIn ? { executedIn } : {});
+
+describe('release-notes', () => {
+	describe('ownerActionsOfRelease', () => {
+		let folder;
+		let deploymentPath;
+		const commits = [];
+
+		const git = (...args) =>
+			execFileSync(
+				'git',
+				['-C', folder, '-c', 'user.name=test', '-c', 'user.email=test@test'].concat(args)
+			)
+				.toString()
+				.trim();
+
+		// commit the owner actions file as given
+		const commit = ownerActions => {
+			fs.writeFileSync(
+				path.join(deploymentPath, 'owner-actions.json'),
+				JSON.stringify(ownerActions)
+			);
+			git('add', '-A');
+			git('commit', '-q', '-m', `owner actions ${commits.length}`);
+			commits.push(git('rev-parse', 'HEAD'));
+		};
+
+		const keysOf = async options =>
+			(
+				await ownerActionsOfRelease(Object.assign({ network: 'mainnet', deploymentPath }, options))
+			).map(({ key }) => key);
+
+		before(() => {
+			folder = fs.mkdtempSync(path.join(os.tmpdir(), 'release-notes-'));
+			deploymentPath = path.join(folder, 'deployed');
+			fs.mkdirSync(deploymentPath);
+			git('init', '-q');
+			// a version without an owner actions file
+			fs.writeFileSync(path.join(deploymentPath, 'deployment.json'), '{}');
+			git('add', '-A');
+			git('commit', '-q', '-m', 'deployment');
+			commits.push(git('rev-parse', 'HEAD'));
+
+			commit({ 'A.accept()': action({ complete: true }), 'B.set()': action({ complete: false }) });
+			commit({
+				'A.accept()': action({ complete: true }),
+				'B.set()': action({ complete: true, executedIn: '0xb' }),
+				'C.set()': action({ complete: true }),
+				'D.set()': action({ complete: false }),
+			});
+			// completed after the version was committed
+			fs.writeFileSync(
+				path.join(deploymentPath, 'owner-actions.json'),
+				JSON.stringify({ 'D.set()': action({ complete: true }) })
+			);
+		});
+
+		after(() => {
+			fs.rmSync(folder, { recursive: true, force: true });
+		});
+
+		it('lists the actions completed between the versions', async () => {
+			assert.deepStrictEqual(await keysOf({ fromRef: commits[1], toRef: commits[2] }), [
+				'B.set()',
+				'C.set()',
+			]);
+		});
+
+		it('gives where each was executed', async () => {
+			const actions = await ownerActionsOfRelease({
+				network: 'mainnet',
+				deploymentPath,
+				toRef: commits[2],
+			});
+			const { executedIn } = actions.find(({ key }) => key === 'B.set()');
+			assert.strictEqual(executedIn, '0xb');
+		});
+
+		it('lists every action completed at the first version, and none before the file existed', async () => {
+			assert.deepStrictEqual(await keysOf({ toRef: commits[1] }), ['A.accept()']);
+			assert.deepStrictEqual(await keysOf({ fromRef: commits[0], toRef: commits[1] }), [
+				'A.accept()',
+			]);
+			assert.deepStrictEqual(await keysOf({ toRef: commits[0] }), []);
+		});
+
+		it('reads the working tree when the version has no commit', async () => {
+			assert.deepStrictEqual(await keysOf({ fromRef: commits[2] }), ['D.set()']);
+		});
+	});
+});
@@ -0,0 +1,303 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ethers = require('ethers');
+
+const { tribeStatus, planNextStage } = require('../../../publish/src/commands/tribes');
+const Multicall = require('../../../publish/src/Multicall');
+
+const ABIS = {
+	Issuer: ['function tribes(bytes32) view returns (address)'],
+	ExchangeRates: [
+		'function aggregators(bytes32) view returns (address)',
+		'function effectiveValue(bytes32, uint256, bytes32) view returns (uint256)',
+	],
+	SystemStatus: ['function tribeSuspension(bytes32) view returns (bool suspended, uint248 reason)'],
+	Tribe: [
+		'function totalSupply() view returns (uint256)',
+		'event Transfer(address indexed from, address indexed to, uint256 value)',
+	],
+	TokenState: ['function balanceOf(address) view returns (uint256)'],
+};
+const interfaces = Object.entries(ABIS).reduce(
+	(memo, [name, abi]) => Object.assign(memo, { [name]: new ethers.utils.Interface(abi) }),
+	{}
+);
+
+const ADDRESSES = {
+	Issuer: '0x1000000000000000000000000000000000000001',
+	ExchangeRates: '0x1000000000000000000000000000000000000002',
+	SystemStatus: '0x1000000000000000000000000000000000000003',
+	Tribe: '0x1000000000000000000000000000000000000004',
+	Proxy: '0x1000000000000000000000000000000000000005',
+	TokenState: '0x1000000000000000000000000000000000000006',
+};
+const FEED = '0x2000000000000000000000000000000000000001';
+const { AddressZero } = ethers.constants;
+
+const holderAt = i => ethers.utils.getAddress(`0x${(0x3000 + i).toString(16).padStart(40, '0')}`);
+
+// a node where the Issuer, ExchangeRates and the tribe answer as given, its holders having received
+// their balances from transfers through the proxy, and where Multicall3 is not deployed
+const fakeProvider = ({ inIssuer, aggregator = AddressZero, totalSupply = 0, holders = [] }) => {
+	const results = {
+		[ADDRESSES.Issuer]: { tribes: () => (inIssuer ? ADDRESSES.Tribe : AddressZero) },
+		[ADDRESSES.ExchangeRates]: {
+			aggregators: () => aggregator,
+			effectiveValue: ([, amount]) => amount,
+		},
+		[ADDRESSES.SystemStatus]: { tribeSuspension: () => [false, 0] },
+		[ADDRESSES.Tribe]: { totalSupply: () => totalSupply },
+		[ADDRESSES.TokenState]: { balanceOf: () => 1 },
+	};
+	const names = Object.keys(ADDRESSES).reduce(
+		(memo, name) => Object.assign(memo, { [ADDRESSES[name]]: name }),
+		{}
+	);
+	const tribe = interfaces.Tribe;
+	return {
+		_isProvider: true,
+		getBlockNumber: async () => 100,
+		getCode: async address => (address === Multicall.DEFAULTS.address ? '0x' : '0x1'),
+		getLogs: async ({ address, fromBlock }) =>
+			address === ADDRESSES.Proxy && fromBlock <= 10
+				? holders.map((holder, logIndex) =>
+						Object.assign(
+							{
+								address,
+								blockNumber: 10,
+								logIndex,
+								transactionHash: ethers.utils.id(`10.${logIndex}`),
+							},
+							tribe.encodeEventLog(tribe.getEvent('Transfer'), [AddressZero, holder, 1])
+						)
+				  )
+				: [],
+		call: async ({ to, data }) => {
+			const contract = interfaces[names[to]];
+			const fragment = contract.getFunction(data.slice(0, 10));
+			const result = results[to][fragment.name](contract.decodeFunctionData(fragment, data));
+			return contract.encodeFunctionResult(fragment, [].concat(result));
+		},
+	};
+};
+
+describe('tribes', () => {
+	let deploymentPath;
+
+	const write = (file, content) =>
+		fs.writeFileSync(path.join(deploymentPath, file), JSON.stringify(content));
+
+	// the deployment files of mainnet where hBTC is listed and deployed as the given source, unless not
+	const deploy = ({ listed = true, source, wasDeployed }) => {
+		write(
+			'tribes.json',
+			[{ name: 'hUSD', asset: 'USD' }].concat(
+				listed ? { name: 'hBTC', asset: 'BTC', subclass: 'MultiCollateralTribe' } : []
+			)
+		);
+		write('feeds.json', { BTC: { asset: 'BTC', feed: FEED } });
+		const targets = ['Issuer', 'ExchangeRates', 'SystemStatus'].reduce(
+			(memo, name) => Object.assign(memo, { [name]: { address: ADDRESSES[name], source: name } }),
+			{}
+		);
+		if (source) {
+			Object.assign(targets, {
+				TribehBTC: { address: ADDRESSES.Tribe, source },
+				ProxyhBTC: { address: ADDRESSES.Proxy, source: 'Proxy' },
+				TokenStatehBTC: { address: ADDRESSES.TokenState, source: 'TokenState' },
+			});
+		}
+		const sources = Object.assign(
+			{
+				Tribeone: { abi: ABIS.Tribe },
+				Proxy: { abi: [] },
+				[source || 'MultiCollateralTribe']: { abi: ABIS.Tribe },
+			},
+			['Issuer', 'ExchangeRates', 'SystemStatus', 'TokenState'].reduce(
+				(memo, name) => Object.assign(memo, { [name]: { abi: ABIS[name] } }),
+				{}
+			)
+		);
+		write('deployment.json', { targets, sources });
+		write(
+			'versions.json',
+			wasDeployed
+				? { 'v2.0': { contracts: { TribehBTC: { address: ADDRESSES.Tribe, status: 'current' } } } }
+				: {}
+		);
+	};
+
+	// the status of hBTC, or of the currency key given
+	const statusOf = ({ currencyKey = 'hBTC', provider = fakeProvider({}) } = {}) =>
+		quietly(() => tribeStatus({ currencyKey, network: 'mainnet', deploymentPath, provider }));
+
+	const planOf = ({ status, options = {} }) =>
+		quietly(() =>
+			planNextStage({
+				status,
+				network: 'mainnet',
+				deploymentPath,
+				options: Object.assign(
+					{ subclass: 'MultiCollateralTribe', addresses: [], batchSize: 2, transaction: {} },
+					options
+				),
+			})
+		);
+
+	const descriptionsOf = ({ steps }) => steps.map(({ description }) => description);
+
+	// run without what the commands log
+	const quietly = async fnc => {
+		const log = console.log;
+		console.log = () => {};
+		try {
+			return await fnc();
+		} finally {
+			console.log = log;
+		}
+	};
+
+	beforeEach(() => {
+		deploymentPath = fs.mkdtempSync(path.join(os.tmpdir(), 'tribes-'));
+		write('config.json', {});
+		write('params.json', []);
+		write('rewards.json', []);
+		write('shorting-rewards.json', []);
+		write('futures-markets.json', []);
+		write('perpsv2-markets.json', []);
+		write('offchain-feeds.json', {});
+	});
+
+	afterEach(() => {
+		fs.rmSync(deploymentPath, { recursive: true, force: true });
+	});
+
+	describe('when the tribe is not in tribes.json', () => {
+		it('is unlisted, needing its asset to be added and deployed', async () => {
+			deploy({ listed: false });
+			const status = await statusOf({ currencyKey: 'hLINK' });
+			assert.strictEqual(status.stage, 'unlisted');
+
+			const blocked = await planOf({ status });
+			assert.deepStrictEqual(blocked.blockers, [
+				'Give the --asset of hLINK to add it to tribes.json',
+			]);
+
+			const plan = await planOf({ status, options: { asset: 'LINK', feed: FEED } });
+			assert.deepStrictEqual(plan.blockers, []);
+			assert.deepStrictEqual(descriptionsOf(plan), [
+				'Add hLINK to tribes.json, as a MultiCollateralTribe of LINK',
+				`Add the feed ${FEED} of LINK to feeds.json`,
+				'Deploy the TokenState, Proxy and Tribe of hLINK, add it to the Issuer and its feed to ExchangeRates',
+			]);
+		});
+
+		it('is removed once it has been deployed', async () => {
+			deploy({ listed: false, wasDeployed: true });
+			const status = await statusOf();
+			assert.strictEqual(status.stage, 'removed');
+			assert.deepStrictEqual((await planOf({ status })).steps, []);
+		});
+	});
+
+	it('is listed when in tribes.json but not deployed, needing only its deploy', async () => {
+		deploy({});
+		const status = await statusOf();
+		assert.strictEqual(status.stage, 'listed');
+		assert.strictEqual(status.feed, FEED);
+		assert.deepStrictEqual(descriptionsOf(await planOf({ status })), [
+			'Deploy the TokenState, Proxy and Tribe of hBTC, add it to the Issuer and its feed to ExchangeRates',
+		]);
+	});
+
+	it('is deployed when not in the Issuer, needing to be added to it along with its feed', async () => {
+		deploy({ source: 'MultiCollateralTribe' });
+		const status = await statusOf({ provider: fakeProvider({ inIssuer: false }) });
+		assert.strictEqual(status.stage, 'deployed');
+		assert.deepStrictEqual(descriptionsOf(await planOf({ status })), [
+			`Issuer.addTribe(${ADDRESSES.Tribe})`,
+			`ExchangeRates.addAggregator(hBTC, ${FEED})`,
+		]);
+
+		const withFeed = await statusOf({
+			provider: fakeProvider({ inIssuer: false, aggregator: FEED }),
+		});
+		assert.deepStrictEqual(descriptionsOf(await planOf({ status: withFeed })), [
+			`Issuer.addTribe(${ADDRESSES.Tribe})`,
+		]);
+	});
+
+	it('is active when in the Issuer, needing its replacement with a PurgeableTribe', async () => {
+		deploy({ source: 'MultiCollateralTribe' });
+		const status = await statusOf({ provider: fakeProvider({ inIssuer: true, aggregator: FEED }) });
+		assert.strictEqual(status.stage, 'active');
+		assert.strictEqual(status.inIssuer, true);
+		const plan = await planOf({ status });
+		assert.deepStrictEqual(descriptionsOf(plan), [
+			'Replace TribehBTC with a PurgeableTribe, keeping its proxy, token state and supply',
+		]);
+		assert.deepStrictEqual(plan.blockers, []);
+	});
+
+	it('cannot deprecate hUSD', async () => {
+		deploy({ source: 'MultiCollateralTribe' });
+		const status = await statusOf({ provider: fakeProvider({ inIssuer: true }) });
+		const plan = await planOf({ status: Object.assign({}, status, { currencyKey: 'hUSD' }) });
+		assert.deepStrictEqual(plan.blockers, ['hUSD cannot be deprecated']);
+	});
+
+	describe('when a PurgeableTribe', () => {
+		it('is deprecated while it has a supply, purging its holders in batches', async () => {
+			deploy({ source: 'PurgeableTribe' });
+			const holders = [0, 1, 2, 3, 4].map(holderAt);
+			const status = await statusOf({
+				provider: fakeProvider({ inIssuer: true, totalSupply: 5, holders }),
+			});
+			assert.strictEqual(status.stage, 'deprecated');
+			assert.deepStrictEqual(status.holders.slice().sort(), holders.slice().sort());
+
+			const plan = await planOf({ status });
+			assert.deepStrictEqual(
+				descriptionsOf(plan).map(description => description.replace(/:.*/, '')),
+				[
+					'Purge 2 holders (batch 1 of 3)',
+					'Purge 2 holders (batch 2 of 3)',
+					'Purge 1 holders (batch 3 of 3)',
+				]
+			);
+
+			// those given are purged rather than those found
+			const given = await planOf({
+				status,
+				options: { addresses: [holderAt(9)], batchSize: 15 },
+			});
+			assert.deepStrictEqual(descriptionsOf(given), [
+				`Purge 1 holders (batch 1 of 1): ${holderAt(9)}`,
+			]);
+		});
+
+		it('is blocked from purging when no holders are known', async () => {
+			deploy({ source: 'PurgeableTribe' });
+			const status = await statusOf({
+				provider: fakeProvider({ inIssuer: true, totalSupply: 5 }),
+			});
+			assert.strictEqual(status.stage, 'deprecated');
+			assert.deepStrictEqual((await planOf({ status })).blockers, [
+				'No holders of hBTC are known, give them with --addresses',
+			]);
+		});
+
+		it('is purged without a supply, needing its removal', async () => {
+			deploy({ source: 'PurgeableTribe' });
+			const status = await statusOf({ provider: fakeProvider({ inIssuer: true }) });
+			assert.strictEqual(status.stage, 'purged');
+			const { steps } = await planOf({ status });
+			assert.strictEqual(steps.length, 1);
+			assert.ok(/^Issuer\.removeTribe\(hBTC\)/.test(steps[0].description));
+		});
+	});
+});
@@ -0,0 +1,101 @@
+'use strict';
+
+const assert = require('assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const { generateTypes } = require('../../../publish/src/commands/generate-types');
+
+const ROOT = path.join(__dirname, '..', '..', '..');
+
+// uses the declarations as a consumer of the package would
+const CONSUMER = `
+import { providers } from 'ethers';
+import { getTarget, getSource, toBytes32, Target } from './index';
+import { getContracts } from './contracts';
+import { Contracts } from './mainnet/types';
+
+const target: Target = getTarget({ network: 'mainnet', contract: 'ProxyERC20' })!;
+const { abi } = getSource({ network: 'mainnet', contract: target.source })!;
+const key: string = toBytes32('hUSD');
+
+const provider = new providers.JsonRpcProvider();
+const contracts = getContracts<Contracts>({ network: 'mainnet', provider });
+export const supply = contracts.Tribeone.totalSupply().then(value => value.add(abi.length));
+export const resolved = getContracts<Contracts>({ network: 'mainnet', provider, useResolver: true }).then(
+	({ Issuer }) => Issuer.address + key
+);
+`;
+
+// fails with what tsc reported
+const tsc = (...files) => {
+	try {
+		return execFileSync(
+			process.execPath,
+			[
+				require.resolve('typescript/bin/tsc'),
+				'--noEmit',
+				'--strict',
+				'--target',
+				'es2019',
+				'--module',
+				'commonjs',
+				'--moduleResolution',
+				'node',
+			].concat(files),
+			{ cwd: ROOT, stdio: ['ignore', 'pipe', 'pipe'] }
+		).toString();
+	} catch (err) {
+		throw Error(`tsc failed:\n${err.stdout}`);
+	}
+};
+
+describe('typings', () => {
+	let folder;
+	let log;
+
+	before(async () => {
+		// inside the package, so ethers resolves as it would for a consumer
+		fs.mkdirSync(path.join(ROOT, '.tmp'), { recursive: true });
+		folder = fs.mkdtempSync(path.join(ROOT, '.tmp', 'types-'));
+		const deploymentPath = path.join(folder, 'mainnet');
+		fs.mkdirSync(deploymentPath);
+		fs.copyFileSync(
+			path.join(ROOT, 'publish', 'deployed', 'mainnet', 'deployment.json'),
+			path.join(deploymentPath, 'deployment.json')
+		);
+
+		log = console.log;
+		console.log = () => {};
+		try {
+			await generateTypes({ packagePath: folder, deploymentPath });
+		} finally {
+			console.log = log;
+		}
+		fs.writeFileSync(path.join(folder, 'consumer.ts'), CONSUMER);
+	});
+
+	after(() => {
+		fs.rmSync(folder, { recursive: true, force: true });
+	});
+
+	it('generates declarations of the package and of a deployment that compile, and type their use', () => {
+		const files = [
+			'index.d.ts',
+			'contracts.d.ts',
+			'mainnet/types/index.d.ts',
+			'consumer.ts',
+		].map(file => path.join(folder, file));
+		assert.ok(files.every(file => fs.existsSync(file)));
+		tsc(...files);
+	});
+
+	it('reports a misuse of them', () => {
+		fs.writeFileSync(
+			path.join(folder, 'misuse.ts'),
+			"import { getTarget } from './index';\nexport const address: number = getTarget({ contract: 'Issuer' }).address;\n"
+		);
+		assert.throws(() => tsc(path.join(folder, 'misuse.ts')), /misuse\.ts.*TS2322/);
+	});
+});
@@ -0,0 +1,175 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { validateDeployment } = require('../../../publish/src/command-utils/validation');
+
+const {
+	constants: {
+		CONFIG_FILENAME,
+		PARAMS_FILENAME,
+		TRIBEONES_FILENAME,
+		FEEDS_FILENAME,
+		PERPS_V2_MARKETS_FILENAME,
+	},
+} = require('../../..');
+
+const LOCAL_FOLDER = path.join(__dirname, '..', '..', '..', 'publish', 'deployed', 'local');
+
+describe('validateDeployment', () => {
+	let deploymentPath;
+
+	// the local deployment files, with those given replaced
+	const withFiles = files => {
+		for (const [file, contents] of Object.entries(files)) {
+			const filePath = path.join(deploymentPath, file);
+			if (contents === undefined) {
+				fs.unlinkSync(filePath);
+			} else {
+				fs.writeFileSync(
+					filePath,
+					typeof contents === 'string' ? contents : JSON.stringify(contents, null, '\t')
+				);
+			}
+		}
+	};
+	const readFile = file => JSON.parse(fs.readFileSync(path.join(deploymentPath, file)));
+	const messagesOf = entries =>
+		entries.map(({ file, line, message }) => `${file}:${line} ${message}`);
+
+	beforeEach(() => {
+		deploymentPath = fs.mkdtempSync(path.join(os.tmpdir(), 'validate-'));
+		for (const file of fs.readdirSync(LOCAL_FOLDER)) {
+			if (/\.json$/.test(file)) {
+				fs.copyFileSync(path.join(LOCAL_FOLDER, file), path.join(deploymentPath, file));
+			}
+		}
+	});
+
+	afterEach(() => {
+		fs.rmSync(deploymentPath, { recursive: true, force: true });
+	});
+
+	it('passes the local deployment, with warnings for its tribes without feeds', () => {
+		const { errors, warnings } = validateDeployment({ deploymentPath, network: 'local' });
+		assert.deepStrictEqual(errors, []);
+		assert.deepStrictEqual(messagesOf(warnings), [
+			'tribes.json:7 hETH has no feed for its asset ETH in feeds.json',
+			'tribes.json:12 hBTC has no feed for its asset BTC in feeds.json',
+		]);
+	});
+
+	it('fails tribes without feeds on other networks', () => {
+		const { errors, warnings } = validateDeployment({ deploymentPath, network: 'goerli' });
+		assert.strictEqual(errors.length, 2);
+		assert.deepStrictEqual(warnings, []);
+	});
+
+	it('passes the files of every network in the repo', () => {
+		for (const network of ['mainnet', 'mainnet-ovm', 'goerli', 'goerli-ovm']) {
+			const { errors } = validateDeployment({
+				deploymentPath: path.join(LOCAL_FOLDER, '..', network),
+				network: network.replace(/-ovm$/, ''),
+			});
+			assert.deepStrictEqual(messagesOf(errors), [], network);
+		}
+	});
+
+	it('reports a required file missing, but not an optional one', () => {
+		withFiles({ [CONFIG_FILENAME]: undefined, 'rewards.json': undefined });
+		const { errors } = validateDeployment({ deploymentPath, network: 'local' });
+		assert.deepStrictEqual(messagesOf(errors), ['config.json:0 file is missing']);
+	});
+
+	it('reports the line of a file that does not parse', () => {
+		withFiles({ [CONFIG_FILENAME]: '{\n\t"Issuer": { "deploy": true },\n\t"Depot": \n}\n' });
+		const { errors } = validateDeployment({ deploymentPath, network: 'local' });
+		assert.strictEqual(errors.length, 1);
+		assert.strictEqual(errors[0].file, CONFIG_FILENAME);
+		assert.strictEqual(errors[0].line, 4);
+	});
+
+	it('reports schema errors on the line of the value at fault', () => {
+		const tribes = readFile(TRIBEONES_FILENAME);
+		tribes[1].assets = 'ETH';
+		tribes[2].category = 'stocks';
+		withFiles({ [TRIBEONES_FILENAME]: tribes });
+		const { errors } = validateDeployment({ deploymentPath, network: 'local' });
+		assert.deepStrictEqual(messagesOf(errors), [
+			'tribes.json:11 [1] should NOT have additional properties: "assets"',
+			'tribes.json:17 [2].category should be equal to one of the allowed values: crypto, forex, index, commodity, equities',
+		]);
+	});
+
+	it('checks a config entry has deploy set', () => {
+		withFiles({ [CONFIG_FILENAME]: { Issuer: { deploy: 'yes' }, Depot: {} } });
+		const { errors } = validateDeployment({ deploymentPath, network: 'local' });
+		assert.deepStrictEqual(messagesOf(errors), [
+			'config.json:3 Issuer.deploy should be boolean',
+			"config.json:5 Depot should have required property 'deploy'",
+		]);
+	});
+
+	it('allows a config entry to be deployed through the CREATE2 factory', () => {
+		withFiles({ [CONFIG_FILENAME]: { Issuer: { deploy: true, create2: true } } });
+		const { errors } = validateDeployment({ deploymentPath, network: 'local' });
+		assert.deepStrictEqual(messagesOf(errors), []);
+
+		withFiles({ [CONFIG_FILENAME]: { Issuer: { deploy: true, create2: 'yes' } } });
+		assert.deepStrictEqual(
+			messagesOf(validateDeployment({ deploymentPath, network: 'local' }).errors),
+			['config.json:4 Issuer.create2 should be boolean']
+		);
+	});
+
+	it('suggests the closest name of an unknown parameter and reports those set twice', () => {
+		withFiles({
+			[PARAMS_FILENAME]: [
+				{ name: 'ISSUANCE_RATI', value: '0.25' },
+				{ name: 'TRADING_REWARDS_ENABLED', value: true },
+				{ name: 'TRADING_REWARDS_ENABLED', value: false },
+			],
+		});
+		const { errors } = validateDeployment({ deploymentPath, network: 'local' });
+		assert.deepStrictEqual(messagesOf(errors), [
+			'params.json:2 unknown parameter ISSUANCE_RATI, did you mean ISSUANCE_RATIO?',
+			'params.json:10 TRADING_REWARDS_ENABLED is also set on line 6',
+		]);
+	});
+
+	it('checks tribes against the known assets and each other', () => {
+		const tribes = readFile(TRIBEONES_FILENAME);
+		tribes.push({ name: 'hUSD', asset: 'USD' }, { name: 'hXYZ', asset: 'XYZ' });
+		withFiles({ [TRIBEONES_FILENAME]: tribes });
+		const { errors } = validateDeployment({ deploymentPath, network: 'local' });
+		assert.deepStrictEqual(messagesOf(errors), [
+			'tribes.json:17 hUSD is also listed on line 2',
+			'tribes.json:21 hXYZ has unknown asset XYZ',
+		]);
+	});
+
+	it('checks feeds are keyed by their asset', () => {
+		withFiles({
+			[FEEDS_FILENAME]: {
+				ETH: { asset: 'BTC', feed: '0x0000000000000000000000000000000000000001' },
+			},
+		});
+		const { errors, warnings } = validateDeployment({ deploymentPath, network: 'local' });
+		assert.deepStrictEqual(messagesOf(errors), ['feeds.json:2 ETH has a mismatched asset BTC']);
+		// hETH now has a feed
+		assert.strictEqual(warnings.length, 1);
+	});
+
+	it('checks perps markets have an off-chain feed', () => {
+		const markets = readFile(PERPS_V2_MARKETS_FILENAME);
+		markets[0].asset = 'hLINK';
+		withFiles({ [PERPS_V2_MARKETS_FILENAME]: markets });
+		const { errors } = validateDeployment({ deploymentPath, network: 'local' });
+		assert.deepStrictEqual(messagesOf(errors), [
+			'perpsv2-markets.json:2 hETHPERP has no off-chain feed for its asset hLINK in offchain-feeds.json',
+		]);
+	});
+});
@@ -1,3 +1,20 @@
+const { loadCompiledFiles } = require('../../publish/src/solidity');
+const Multicall = require('../../publish/src/Multicall');
+const { DEFAULTS } = require('../../publish/src/commands/build');
+
+// put the Multicall3 of the test-helpers where it is on live networks, so local deploys batch their reads
+async function deployMulticall3({ provider, buildPath = DEFAULTS.buildPath }) {
+	const { compiled = {} } = loadCompiledFiles({ buildPath });
+	if (!compiled.Multicall3) {
+		// reads are then made one at a time
+		return;
+	}
+	await provider.send('hardhat_setCode', [
+		Multicall.DEFAULTS.address,
+		'0x' + compiled.Multicall3.evm.deployedBytecode.object,
+	]);
+}
+
 async function fastForward({ seconds, provider }) {
 	await provider.send('evm_increaseTime', [seconds]);
 
@@ -25,4 +42,5 @@ async function dummyTx({ wallet, gasPrice = 0, gasLimit = 8000000 }) {
 module.exports = {
 	fastForward,
 	dummyTx,
+	deployMulticall3,
 };